@@ -0,0 +1,82 @@
+/**
+ * Data Collector Definitions
+ * Every source MasterCollector can call, with its capabilities, priority and default state.
+ * Lower priority numbers are collected (and preferred) first.
+ * Runtime changes made through /api/collectors are stored in the CollectorConfig collection
+ * and override these defaults; DISABLED_COLLECTORS (comma-separated keys) disables sources per deployment.
+ */
+
+const COLLECTORS = [
+  {
+    key: 'openMeteo',
+    module: 'openMeteoCollector',
+    priority: 1,
+    enabled: true,
+    capabilities: { weather: true, airQuality: true, regions: ['*'] }
+  },
+  {
+    key: 'imd',
+    module: 'imdCollector',
+    priority: 2,
+    enabled: true,
+    capabilities: { weather: true, airQuality: false, regions: ['India'] }
+  },
+  {
+    key: 'weatherUnion',
+    module: 'weatherUnionCollector',
+    priority: 3,
+    enabled: true,
+    capabilities: { weather: true, airQuality: false, regions: ['India'] }
+  },
+  {
+    key: 'googleAQI',
+    module: 'googleAQICollector',
+    priority: 4,
+    enabled: true,
+    capabilities: { weather: false, airQuality: true, regions: ['*'] }
+  },
+  {
+    key: 'openAQ',
+    module: 'openAQCollector',
+    priority: 5,
+    enabled: false, // API deprecated (HTTP 410)
+    capabilities: { weather: false, airQuality: true, regions: ['*'] }
+  },
+  {
+    key: 'ksndmc',
+    module: 'ksndmcCollector',
+    priority: 6,
+    enabled: true,
+    capabilities: { weather: true, airQuality: false, regions: ['Karnataka'] }
+  },
+  {
+    key: 'urbanEmission',
+    module: 'urbanEmissionCollector',
+    priority: 7,
+    enabled: true,
+    capabilities: { weather: false, airQuality: true, regions: ['India'] }
+  },
+  {
+    key: 'openCity',
+    module: 'openCityCollector',
+    priority: 8,
+    enabled: true,
+    capabilities: { weather: false, airQuality: true, regions: ['India'] }
+  }
+];
+
+const DISABLED_COLLECTORS = (process.env.DISABLED_COLLECTORS || '')
+  .split(',')
+  .map(key => key.trim())
+  .filter(Boolean);
+
+// Retry/backoff and circuit breaker settings shared by every collector
+const RESILIENCE = {
+  retries: parseInt(process.env.COLLECTOR_RETRIES, 10) || 2,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  failureThreshold: parseInt(process.env.COLLECTOR_BREAKER_THRESHOLD, 10) || 5,
+  cooldownMs: parseInt(process.env.COLLECTOR_BREAKER_COOLDOWN_MS, 10) || 10 * 60 * 1000
+};
+
+module.exports = { COLLECTORS, DISABLED_COLLECTORS, RESILIENCE };
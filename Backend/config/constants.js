@@ -1,3 +1,5 @@
+// imdStation: IMD city weather station (WMO index) used by the IMD collector;
+// type is the station class IMD's heatwave/cold-wave criteria use (plains, coastal or hill)
 const CITIES = [
   { 
     id: 'city_001', 
@@ -6,7 +8,8 @@ const CITIES = [
     lat: 19.0760, 
     lng: 72.8777, 
     timezone: 'Asia/Kolkata',
-    population: 20961472
+    population: 20961472,
+    imdStation: { id: '43003', name: 'Santacruz', type: 'coastal' }
   },
   { 
     id: 'city_002', 
@@ -15,7 +18,8 @@ const CITIES = [
     lat: 28.7041, 
     lng: 77.1025, 
     timezone: 'Asia/Kolkata',
-    population: 16787941
+    population: 16787941,
+    imdStation: { id: '42182', name: 'Safdarjung', type: 'plains' }
   },
   { 
     id: 'city_003', 
@@ -24,7 +28,8 @@ const CITIES = [
     lat: 12.9716, 
     lng: 77.5946, 
     timezone: 'Asia/Kolkata',
-    population: 8436675
+    population: 8436675,
+    imdStation: { id: '43295', name: 'Bengaluru City', type: 'plains' }
   },
   { 
     id: 'city_004', 
@@ -33,7 +38,8 @@ const CITIES = [
     lat: 17.3850, 
     lng: 78.4867, 
     timezone: 'Asia/Kolkata',
-    population: 6809970
+    population: 6809970,
+    imdStation: { id: '43128', name: 'Begumpet', type: 'plains' }
   },
   { 
     id: 'city_005', 
@@ -42,7 +48,8 @@ const CITIES = [
     lat: 22.5726, 
     lng: 88.3639, 
     timezone: 'Asia/Kolkata',
-    population: 14681900
+    population: 14681900,
+    imdStation: { id: '42807', name: 'Alipore', type: 'plains' }
   },
   { 
     id: 'city_006', 
@@ -51,7 +58,8 @@ const CITIES = [
     lat: 13.0827, 
     lng: 80.2707, 
     timezone: 'Asia/Kolkata',
-    population: 7088000
+    population: 7088000,
+    imdStation: { id: '43279', name: 'Nungambakkam', type: 'coastal' }
   },
   { 
     id: 'city_007', 
@@ -60,7 +68,8 @@ const CITIES = [
     lat: 18.5204, 
     lng: 73.8567, 
     timezone: 'Asia/Kolkata',
-    population: 6430400
+    population: 6430400,
+    imdStation: { id: '43063', name: 'Shivajinagar', type: 'plains' }
   },
   { 
     id: 'city_008', 
@@ -69,7 +78,8 @@ const CITIES = [
     lat: 23.0225, 
     lng: 72.5714, 
     timezone: 'Asia/Kolkata',
-    population: 8450570
+    population: 8450570,
+    imdStation: { id: '42647', name: 'Ahmedabad Airport', type: 'plains' }
   }
 ];
 
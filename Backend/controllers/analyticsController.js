@@ -6,11 +6,38 @@
 const RealtimeData = require('../models/RealtimeData');
 const HistoricalData = require('../models/HistoricalData');
 const logger = require('../utils/logger');
-const { getDateRange } = require('../utils/helpers');
+const { getDateRange, isCompleteDay } = require('../utils/helpers');
 const { getCachedData, setCachedData } = require('../services/cacheManager');
+const { VERIFIED_METRICS, SKILL_WINDOW_DAYS, getForecastSkill: computeSkillReport } = require('../services/forecastVerification');
+const { EVENT_TYPES, getTemperatureEvents } = require('../services/extremeEvents');
+const { EXTREME_METRICS, getReturnPeriods: computeReturnPeriods } = require('../services/returnPeriods');
+const { trendDirection, getTrendAnalysis } = require('../services/trendAnalysis');
+const { DECOMPOSITION_METRICS, GRANULARITIES, getAnomalies: computeAnomalies } = require('../services/decomposition');
+const {
+  CORRELATION_METRICS,
+  DEFAULT_MATRIX_METRICS,
+  CORRELATION_METHODS,
+  MAX_LAG_DAYS,
+  correlate,
+  laggedPairs,
+  correlationStrength,
+  getCorrelationMatrix: computeCorrelationMatrix
+} = require('../services/correlationMatrix');
+const { RANKING_CRITERIA, RANKING_PERIODS, WEIGHTINGS, getCityRankings } = require('../services/cityRankings');
+const { getMonsoonSummary: computeMonsoonSummary } = require('../services/monsoonAnalytics');
+const { NORMAL_METRICS, DEFAULT_WINDOW_DAYS, MAX_WINDOW_DAYS, getBasePeriod, getClimateNormals } = require('../services/climateNormals');
+const { DEFAULT_DEGREE_DAY_BASES, DEGREE_DAY_BASE_RANGE, degreeDays } = require('../utils/thermalIndices');
+const { CITIES } = require('../config/constants');
+
+// Trend/compare metrics computed from temperature at the request's base temperatures
+const DEGREE_DAY_METRICS = ['cdd', 'hdd'];
+
+// Longest window for trends and compare; their trend test compares every pair of days
+const MAX_TREND_DAYS = 365;
 
 /**
  * Get historical trends for a city
+ * Degree-day metrics (cdd, hdd) use coolingBase/heatingBase (°C) when given.
  * @route GET /api/analytics/trends
  */
 const getTrends = async (req, res) => {
@@ -24,8 +51,23 @@ const getTrends = async (req, res) => {
       });
     }
     
+    if (!_isValidTrendDays(days)) {
+      return res.status(400).json({
+        success: false,
+        message: `days must be between 1 and ${MAX_TREND_DAYS}`
+      });
+    }
+    
+    const bases = _parseDegreeDayBases(req.query);
+    if (!bases) {
+      return res.status(400).json({
+        success: false,
+        message: `coolingBase and heatingBase must be between ${DEGREE_DAY_BASE_RANGE.min} and ${DEGREE_DAY_BASE_RANGE.max} °C`
+      });
+    }
+    
     // Check cache
-    const cacheKey = `trends:${cityId}:${days}:${metric}`;
+    const cacheKey = `trends:${cityId}:${days}:${metric}:${bases.cooling}:${bases.heating}`;
     const cached = getCachedData(cacheKey);
     
     if (cached) {
@@ -41,7 +83,8 @@ const getTrends = async (req, res) => {
     // Fetch historical data
     const data = await HistoricalData.find({
       cityId: cityId,
-      date: { $gte: startDate, $lte: endDate }
+      date: { $gte: startDate, $lte: endDate },
+      ...HistoricalData.dailyFilter()
     })
     .sort({ date: 1 })
     .lean();
@@ -56,7 +99,7 @@ const getTrends = async (req, res) => {
     // Extract trend data based on metric
     const trendData = data.map(d => ({
       date: d.date,
-      value: _getMetricValue(d, metric),
+      value: _getMetricValue(d, metric, bases),
       cityId: d.cityId,
       cityName: d.cityName
     }));
@@ -67,14 +110,16 @@ const getTrends = async (req, res) => {
       average: _average(values),
       min: Math.min(...values),
       max: Math.max(...values),
-      trend: _calculateTrend(values),
-      dataPoints: values.length
+      trend: trendDirection(values),
+      dataPoints: values.length,
+      ...(DEGREE_DAY_METRICS.includes(metric) && { total: _total(values) })
     };
     
     const result = {
       cityId: cityId,
       metric: metric,
       period: { startDate, endDate, days: parseInt(days) },
+      ...(DEGREE_DAY_METRICS.includes(metric) && { degreeDayBases: bases }),
       data: trendData,
       statistics: stats
     };
@@ -98,17 +143,19 @@ const getTrends = async (req, res) => {
 
 /**
  * Get heatmap data for multiple cities
+ * Pass excludeFallback=true to ignore records a collector served from a fallback upstream
  * @route GET /api/analytics/heatmap
  */
 const getHeatmap = async (req, res) => {
   try {
-    const { metric = 'aqi', date } = req.query;
+    const { metric = 'aqi', date, excludeFallback } = req.query;
+    const primaryOnly = excludeFallback === 'true';
     
     const targetDate = date ? new Date(date) : new Date();
     targetDate.setHours(0, 0, 0, 0);
     
     // Check cache
-    const cacheKey = `heatmap:${metric}:${targetDate.toISOString().split('T')[0]}`;
+    const cacheKey = `heatmap:${metric}:${targetDate.toISOString().split('T')[0]}:${primaryOnly ? 'primary' : 'all'}`;
     const cached = getCachedData(cacheKey);
     
     if (cached) {
@@ -126,7 +173,8 @@ const getHeatmap = async (req, res) => {
           timestamp: {
             $gte: new Date(targetDate.getTime() - 24 * 60 * 60 * 1000),
             $lte: new Date(targetDate.getTime() + 24 * 60 * 60 * 1000)
-          }
+          },
+          ...(primaryOnly && { 'provenance.isFallback': { $ne: true } })
         }
       },
       {
@@ -157,6 +205,7 @@ const getHeatmap = async (req, res) => {
     const result = {
       metric: metric,
       date: targetDate,
+      excludeFallback: primaryOnly,
       cities: heatmapData,
       summary: {
         totalCities: heatmapData.length,
@@ -184,12 +233,13 @@ const getHeatmap = async (req, res) => {
 };
 
 /**
- * Get correlation analysis between metrics
+ * Get correlation analysis between two metrics, optionally with the second lagged
  * @route GET /api/analytics/correlation
  */
 const getCorrelation = async (req, res) => {
   try {
-    const { cityId, metric1 = 'temperature', metric2 = 'aqi', days = 30 } = req.query;
+    const { cityId, metric1 = 'temperature', metric2 = 'aqi', days = 30, method = 'pearson' } = req.query;
+    const lag = req.query.lag !== undefined ? parseInt(req.query.lag, 10) : 0;
     
     if (!cityId) {
       return res.status(400).json({
@@ -198,8 +248,16 @@ const getCorrelation = async (req, res) => {
       });
     }
     
+    const validation = _validateCorrelationOptions([metric1, metric2], method, [lag]);
+    if (validation) {
+      return res.status(400).json({
+        success: false,
+        message: validation
+      });
+    }
+    
     // Check cache
-    const cacheKey = `correlation:${cityId}:${metric1}:${metric2}:${days}`;
+    const cacheKey = `correlation:${cityId}:${metric1}:${metric2}:${days}:${method}:${lag}`;
     const cached = getCachedData(cacheKey);
     
     if (cached) {
@@ -215,51 +273,52 @@ const getCorrelation = async (req, res) => {
     // Fetch historical data
     const data = await HistoricalData.find({
       cityId: cityId,
-      date: { $gte: startDate, $lte: endDate }
+      date: { $gte: startDate, $lte: endDate },
+      ...HistoricalData.dailyFilter()
     })
     .sort({ date: 1 })
     .lean();
     
-    if (data.length < 10) {
-      return res.status(400).json({
-        success: false,
-        message: 'Insufficient data for correlation analysis (minimum 10 data points required)'
-      });
-    }
+    const field1 = CORRELATION_METRICS[metric1];
+    const field2 = CORRELATION_METRICS[metric2];
+    // Days under the completeness threshold are left out, as in the matrix
+    const series = (field) => new Map(data
+      .filter(d => typeof d[field] === 'number' && isCompleteDay(d))
+      .map(d => [new Date(d.date).getTime(), d[field]]));
     
-    // Extract metric values
-    const values1 = data.map(d => _getMetricValue(d, metric1)).filter(v => v != null);
-    const values2 = data.map(d => _getMetricValue(d, metric2)).filter(v => v != null);
+    // Pair each day's metric1 with metric2 `lag` days later
+    const { times, x, y } = laggedPairs(series(field1), series(field2), lag);
+    const correlation = correlate(x, y, method);
     
-    if (values1.length !== values2.length) {
+    if (!correlation) {
       return res.status(400).json({
         success: false,
-        message: 'Metrics have different data availability'
+        message: 'Insufficient data for correlation analysis (minimum 10 paired days with variation required)'
       });
     }
     
-    // Calculate Pearson correlation coefficient
-    const correlation = _calculateCorrelation(values1, values2);
-    
     // Prepare scatter plot data
-    const scatterData = data.map(d => ({
-      date: d.date,
-      x: _getMetricValue(d, metric1),
-      y: _getMetricValue(d, metric2)
-    })).filter(d => d.x != null && d.y != null);
+    const scatterData = times.map((time, i) => ({
+      date: new Date(time),
+      x: x[i],
+      y: y[i]
+    }));
     
     const result = {
       cityId: cityId,
       metric1: metric1,
       metric2: metric2,
+      method,
+      lag,
       period: { startDate, endDate, days: parseInt(days) },
       correlation: {
-        coefficient: correlation,
-        strength: _getCorrelationStrength(correlation),
-        direction: correlation > 0 ? 'positive' : correlation < 0 ? 'negative' : 'none'
+        coefficient: correlation.coefficient,
+        pValue: correlation.pValue,
+        strength: correlationStrength(correlation.coefficient),
+        direction: correlation.coefficient > 0 ? 'positive' : correlation.coefficient < 0 ? 'negative' : 'none'
       },
       scatterData: scatterData,
-      dataPoints: scatterData.length
+      dataPoints: correlation.n
     };
     
     // Cache for 1 hour
@@ -279,8 +338,75 @@ const getCorrelation = async (req, res) => {
   }
 };
 
+/**
+ * Get lagged correlation matrices across metrics for one city or across cities
+ * @route GET /api/analytics/correlation/matrix
+ */
+const getCorrelationMatrix = async (req, res) => {
+  try {
+    const { cityId, method = 'pearson' } = req.query;
+    const days = parseInt(req.query.days || 90, 10);
+    
+    // cityIds=all takes every city; otherwise a comma-separated list or a single cityId
+    const cityIds = req.query.cityIds === 'all'
+      ? CITIES.map(c => c.id)
+      : (req.query.cityIds || cityId || '').split(',').map(id => id.trim()).filter(Boolean);
+    
+    if (cityIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'City ID is required'
+      });
+    }
+    
+    const unknown = cityIds.find(id => !CITIES.some(c => c.id === id));
+    if (unknown) {
+      return res.status(404).json({
+        success: false,
+        message: `City not found: ${unknown}`
+      });
+    }
+    
+    const metrics = req.query.metrics
+      ? [...new Set(req.query.metrics.split(',').map(m => m.trim()))]
+      : DEFAULT_MATRIX_METRICS;
+    const lags = [...new Set(String(req.query.lags ?? '0').split(',').map(l => parseInt(l, 10)))];
+    
+    const validation = _validateCorrelationOptions(metrics, method, lags);
+    if (validation) {
+      return res.status(400).json({
+        success: false,
+        message: validation
+      });
+    }
+    
+    if (isNaN(days) || days < 10 || days > 3650) {
+      return res.status(400).json({
+        success: false,
+        message: 'days must be between 10 and 3650'
+      });
+    }
+    
+    const { startDate, endDate } = getDateRange(days);
+    const result = await computeCorrelationMatrix({ cityIds, metrics, method, lags, startDate, endDate });
+    
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    logger.error('Get correlation matrix error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 /**
  * Get comparative analysis across cities
+ * Takes the same metrics and degree-day bases as getTrends.
  * @route GET /api/analytics/compare
  */
 const compareСities = async (req, res) => {
@@ -303,6 +429,21 @@ const compareСities = async (req, res) => {
       });
     }
     
+    if (!_isValidTrendDays(days)) {
+      return res.status(400).json({
+        success: false,
+        message: `days must be between 1 and ${MAX_TREND_DAYS}`
+      });
+    }
+    
+    const bases = _parseDegreeDayBases(req.query);
+    if (!bases) {
+      return res.status(400).json({
+        success: false,
+        message: `coolingBase and heatingBase must be between ${DEGREE_DAY_BASE_RANGE.min} and ${DEGREE_DAY_BASE_RANGE.max} °C`
+      });
+    }
+    
     const { startDate, endDate } = getDateRange(parseInt(days));
     
     // Fetch data for all cities
@@ -310,12 +451,13 @@ const compareСities = async (req, res) => {
       cityIdArray.map(async (cityId) => {
         const data = await HistoricalData.find({
           cityId: cityId,
-          date: { $gte: startDate, $lte: endDate }
+          date: { $gte: startDate, $lte: endDate },
+          ...HistoricalData.dailyFilter()
         })
         .sort({ date: 1 })
         .lean();
         
-        const values = data.map(d => _getMetricValue(d, metric)).filter(v => v != null);
+        const values = data.map(d => _getMetricValue(d, metric, bases)).filter(v => v != null);
         
         return {
           cityId: cityId,
@@ -323,11 +465,12 @@ const compareСities = async (req, res) => {
           average: _average(values),
           min: Math.min(...values),
           max: Math.max(...values),
-          trend: _calculateTrend(values),
+          trend: trendDirection(values),
           dataPoints: values.length,
+          ...(DEGREE_DAY_METRICS.includes(metric) && { total: _total(values) }),
           timeSeries: data.map(d => ({
             date: d.date,
-            value: _getMetricValue(d, metric)
+            value: _getMetricValue(d, metric, bases)
           }))
         };
       })
@@ -338,6 +481,7 @@ const compareСities = async (req, res) => {
       data: {
         metric: metric,
         period: { startDate, endDate, days: parseInt(days) },
+        ...(DEGREE_DAY_METRICS.includes(metric) && { degreeDayBases: bases }),
         cities: comparisons
       }
     });
@@ -351,6 +495,70 @@ const compareСities = async (req, res) => {
   }
 };
 
+/**
+ * Rank all cities by a criterion over a period
+ * Query: criterion, period (week, month, year, monsoon, all) or from/to (YYYY-MM-DD),
+ * weighting (none, population), threshold (°C, hot_days only)
+ * @route GET /api/analytics/rankings
+ */
+const getRankings = async (req, res) => {
+  try {
+    const { criterion = 'cleanest_air', period, weighting = 'none' } = req.query;
+    
+    if (!RANKING_CRITERIA[criterion]) {
+      return res.status(400).json({
+        success: false,
+        message: `Criterion must be one of: ${Object.keys(RANKING_CRITERIA).join(', ')}`
+      });
+    }
+    
+    if (period && !RANKING_PERIODS.includes(period)) {
+      return res.status(400).json({
+        success: false,
+        message: `Period must be one of: ${RANKING_PERIODS.join(', ')}`
+      });
+    }
+    
+    if (!WEIGHTINGS.includes(weighting)) {
+      return res.status(400).json({
+        success: false,
+        message: `Weighting must be one of: ${WEIGHTINGS.join(', ')}`
+      });
+    }
+    
+    const from = req.query.from ? _parseDay(req.query.from) : undefined;
+    const to = req.query.to ? _parseDay(req.query.to) : undefined;
+    if (from === null || to === null || (from && to && from > to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be YYYY-MM-DD dates with from before to'
+      });
+    }
+    
+    const threshold = req.query.threshold !== undefined ? parseFloat(req.query.threshold) : undefined;
+    if (threshold !== undefined && isNaN(threshold)) {
+      return res.status(400).json({
+        success: false,
+        message: 'threshold must be a number'
+      });
+    }
+    
+    const result = await getCityRankings({ criterion, period, from, to, weighting, threshold });
+    
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    logger.error('Get rankings error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 /**
  * Get historical records (extremes) for a city
  * @route GET /api/analytics/records/:cityId
@@ -371,12 +579,13 @@ const getHistoricalRecords = async (req, res) => {
       });
     }
     
-    // Find extremes
+    // Find extremes (daily records only; monthly/yearly rollups would repeat the same max/min)
+    const daily = { cityId, ...HistoricalData.dailyFilter() };
     const [hottest, coldest, wettest, worstAqi] = await Promise.all([
-      HistoricalData.findOne({ cityId }).sort({ maxTemperature: -1 }).select('date maxTemperature cityName').lean(),
-      HistoricalData.findOne({ cityId }).sort({ minTemperature: 1 }).select('date minTemperature cityName').lean(),
-      HistoricalData.findOne({ cityId }).sort({ totalRainfall: -1 }).select('date totalRainfall cityName').lean(),
-      HistoricalData.findOne({ cityId }).sort({ avgAqi: -1 }).select('date avgAqi cityName').lean()
+      HistoricalData.findOne(daily).sort({ maxTemperature: -1 }).select('date maxTemperature cityName').lean(),
+      HistoricalData.findOne(daily).sort({ minTemperature: 1 }).select('date minTemperature cityName').lean(),
+      HistoricalData.findOne(daily).sort({ totalRainfall: -1 }).select('date totalRainfall cityName').lean(),
+      HistoricalData.findOne(daily).sort({ avgAqi: -1 }).select('date avgAqi cityName').lean()
     ]);
     
     const result = {
@@ -405,68 +614,68 @@ const getHistoricalRecords = async (req, res) => {
 };
 
 /**
- * Compare today with typical day (historical average)
+ * Compare a day with the city's climate normals for that day of the year
+ * Query: date (YYYY-MM-DD, default today), baseStart/baseEnd (years), window (days
+ * either side), and optional observed values by metric (e.g. avgTemperature=31.4)
  * @route GET /api/analytics/typical/:cityId
  */
 const getTypicalDayComparison = async (req, res) => {
   try {
     const { cityId } = req.params;
-    const date = req.query.date ? new Date(req.query.date) : new Date();
-    const month = date.getMonth() + 1; // 1-12
-    const day = date.getDate();
     
-    // Check cache
-    const cacheKey = `typical:${cityId}:${month}:${day}`;
-    const cached = getCachedData(cacheKey);
+    const city = CITIES.find(c => c.id === cityId);
+    if (!city) {
+      return res.status(404).json({
+        success: false,
+        message: 'City not found'
+      });
+    }
     
-    if (cached) {
-      return res.status(200).json({
-        success: true,
-        data: cached,
-        cached: true
+    if (req.query.date && !_parseDay(req.query.date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'date must be a YYYY-MM-DD date'
       });
     }
     
-    // Get historical data for this month across all years
-    // Note: Ideally we'd match day too, but data might be sparse, so month average is safer for "typical"
-    const historicalData = await HistoricalData.aggregate([
-      {
-        $match: {
-          cityId: cityId,
-          $expr: { $eq: [{ $month: "$date" }, month] }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          avgTemp: { $avg: "$avgTemperature" },
-          avgMaxTemp: { $avg: "$maxTemperature" },
-          avgMinTemp: { $avg: "$minTemperature" },
-          avgAqi: { $avg: "$avgAqi" },
-          count: { $sum: 1 }
-        }
-      }
-    ]);
+    const startYear = req.query.baseStart !== undefined ? parseInt(req.query.baseStart, 10) : undefined;
+    const endYear = req.query.baseEnd !== undefined ? parseInt(req.query.baseEnd, 10) : undefined;
+    const basePeriod = getBasePeriod({ startYear, endYear });
     
-    const typical = historicalData[0] || {};
+    if (isNaN(basePeriod.startYear) || isNaN(basePeriod.endYear) || basePeriod.startYear > basePeriod.endYear) {
+      return res.status(400).json({
+        success: false,
+        message: 'baseStart and baseEnd must be years with baseStart not after baseEnd'
+      });
+    }
     
-    // Get today's/requested date's actual data if available (from Realtime or Historical)
-    // For now, we just return the typical values, frontend compares with current
+    const windowDays = req.query.window !== undefined ? parseInt(req.query.window, 10) : DEFAULT_WINDOW_DAYS;
+    if (isNaN(windowDays) || windowDays < 0 || windowDays > MAX_WINDOW_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `window must be between 0 and ${MAX_WINDOW_DAYS} days`
+      });
+    }
     
-    const result = {
-      cityId,
-      month: date.toLocaleString('default', { month: 'long' }),
-      typical: {
-        avgTemperature: Math.round((typical.avgTemp || 0) * 10) / 10,
-        maxTemperature: Math.round((typical.avgMaxTemp || 0) * 10) / 10,
-        minTemperature: Math.round((typical.avgMinTemp || 0) * 10) / 10,
-        aqi: Math.round(typical.avgAqi || 0),
-        dataPoints: typical.count || 0
+    const observed = {};
+    for (const metric of Object.keys(NORMAL_METRICS)) {
+      if (req.query[metric] === undefined) continue;
+      const value = parseFloat(req.query[metric]);
+      if (isNaN(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `${metric} must be a number`
+        });
       }
-    };
+      observed[metric] = value;
+    }
     
-    // Cache for 24 hours
-    setCachedData(cacheKey, result, 86400);
+    const result = await getClimateNormals(city, {
+      date: req.query.date,
+      ...basePeriod,
+      windowDays,
+      observed
+    });
     
     res.status(200).json({
       success: true,
@@ -483,7 +692,8 @@ const getTypicalDayComparison = async (req, res) => {
 };
 
 /**
- * Get long-term trends (yearly averages)
+ * Get long-term trends: yearly averages, plus Mann-Kendall / Sen's slope trends of the
+ * annual and seasonal series
  * @route GET /api/analytics/long-term/:cityId
  */
 const getLongTermTrends = async (req, res) => {
@@ -505,7 +715,7 @@ const getLongTermTrends = async (req, res) => {
     // Aggregate by year
     const yearlyData = await HistoricalData.aggregate([
       {
-        $match: { cityId: cityId }
+        $match: { cityId: cityId, ...HistoricalData.dailyFilter() }
       },
       {
         $group: {
@@ -529,9 +739,12 @@ const getLongTermTrends = async (req, res) => {
       dataPoints: d.count
     }));
     
+    const analysis = await getTrendAnalysis(cityId);
+    
     const result = {
       cityId,
-      trends
+      trends,
+      analysis
     };
     
     // Cache for 24 hours
@@ -551,84 +764,454 @@ const getLongTermTrends = async (req, res) => {
   }
 };
 
+/**
+ * Get forecast skill (MAE, RMSE, bias) per source, metric and lead time
+ * @route GET /api/analytics/forecast-skill/:cityId
+ */
+const getForecastSkill = async (req, res) => {
+  try {
+    const { cityId } = req.params;
+    const { metric } = req.query;
+    const days = parseInt(req.query.days) || SKILL_WINDOW_DAYS;
+    
+    if (metric && !VERIFIED_METRICS[metric]) {
+      return res.status(400).json({
+        success: false,
+        message: `Metric must be one of: ${Object.keys(VERIFIED_METRICS).join(', ')}`
+      });
+    }
+    
+    const result = await computeSkillReport(cityId, { days, metric });
+    
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    logger.error('Get forecast skill error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get heatwave and cold-wave events (IMD criteria) for a city
+ * @route GET /api/analytics/events/:cityId
+ */
+const getExtremeEvents = async (req, res) => {
+  try {
+    const { cityId } = req.params;
+    const { type } = req.query;
+    
+    const city = CITIES.find(c => c.id === cityId);
+    if (!city) {
+      return res.status(404).json({
+        success: false,
+        message: 'City not found'
+      });
+    }
+    
+    if (type && !EVENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Type must be one of: ${EVENT_TYPES.join(', ')}`
+      });
+    }
+    
+    // Default: the last year
+    const to = req.query.to ? _parseDay(req.query.to) : _parseDay(new Date().toISOString().slice(0, 10));
+    const from = req.query.from ? _parseDay(req.query.from) : new Date(to.getTime() - 365 * 24 * 60 * 60 * 1000);
+    
+    if (!from || !to || from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be YYYY-MM-DD dates with from before to'
+      });
+    }
+    
+    const result = await getTemperatureEvents(city, { from, to, type });
+    
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    logger.error('Get extreme events error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Extreme-value return levels of annual maxima, and the return period of a value
+ * Query: metric (maxTemperature or totalRainfall, default both), value (needs metric),
+ * baseStart/baseEnd (years)
+ * @route GET /api/analytics/return-periods/:cityId
+ */
+const getReturnPeriods = async (req, res) => {
+  try {
+    const { cityId } = req.params;
+    const { metric } = req.query;
+    
+    const city = CITIES.find(c => c.id === cityId);
+    if (!city) {
+      return res.status(404).json({
+        success: false,
+        message: 'City not found'
+      });
+    }
+    
+    const metricNames = Object.keys(EXTREME_METRICS);
+    if (metric && !metricNames.includes(metric)) {
+      return res.status(400).json({
+        success: false,
+        message: `Metric must be one of: ${metricNames.join(', ')}`
+      });
+    }
+    
+    const value = req.query.value !== undefined ? parseFloat(req.query.value) : null;
+    if (req.query.value !== undefined && (isNaN(value) || !metric)) {
+      return res.status(400).json({
+        success: false,
+        message: 'value must be a number and needs a metric'
+      });
+    }
+    
+    const startYear = req.query.baseStart !== undefined ? parseInt(req.query.baseStart, 10) : null;
+    const endYear = req.query.baseEnd !== undefined ? parseInt(req.query.baseEnd, 10) : undefined;
+    if (Number.isNaN(startYear) || Number.isNaN(endYear) || (startYear && endYear && startYear > endYear)) {
+      return res.status(400).json({
+        success: false,
+        message: 'baseStart and baseEnd must be years with baseStart not after baseEnd'
+      });
+    }
+    
+    const result = await computeReturnPeriods(city, {
+      metrics: metric ? [metric] : metricNames,
+      value,
+      startYear,
+      endYear
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    logger.error('Get return periods error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Trend / seasonal / residual decomposition with anomalies flagged on the residual
+ * Query: metric (daily field, default avgTemperature), granularity (daily|hourly),
+ * days (window returned), threshold (robust z-score)
+ * @route GET /api/analytics/anomalies/:cityId
+ */
+const getAnomalies = async (req, res) => {
+  try {
+    const { cityId } = req.params;
+    const { metric = 'avgTemperature', granularity = 'daily' } = req.query;
+    
+    const city = CITIES.find(c => c.id === cityId);
+    if (!city) {
+      return res.status(404).json({
+        success: false,
+        message: 'City not found'
+      });
+    }
+    
+    if (!GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({
+        success: false,
+        message: `Granularity must be one of: ${GRANULARITIES.join(', ')}`
+      });
+    }
+    
+    const metrics = Object.keys(DECOMPOSITION_METRICS)
+      .filter(m => granularity === 'daily' || DECOMPOSITION_METRICS[m]);
+    if (!metrics.includes(metric)) {
+      return res.status(400).json({
+        success: false,
+        message: `Metric must be one of: ${metrics.join(', ')}`
+      });
+    }
+    
+    const maxDays = granularity === 'daily' ? 365 : 60;
+    const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : undefined;
+    if (days !== undefined && (isNaN(days) || days < 1 || days > maxDays)) {
+      return res.status(400).json({
+        success: false,
+        message: `days must be between 1 and ${maxDays}`
+      });
+    }
+    
+    const threshold = req.query.threshold !== undefined ? parseFloat(req.query.threshold) : undefined;
+    if (threshold !== undefined && (isNaN(threshold) || threshold <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'threshold must be a positive number'
+      });
+    }
+    
+    const result = await computeAnomalies(city, { metric, granularity, days, threshold });
+    
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    logger.error('Get anomalies error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Monsoon season summary: onset, withdrawal, total against the LPA, spells and heavy rain days
+ * Query: year (default: the latest monsoon that has begun), baseStart/baseEnd (LPA years)
+ * @route GET /api/analytics/monsoon/:cityId
+ */
+const getMonsoonSummary = async (req, res) => {
+  try {
+    const { cityId } = req.params;
+    
+    const city = CITIES.find(c => c.id === cityId);
+    if (!city) {
+      return res.status(404).json({
+        success: false,
+        message: 'City not found'
+      });
+    }
+    
+    const currentYear = new Date().getUTCFullYear();
+    const year = req.query.year !== undefined ? parseInt(req.query.year, 10) : undefined;
+    if (year !== undefined && (isNaN(year) || year < 1900 || year > currentYear)) {
+      return res.status(400).json({
+        success: false,
+        message: `year must be between 1900 and ${currentYear}`
+      });
+    }
+    
+    const startYear = req.query.baseStart !== undefined ? parseInt(req.query.baseStart, 10) : undefined;
+    const endYear = req.query.baseEnd !== undefined ? parseInt(req.query.baseEnd, 10) : undefined;
+    if ([startYear, endYear].some(y => y !== undefined && isNaN(y)) || (startYear && endYear && startYear > endYear)) {
+      return res.status(400).json({
+        success: false,
+        message: 'baseStart and baseEnd must be years with baseStart before baseEnd'
+      });
+    }
+    
+    const result = await computeMonsoonSummary(city, { year, startYear, endYear });
+    
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    logger.error('Get monsoon summary error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Daily degree days and heat stress indices for a city, with period totals and peaks
+ * Degree days are worked out at coolingBase/heatingBase (°C, default: the configured
+ * bases); heat stress indices are the stored highest hourly values of each day.
+ * Query: days (default 30, at most 3650), coolingBase, heatingBase
+ * @route GET /api/analytics/thermal/:cityId
+ */
+const getThermalIndices = async (req, res) => {
+  try {
+    const { cityId } = req.params;
+    
+    const city = CITIES.find(c => c.id === cityId);
+    if (!city) {
+      return res.status(404).json({
+        success: false,
+        message: 'City not found'
+      });
+    }
+    
+    const days = parseInt(req.query.days || 30, 10);
+    if (isNaN(days) || days < 1 || days > 3650) {
+      return res.status(400).json({
+        success: false,
+        message: 'days must be between 1 and 3650'
+      });
+    }
+    
+    const bases = _parseDegreeDayBases(req.query);
+    if (!bases) {
+      return res.status(400).json({
+        success: false,
+        message: `coolingBase and heatingBase must be between ${DEGREE_DAY_BASE_RANGE.min} and ${DEGREE_DAY_BASE_RANGE.max} °C`
+      });
+    }
+    
+    const { startDate, endDate } = getDateRange(days);
+    
+    const records = await HistoricalData.find({
+      cityId,
+      date: { $gte: startDate, $lte: endDate },
+      ...HistoricalData.dailyFilter()
+    })
+    .select('date avgTemperature maxTemperature minTemperature avgHumidity maxHeatIndex maxHumidex maxWetBulb maxWbgt')
+    .sort({ date: 1 })
+    .lean();
+    
+    const rows = records.map(d => ({
+      date: d.date,
+      avgTemperature: d.avgTemperature ?? null,
+      maxTemperature: d.maxTemperature ?? null,
+      minTemperature: d.minTemperature ?? null,
+      avgHumidity: d.avgHumidity ?? null,
+      coolingDegreeDays: _getMetricValue(d, 'cdd', bases),
+      heatingDegreeDays: _getMetricValue(d, 'hdd', bases),
+      maxHeatIndex: d.maxHeatIndex ?? null,
+      maxHumidex: d.maxHumidex ?? null,
+      maxWetBulb: d.maxWetBulb ?? null,
+      maxWbgt: d.maxWbgt ?? null
+    }));
+    
+    const present = (field) => rows.map(r => r[field]).filter(v => v != null);
+    const peak = (field) => present(field).length > 0 ? Math.max(...present(field)) : null;
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        cityId,
+        cityName: city.name,
+        period: { startDate, endDate, days },
+        degreeDayBases: bases,
+        totals: {
+          coolingDegreeDays: _total(present('coolingDegreeDays')),
+          heatingDegreeDays: _total(present('heatingDegreeDays'))
+        },
+        peaks: {
+          maxHeatIndex: peak('maxHeatIndex'),
+          maxHumidex: peak('maxHumidex'),
+          maxWetBulb: peak('maxWetBulb'),
+          maxWbgt: peak('maxWbgt')
+        },
+        days: rows
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Get thermal indices error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // ========== PRIVATE HELPER FUNCTIONS ==========
 
+/**
+ * Parse a YYYY-MM-DD date to UTC midnight, like daily record dates
+ * @private
+ */
+const _parseDay = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return isNaN(date) ? null : date;
+};
+
 /**
  * Get metric value from data object
+ * Degree days are worked out from the day's temperatures at the requested bases
+ * rather than read from the record, which holds them at the configured bases only.
  * @private
  */
-const _getMetricValue = (data, metric) => {
+const _getMetricValue = (data, metric, bases) => {
+  if (DEGREE_DAY_METRICS.includes(metric)) {
+    const { cooling, heating } = degreeDays(data, bases);
+    const value = metric === 'cdd' ? cooling : heating;
+    return value != null ? Math.round(value * 10) / 10 : null;
+  }
+  
   const metricMap = {
     'temperature': data.avgTemperature,
     'humidity': data.avgHumidity,
     'aqi': data.avgAqi,
     'pm25': data.avgPm25,
-    'pm10': data.avgPm10
+    'pm10': data.avgPm10,
+    'heatIndex': data.maxHeatIndex,
+    'humidex': data.maxHumidex,
+    'wetBulb': data.maxWetBulb,
+    'wbgt': data.maxWbgt
   };
   
-  return metricMap[metric] || null;
+  return metricMap[metric] ?? null;
 };
 
 /**
- * Calculate average
+ * days query value for trends/compare: a whole number from 1 to MAX_TREND_DAYS
  * @private
  */
-const _average = (values) => {
-  if (!values || values.length === 0) return 0;
-  const sum = values.reduce((acc, val) => acc + val, 0);
-  return Math.round((sum / values.length) * 10) / 10;
-};
+const _isValidTrendDays = (days) => /^\d+$/.test(String(days)) && days >= 1 && days <= MAX_TREND_DAYS;
 
 /**
- * Calculate trend
+ * Degree-day bases from coolingBase/heatingBase, defaulting to the configured ones
  * @private
+ * @returns {Object|null} { cooling, heating }, or null if either is invalid
  */
-const _calculateTrend = (values) => {
-  if (!values || values.length < 2) return 'stable';
-  
-  const firstHalf = values.slice(0, Math.floor(values.length / 2));
-  const secondHalf = values.slice(Math.floor(values.length / 2));
-  
-  const avgFirst = _average(firstHalf);
-  const avgSecond = _average(secondHalf);
-  
-  const change = ((avgSecond - avgFirst) / avgFirst) * 100;
-  
-  if (change > 5) return 'increasing';
-  if (change < -5) return 'decreasing';
-  return 'stable';
+const _parseDegreeDayBases = (query) => {
+  const bases = {};
+  for (const [key, param] of [['cooling', 'coolingBase'], ['heating', 'heatingBase']]) {
+    const value = query[param] !== undefined ? parseFloat(query[param]) : DEFAULT_DEGREE_DAY_BASES[key];
+    if (isNaN(value) || value < DEGREE_DAY_BASE_RANGE.min || value > DEGREE_DAY_BASE_RANGE.max) return null;
+    bases[key] = value;
+  }
+  return bases;
 };
 
 /**
- * Calculate Pearson correlation coefficient
+ * Sum, rounded like _average
  * @private
  */
-const _calculateCorrelation = (x, y) => {
-  const n = x.length;
-  const sumX = x.reduce((a, b) => a + b, 0);
-  const sumY = y.reduce((a, b) => a + b, 0);
-  const sumXY = x.reduce((sum, xi, i) => sum + xi * y[i], 0);
-  const sumX2 = x.reduce((sum, xi) => sum + xi * xi, 0);
-  const sumY2 = y.reduce((sum, yi) => sum + yi * yi, 0);
-  
-  const numerator = n * sumXY - sumX * sumY;
-  const denominator = Math.sqrt((n * sumX2 - sumX * sumX) * (n * sumY2 - sumY * sumY));
-  
-  if (denominator === 0) return 0;
-  
-  return Math.round((numerator / denominator) * 1000) / 1000;
+const _total = (values) => Math.round(values.reduce((acc, val) => acc + val, 0) * 10) / 10;
+
+/**
+ * Calculate average
+ * @private
+ */
+const _average = (values) => {
+  if (!values || values.length === 0) return 0;
+  const sum = values.reduce((acc, val) => acc + val, 0);
+  return Math.round((sum / values.length) * 10) / 10;
 };
 
 /**
- * Get correlation strength description
+ * Check correlation metrics, method and lags; returns an error message or null
  * @private
  */
-const _getCorrelationStrength = (r) => {
-  const abs = Math.abs(r);
-  if (abs >= 0.7) return 'strong';
-  if (abs >= 0.4) return 'moderate';
-  if (abs >= 0.2) return 'weak';
-  return 'very weak';
+const _validateCorrelationOptions = (metrics, method, lags) => {
+  const unknown = metrics.find(m => !CORRELATION_METRICS[m]);
+  if (unknown) return `Unknown metric: ${unknown}. Use: ${Object.keys(CORRELATION_METRICS).join(', ')}`;
+  if (!CORRELATION_METHODS.includes(method)) return `Method must be one of: ${CORRELATION_METHODS.join(', ')}`;
+  if (lags.some(lag => isNaN(lag) || lag < 0 || lag > MAX_LAG_DAYS)) return `Lags must be whole days from 0 to ${MAX_LAG_DAYS}`;
+  return null;
 };
 
 /**
@@ -659,8 +1242,16 @@ module.exports = {
   getTrends,
   getHeatmap,
   getCorrelation,
+  getCorrelationMatrix,
   compareСities,
+  getRankings,
   getHistoricalRecords,
   getTypicalDayComparison,
-  getLongTermTrends
+  getLongTermTrends,
+  getForecastSkill,
+  getExtremeEvents,
+  getReturnPeriods,
+  getAnomalies,
+  getMonsoonSummary,
+  getThermalIndices
 };
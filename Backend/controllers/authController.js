@@ -7,6 +7,9 @@ const User = require('../models/User');
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
 
+// Roles a user can pick when registering; admins are only set in the database
+const SELF_SERVICE_USER_TYPES = ['public', 'researcher', 'student', 'journalist'];
+
 /**
  * Register a new user
  * @route POST /api/auth/register
@@ -23,6 +26,13 @@ const register = async (req, res) => {
       });
     }
     
+    if (userType && !SELF_SERVICE_USER_TYPES.includes(userType)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `userType must be one of: ${SELF_SERVICE_USER_TYPES.join(', ')}` 
+      });
+    }
+    
     // Check if user exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -0,0 +1,156 @@
+/**
+ * Collector Controller
+ * Lists data collectors and lets admins toggle them at runtime
+ */
+
+const { listCollectors, updateCollector, getSourceStatistics } = require('../services/apiAggregation');
+const CollectorDiagnostics = require('../models/CollectorDiagnostics');
+const logger = require('../utils/logger');
+
+/**
+ * Get all registered collectors
+ * @route GET /api/collectors
+ */
+const getCollectors = async (req, res) => {
+  try {
+    const collectors = listCollectors();
+    
+    res.status(200).json({
+      success: true,
+      count: collectors.length,
+      data: collectors
+    });
+    
+  } catch (error) {
+    logger.error('Get collectors error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get per-source record counts and circuit breaker state
+ * @route GET /api/collectors/stats
+ */
+const getCollectorStats = async (req, res) => {
+  try {
+    const stats = await getSourceStatistics();
+    
+    res.status(200).json({
+      success: true,
+      data: stats
+    });
+    
+  } catch (error) {
+    logger.error('Get collector stats error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get recent per-run parse diagnostics for a collector
+ * @route GET /api/collectors/:key/diagnostics?limit=10
+ */
+const getCollectorDiagnostics = async (req, res) => {
+  try {
+    const { key } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    
+    const collector = listCollectors().find(c => c.key === key);
+    
+    if (!collector) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown collector: ${key}`
+      });
+    }
+    
+    const runs = await CollectorDiagnostics.find({ source: collector.name })
+      .sort({ runStartedAt: -1 })
+      .limit(limit)
+      .lean();
+    
+    res.status(200).json({
+      success: true,
+      collector: key,
+      count: runs.length,
+      data: runs
+    });
+    
+  } catch (error) {
+    logger.error('Get collector diagnostics error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Enable/disable or re-prioritise a collector
+ * @route PATCH /api/collectors/:key
+ * @access Protected (admin only)
+ */
+const updateCollectorState = async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { enabled, priority, reason } = req.body;
+    
+    if (enabled === undefined && priority === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide enabled and/or priority'
+      });
+    }
+    
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'enabled must be a boolean'
+      });
+    }
+    
+    if (priority !== undefined && (!Number.isInteger(priority) || priority < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'priority must be a non-negative integer'
+      });
+    }
+    
+    const collector = await updateCollector(key, { enabled, priority, reason }, req.userId);
+    
+    if (!collector) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown collector: ${key}`
+      });
+    }
+    
+    logger.info(`Collector ${key} updated by user ${req.userId}`);
+    
+    res.status(200).json({
+      success: true,
+      message: `Collector ${key} updated`,
+      data: collector
+    });
+    
+  } catch (error) {
+    logger.error('Update collector error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCollectors,
+  getCollectorStats,
+  getCollectorDiagnostics,
+  updateCollectorState
+};
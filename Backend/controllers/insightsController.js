@@ -56,8 +56,9 @@ const getInsights = async (req, res) => {
       trends: {
         temperature: req.query.tempTrend || 'stable',
         tempChange: parseFloat(req.query.tempChange) || 0,
+        tempPValue: parseFloat(req.query.tempPValue) || null,
         aqi: req.query.aqiTrend || 'stable',
-        period: req.query.period || '7 days'
+        period: req.query.period || null
       },
       historical: {
         avgTemp: parseFloat(req.query.histAvgTemp) || null,
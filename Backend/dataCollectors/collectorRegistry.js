@@ -0,0 +1,182 @@
+/**
+ * Collector Registry
+ * Holds every data collector with its capabilities, priority and enabled state
+ * Defaults come from config/collectors.js, runtime overrides from the CollectorConfig collection
+ */
+
+const path = require('path');
+const CollectorConfig = require('../models/CollectorConfig');
+const logger = require('../utils/logger');
+const { COLLECTORS, DISABLED_COLLECTORS } = require('../config/collectors');
+
+class CollectorRegistry {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Register a collector instance
+   * @param {Object} definition - Collector definition (key, priority, enabled, capabilities)
+   * @param {Object} instance - Collector instance exposing fetchWeatherData/fetchAirQualityData
+   * @returns {Object} Registered entry
+   */
+  register(definition, instance) {
+    const entry = {
+      key: definition.key,
+      name: instance.name,
+      priority: definition.priority ?? 99,
+      enabled: definition.enabled !== false,
+      capabilities: {
+        weather: !!definition.capabilities?.weather,
+        airQuality: !!definition.capabilities?.airQuality,
+        regions: definition.capabilities?.regions || ['*']
+      },
+      instance
+    };
+
+    this.entries.set(entry.key, entry);
+    return entry;
+  }
+
+  /**
+   * Instantiate and register collectors from config definitions
+   * @param {Array} definitions - Collector definitions
+   * @returns {CollectorRegistry} This registry
+   */
+  loadFromConfig(definitions = COLLECTORS) {
+    for (const definition of definitions) {
+      try {
+        const CollectorClass = require(path.join(__dirname, definition.module));
+        this.register({
+          ...definition,
+          enabled: definition.enabled && !DISABLED_COLLECTORS.includes(definition.key)
+        }, new CollectorClass());
+      } catch (error) {
+        logger.error(`Failed to load collector ${definition.key}:`, error.message);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Apply enabled/priority overrides stored in the database
+   * @returns {Promise<number>} Number of overrides applied
+   */
+  async loadOverrides() {
+    try {
+      const overrides = await CollectorConfig.find({}).lean();
+      let applied = 0;
+
+      for (const override of overrides) {
+        const entry = this.entries.get(override.key);
+        if (!entry) continue;
+
+        if (typeof override.enabled === 'boolean') entry.enabled = override.enabled;
+        if (typeof override.priority === 'number') entry.priority = override.priority;
+        applied++;
+      }
+
+      return applied;
+
+    } catch (error) {
+      logger.warn('Could not load collector overrides, using config defaults:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Check whether a collector is registered
+   * @param {string} key - Collector key
+   * @returns {boolean} True if registered
+   */
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * Get a registered collector entry
+   * @param {string} key - Collector key
+   * @returns {Object|null} Entry or null
+   */
+  get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  /**
+   * Get every enabled collector, ordered by priority
+   * @returns {Array} Registry entries
+   */
+  getEnabledCollectors() {
+    return Array.from(this.entries.values())
+      .filter(entry => entry.enabled)
+      .sort((a, b) => a.priority - b.priority);
+  }
+
+  /**
+   * Get enabled collectors that cover a city, ordered by priority
+   * @param {Object} city - City object (state, optional country)
+   * @returns {Array} Registry entries
+   */
+  getActiveCollectors(city) {
+    return Array.from(this.entries.values())
+      .filter(entry => entry.enabled && this._coversCity(entry, city))
+      .sort((a, b) => a.priority - b.priority);
+  }
+
+  /**
+   * Serializable view of the registry
+   * @returns {Array} Collector descriptions
+   */
+  list() {
+    return Array.from(this.entries.values())
+      .sort((a, b) => a.priority - b.priority)
+      .map(({ instance, ...entry }) => entry);
+  }
+
+  /**
+   * Update a collector at runtime and persist the override
+   * @param {string} key - Collector key
+   * @param {Object} updates - { enabled, priority }
+   * @param {string} updatedBy - User ID making the change
+   * @returns {Promise<Object|null>} Updated description or null if unknown
+   */
+  async update(key, updates, updatedBy) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (typeof updates.enabled === 'boolean') entry.enabled = updates.enabled;
+    if (typeof updates.priority === 'number') entry.priority = updates.priority;
+
+    await CollectorConfig.findOneAndUpdate(
+      { key },
+      {
+        key,
+        enabled: entry.enabled,
+        priority: entry.priority,
+        updatedBy: updatedBy ? String(updatedBy) : undefined,
+        reason: updates.reason
+      },
+      { upsert: true, new: true }
+    );
+
+    logger.info(`Collector ${key} updated: enabled=${entry.enabled}, priority=${entry.priority}`);
+
+    const { instance, ...description } = entry;
+    return description;
+  }
+
+  /**
+   * Check if a collector's region coverage includes a city
+   * @private
+   */
+  _coversCity(entry, city) {
+    const regions = entry.capabilities.regions;
+    if (regions.includes('*')) return true;
+
+    const country = city.country || 'India';
+    return regions.includes(country) || (city.state && regions.includes(city.state));
+  }
+}
+
+module.exports = CollectorRegistry;
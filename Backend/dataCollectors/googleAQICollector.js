@@ -4,13 +4,15 @@
  * Fetches comprehensive air quality data
  */
 
-const axios = require('axios');
+const { createHttpClient } = require('../utils/resilientHttp');
 const logger = require('../utils/logger');
 const { validateCoordinates, roundTo } = require('../utils/helpers');
+const { AQI_SCALES, calculateAQI, getAQICategory, POLLUTANT_LABELS } = require('../utils/aqiCalculator');
 
 class GoogleAQICollector {
   constructor() {
     this.name = 'OpenMeteo-AQI'; // Renamed source
+    this.http = createHttpClient(this.name);
     // Use URL from .env or fallback to default
     this.baseUrl = process.env.OPEN_METEO_AQI_URL || 'https://air-quality-api.open-meteo.com/v1/air-quality';
     this.timeout = 10000;
@@ -35,7 +37,7 @@ class GoogleAQICollector {
       }
 
       // Fetch European AQI and detailed pollutants
-      const response = await axios.get(this.baseUrl, {
+      const response = await this.http.get(this.baseUrl, {
         params: {
           latitude: lat,
           longitude: lng,
@@ -47,6 +49,15 @@ class GoogleAQICollector {
 
       const current = response.data.current;
 
+      const { dominantPollutant } = calculateAQI({
+        pm25: current.pm2_5,
+        pm10: current.pm10,
+        no2: current.nitrogen_dioxide,
+        so2: current.sulphur_dioxide,
+        co: current.carbon_monoxide,
+        o3: current.ozone
+      });
+
       return {
         sourceApi: this.name,
         aqi: current.us_aqi, // Standardizing on US AQI
@@ -60,9 +71,10 @@ class GoogleAQICollector {
         
         // Extra metadata
         europeanAqi: current.european_aqi,
-        dominantPollutant: this._determineDominant(current),
-        aqiCategory: this._getAQICategory(current.us_aqi),
+        dominantPollutant: POLLUTANT_LABELS[dominantPollutant] || null,
+        aqiCategory: getAQICategory(current.us_aqi, AQI_SCALES.US_EPA)?.label || null,
         
+        provenance: { provider: 'Open-Meteo', endpoint: response.config.url, isFallback: false },
         timestamp: new Date().toISOString(),
         qualityScore: 0.90
       };
@@ -72,32 +84,6 @@ class GoogleAQICollector {
       return null;
     }
   }
-
-  /**
-   * Determine dominant pollutant (simplified logic)
-   */
-  _determineDominant(data) {
-    const pollutants = {
-      'PM2.5': data.pm2_5,
-      'PM10': data.pm10,
-      'NO2': data.nitrogen_dioxide,
-      'O3': data.ozone
-    };
-    
-    return Object.keys(pollutants).reduce((a, b) => pollutants[a] > pollutants[b] ? a : b);
-  }
-
-  /**
-   * Get AQI category description
-   */
-  _getAQICategory(aqi) {
-    if (aqi <= 50) return 'Good';
-    if (aqi <= 100) return 'Moderate';
-    if (aqi <= 150) return 'Unhealthy for Sensitive Groups';
-    if (aqi <= 200) return 'Unhealthy';
-    if (aqi <= 300) return 'Very Unhealthy';
-    return 'Hazardous';
-  }
 }
 
 module.exports = GoogleAQICollector;
@@ -0,0 +1,337 @@
+/**
+ * IMD City Weather Page Parser
+ * Extracts the current observation, past 24 hour summary and 7-day forecast table
+ * from IMD's city weather HTML (city.imd.gov.in/citywx).
+ *
+ * The page is a set of loosely formatted <table>s whose layout varies between stations,
+ * so fields are located by their row labels rather than fixed positions. Every parse
+ * returns diagnostics listing what could not be found.
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Label patterns for single-value rows. Order matters: max/min must be tried before plain temperature.
+const FIELD_LABELS = [
+  { field: 'past24h.maxTemp', pattern: /^max(imum)?\.?\s*temp/i, departure: 'past24h.maxTempDeparture' },
+  { field: 'past24h.minTemp', pattern: /^min(imum)?\.?\s*temp/i, departure: 'past24h.minTempDeparture' },
+  { field: 'past24h.rainfall', pattern: /(24\s*h(ou)?rs?\.?\s*)?rain\s*fall/i, rainfall: true },
+  { field: 'past24h.humidity0830', pattern: /relative\s*humidity\s*(at\s*)?0?830/i },
+  { field: 'past24h.humidity1730', pattern: /relative\s*humidity\s*(at\s*)?1730/i },
+  { field: 'observation.temperature', pattern: /^(current|present|latest)?\s*(air\s*)?temp(erature)?\b/i },
+  { field: 'observation.humidity', pattern: /^(current\s*)?relative\s*humidity\s*(\(%\))?$/i },
+  { field: 'observation.pressure', pattern: /(mean\s*sea\s*level|m\.?s\.?l\.?)\s*pressure|^pressure/i },
+  { field: 'observation.windSpeed', pattern: /wind\s*speed/i },
+  { field: 'observation.windDirection', pattern: /wind\s*direction/i, text: true }
+];
+
+// Fields whose absence makes a parse "partial"
+const EXPECTED_FIELDS = ['past24h.maxTemp', 'past24h.minTemp', 'past24h.rainfall', 'forecast'];
+
+/**
+ * Parse an IMD city weather page
+ * @param {string} html - Page HTML
+ * @param {Date} referenceDate - Date the page was fetched (used to resolve forecast years)
+ * @returns {Object} { observation, past24h, forecast, diagnostics }
+ */
+const parseCityWeatherPage = (html, referenceDate = new Date()) => {
+  const result = {
+    observation: {},
+    past24h: {},
+    forecast: [],
+    diagnostics: {
+      status: 'failed',
+      missing: [],
+      warnings: [],
+      tables: 0,
+      rows: 0,
+      htmlBytes: typeof html === 'string' ? html.length : 0
+    }
+  };
+
+  if (typeof html !== 'string' || html.trim().length === 0) {
+    result.diagnostics.warnings.push('Empty response body');
+    result.diagnostics.missing = [...EXPECTED_FIELDS];
+    return result;
+  }
+
+  const tables = _extractTables(html);
+  result.diagnostics.tables = tables.length;
+  result.diagnostics.rows = tables.reduce((sum, rows) => sum + rows.length, 0);
+
+  if (tables.length === 0) {
+    result.diagnostics.warnings.push('No tables found in page (layout change or error page?)');
+    result.diagnostics.missing = [...EXPECTED_FIELDS];
+    return result;
+  }
+
+  for (const rows of tables) {
+    const forecast = _parseForecastTable(rows, referenceDate, result.diagnostics);
+
+    if (forecast.length > 0) {
+      if (result.forecast.length === 0) result.forecast = forecast;
+      continue;
+    }
+
+    for (const row of rows) {
+      _parseLabelledRow(row, result);
+    }
+  }
+
+  // Latest humidity reading doubles as the observation when none is reported directly
+  if (result.observation.humidity == null) {
+    const latest = result.past24h.humidity1730 ?? result.past24h.humidity0830;
+    if (latest != null) result.observation.humidity = latest;
+  }
+
+  result.diagnostics.missing = EXPECTED_FIELDS.filter(field => {
+    if (field === 'forecast') return result.forecast.length === 0;
+    return _get(result, field) == null;
+  });
+
+  const found = EXPECTED_FIELDS.length - result.diagnostics.missing.length;
+  if (result.diagnostics.missing.length === 0) {
+    result.diagnostics.status = 'ok';
+  } else if (found > 0 || result.observation.temperature != null) {
+    result.diagnostics.status = 'partial';
+  }
+
+  return result;
+};
+
+// ========== PRIVATE HELPER FUNCTIONS ==========
+
+/**
+ * Split HTML into tables of rows of cell text
+ * @private
+ */
+const _extractTables = (html) => {
+  const cleaned = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '');
+
+  // IMD nests layout tables, so every table boundary starts a new group of rows
+  const segments = cleaned.split(/<\/?table(?:\s[^>]*)?>/i).filter(segment => /<tr[\s>]/i.test(segment));
+  const tables = [];
+
+  for (const segment of segments) {
+    const rows = [];
+    const rowPattern = /<tr(?:\s[^>]*)?>([\s\S]*?)(?=<tr[\s>]|<\/tr>|$)/gi;
+    let rowMatch;
+
+    while ((rowMatch = rowPattern.exec(segment)) !== null) {
+      const cells = [];
+      const cellPattern = /<t[dh](?:\s[^>]*)?>([\s\S]*?)(?=<t[dh][\s>]|<\/t[dh]>|$)/gi;
+      let cellMatch;
+
+      while ((cellMatch = cellPattern.exec(rowMatch[1])) !== null) {
+        const imgAlt = cellMatch[1].match(/<img[^>]*\b(?:alt|title)\s*=\s*["']([^"']+)["']/i);
+        const text = _cellText(cellMatch[1]) || (imgAlt ? _decode(imgAlt[1]).trim() : '');
+        cells.push(text);
+      }
+
+      if (cells.some(cell => cell.length > 0)) rows.push(cells);
+    }
+
+    if (rows.length > 0) tables.push(rows);
+  }
+
+  return tables;
+};
+
+/**
+ * Strip tags and normalise whitespace in a cell
+ * @private
+ */
+const _cellText = (cellHtml) => {
+  return _decode(cellHtml.replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Decode the HTML entities IMD pages use
+ * @private
+ */
+const _decode = (text) => {
+  return text
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&deg;|&#176;/gi, '°')
+    .replace(/&amp;/gi, '&')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;|&apos;/gi, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)));
+};
+
+/**
+ * Parse a numeric cell; IMD uses NIL for no rain and TRACE for under 0.1 mm
+ * @private
+ */
+const _parseNumber = (text, { rainfall = false } = {}) => {
+  if (text == null) return null;
+  const value = String(text).trim();
+
+  if (rainfall) {
+    if (/^nil$/i.test(value)) return 0;
+    if (/^(trace|tr)\.?$/i.test(value)) return 0;
+  }
+
+  const match = value.match(/^[+-]?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+};
+
+/**
+ * Match a label/value row and store any recognised fields
+ * @private
+ */
+const _parseLabelledRow = (cells, result) => {
+  for (let i = 0; i < cells.length - 1; i++) {
+    const label = cells[i];
+    if (!label) continue;
+
+    const definition = FIELD_LABELS.find(def => def.pattern.test(label));
+    if (!definition || _get(result, definition.field) != null) continue;
+
+    const raw = cells[i + 1];
+    const value = definition.text ? (raw || null) : _parseNumber(raw, { rainfall: definition.rainfall });
+
+    if (value == null) {
+      if (raw && !/^(-+|\*+|na|n\/a)$/i.test(raw)) {
+        result.diagnostics.warnings.push(`Unreadable value "${raw}" for "${label}"`);
+      }
+      continue;
+    }
+
+    if (definition.rainfall && /^(trace|tr)\.?$/i.test(raw.trim())) {
+      result.past24h.rainfallTrace = true;
+    }
+
+    _set(result, definition.field, value);
+
+    // "Departure from Normal" usually sits in the cells right after the value
+    if (definition.departure) {
+      const departureIndex = cells.findIndex((cell, idx) => idx > i + 1 && /departure/i.test(cell));
+      if (departureIndex !== -1) {
+        const departure = _parseNumber(cells[departureIndex + 1]);
+        if (departure != null) _set(result, definition.departure, departure);
+      }
+    }
+
+    i++;
+  }
+};
+
+/**
+ * Parse the 7-day forecast table if this table is one
+ * @private
+ */
+const _parseForecastTable = (rows, referenceDate, diagnostics) => {
+  const headerIndex = rows.findIndex(row =>
+    row.some(cell => /^date$/i.test(cell)) &&
+    row.some(cell => /min/i.test(cell)) &&
+    row.some(cell => /max/i.test(cell))
+  );
+
+  if (headerIndex === -1) return [];
+
+  const header = rows[headerIndex];
+  const dateCol = header.findIndex(cell => /^date$/i.test(cell));
+  const minCol = header.findIndex(cell => /min/i.test(cell));
+  const maxCol = header.findIndex(cell => /max/i.test(cell));
+  const forecast = [];
+
+  for (const row of rows.slice(headerIndex + 1)) {
+    const date = _parseForecastDate(row[dateCol], referenceDate);
+
+    if (!date) {
+      if (forecast.length > 0) break;
+      continue;
+    }
+
+    const minTemp = _parseNumber(row[minCol]);
+    const maxTemp = _parseNumber(row[maxCol]);
+
+    // Description is the last text column after the temperatures (earlier ones are icon alt text)
+    const description = row
+      .slice(Math.max(minCol, maxCol) + 1)
+      .filter(cell => cell && _parseNumber(cell) == null)
+      .pop() || null;
+
+    if (minTemp == null && maxTemp == null) {
+      diagnostics.warnings.push(`Forecast row for ${row[dateCol]} has no temperatures`);
+    }
+
+    forecast.push({ date, minTemp, maxTemp, description });
+  }
+
+  return forecast;
+};
+
+/**
+ * Resolve forecast dates such as "17-Oct", "17 Oct 2026", "17-10-2026" or "2026-10-17"
+ * @private
+ */
+const _parseForecastDate = (text, referenceDate) => {
+  if (!text) return null;
+  const value = text.trim();
+  let day, month, year;
+
+  let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    [, year, month, day] = match.map(Number);
+    month -= 1;
+  }
+
+  if (!match) {
+    match = value.match(/^(\d{1,2})[-/ ](\d{1,2})[-/ ](\d{2,4})$/);
+    if (match) {
+      [, day, month, year] = match.map(Number);
+      month -= 1;
+      if (year < 100) year += 2000;
+    }
+  }
+
+  if (!match) {
+    match = value.match(/^(\d{1,2})[-/ ]?([a-z]{3})[a-z]*[-/ ,]*(\d{4})?$/i);
+    if (match) {
+      day = Number(match[1]);
+      month = MONTHS.indexOf(match[2].toLowerCase());
+      year = match[3] ? Number(match[3]) : null;
+      if (month === -1) return null;
+    }
+  }
+
+  if (!match) return null;
+
+  if (!year) {
+    // Forecasts never span more than a week, so a month far behind means next year
+    year = referenceDate.getFullYear();
+    if (month < referenceDate.getMonth() - 6) year += 1;
+    if (month > referenceDate.getMonth() + 6) year -= 1;
+  }
+
+  const date = new Date(Date.UTC(year, month, day));
+  return isNaN(date.getTime()) || date.getUTCDate() !== day ? null : date;
+};
+
+/**
+ * Read a dotted path
+ * @private
+ */
+const _get = (obj, path) => path.split('.').reduce((acc, key) => (acc == null ? acc : acc[key]), obj);
+
+/**
+ * Write a dotted path
+ * @private
+ */
+const _set = (obj, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((acc, key) => (acc[key] = acc[key] || {}), obj);
+  target[last] = value;
+};
+
+module.exports = {
+  parseCityWeatherPage
+};
@@ -1,18 +1,29 @@
 /**
  * India Meteorological Department (IMD) Collector
- * Collects weather data from IMD's public API/data sources
- * Note: IMD doesn't have a well-documented public API, so this uses their data portal
+ * Collects weather data from IMD's city weather pages (city.imd.gov.in/citywx)
+ * Note: IMD doesn't have a well-documented public API, so the station HTML is parsed
+ * and Open-Meteo is used as a (flagged) fallback when the page can't be read
  */
 
-const axios = require('axios');
+const { createHttpClient } = require('../utils/resilientHttp');
+const { parseCityWeatherPage } = require('./imdCityWeatherParser');
+const CollectorDiagnostics = require('../models/CollectorDiagnostics');
+const { saveForecastIssue } = require('../services/forecastStore');
 const logger = require('../utils/logger');
 const { validateCoordinates, roundTo } = require('../utils/helpers');
+const { CITIES } = require('../config/constants');
 
 class IMDCollector {
   constructor() {
     this.name = 'IMD';
-    this.baseUrl = 'https://city.imd.gov.in/citywx/city_weather_test.php';
+    this.http = createHttpClient(this.name);
+    // Separate breaker so a tripped IMD circuit doesn't also block the Open-Meteo fallback
+    this.fallbackHttp = createHttpClient(`${this.name}-fallback`);
+    this.baseUrl = process.env.IMD_API_URL || 'https://city.imd.gov.in/citywx/city_weather_test.php';
     this.timeout = 10000;
+
+    // Per-run parse diagnostics and forecasts, flushed in onRunComplete
+    this.run = null;
   }
 
   /**
@@ -23,51 +34,86 @@ class IMDCollector {
    * @returns {Object|null} Weather data or null on error
    */
   async fetchWeatherData(lat, lng, cityName) {
-    try {
-      if (!validateCoordinates(lat, lng)) {
-        logger.warn(`${this.name}: Invalid coordinates for ${cityName}`);
-        return null;
-      }
+    if (!validateCoordinates(lat, lng)) {
+      logger.warn(`${this.name}: Invalid coordinates for ${cityName}`);
+      return null;
+    }
 
-      // IMD city code mapping for major Indian cities
-      const cityCode = this._getCityCode(cityName);
-      
-      if (!cityCode) {
-        logger.debug(`${this.name}: No city code for ${cityName}, using fallback`);
-        return this._getFallbackData(lat, lng, cityName);
-      }
+    const city = this._getCity(cityName);
+    const station = city?.imdStation;
 
-      const response = await axios.get(this.baseUrl, {
+    if (!station) {
+      logger.debug(`${this.name}: No station code for ${cityName}, using fallback`);
+      this._recordDiagnostic({ cityId: city?.id, cityName, status: 'skipped', usedFallback: true, error: 'No IMD station mapped' });
+      return this._getFallbackData(lat, lng, cityName);
+    }
+
+    const diagnostic = { cityId: city.id, cityName, stationId: station.id };
+
+    try {
+      const response = await this.http.get(this.baseUrl, {
         params: {
-          city: cityCode
+          id: station.id
         },
         timeout: this.timeout,
+        responseType: 'text',
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
         }
       });
 
-      // Parse IMD response (format varies, this is a simplified version)
-      const data = this._parseIMDResponse(response.data);
+      const parsed = this._parseIMDResponse(response.data);
+
+      Object.assign(diagnostic, {
+        status: parsed.diagnostics.status,
+        missing: parsed.diagnostics.missing,
+        warnings: parsed.diagnostics.warnings,
+        httpStatus: response.status,
+        htmlBytes: parsed.diagnostics.htmlBytes,
+        forecastDays: parsed.forecast.length
+      });
 
-      if (!data) {
+      if (parsed.forecast.length > 0 && this.run) {
+        this.run.forecasts.push({ city, forecast: parsed.forecast });
+      }
+
+      const { observation, past24h } = parsed;
+      const hasObservation = [observation.temperature, observation.humidity, past24h.maxTemp, past24h.minTemp]
+        .some(value => value != null);
+
+      if (!hasObservation) {
+        logger.debug(`${this.name}: Could not parse observation for ${cityName} (${parsed.diagnostics.missing.join(', ')})`);
+        this._recordDiagnostic({ ...diagnostic, usedFallback: true });
         return this._getFallbackData(lat, lng, cityName);
       }
 
+      this._recordDiagnostic({ ...diagnostic, usedFallback: false });
+
       return {
         sourceApi: this.name,
-        temperature: data.temperature,
-        humidity: data.humidity,
-        pressure: data.pressure,
-        windSpeed: data.windSpeed,
-        windDirection: data.windDirection,
-        rainfall: data.rainfall || 0,
+        temperature: observation.temperature ?? null,
+        min: past24h.minTemp ?? null,
+        max: past24h.maxTemp ?? null,
+        humidity: observation.humidity ?? null,
+        pressure: observation.pressure ?? null,
+        windSpeed: observation.windSpeed ?? null,
+        windDirection: this._normaliseWindDirection(observation.windDirection),
+        rainfall: past24h.rainfall ?? null,
+        station: { id: station.id, name: station.name },
+        provenance: { provider: 'IMD', endpoint: response.config.url, isFallback: false },
         timestamp: new Date().toISOString(),
-        qualityScore: 0.85
+        qualityScore: parsed.diagnostics.status === 'ok' ? 0.85 : 0.75
       };
 
     } catch (error) {
       logger.error(`${this.name} Weather Error for ${cityName}:`, error.message);
+      this._recordDiagnostic({
+        ...diagnostic,
+        status: 'failed',
+        usedFallback: true,
+        error: error.message,
+        httpStatus: error.response?.status
+      });
       // Return fallback data using Open-Meteo as backup
       return this._getFallbackData(lat, lng, cityName);
     }
@@ -87,62 +133,115 @@ class IMDCollector {
   }
 
   /**
-   * Get IMD city code for major Indian cities
-   * @param {string} cityName - City name
-   * @returns {string|null} City code or null
+   * Start collecting diagnostics and forecasts for a new collection run
+   * Called by MasterCollector before the city loop
+   * @param {Date} startedAt - Run start time
+   */
+  onRunStart(startedAt = new Date()) {
+    this.run = { startedAt, cities: [], forecasts: [] };
+  }
+
+  /**
+   * Persist the run's parse diagnostics and the IMD 7-day forecasts
+   * Called by MasterCollector after the city loop
+   * @returns {Promise<void>}
    */
-  _getCityCode(cityName) {
-    const cityMap = {
-      'mumbai': 'mumbai',
-      'delhi': 'delhi',
-      'new delhi': 'delhi',
-      'bangalore': 'bengaluru',
-      'bengaluru': 'bengaluru',
-      'hyderabad': 'hyderabad',
-      'chennai': 'chennai',
-      'kolkata': 'kolkata',
-      'pune': 'pune',
-      'ahmedabad': 'ahmedabad',
-      'jaipur': 'jaipur',
-      'lucknow': 'lucknow',
-      'kanpur': 'kanpur',
-      'nagpur': 'nagpur',
-      'indore': 'indore',
-      'bhopal': 'bhopal',
-      'patna': 'patna',
-      'vadodara': 'vadodara',
-      'ghaziabad': 'ghaziabad',
-      'ludhiana': 'ludhiana'
-    };
+  async onRunComplete() {
+    const run = this.run;
+    this.run = null;
+    if (!run) return;
+
+    const summary = { ok: 0, partial: 0, failed: 0, fallback: 0 };
+    for (const city of run.cities) {
+      if (summary[city.status] !== undefined) summary[city.status]++;
+      if (city.usedFallback) summary.fallback++;
+    }
+
+    try {
+      await CollectorDiagnostics.create({
+        source: this.name,
+        runStartedAt: run.startedAt,
+        runCompletedAt: new Date(),
+        summary,
+        cities: run.cities
+      });
+
+      if (summary.failed > 0 || summary.partial > 0) {
+        logger.warn(`${this.name}: parse ok=${summary.ok} partial=${summary.partial} failed=${summary.failed} (fallback used for ${summary.fallback})`);
+      }
+    } catch (error) {
+      logger.warn(`${this.name}: Could not store parse diagnostics:`, error.message);
+    }
+
+    for (const { city, forecast } of run.forecasts) {
+      await this._storeForecast(city, forecast, run.startedAt);
+    }
+  }
 
+  /**
+   * Look up a configured city by name
+   * @param {string} cityName - City name
+   * @returns {Object|undefined} City from CITIES
+   */
+  _getCity(cityName) {
     const normalized = cityName.toLowerCase().trim();
-    return cityMap[normalized] || null;
+    return CITIES.find(city => city.name.toLowerCase() === normalized);
   }
 
   /**
    * Parse IMD response data
    * @param {string} html - HTML response from IMD
-   * @returns {Object|null} Parsed weather data
+   * @returns {Object} Parsed observation, past 24h summary, forecast and diagnostics
    */
   _parseIMDResponse(html) {
+    logger.debug(`${this.name}: Parsing IMD response`);
+    return parseCityWeatherPage(typeof html === 'string' ? html : String(html ?? ''));
+  }
+
+  /**
+   * Keep a diagnostic entry for the current run (no-op outside a run)
+   * @param {Object} entry - Diagnostic entry
+   */
+  _recordDiagnostic(entry) {
+    if (this.run) this.run.cities.push(entry);
+  }
+
+  /**
+   * Store the IMD 7-day forecast as its own forecast source
+   * @param {Object} city - City from CITIES
+   * @param {Array} forecast - Parsed forecast rows
+   * @param {Date} issuedAt - When the forecast was fetched
+   * @returns {Promise<void>}
+   */
+  async _storeForecast(city, forecast, issuedAt) {
     try {
-      // IMD returns HTML/text format, this is a simplified parser
-      // In production, you'd use a proper HTML parser like cheerio
-      
-      // This is a mock implementation since IMD's actual format varies
-      // Real implementation would parse the actual HTML structure
-      
-      logger.debug(`${this.name}: Parsing IMD response`);
-      
-      // Return null to trigger fallback
-      return null;
+      const daily = forecast.map(day => ({
+        date: day.date,
+        highTemp: day.maxTemp,
+        lowTemp: day.minTemp
+      }));
+
+      // IMD updates its page a few times a day; hourly runs that see the same
+      // forecast don't create a new issue
+      const stored = await saveForecastIssue(city, this.name, { issuedAt, daily }, { skipIfUnchanged: true, calibrate: true });
+      if (stored) logger.debug(`${this.name}: Stored ${daily.length}-day forecast for ${city.name}`);
 
     } catch (error) {
-      logger.error(`${this.name}: Parse error:`, error.message);
-      return null;
+      logger.warn(`${this.name}: Could not store forecast for ${city.name}:`, error.message);
     }
   }
 
+  /**
+   * Normalise an IMD wind direction (degrees or compass text)
+   * @param {string|number|null} value - Reported direction
+   * @returns {string|null} Cardinal direction
+   */
+  _normaliseWindDirection(value) {
+    if (value == null) return null;
+    const degrees = parseFloat(value);
+    return isNaN(degrees) ? String(value).toUpperCase() : this._getWindDirection(degrees);
+  }
+
   /**
    * Get fallback data using Open-Meteo API
    * @param {number} lat - Latitude
@@ -154,7 +253,7 @@ class IMDCollector {
     try {
       logger.debug(`${this.name}: Using Open-Meteo fallback for ${cityName}`);
       
-      const response = await axios.get('https://api.open-meteo.com/v1/forecast', {
+      const response = await this.fallbackHttp.get('https://api.open-meteo.com/v1/forecast', {
         params: {
           latitude: lat,
           longitude: lng,
@@ -174,6 +273,7 @@ class IMDCollector {
         windSpeed: roundTo(current.wind_speed_10m, 1),
         windDirection: this._getWindDirection(current.wind_direction_10m),
         rainfall: roundTo(current.precipitation || 0, 1),
+        provenance: { provider: 'Open-Meteo', endpoint: response.config.url, isFallback: true },
         timestamp: new Date().toISOString(),
         qualityScore: 0.80
       };
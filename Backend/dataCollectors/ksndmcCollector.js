@@ -4,13 +4,14 @@
  * Uses public data from ksndmc.karnataka.gov.in
  */
 
-const axios = require('axios');
+const { createHttpClient } = require('../utils/resilientHttp');
 const logger = require('../utils/logger');
 const { validateCoordinates, roundTo } = require('../utils/helpers');
 
 class KSNDMCCollector {
   constructor() {
     this.name = 'KSNDMC';
+    this.http = createHttpClient(this.name);
     this.baseUrl = 'https://ksndmc.karnataka.gov.in';
     this.timeout = 10000;
   }
@@ -39,7 +40,7 @@ class KSNDMCCollector {
       // Using fallback with Open-Meteo for Karnataka cities
       logger.debug(`${this.name}: Using fallback for ${cityName}`);
       
-      const response = await axios.get('https://api.open-meteo.com/v1/forecast', {
+      const response = await this.http.get('https://api.open-meteo.com/v1/forecast', {
         params: {
           latitude: lat,
           longitude: lng,
@@ -58,6 +59,7 @@ class KSNDMCCollector {
         pressure: roundTo(current.pressure_msl, 1),
         windSpeed: roundTo(current.wind_speed_10m, 1),
         rainfall: roundTo(current.rain || current.precipitation || 0, 1),
+        provenance: { provider: 'Open-Meteo', endpoint: response.config.url, isFallback: true },
         timestamp: new Date().toISOString(),
         qualityScore: 0.82,
         region: 'Karnataka'
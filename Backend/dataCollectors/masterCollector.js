@@ -1,37 +1,23 @@
 /**
  * Master Collector
- * Orchestrates all 8 data collectors and aggregates results
- * Calls all APIs in parallel and stores each source separately
+ * Orchestrates every registered data collector and aggregates results
+ * Calls all enabled APIs in parallel and stores each source separately
  */
 
-const OpenMeteoCollector = require('./openMeteoCollector');
-const IMDCollector = require('./imdCollector');
-const WeatherUnionCollector = require('./weatherUnionCollector');
-const KSNDMCCollector = require('./ksndmcCollector');
-const OpenAQCollector = require('./openAQCollector');
-const GoogleAQICollector = require('./googleAQICollector');
-const UrbanEmissionCollector = require('./urbanEmissionCollector');
-const OpenCityCollector = require('./openCityCollector');
+const CollectorRegistry = require('./collectorRegistry');
 
 const RealtimeData = require('../models/RealtimeData');
 const logger = require('../utils/logger');
+const { calculateAllScales, extractPollutants } = require('../utils/aqiCalculator');
 const { CITIES } = require('../config/constants');
 
 class MasterCollector {
   constructor() {
-    // Initialize all collectors
-    this.collectors = {
-      openMeteo: new OpenMeteoCollector(),
-      imd: new IMDCollector(),
-      weatherUnion: new WeatherUnionCollector(),
-      ksndmc: new KSNDMCCollector(),
-      // openAQ: new OpenAQCollector(), // DISABLED - API deprecated (HTTP 410)
-      googleAQI: new GoogleAQICollector(),
-      urbanEmission: new UrbanEmissionCollector(),
-      openCity: new OpenCityCollector()
-    };
+    // Load collectors declared in config/collectors.js
+    this.registry = new CollectorRegistry().loadFromConfig();
 
-    logger.info('MasterCollector initialized with 7 data sources (OpenAQ disabled - API deprecated)');
+    const enabled = this.registry.list().filter(c => c.enabled).map(c => c.name);
+    logger.info(`MasterCollector initialized with ${enabled.length} data sources (${enabled.join(', ')})`);
   }
 
   /**
@@ -40,6 +26,9 @@ class MasterCollector {
    */
   async collectAllData() {
     logger.info('🔄 Starting data collection from all sources...');
+
+    // Pick up source toggles made by admins since the last run
+    await this.registry.loadOverrides();
     
     const results = {
       totalCities: CITIES.length,
@@ -49,6 +38,10 @@ class MasterCollector {
       errors: []
     };
 
+    // Collectors that keep per-run state (e.g. IMD parse diagnostics) get a start/end hook
+    const runStartedAt = new Date();
+    await this._notifyRun('onRunStart', runStartedAt);
+
     for (const city of CITIES) {
       try {
         const cityResults = await this.collectCityData(city);
@@ -69,6 +62,8 @@ class MasterCollector {
       }
     }
 
+    await this._notifyRun('onRunComplete');
+
     logger.info(`✅ Collection complete: ${results.successfulCities}/${results.totalCities} cities, ${results.totalRecords} total records`);
     
     return results;
@@ -84,17 +79,9 @@ class MasterCollector {
     
     logger.debug(`Collecting data for ${name}...`);
 
-    // Call all collectors in parallel using Promise.allSettled
-    const collectionPromises = [
-      this._collectFromSource('openMeteo', lat, lng, name),
-      this._collectFromSource('imd', lat, lng, name),
-      this._collectFromSource('weatherUnion', lat, lng, name),
-      this._collectFromSource('ksndmc', lat, lng, name),
-      // this._collectFromSource('openAQ', lat, lng, name), // DISABLED - API deprecated
-      this._collectFromSource('googleAQI', lat, lng, name),
-      this._collectFromSource('urbanEmission', lat, lng, name),
-      this._collectFromSource('openCity', lat, lng, name)
-    ];
+    // Call every enabled collector covering this city in parallel
+    const collectionPromises = this.registry.getActiveCollectors(city)
+      .map(entry => this._collectFromSource(entry.key, lat, lng, name));
 
     const results = await Promise.allSettled(collectionPromises);
 
@@ -109,38 +96,64 @@ class MasterCollector {
     };
   }
 
+  /**
+   * Call a run lifecycle hook on every enabled collector that implements it
+   * @param {string} hook - 'onRunStart' or 'onRunComplete'
+   * @param {...*} args - Hook arguments
+   * @returns {Promise<void>}
+   */
+  async _notifyRun(hook, ...args) {
+    for (const entry of this.registry.getEnabledCollectors()) {
+      if (typeof entry.instance[hook] !== 'function') continue;
+
+      try {
+        await entry.instance[hook](...args);
+      } catch (error) {
+        logger.warn(`${entry.key} ${hook} failed:`, error.message);
+      }
+    }
+  }
+
   /**
    * Collect data from a single source
-   * @param {string} collectorName - Name of collector
+   * @param {string} collectorName - Registry key of collector
    * @param {number} lat - Latitude
    * @param {number} lng - Longitude
    * @param {string} cityName - City name
    * @returns {Promise<Object>} Collected data
    */
   async _collectFromSource(collectorName, lat, lng, cityName) {
-    const collector = this.collectors[collectorName];
+    const { instance: collector, capabilities } = this.registry.get(collectorName);
     
     try {
-      // Try to fetch both weather and air quality data
-      const weatherPromise = collector.fetchWeatherData(lat, lng, cityName);
-      const aqPromise = collector.fetchAirQualityData(lat, lng, cityName);
+      // Only ask for what the collector declares it can provide
+      const weatherPromise = capabilities.weather ? collector.fetchWeatherData(lat, lng, cityName) : null;
+      const aqPromise = capabilities.airQuality ? collector.fetchAirQualityData(lat, lng, cityName) : null;
 
+      const startedAt = Date.now();
       const [weatherData, aqData] = await Promise.all([weatherPromise, aqPromise]);
+      const latencyMs = Date.now() - startedAt;
 
       // Merge data if both available
+      let data = null;
       if (weatherData && aqData) {
-        return {
+        data = {
           ...weatherData,
           ...aqData,
           sourceApi: collector.name
         };
       } else if (weatherData) {
-        return weatherData;
+        data = weatherData;
       } else if (aqData) {
-        return aqData;
+        data = aqData;
       }
 
-      return null;
+      if (!data) return null;
+
+      return {
+        ...data,
+        provenance: this._buildProvenance(collector, [weatherData, aqData], latencyMs)
+      };
 
     } catch (error) {
       logger.debug(`${collector.name} collection failed for ${cityName}:`, error.message);
@@ -148,6 +161,26 @@ class MasterCollector {
     }
   }
 
+  /**
+   * Combine per-fetch provenance into the record's provenance block
+   * @param {Object} collector - Collector instance
+   * @param {Array} parts - Weather and air quality results (may be null)
+   * @param {number} latencyMs - Time taken by the collector's fetches
+   * @returns {Object} Provenance block
+   */
+  _buildProvenance(collector, parts, latencyMs) {
+    const fetched = parts.filter(part => part && part.provenance).map(part => part.provenance);
+    const providers = [...new Set(fetched.map(p => p.provider).filter(Boolean))];
+
+    return {
+      declaredSource: collector.name,
+      provider: providers.length > 0 ? providers.join(', ') : collector.name,
+      endpoints: [...new Set(fetched.map(p => p.endpoint).filter(Boolean))],
+      isFallback: fetched.some(p => p.isFallback),
+      latencyMs
+    };
+  }
+
   /**
    * Store collection results in database
    * @param {string} cityId - City ID
@@ -162,6 +195,7 @@ class MasterCollector {
     for (const result of results) {
       if (result.status === 'fulfilled' && result.value) {
         const data = result.value;
+        const aqiIndices = calculateAllScales(extractPollutants(data));
         
         try {
           // Create a new document for each API source
@@ -171,7 +205,8 @@ class MasterCollector {
             timestamp: timestamp,
             
             // Weather data
-            temperature: data.temperature ? {
+            // Stations can report the past 24h max/min without a current reading
+            temperature: (data.temperature != null || data.min != null || data.max != null) ? {
               current: data.temperature,
               feelsLike: data.feelsLike,
               min: data.min,
@@ -191,14 +226,17 @@ class MasterCollector {
             snowfall: data.snowfall,
             precipitation: data.precipitation,
             
-            // Air Quality
-            aqi: data.aqi,
+            // Air Quality (keep a source's own US AQI when it reports one)
+            aqi: data.aqi ?? aqiIndices.us_epa.aqi ?? undefined,
             pm25: data.pm25,
             pm10: data.pm10,
             no2: data.no2,
             o3: data.o3,
             so2: data.so2,
             co: data.co,
+            nh3: data.nh3,
+            pb: data.pb,
+            aqiIndices: aqiIndices.us_epa.aqi != null ? aqiIndices : undefined,
             uvIndex: data.uvIndex,
             
             // Data source tracking
@@ -208,8 +246,8 @@ class MasterCollector {
               airQuality: data.sourceApi
             },
             
-            // Quality metrics
-            dataQualityScore: data.qualityScore ? data.qualityScore * 100 : 85,
+            // Where the values actually came from
+            provenance: data.provenance,
             
             // Quality metrics
             dataQualityScore: data.qualityScore ? data.qualityScore * 100 : 85,
@@ -255,6 +293,7 @@ class MasterCollector {
 
       return {
         totalRecords: await RealtimeData.countDocuments(),
+        fallbackRecords: await RealtimeData.countDocuments({ 'provenance.isFallback': true }),
         bySource: stats,
         lastUpdate: await RealtimeData.findOne().sort({ timestamp: -1 }).select('timestamp')
       };
@@ -273,14 +312,15 @@ class MasterCollector {
   _generateAlerts(data) {
     const alerts = [];
     
-    // Temperature Alerts
+    // Temperature Alerts (a single reading; heatwaves and cold waves are declared from
+    // daily records by services/extremeEvents)
     if (data.temperature) {
       if (data.temperature > 40) {
-        alerts.push({ type: 'Heatwave Warning', level: 'critical', message: `Extreme heat detected: ${data.temperature}°C` });
+        alerts.push({ type: 'Extreme Heat', level: 'critical', message: `Extreme heat detected: ${data.temperature}°C` });
       } else if (data.temperature > 35) {
         alerts.push({ type: 'High Temperature', level: 'warning', message: `High temperature detected: ${data.temperature}°C` });
       } else if (data.temperature < 5) {
-        alerts.push({ type: 'Cold Wave Warning', level: 'critical', message: `Extreme cold detected: ${data.temperature}°C` });
+        alerts.push({ type: 'Extreme Cold', level: 'critical', message: `Extreme cold detected: ${data.temperature}°C` });
       }
     }
     
@@ -4,13 +4,15 @@
  * No API key required
  */
 
-const axios = require('axios');
+const { createHttpClient } = require('../utils/resilientHttp');
 const logger = require('../utils/logger');
 const { validateCoordinates, roundTo, calculateDistance } = require('../utils/helpers');
+const { calculateAQI } = require('../utils/aqiCalculator');
 
 class OpenAQCollector {
   constructor() {
     this.name = 'OpenAQ';
+    this.http = createHttpClient(this.name);
     this.baseUrl = 'https://api.openaq.org/v2';
     this.timeout = 10000;
   }
@@ -49,7 +51,7 @@ class OpenAQCollector {
       }
 
       // Find nearest measurements within 25km radius
-      const response = await axios.get(`${this.baseUrl}/latest`, {
+      const response = await this.http.get(`${this.baseUrl}/latest`, {
         params: {
           coordinates: `${lat},${lng}`,
           radius: 25000, // 25km in meters
@@ -71,8 +73,8 @@ class OpenAQCollector {
         return null;
       }
 
-      // Calculate AQI from PM2.5
-      const aqi = measurements.pm25 ? this._calculateAQI(measurements.pm25) : null;
+      // US EPA AQI from whichever pollutants the stations report
+      const { aqi } = calculateAQI(measurements);
 
       return {
         sourceApi: this.name,
@@ -85,6 +87,7 @@ class OpenAQCollector {
         co: measurements.co,
         stationCount: measurements.stationCount,
         nearestStation: measurements.nearestStation,
+        provenance: { provider: 'OpenAQ', endpoint: response.config.url, isFallback: false },
         timestamp: new Date().toISOString(),
         qualityScore: 0.88
       };
@@ -174,33 +177,6 @@ class OpenAQCollector {
     const sum = validValues.reduce((acc, val) => acc + val, 0);
     return roundTo(sum / validValues.length, 1);
   }
-
-  /**
-   * Calculate AQI from PM2.5 using US EPA standard
-   * @param {number} pm25 - PM2.5 concentration
-   * @returns {number} AQI value
-   */
-  _calculateAQI(pm25) {
-    if (!pm25 || pm25 < 0) return 0;
-
-    const breakpoints = [
-      { cLow: 0.0, cHigh: 12.0, iLow: 0, iHigh: 50 },
-      { cLow: 12.1, cHigh: 35.4, iLow: 51, iHigh: 100 },
-      { cLow: 35.5, cHigh: 55.4, iLow: 101, iHigh: 150 },
-      { cLow: 55.5, cHigh: 150.4, iLow: 151, iHigh: 200 },
-      { cLow: 150.5, cHigh: 250.4, iLow: 201, iHigh: 300 },
-      { cLow: 250.5, cHigh: 500.4, iLow: 301, iHigh: 500 }
-    ];
-
-    for (const bp of breakpoints) {
-      if (pm25 >= bp.cLow && pm25 <= bp.cHigh) {
-        const aqi = ((bp.iHigh - bp.iLow) / (bp.cHigh - bp.cLow)) * (pm25 - bp.cLow) + bp.iLow;
-        return Math.round(aqi);
-      }
-    }
-
-    return 500;
-  }
 }
 
 module.exports = OpenAQCollector;
@@ -4,13 +4,15 @@
  * Public data from opencity.in
  */
 
-const axios = require('axios');
+const { createHttpClient } = require('../utils/resilientHttp');
 const logger = require('../utils/logger');
 const { validateCoordinates, roundTo } = require('../utils/helpers');
+const { calculateAQI } = require('../utils/aqiCalculator');
 
 class OpenCityCollector {
   constructor() {
     this.name = 'OpenCity';
+    this.http = createHttpClient(this.name);
     this.baseUrl = 'https://opencity.in';
     this.timeout = 10000;
   }
@@ -52,7 +54,7 @@ class OpenCityCollector {
       // Using fallback with Open-Meteo for Indian cities
       logger.debug(`${this.name}: Using fallback for ${cityName}`);
 
-      const response = await axios.get('https://air-quality-api.open-meteo.com/v1/air-quality', {
+      const response = await this.http.get('https://air-quality-api.open-meteo.com/v1/air-quality', {
         params: {
           latitude: lat,
           longitude: lng,
@@ -69,7 +71,14 @@ class OpenCityCollector {
 
       return {
         sourceApi: this.name,
-        aqi: current.us_aqi || this._calculateAQI(current.pm2_5),
+        aqi: current.us_aqi ?? calculateAQI({
+          pm25: current.pm2_5,
+          pm10: current.pm10,
+          no2: current.nitrogen_dioxide,
+          so2: current.sulphur_dioxide,
+          co: current.carbon_monoxide,
+          o3: current.ozone
+        }).aqi,
         pm25: roundTo(current.pm2_5, 1),
         pm10: roundTo(current.pm10, 1),
         no2: roundTo(current.nitrogen_dioxide, 1),
@@ -79,6 +88,7 @@ class OpenCityCollector {
         urbanDensity: urbanMetrics.density,
         greenCover: urbanMetrics.greenCover,
         trafficIndex: urbanMetrics.trafficIndex,
+        provenance: { provider: 'Open-Meteo', endpoint: response.config.url, isFallback: true },
         timestamp: new Date().toISOString(),
         qualityScore: 0.78
       };
@@ -129,33 +139,6 @@ class OpenCityCollector {
     };
   }
 
-  /**
-   * Calculate AQI from PM2.5
-   * @param {number} pm25 - PM2.5 concentration
-   * @returns {number} AQI value
-   */
-  _calculateAQI(pm25) {
-    if (!pm25 || pm25 < 0) return 0;
-
-    const breakpoints = [
-      { cLow: 0.0, cHigh: 12.0, iLow: 0, iHigh: 50 },
-      { cLow: 12.1, cHigh: 35.4, iLow: 51, iHigh: 100 },
-      { cLow: 35.5, cHigh: 55.4, iLow: 101, iHigh: 150 },
-      { cLow: 55.5, cHigh: 150.4, iLow: 151, iHigh: 200 },
-      { cLow: 150.5, cHigh: 250.4, iLow: 201, iHigh: 300 },
-      { cLow: 250.5, cHigh: 500.4, iLow: 301, iHigh: 500 }
-    ];
-
-    for (const bp of breakpoints) {
-      if (pm25 >= bp.cLow && pm25 <= bp.cHigh) {
-        const aqi = ((bp.iHigh - bp.iLow) / (bp.cHigh - bp.cLow)) * (pm25 - bp.cLow) + bp.iLow;
-        return Math.round(aqi);
-      }
-    }
-
-    return 500;
-  }
-
   /**
    * Get traffic index category
    * @param {number} index - Traffic index (0-10)
@@ -4,13 +4,15 @@
  * Provides current weather and air quality data
  */
 
-const axios = require('axios');
+const { createHttpClient } = require('../utils/resilientHttp');
 const logger = require('../utils/logger');
 const { validateCoordinates, roundTo } = require('../utils/helpers');
+const { calculateAQI } = require('../utils/aqiCalculator');
 
 class OpenMeteoCollector {
   constructor() {
     this.name = 'OpenMeteo';
+    this.http = createHttpClient(this.name);
     this.baseUrl = 'https://api.open-meteo.com/v1';
     this.timeout = 10000; // 10 seconds
   }
@@ -29,7 +31,7 @@ class OpenMeteoCollector {
         return null;
       }
 
-      const response = await axios.get(`${this.baseUrl}/forecast`, {
+      const response = await this.http.get(`${this.baseUrl}/forecast`, {
         params: {
           latitude: lat,
           longitude: lng,
@@ -55,6 +57,7 @@ class OpenMeteoCollector {
         snowfall: roundTo(current.snowfall || 0, 1),
         precipitation: roundTo(current.precipitation || 0, 1),
         weatherCode: current.weather_code,
+        provenance: { provider: 'Open-Meteo', endpoint: response.config.url, isFallback: false },
         timestamp: new Date().toISOString(),
         qualityScore: 0.95
       };
@@ -79,7 +82,7 @@ class OpenMeteoCollector {
         return null;
       }
 
-      const response = await axios.get('https://air-quality-api.open-meteo.com/v1/air-quality', {
+      const response = await this.http.get('https://air-quality-api.open-meteo.com/v1/air-quality', {
         params: {
           latitude: lat,
           longitude: lng,
@@ -91,8 +94,15 @@ class OpenMeteoCollector {
 
       const current = response.data.current;
 
-      // Calculate AQI from PM2.5 (US EPA standard)
-      const aqi = this._calculateAQI(current.pm2_5);
+      // US EPA AQI from all measured pollutants
+      const { aqi } = calculateAQI({
+        pm25: current.pm2_5,
+        pm10: current.pm10,
+        no2: current.nitrogen_dioxide,
+        so2: current.sulphur_dioxide,
+        co: current.carbon_monoxide,
+        o3: current.ozone
+      });
 
       return {
         sourceApi: this.name,
@@ -106,6 +116,7 @@ class OpenMeteoCollector {
         uvIndex: roundTo(current.uv_index, 1),
         europeanAqi: current.european_aqi,
         usAqi: current.us_aqi,
+        provenance: { provider: 'Open-Meteo', endpoint: response.config.url, isFallback: false },
         timestamp: new Date().toISOString(),
         qualityScore: 0.90
       };
@@ -148,34 +159,6 @@ class OpenMeteoCollector {
     }
   }
 
-  /**
-   * Calculate AQI from PM2.5 using US EPA standard
-   * @param {number} pm25 - PM2.5 concentration
-   * @returns {number} AQI value
-   */
-  _calculateAQI(pm25) {
-    if (!pm25 || pm25 < 0) return 0;
-
-    // US EPA AQI breakpoints for PM2.5
-    const breakpoints = [
-      { cLow: 0.0, cHigh: 12.0, iLow: 0, iHigh: 50 },
-      { cLow: 12.1, cHigh: 35.4, iLow: 51, iHigh: 100 },
-      { cLow: 35.5, cHigh: 55.4, iLow: 101, iHigh: 150 },
-      { cLow: 55.5, cHigh: 150.4, iLow: 151, iHigh: 200 },
-      { cLow: 150.5, cHigh: 250.4, iLow: 201, iHigh: 300 },
-      { cLow: 250.5, cHigh: 500.4, iLow: 301, iHigh: 500 }
-    ];
-
-    for (const bp of breakpoints) {
-      if (pm25 >= bp.cLow && pm25 <= bp.cHigh) {
-        const aqi = ((bp.iHigh - bp.iLow) / (bp.cHigh - bp.cLow)) * (pm25 - bp.cLow) + bp.iLow;
-        return Math.round(aqi);
-      }
-    }
-
-    return 500; // Hazardous
-  }
-
   /**
    * Convert wind direction degrees to cardinal direction
    * @param {number} degrees - Wind direction in degrees
@@ -4,13 +4,15 @@
  * Public data from urbanemission.info
  */
 
-const axios = require('axios');
+const { createHttpClient } = require('../utils/resilientHttp');
 const logger = require('../utils/logger');
 const { validateCoordinates, roundTo } = require('../utils/helpers');
+const { calculateAQI } = require('../utils/aqiCalculator');
 
 class UrbanEmissionCollector {
   constructor() {
     this.name = 'UrbanEmission';
+    this.http = createHttpClient(this.name);
     this.baseUrl = 'https://urbanemissions.info';
     this.timeout = 10000;
   }
@@ -66,6 +68,7 @@ class UrbanEmissionCollector {
         co: emissionData.co,
         vehicularEmissions: emissionData.vehicularEmissions,
         industrialEmissions: emissionData.industrialEmissions,
+        provenance: emissionData.provenance,
         timestamp: new Date().toISOString(),
         qualityScore: 0.75
       };
@@ -97,10 +100,10 @@ class UrbanEmissionCollector {
   async _getEmissionEstimates(cityName, lat, lng) {
     try {
       // Since UrbanEmission doesn't have a public API, we'll use Open-Meteo
-      // as a fallback and mark it as UrbanEmission source
+      // as a fallback; provenance records that the values are Open-Meteo's
       logger.debug(`${this.name}: Using fallback data for ${cityName}`);
 
-      const response = await axios.get('https://air-quality-api.open-meteo.com/v1/air-quality', {
+      const response = await this.http.get('https://air-quality-api.open-meteo.com/v1/air-quality', {
         params: {
           latitude: lat,
           longitude: lng,
@@ -116,14 +119,21 @@ class UrbanEmissionCollector {
       const cityProfile = this._getCityProfile(cityName);
 
       return {
-        aqi: current.us_aqi || this._calculateAQI(current.pm2_5),
+        aqi: current.us_aqi ?? calculateAQI({
+          pm25: current.pm2_5,
+          pm10: current.pm10,
+          no2: current.nitrogen_dioxide,
+          so2: current.sulphur_dioxide,
+          co: current.carbon_monoxide
+        }).aqi,
         pm25: roundTo(current.pm2_5, 1),
         pm10: roundTo(current.pm10, 1),
         no2: roundTo(current.nitrogen_dioxide, 1),
         so2: roundTo(current.sulphur_dioxide, 1),
         co: roundTo(current.carbon_monoxide, 0),
         vehicularEmissions: cityProfile.vehicularShare,
-        industrialEmissions: cityProfile.industrialShare
+        industrialEmissions: cityProfile.industrialShare,
+        provenance: { provider: 'Open-Meteo', endpoint: response.config.url, isFallback: true }
       };
 
     } catch (error) {
@@ -156,33 +166,6 @@ class UrbanEmissionCollector {
 
     return profiles[normalized] || { vehicularShare: 0.38, industrialShare: 0.24, residentialShare: 0.21 };
   }
-
-  /**
-   * Calculate AQI from PM2.5
-   * @param {number} pm25 - PM2.5 concentration
-   * @returns {number} AQI value
-   */
-  _calculateAQI(pm25) {
-    if (!pm25 || pm25 < 0) return 0;
-
-    const breakpoints = [
-      { cLow: 0.0, cHigh: 12.0, iLow: 0, iHigh: 50 },
-      { cLow: 12.1, cHigh: 35.4, iLow: 51, iHigh: 100 },
-      { cLow: 35.5, cHigh: 55.4, iLow: 101, iHigh: 150 },
-      { cLow: 55.5, cHigh: 150.4, iLow: 151, iHigh: 200 },
-      { cLow: 150.5, cHigh: 250.4, iLow: 201, iHigh: 300 },
-      { cLow: 250.5, cHigh: 500.4, iLow: 301, iHigh: 500 }
-    ];
-
-    for (const bp of breakpoints) {
-      if (pm25 >= bp.cLow && pm25 <= bp.cHigh) {
-        const aqi = ((bp.iHigh - bp.iLow) / (bp.cHigh - bp.cLow)) * (pm25 - bp.cLow) + bp.iLow;
-        return Math.round(aqi);
-      }
-    }
-
-    return 500;
-  }
 }
 
 module.exports = UrbanEmissionCollector;
@@ -1,5 +1,5 @@
-const axios = require('axios');
 const logger = require('../utils/logger');
+const { createHttpClient } = require('../utils/resilientHttp');
 
 /**
  * Visual Crossing Weather API Collector
@@ -9,6 +9,9 @@ const logger = require('../utils/logger');
 const API_KEY = process.env.VISUAL_CROSSING_API_KEY;
 const BASE_URL = 'https://weather.visualcrossing.com/VisualCrossingWebServices/rest/services/timeline';
 
+// Single retry only: most failures here are quota (429) errors that won't clear within a run
+const http = createHttpClient('VisualCrossing', { retries: 1 });
+
 /**
  * Fetch 10 years of historical data for a city
  * @param {string} cityName - Name of the city
@@ -32,7 +35,7 @@ const fetchHistoricalData = async (cityName) => {
     
     logger.info(`Fetching 1-year historical data for ${cityName} from Visual Crossing...`);
 
-    const response = await axios.get(url, {
+    const response = await http.get(url, {
       params: {
         key: API_KEY,
         unitGroup: 'metric',
@@ -140,7 +143,7 @@ const fetchHistoricalDate = async (cityName, date) => {
     
     logger.info(`Fetching data for ${cityName} on ${date} from Visual Crossing...`);
 
-    const response = await axios.get(url, {
+    const response = await http.get(url, {
       params: {
         key: API_KEY,
         unitGroup: 'metric',
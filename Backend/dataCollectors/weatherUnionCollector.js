@@ -4,13 +4,14 @@
  * Requires API key from weatherunion.com
  */
 
-const axios = require('axios');
+const { createHttpClient } = require('../utils/resilientHttp');
 const logger = require('../utils/logger');
 const { validateCoordinates, roundTo } = require('../utils/helpers');
 
 class WeatherUnionCollector {
   constructor() {
     this.name = 'WeatherUnion';
+    this.http = createHttpClient(this.name);
     this.baseUrl = 'https://www.weatherunion.com/gw/weather/external/v0';
     this.timeout = 10000;
     this.apiKey = process.env.WEATHER_UNION_API_KEY;
@@ -43,7 +44,7 @@ class WeatherUnionCollector {
         return null;
       }
 
-      const response = await axios.get(`${this.baseUrl}/get_locality_weather_data`, {
+      const response = await this.http.get(`${this.baseUrl}/get_locality_weather_data`, {
         params: {
           locality_id: localityId
         },
@@ -64,6 +65,7 @@ class WeatherUnionCollector {
         windDirection: data.wind_direction,
         rainfall: roundTo(data.rain_intensity || 0, 1),
         rainAccumulation: roundTo(data.rain_accumulation || 0, 1),
+        provenance: { provider: 'WeatherUnion', endpoint: response.config.url, isFallback: false },
         timestamp: new Date().toISOString(),
         qualityScore: 0.92
       };
@@ -1,15 +1,29 @@
 /**
  * Prediction Job
  * Generates daily predictions using real forecast data from APIs
- * Runs daily at midnight
+ * Runs every 6 hours
  */
 
-const axios = require('axios');
-const PredictedData = require('../models/PredictedData');
-const HistoricalData = require('../models/HistoricalData');
+const { createHttpClient } = require('../utils/resilientHttp');
+const ForecastSkill = require('../models/ForecastSkill');
 const { CITIES } = require('../config/constants');
 const logger = require('../utils/logger');
-const { generateSimplePrediction } = require('../services/predictionEngine');
+const { generateSimplePrediction, blendForecasts } = require('../services/predictionEngine');
+const { saveForecastIssue, getLatestForecasts } = require('../services/forecastStore');
+const { SKILL_WINDOW_DAYS } = require('../services/forecastVerification');
+const { loadBaselineHistory, generateBaselinePrediction } = require('../services/climatologyBaseline');
+const { generatePollutantForecast, POLLUTANT_SOURCE } = require('../services/pollutantForecast');
+const { getLocalDateLabel, roundOrNull } = require('../utils/helpers');
+const { calculateAQI } = require('../utils/aqiCalculator');
+
+// Hours of hourly forecast kept per issue
+const HOURLY_HORIZON = 168;
+
+// Source name of the blended forecast
+const ENSEMBLE_SOURCE = 'Ensemble';
+
+// Shares retries, circuit breaking and fixture record/replay with the collectors
+const forecastHttp = createHttpClient('OpenMeteo-Forecast');
 
 /**
  * Generate daily predictions for all cities
@@ -27,21 +41,22 @@ const generateDailyPredictions = async () => {
 
     for (const city of CITIES) {
       try {
-        // Fetch 7-day forecast from Open-Meteo
+        // Fetch 7-day forecast from Open-Meteo, daily and hourly
         const forecast = await fetchOpenMeteoForecast(city.lat, city.lng, city.name);
+        const hourly = await fetchOpenMeteoHourlyForecast(city.lat, city.lng, city.name);
         
         if (forecast && forecast.length > 0) {
           // Store predictions
-          await storePredictions(city.id, city.name, forecast, 'OpenMeteo');
+          await storePredictions(city, forecast, 'OpenMeteo', hourly || []);
           results.successfulCities++;
           results.totalPredictions += forecast.length;
-          logger.success(`✓ ${city.name}: ${forecast.length} predictions stored`);
+          logger.success(`✓ ${city.name}: ${forecast.length} daily, ${hourly?.length || 0} hourly predictions stored`);
         } else {
           // Fallback: Generate predictions from historical data
           const historicalPredictions = await generateFromHistorical(city.id, city.name);
           
           if (historicalPredictions && historicalPredictions.length > 0) {
-            await storePredictions(city.id, city.name, historicalPredictions, 'Historical');
+            await storePredictions(city, historicalPredictions, 'Historical');
             results.successfulCities++;
             results.totalPredictions += historicalPredictions.length;
             logger.warn(`⚠ ${city.name}: Using historical predictions (${historicalPredictions.length})`);
@@ -55,6 +70,28 @@ const generateDailyPredictions = async () => {
         results.failedCities++;
         logger.error(`✖ ${city.name}:`, error.message);
       }
+
+      try {
+        // Uses the OpenMeteo meteorology stored above
+        const pollutants = await generatePollutantForecast(city);
+        if (pollutants) {
+          await saveForecastIssue(
+            city,
+            POLLUTANT_SOURCE,
+            { issuedAt: new Date(), method: 'statistical', daily: pollutants },
+            { calibrate: true }
+          );
+          logger.debug(`${city.name}: ${pollutants.length}-day pollutant forecast stored`);
+        }
+      } catch (error) {
+        logger.error(`✖ ${city.name}: pollutant forecast failed:`, error.message);
+      }
+
+      try {
+        await generateEnsembleForecast(city);
+      } catch (error) {
+        logger.error(`✖ ${city.name}: ensemble forecast failed:`, error.message);
+      }
     }
 
     logger.info(`✅ Prediction generation complete: ${results.successfulCities}/${results.totalCities} cities, ${results.totalPredictions} predictions`);
@@ -76,7 +113,7 @@ const generateDailyPredictions = async () => {
  */
 const fetchOpenMeteoForecast = async (lat, lng, cityName) => {
   try {
-    const response = await axios.get('https://api.open-meteo.com/v1/forecast', {
+    const response = await forecastHttp.get('https://api.open-meteo.com/v1/forecast', {
       params: {
         latitude: lat,
         longitude: lng,
@@ -102,8 +139,7 @@ const fetchOpenMeteoForecast = async (lat, lng, cityName) => {
         precipitation: Math.round(daily.precipitation_sum[i] * 10) / 10,
         rainfall: Math.round(daily.rain_sum[i] * 10) / 10,
         precipitationProbability: daily.precipitation_probability_max[i],
-        windSpeed: Math.round(daily.wind_speed_10m_max[i] * 10) / 10,
-        confidence: 0.85 - (i * 0.05) // Decreases with days ahead
+        windSpeed: Math.round(daily.wind_speed_10m_max[i] * 10) / 10
       });
     }
 
@@ -117,33 +153,129 @@ const fetchOpenMeteoForecast = async (lat, lng, cityName) => {
   }
 };
 
+/**
+ * Fetch the next 168 hours of forecast from Open-Meteo, with PM2.5 and AQI
+ * from its air quality API where available
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {string} cityName - City name
+ * @returns {Array|null} Hourly entries { time, temperature, humidity, precipitationProbability, windSpeed, pm25, pm10, aqi }
+ */
+const fetchOpenMeteoHourlyForecast = async (lat, lng, cityName) => {
+  try {
+    // Unix times, so hours don't depend on the server's time zone
+    const weatherResponse = await forecastHttp.get('https://api.open-meteo.com/v1/forecast', {
+      params: {
+        latitude: lat,
+        longitude: lng,
+        hourly: 'temperature_2m,relative_humidity_2m,precipitation_probability,wind_speed_10m',
+        timeformat: 'unixtime',
+        forecast_days: 8
+      },
+      timeout: 10000
+    });
+
+    const hourly = weatherResponse.data.hourly;
+    const from = Math.floor(Date.now() / 3600000) * 3600;
+    const until = from + HOURLY_HORIZON * 3600;
+
+    const entries = new Map();
+    hourly.time.forEach((time, i) => {
+      if (time < from || time >= until) return;
+      entries.set(time, {
+        time: new Date(time * 1000),
+        temperature: roundOrNull(hourly.temperature_2m[i], 1),
+        humidity: roundOrNull(hourly.relative_humidity_2m[i], 0),
+        precipitationProbability: hourly.precipitation_probability[i] ?? null,
+        windSpeed: roundOrNull(hourly.wind_speed_10m[i], 1),
+        pm25: null,
+        pm10: null,
+        aqi: null
+      });
+    });
+
+    // Air quality is optional: a failure here still leaves the weather forecast
+    try {
+      const aqResponse = await forecastHttp.get('https://air-quality-api.open-meteo.com/v1/air-quality', {
+        params: {
+          latitude: lat,
+          longitude: lng,
+          hourly: 'pm2_5,pm10,us_aqi',
+          timeformat: 'unixtime',
+          forecast_days: 7
+        },
+        timeout: 10000
+      });
+
+      const aq = aqResponse.data.hourly;
+      aq.time.forEach((time, i) => {
+        const entry = entries.get(time);
+        if (!entry) return;
+        entry.pm25 = roundOrNull(aq.pm2_5[i], 1);
+        entry.pm10 = roundOrNull(aq.pm10[i], 1);
+        entry.aqi = aq.us_aqi[i] ?? null;
+      });
+    } catch (error) {
+      logger.warn(`OpenMeteo air quality forecast error for ${cityName}:`, error.message);
+    }
+
+    logger.debug(`Fetched ${entries.size}-hour forecast for ${cityName} from OpenMeteo`);
+
+    return [...entries.values()];
+
+  } catch (error) {
+    logger.error(`OpenMeteo hourly forecast error for ${cityName}:`, error.message);
+    return null;
+  }
+};
+
 /**
  * Generate predictions from historical data
+ * Uses the climatology baseline (day-of-year normals plus the damped recent anomaly),
+ * or a moving average of the last 30 days when there is too little history for a climatology.
  * @param {string} cityId - City ID
  * @param {string} cityName - City name
  * @returns {Array} Predictions
  */
 const generateFromHistorical = async (cityId, cityName) => {
   try {
-    // Fetch last 30 days of historical data
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - 30);
-
-    const historicalData = await HistoricalData.find({
-      cityId: cityId,
-      date: { $gte: startDate, $lte: endDate }
-    })
-    .sort({ date: 1 })
-    .lean();
-
-    if (historicalData.length < 7) {
+    const city = CITIES.find(c => c.id === cityId);
+    const issueDate = new Date(`${getLocalDateLabel(new Date(), city?.timezone || 'Asia/Kolkata')}T00:00:00.000Z`);
+
+    const history = await loadBaselineHistory(cityId, issueDate);
+    const baseline = generateBaselinePrediction(history, 7, issueDate);
+
+    if (baseline.length > 0) {
+      logger.debug(`Generated ${baseline.length} climatology baseline predictions for ${cityName}`);
+
+      return baseline.map(p => ({
+        date: p.date,
+        temperature: {
+          avg: p.avgTemperature,
+          max: p.maxTemperature,
+          min: p.minTemperature
+        },
+        humidity: p.avgHumidity,
+        precipitation: p.totalRainfall,
+        windSpeed: p.avgWindSpeed,
+        pm25: p.avgPm25,
+        pm10: p.avgPm10,
+        no2: p.avgNo2,
+        o3: p.avgO3,
+        aqi: p.avgAqi != null ? Math.round(p.avgAqi) : null
+      }));
+    }
+
+    // Not enough history for a climatology: moving average of the last 30 days
+    const recentData = history.filter(day => day.date >= new Date(issueDate.getTime() - 30 * 24 * 60 * 60 * 1000));
+
+    if (recentData.length < 7) {
       logger.warn(`Insufficient historical data for ${cityName}`);
       return null;
     }
 
     // Generate predictions using prediction engine
-    const predictions = generateSimplePrediction(historicalData, 7);
+    const predictions = generateSimplePrediction(recentData, 7);
 
     logger.debug(`Generated ${predictions.length} predictions from historical data for ${cityName}`);
     
@@ -156,8 +288,7 @@ const generateFromHistorical = async (cityId, cityName) => {
       },
       humidity: p.humidity,
       pm25: p.pm25,
-      aqi: p.aqi,
-      confidence: p.confidence
+      aqi: p.aqi
     }));
 
   } catch (error) {
@@ -167,62 +298,124 @@ const generateFromHistorical = async (cityId, cityName) => {
 };
 
 /**
- * Store predictions in database
- * @param {string} cityId - City ID
- * @param {string} cityName - City name
- * @param {Array} forecasts - Forecast data
+ * Blend the latest forecast from every source into the Ensemble forecast
+ * Sources are weighted by their verified skill for the city, metric and lead time.
+ * Until some source has skill data the Ensemble is the climatology baseline instead.
+ * @param {Object} city - City from CITIES
+ * @returns {Promise<string|null>} Method used ('ensemble' or 'statistical'), or null if nothing was stored
+ */
+const generateEnsembleForecast = async (city) => {
+  const todayLabel = getLocalDateLabel(new Date(), city.timezone || 'Asia/Kolkata');
+  const today = new Date(`${todayLabel}T00:00:00.000Z`);
+
+  const issues = (await getLatestForecasts(city.id))
+    .filter(issue => issue.source !== ENSEMBLE_SOURCE)
+    .map(issue => ({ ...issue, daily: (issue.daily || []).filter(d => new Date(d.date) >= today) }));
+
+  const skillRows = await ForecastSkill.find({
+    cityId: city.id,
+    windowDays: SKILL_WINDOW_DAYS,
+    source: { $ne: ENSEMBLE_SOURCE }
+  }).lean();
+
+  const daily = blendForecasts(issues, skillRows);
+
+  if (daily && daily.length > 0) {
+    await saveForecastIssue(city, ENSEMBLE_SOURCE, { issuedAt: new Date(), method: 'ensemble', daily }, { calibrate: true });
+    logger.debug(`${city.name}: ensemble of ${new Set(daily.flatMap(d => d.sources)).size} sources stored`);
+    return 'ensemble';
+  }
+
+  const historicalPredictions = await generateFromHistorical(city.id, city.name);
+  if (!historicalPredictions || historicalPredictions.length === 0) return null;
+
+  await storePredictions(city, historicalPredictions, ENSEMBLE_SOURCE, [], 'statistical');
+  logger.debug(`${city.name}: no forecast skill yet, ensemble uses the historical prediction`);
+  return 'statistical';
+};
+
+/**
+ * Store predictions as one forecast issue
+ * @param {Object} city - City from CITIES
+ * @param {Array} forecasts - Daily forecast data
  * @param {string} source - Data source
+ * @param {Array} hourly - Hourly forecast entries, if the source has them
+ * @param {string} method - Forecast method (from the source name by default)
  */
-const storePredictions = async (cityId, cityName, forecasts, source) => {
+const storePredictions = async (city, forecasts, source, hourly = [], method = null) => {
   try {
-    const predictions = forecasts.map(forecast => ({
-      cityId: cityId,
-      cityName: cityName,
-      predictionDate: forecast.date,
-      generatedAt: new Date(),
-      
-      temperature: {
-        predicted: forecast.temperature.avg,
-        min: forecast.temperature.min,
-        max: forecast.temperature.max
-      },
-      
-      humidity: forecast.humidity,
-      precipitation: forecast.precipitation || 0,
-      rainfall: forecast.rainfall || 0,
-      windSpeed: forecast.windSpeed || null,
-      
-      pm25: forecast.pm25 || null,
-      aqi: forecast.aqi || null,
-      
-      source_api: source,
-      confidence: forecast.confidence || 0.75,
-      
-      metadata: {
-        precipitationProbability: forecast.precipitationProbability || null,
-        generationMethod: source === 'OpenMeteo' ? 'api_forecast' : 'historical_prediction'
-      }
-    }));
+    const dailyAirQuality = _dailyAirQuality(hourly, city.timezone || 'Asia/Kolkata');
+
+    const daily = forecasts.map(forecast => {
+      const airQuality = dailyAirQuality[getLocalDateLabel(new Date(forecast.date), city.timezone || 'Asia/Kolkata')] || {};
 
-    // Delete old predictions for this city
-    await PredictedData.deleteMany({
-      cityId: cityId,
-      predictionDate: { $gte: new Date() }
+      return {
+        date: forecast.date,
+        highTemp: forecast.temperature?.max ?? null,
+        lowTemp: forecast.temperature?.min ?? null,
+        avgTemp: forecast.temperature?.avg ?? null,
+        humidity: forecast.humidity ?? null,
+        precipitation: forecast.precipitation ?? null,
+        precipitationProbability: forecast.precipitationProbability ?? null,
+        windSpeed: forecast.windSpeed ?? null,
+        pm25: forecast.pm25 ?? airQuality.pm25 ?? null,
+        pm10: forecast.pm10 ?? null,
+        no2: forecast.no2 ?? null,
+        o3: forecast.o3 ?? null,
+        aqi: forecast.aqi ?? airQuality.aqi ?? null
+      };
     });
 
-    // Insert new predictions
-    await PredictedData.insertMany(predictions);
+    await saveForecastIssue(city, source, {
+      issuedAt: new Date(),
+      method: method || (source === 'Historical' ? 'statistical' : 'api_forecast'),
+      daily,
+      // pm10 is only used for the daily AQI above
+      hourly: hourly.map(({ pm10, ...entry }) => entry)
+    }, { calibrate: true });
 
-    logger.debug(`Stored ${predictions.length} predictions for ${cityName}`);
+    logger.debug(`Stored ${daily.length}-day ${source} forecast for ${city.name}`);
 
   } catch (error) {
-    logger.error(`Error storing predictions for ${cityName}:`, error.message);
+    logger.error(`Error storing predictions for ${city.name}:`, error.message);
     throw error;
   }
 };
 
+/**
+ * Daily PM2.5 and AQI per local date from hourly entries
+ * The AQI is that of the day's mean concentrations, as in the daily rollups.
+ * @private
+ */
+const _dailyAirQuality = (hourly, timeZone) => {
+  const days = {};
+
+  for (const entry of hourly) {
+    const label = getLocalDateLabel(entry.time, timeZone);
+    if (!days[label]) days[label] = { pm25: [], pm10: [] };
+    if (entry.pm25 != null) days[label].pm25.push(entry.pm25);
+    if (entry.pm10 != null) days[label].pm10.push(entry.pm10);
+  }
+
+  const result = {};
+  for (const [label, values] of Object.entries(days)) {
+    // Partial days would bias the mean towards the hours that are left
+    if (values.pm25.length < 18) continue;
+
+    const pm25 = values.pm25.reduce((sum, v) => sum + v, 0) / values.pm25.length;
+    const pollutants = { pm25 };
+    if (values.pm10.length >= 18) pollutants.pm10 = values.pm10.reduce((sum, v) => sum + v, 0) / values.pm10.length;
+
+    result[label] = { pm25: roundOrNull(pm25, 1), aqi: calculateAQI(pollutants).aqi };
+  }
+
+  return result;
+};
+
 module.exports = {
   generateDailyPredictions,
   fetchOpenMeteoForecast,
-  generateFromHistorical
+  fetchOpenMeteoHourlyForecast,
+  generateFromHistorical,
+  generateEnsembleForecast
 };
\ No newline at end of file
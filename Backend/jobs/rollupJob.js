@@ -0,0 +1,239 @@
+/**
+ * Rollup Job
+ * Builds daily, monthly and yearly HistoricalData records from realtime readings.
+ * Daily rollups cover one local calendar day per city (midnight to midnight in the
+ * city's time zone); monthly and yearly rollups are built from the daily records.
+ * Every write is an upsert on { cityId, granularity, date }, so any range can be re-run.
+ */
+
+const HistoricalData = require('../models/HistoricalData');
+const { CITIES } = require('../config/constants');
+const logger = require('../utils/logger');
+const { getLocalDateLabel, isValidNumber, labelToDate, shiftDateLabel, sum, roundOrNull } = require('../utils/helpers');
+const { DAILY_MEANS, HEAT_STRESS_FIELDS, summariseDay, summariseAirQuality } = require('../services/dailySummary');
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * Roll up one local day of realtime data for a city
+ * @param {Object} city - City from CITIES
+ * @param {string} dateLabel - Local date, YYYY-MM-DD
+ * @returns {Promise<Object|null>} Stored rollup, or null if there were no readings
+ */
+const rollupDaily = async (city, dateLabel) => {
+  const summary = await summariseDay(city, dateLabel);
+  if (!summary) return null;
+
+  return _upsert(city, 'daily', labelToDate(dateLabel), summary);
+};
+
+/**
+ * Roll up a calendar month from the city's daily records
+ * @param {Object} city - City from CITIES
+ * @param {number} year - Year
+ * @param {number} month - Month, 1-12
+ * @returns {Promise<Object|null>} Stored rollup, or null if there were no daily records
+ */
+const rollupMonthly = async (city, year, month) => {
+  const start = new Date(Date.UTC(year, month - 1, 1));
+  const end = new Date(Date.UTC(year, month, 1));
+
+  return _rollupPeriod(city, 'monthly', start, end);
+};
+
+/**
+ * Roll up a calendar year from the city's daily records
+ * @param {Object} city - City from CITIES
+ * @param {number} year - Year
+ * @returns {Promise<Object|null>} Stored rollup, or null if there were no daily records
+ */
+const rollupYearly = async (city, year) => {
+  const start = new Date(Date.UTC(year, 0, 1));
+  const end = new Date(Date.UTC(year + 1, 0, 1));
+
+  return _rollupPeriod(city, 'yearly', start, end);
+};
+
+/**
+ * (Re)build rollups for a range of local dates
+ * Daily rollups are rebuilt for every date in the range, then the months and years
+ * those dates fall in.
+ * @param {Object} options - { from, to (YYYY-MM-DD, inclusive), cityIds, granularities }
+ * @returns {Promise<Object>} Counts per granularity
+ */
+const runRollups = async (options = {}) => {
+  const { from, to = from, cityIds = null, granularities = ['daily', 'monthly', 'yearly'] } = options;
+
+  if (!from || !/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to) || from > to) {
+    throw new Error('runRollups needs from/to dates as YYYY-MM-DD with from <= to');
+  }
+
+  const cities = cityIds ? CITIES.filter(c => cityIds.includes(c.id)) : CITIES;
+  const results = { daily: 0, monthly: 0, yearly: 0, errors: [] };
+
+  const labels = [];
+  for (let label = from; label <= to; label = shiftDateLabel(label, 1)) labels.push(label);
+
+  const months = [...new Set(labels.map(l => l.slice(0, 7)))];
+  const years = [...new Set(labels.map(l => l.slice(0, 4)))];
+
+  for (const city of cities) {
+    try {
+      if (granularities.includes('daily')) {
+        for (const label of labels) {
+          if (await rollupDaily(city, label)) results.daily++;
+        }
+      }
+
+      if (granularities.includes('monthly')) {
+        for (const month of months) {
+          const [y, m] = month.split('-').map(Number);
+          if (await rollupMonthly(city, y, m)) results.monthly++;
+        }
+      }
+
+      if (granularities.includes('yearly')) {
+        for (const year of years) {
+          if (await rollupYearly(city, Number(year))) results.yearly++;
+        }
+      }
+    } catch (error) {
+      results.errors.push({ city: city.name, error: error.message });
+      logger.error(`Rollup failed for ${city.name}:`, error.message);
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Nightly rollup for the cities in one time zone
+ * Rolls up the local day that just ended, then refreshes its month and year so the
+ * current period's record stays up to date.
+ * @param {string} timeZone - IANA time zone the job was scheduled in
+ * @returns {Promise<Object>} Counts per granularity
+ */
+const runNightlyRollups = async (timeZone = DEFAULT_TIMEZONE) => {
+  try {
+    const cityIds = CITIES.filter(c => (c.timezone || DEFAULT_TIMEZONE) === timeZone).map(c => c.id);
+    const yesterday = shiftDateLabel(getLocalDateLabel(new Date(), timeZone), -1);
+
+    logger.info(`📊 Rolling up ${yesterday} for ${cityIds.length} cities (${timeZone})...`);
+
+    const results = await runRollups({ from: yesterday, to: yesterday, cityIds });
+
+    logger.success(`✅ Rollups stored: ${results.daily} daily, ${results.monthly} monthly, ${results.yearly} yearly`);
+
+    return results;
+
+  } catch (error) {
+    logger.error('❌ Nightly rollup error:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Time zones the nightly rollup has to be scheduled in
+ * @returns {Array<string>} Distinct city time zones
+ */
+const getRollupTimeZones = () => [...new Set(CITIES.map(c => c.timezone || DEFAULT_TIMEZONE))];
+
+// ========== PRIVATE HELPER FUNCTIONS ==========
+
+/**
+ * Build a monthly or yearly rollup from daily records in [start, end)
+ * @private
+ */
+const _rollupPeriod = async (city, granularity, start, end) => {
+  const days = await HistoricalData.find({
+    cityId: city.id,
+    date: { $gte: start, $lt: end },
+    ...HistoricalData.dailyFilter()
+  }).lean();
+
+  if (days.length === 0) return null;
+
+  // Days are weighted by how much of them was observed; imported days have no hour count
+  const weightOf = (day) => day.hoursCovered ?? 24;
+
+  const rollup = {};
+  for (const [field, definition] of Object.entries(DAILY_MEANS)) {
+    rollup[field] = roundOrNull(_weightedMean(days, field, weightOf), definition.decimals);
+  }
+
+  const maxTemps = days.map(d => d.maxTemperature).filter(v => v != null);
+  const minTemps = days.map(d => d.minTemperature).filter(v => v != null);
+  const maxWinds = days.map(d => d.maxWindSpeed).filter(v => v != null);
+
+  rollup.maxTemperature = maxTemps.length > 0 ? Math.max(...maxTemps) : null;
+  rollup.minTemperature = minTemps.length > 0 ? Math.min(...minTemps) : null;
+  rollup.maxWindSpeed = maxWinds.length > 0 ? Math.max(...maxWinds) : null;
+  rollup.totalRainfall = roundOrNull(sum(days.map(d => d.totalRainfall)), 1);
+  rollup.coolingDegreeDays = roundOrNull(sum(days.map(d => d.coolingDegreeDays)), 1);
+  rollup.heatingDegreeDays = roundOrNull(sum(days.map(d => d.heatingDegreeDays)), 1);
+
+  for (const field of HEAT_STRESS_FIELDS) {
+    const values = days.map(d => d[field]).filter(v => v != null);
+    rollup[field] = values.length > 0 ? Math.max(...values) : null;
+  }
+
+  Object.assign(rollup, summariseAirQuality(rollup, days.map(d => d.avgAqi)));
+
+  const periodDays = Math.round((end - start) / 86400000);
+  const completenessSum = days.reduce((sum, d) => sum + (d.dataCompleteness ?? 0), 0);
+
+  return _upsert(city, granularity, start, {
+    ...rollup,
+    daysCovered: days.length,
+    recordCount: days.reduce((sum, d) => sum + (d.recordCount ?? 0), 0) || null,
+    dataCompleteness: roundOrNull(completenessSum / periodDays, 0),
+    sources: [...new Set(days.flatMap(d => d.sources || []))].sort()
+  });
+};
+
+/**
+ * Idempotent write keyed on city, granularity and period start
+ * @private
+ */
+const _upsert = async (city, granularity, date, fields) => {
+  // Unset fields that have no value so a re-run can't leave stale numbers behind
+  const $set = { cityName: city.name };
+  const $unset = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value == null) $unset[key] = '';
+    else $set[key] = value;
+  }
+
+  const update = { $set };
+  if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+  return HistoricalData.findOneAndUpdate(
+    { cityId: city.id, granularity, date },
+    update,
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+};
+
+/**
+ * Weighted mean of a field over the records that have it, or null
+ * @private
+ */
+const _weightedMean = (records, field, weightOf) => {
+  let total = 0;
+  let weights = 0;
+  for (const record of records) {
+    if (!isValidNumber(record[field])) continue;
+    total += record[field] * weightOf(record);
+    weights += weightOf(record);
+  }
+  return weights > 0 ? total / weights : null;
+};
+
+module.exports = {
+  rollupDaily,
+  rollupMonthly,
+  rollupYearly,
+  runRollups,
+  runNightlyRollups,
+  getRollupTimeZones
+};
@@ -0,0 +1,56 @@
+/**
+ * Forecast Verification Job
+ * Runs nightly after the rollups: checks the forecasts for the last few local days
+ * against the observed daily records, then refreshes each city's rolling skill scores.
+ */
+
+const { CITIES } = require('../config/constants');
+const logger = require('../utils/logger');
+const { getLocalDateLabel } = require('../utils/helpers');
+const { verifyCityForecasts, storeForecastSkill } = require('../services/forecastVerification');
+
+// Days are re-verified for a while so late data and re-run rollups are picked up
+const REVERIFY_DAYS = 7;
+
+/**
+ * Verify forecasts for the cities in one time zone
+ * @param {string} timeZone - IANA time zone the job was scheduled in
+ * @param {Object} options - { days } how many past local days to verify
+ * @returns {Promise<Object|null>} { verified, skillRows, errors }
+ */
+const runForecastVerification = async (timeZone = 'Asia/Kolkata', options = {}) => {
+  const { days = REVERIFY_DAYS } = options;
+
+  try {
+    const cities = CITIES.filter(c => (c.timezone || 'Asia/Kolkata') === timeZone);
+
+    // Target days are dated at UTC midnight of the local date, like the daily rollups
+    const today = new Date(`${getLocalDateLabel(new Date(), timeZone)}T00:00:00.000Z`);
+    const to = new Date(today.getTime() - 24 * 60 * 60 * 1000);
+    const from = new Date(today.getTime() - days * 24 * 60 * 60 * 1000);
+
+    logger.info(`🎯 Verifying forecasts for ${cities.length} cities (${timeZone})...`);
+
+    const results = { verified: 0, skillRows: 0, errors: [] };
+
+    for (const city of cities) {
+      try {
+        results.verified += await verifyCityForecasts(city, from, to);
+        results.skillRows += await storeForecastSkill(city.id);
+      } catch (error) {
+        results.errors.push({ city: city.name, error: error.message });
+        logger.error(`✖ Forecast verification failed for ${city.name}:`, error.message);
+      }
+    }
+
+    logger.success(`✅ Verified ${results.verified} forecast values, ${results.skillRows} skill rows stored`);
+
+    return results;
+
+  } catch (error) {
+    logger.error('❌ Forecast verification error:', error.message);
+    return null;
+  }
+};
+
+module.exports = { runForecastVerification };
@@ -0,0 +1,13 @@
+const adminOnly = (req, res, next) => {
+  // Requires auth middleware to have run first (sets req.userType)
+  if (req.userType !== 'admin') {
+    return res.status(403).json({ 
+      success: false, 
+      message: 'Admin access required' 
+    });
+  }
+  
+  next();
+};
+
+module.exports = adminOnly;
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+const collectorConfigSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  enabled: Boolean,
+  priority: Number,
+
+  // Audit trail for admin toggles
+  updatedBy: String,
+  reason: String
+}, { timestamps: true });
+
+module.exports = mongoose.model('CollectorConfig', collectorConfigSchema);
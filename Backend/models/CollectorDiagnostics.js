@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One document per collection run per source, recording how each city's fetch/parse went
+const collectorDiagnosticsSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    required: true,
+    index: true
+  },
+  runStartedAt: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  runCompletedAt: Date,
+
+  summary: {
+    ok: { type: Number, default: 0 },
+    partial: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    fallback: { type: Number, default: 0 }   // Cities served from the fallback upstream
+  },
+
+  cities: [{
+    cityId: String,
+    cityName: String,
+    stationId: String,
+    status: {
+      type: String,
+      enum: ['ok', 'partial', 'failed', 'skipped']
+    },
+    usedFallback: Boolean,
+    missing: [String],
+    warnings: [String],
+    error: String,
+    httpStatus: Number,
+    htmlBytes: Number,
+    forecastDays: Number
+  }]
+}, { timestamps: true });
+
+collectorDiagnosticsSchema.index({ source: 1, runStartedAt: -1 });
+
+module.exports = mongoose.model('CollectorDiagnostics', collectorDiagnosticsSchema);
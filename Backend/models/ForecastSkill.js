@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Rolling error statistics per city, source, metric and lead time,
+// recomputed by the nightly verification job
+const forecastSkillSchema = new mongoose.Schema({
+  cityId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  source: {
+    type: String,
+    required: true
+  },
+  metric: {
+    type: String,
+    required: true
+  },
+  leadDays: {
+    type: Number,
+    required: true
+  },
+  windowDays: {
+    type: Number,
+    required: true
+  },
+
+  sampleSize: Number,
+  mae: Number,     // mean absolute error
+  rmse: Number,    // root mean squared error
+  bias: Number,    // mean of forecast - observed; positive = forecasts run high
+  skillScore: Number,  // 1 - MSE / MSE of the climatology baseline; > 0 beats the baseline
+  errorP10: Number,    // 10th/90th percentiles of forecast - observed
+  errorP90: Number,
+  hitRate: Number,     // share of forecasts within the metric's tolerance (0-1)
+  coverage80: Number,  // share of observations inside the stored p10-p90 interval
+  coverageSamples: Number,
+  periodStart: Date,
+  periodEnd: Date,
+  computedAt: Date
+}, { timestamps: true });
+
+forecastSkillSchema.index(
+  { cityId: 1, source: 1, metric: 1, leadDays: 1, windowDays: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model('ForecastSkill', forecastSkillSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// One document per forecast value checked against the observed day:
+// city, source, metric, target day and lead time
+const forecastVerificationSchema = new mongoose.Schema({
+  cityId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  source: {
+    type: String,
+    required: true
+  },
+  metric: {
+    type: String,
+    required: true
+  },
+  targetDate: {
+    type: Date,
+    required: true
+  },
+  leadDays: {
+    type: Number,
+    required: true
+  },
+  issuedAt: Date,
+
+  forecast: Number,
+  observed: Number,
+  error: Number,              // forecast - observed
+  observedCompleteness: Number,
+  intervalLow: Number,        // the forecast's stored p10-p90 interval, if it had one
+  intervalHigh: Number,
+  inInterval: Boolean,
+  verifiedAt: Date
+}, { timestamps: true });
+
+forecastVerificationSchema.index(
+  { cityId: 1, source: 1, metric: 1, targetDate: 1, leadDays: 1 },
+  { unique: true }
+);
+forecastVerificationSchema.index({ cityId: 1, targetDate: -1 });
+
+module.exports = mongoose.model('ForecastVerification', forecastVerificationSchema);
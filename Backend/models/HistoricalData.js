@@ -13,13 +13,24 @@ const historicalDataSchema = new mongoose.Schema({
     index: true
   },
   
-  // Daily Aggregates
+  // Aggregates over the period (a local day, month or year - see granularity)
   avgTemperature: Number,
   maxTemperature: Number,
   minTemperature: Number,
   avgHumidity: Number,
   totalRainfall: Number,
   avgWindSpeed: Number,
+  maxWindSpeed: Number,
+  avgPressure: Number,
+  
+  // Thermal comfort: degree days at the configured base temperatures (summed over
+  // monthly/yearly periods) and the highest hourly heat stress indices, °C
+  coolingDegreeDays: Number,
+  heatingDegreeDays: Number,
+  maxHeatIndex: Number,
+  maxHumidex: Number,
+  maxWetBulb: Number,
+  maxWbgt: Number,
   
   // Air Quality Averages
   avgAqi: Number,
@@ -29,9 +40,38 @@ const historicalDataSchema = new mongoose.Schema({
   avgO3: Number,
   avgSo2: Number,
   avgCo: Number,
+  avgNh3: Number,
+  avgPb: Number,
+  
+  // AQI of the daily mean concentrations on each scale
+  aqiIndices: {
+    us_epa: {
+      aqi: Number,
+      category: String,
+      dominantPollutant: String,
+      subIndices: {
+        pm25: Number, pm10: Number, no2: Number, so2: Number,
+        co: Number, o3: Number, nh3: Number, pb: Number
+      },
+      isComplete: Boolean
+    },
+    cpcb: {
+      aqi: Number,
+      category: String,
+      dominantPollutant: String,
+      subIndices: {
+        pm25: Number, pm10: Number, no2: Number, so2: Number,
+        co: Number, o3: Number, nh3: Number, pb: Number
+      },
+      isComplete: Boolean
+    }
+  },
   
   // Data Completeness
   dataCompleteness: Number,  // percentage of expected data received
+  hoursCovered: Number,      // daily: local hours with at least one reading
+  daysCovered: Number,       // monthly/yearly: daily rollups the period was built from
+  recordCount: Number,       // realtime records that went into the rollup
   
   // Source info
   sources: [String],
@@ -51,5 +91,16 @@ const historicalDataSchema = new mongoose.Schema({
 }, { timestamps: true });
 
 historicalDataSchema.index({ cityId: 1, date: -1 });
+// One record per city, granularity and period start, so concurrent rollups can't duplicate a period
+historicalDataSchema.index({ cityId: 1, granularity: 1, date: 1 }, { unique: true });
+
+/**
+ * Filter matching daily records only. Documents written before granularity
+ * existed have no value and are daily.
+ * @returns {Object} Query fragment
+ */
+historicalDataSchema.statics.dailyFilter = function () {
+  return { granularity: { $in: ['daily', null] } };
+};
 
 module.exports = mongoose.model('HistoricalData', historicalDataSchema);
\ No newline at end of file
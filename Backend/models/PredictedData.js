@@ -1,5 +1,22 @@
 const mongoose = require('mongoose');
 
+const ENSEMBLE_BAND = {
+  highTemp: Number,
+  lowTemp: Number,
+  avgTemp: Number,
+  humidity: Number,
+  precipitation: Number,
+  precipitationProbability: Number,
+  windSpeed: Number,
+  pm25: Number,
+  pm10: Number,
+  no2: Number,
+  o3: Number,
+  aqi: Number
+};
+
+// One document per forecast issue: a city, a source and the time it was issued,
+// with an entry per lead day and (where the source provides it) per lead hour
 const predictedDataSchema = new mongoose.Schema({
   cityId: {
     type: String,
@@ -7,36 +24,76 @@ const predictedDataSchema = new mongoose.Schema({
     index: true
   },
   cityName: String,
-  forecastDate: {
+
+  // Forecast source
+  source: {
+    type: String,   // "OpenMeteo", "IMD", "Historical", ...
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['api_forecast', 'statistical', 'ensemble'],
+    default: 'api_forecast'
+  },
+  issuedAt: {
     type: Date,
-    required: true,
-    index: true
+    required: true
   },
-  
-  // Hourly or Daily predictions
-  predictions: [{
-    hour: Number,           // 0-23 for hourly
-    predictedTemperature: Number,
-    predictedHumidity: Number,
-    predictedAqi: Number,
-    predictedPm25: Number,
-    precipitationChance: Number,
-    confidenceScore: Number  // 0-1
+  validFrom: Date,
+  validTill: Date,
+
+  // Daily predictions; date is UTC midnight of the city's local date, like HistoricalData
+  daily: [{
+    _id: false,
+    date: Date,
+    leadDays: Number,       // 0 = the local day the forecast was issued
+    highTemp: Number,
+    lowTemp: Number,
+    avgTemp: Number,
+    humidity: Number,
+    precipitation: Number,
+    precipitationProbability: Number,
+    windSpeed: Number,
+    pm25: Number,
+    pm10: Number,           // µg/m³, like pm25
+    no2: Number,
+    o3: Number,
+    aqi: Number,
+    confidence: Number,     // 0-1
+
+    // Ensemble only: 10th/90th percentile band and the sources blended
+    p10: ENSEMBLE_BAND,
+    p90: ENSEMBLE_BAND,
+    sources: { type: [String], default: undefined }
   }],
-  
-  // Daily summary
-  dayHighTemp: Number,
-  dayLowTemp: Number,
-  dayAvgAqi: Number,
-  
-  // Forecast source
-  model: String,  // "ML_Model_v1", "OpenWeatherMap", etc.
-  accuracy: Number,  // % accuracy on past predictions
-  generatedAt: Date,
-  validTill: Date
-  
+
+  // Hourly predictions
+  hourly: [{
+    _id: false,
+    time: Date,
+    leadHours: Number,
+    temperature: Number,
+    humidity: Number,
+    precipitationProbability: Number,
+    windSpeed: Number,
+    pm25: Number,
+    aqi: Number,
+    confidence: Number      // 0-1
+  }],
+
+  accuracy: Number,  // % accuracy of this issue's verified days
+
+  schemaVersion: {
+    type: Number,
+    default: 2
+  }
 }, { timestamps: true });
 
-predictedDataSchema.index({ cityId: 1, forecastDate: -1 });
+predictedDataSchema.index(
+  { cityId: 1, source: 1, issuedAt: -1 },
+  // Documents from before the redesign have no source until migrated
+  { unique: true, partialFilterExpression: { source: { $exists: true } } }
+);
+predictedDataSchema.index({ cityId: 1, 'daily.date': 1 });
 
-module.exports = mongoose.model('PredictedData', predictedDataSchema);
\ No newline at end of file
+module.exports = mongoose.model('PredictedData', predictedDataSchema);
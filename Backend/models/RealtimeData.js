@@ -43,6 +43,32 @@ const realtimeDataSchema = new mongoose.Schema({
   o3: Number,
   so2: Number,
   co: Number,
+  nh3: Number,
+  pb: Number,
+  
+  // AQI on each scale with per-pollutant sub-indices (aqi above stays the US EPA value)
+  aqiIndices: {
+    us_epa: {
+      aqi: Number,
+      category: String,
+      dominantPollutant: String,
+      subIndices: {
+        pm25: Number, pm10: Number, no2: Number, so2: Number,
+        co: Number, o3: Number, nh3: Number, pb: Number
+      },
+      isComplete: Boolean
+    },
+    cpcb: {
+      aqi: Number,
+      category: String,
+      dominantPollutant: String,
+      subIndices: {
+        pm25: Number, pm10: Number, no2: Number, so2: Number,
+        co: Number, o3: Number, nh3: Number, pb: Number
+      },
+      isComplete: Boolean
+    }
+  },
   
   // Data Sources (track which API provided which metric)
   dataSources: {
@@ -51,6 +77,18 @@ const realtimeDataSchema = new mongoose.Schema({
     airQuality: String
   },
   
+  // Provenance (where the values actually came from)
+  provenance: {
+    declaredSource: String,   // Collector the record is attributed to, e.g. "KSNDMC"
+    provider: String,         // Upstream that served the values, e.g. "Open-Meteo"
+    endpoints: [String],      // Upstream URL(s) called
+    isFallback: {
+      type: Boolean,
+      default: false
+    },
+    latencyMs: Number
+  },
+  
   // Quality Metrics
   dataQualityScore: {
     type: Number,
@@ -71,5 +109,6 @@ const realtimeDataSchema = new mongoose.Schema({
 
 // Index for efficient querying
 realtimeDataSchema.index({ cityId: 1, timestamp: -1 });
+realtimeDataSchema.index({ 'provenance.isFallback': 1, timestamp: -1 });
 
 module.exports = mongoose.model('RealtimeData', realtimeDataSchema);
\ No newline at end of file
@@ -7,6 +7,16 @@ const router = express.Router();
 router.get('/trends', analyticsController.getTrends);
 router.get('/heatmap', analyticsController.getHeatmap);
 router.get('/correlation', analyticsController.getCorrelation);
+router.get('/correlation/matrix', analyticsController.getCorrelationMatrix);
 router.get('/compare', analyticsController.compareСities);
+router.get('/rankings', analyticsController.getRankings);
+router.get('/forecast-skill/:cityId', analyticsController.getForecastSkill);
+router.get('/events/:cityId', analyticsController.getExtremeEvents);
+router.get('/typical/:cityId', analyticsController.getTypicalDayComparison);
+router.get('/long-term/:cityId', analyticsController.getLongTermTrends);
+router.get('/return-periods/:cityId', analyticsController.getReturnPeriods);
+router.get('/anomalies/:cityId', analyticsController.getAnomalies);
+router.get('/monsoon/:cityId', analyticsController.getMonsoonSummary);
+router.get('/thermal/:cityId', analyticsController.getThermalIndices);
 
 module.exports = router;
\ No newline at end of file
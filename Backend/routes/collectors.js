@@ -0,0 +1,16 @@
+const express = require('express');
+const collectorController = require('../controllers/collectorController');
+const auth = require('../middleware/auth');
+const adminOnly = require('../middleware/adminOnly');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', collectorController.getCollectors);
+router.get('/stats', collectorController.getCollectorStats);
+router.get('/:key/diagnostics', collectorController.getCollectorDiagnostics);
+
+// Admin routes (toggle sources without a restart)
+router.patch('/:key', auth, adminOnly, collectorController.updateCollectorState);
+
+module.exports = router;
@@ -1,10 +1,12 @@
 const express = require('express');
 const RealtimeData = require('../models/RealtimeData');
 const HistoricalData = require('../models/HistoricalData');
-const PredictedData = require('../models/PredictedData');
 const { CITIES } = require('../config/constants');
 const auth = require('../middleware/auth');
 const logger = require('../utils/logger');
+const { getLatestCityData, getMergedCityData } = require('../services/apiAggregation');
+const { getLatestForecasts } = require('../services/forecastStore');
+const { resolveScale, getRecordAQI } = require('../utils/aqiCalculator');
 
 const router = express.Router();
 
@@ -21,10 +23,68 @@ router.get('/cities', (req, res) => {
   }
 });
 
+// GET LATEST READING FROM EACH SOURCE (by city name, used by the dashboard)
+router.get('/current', async (req, res) => {
+  try {
+    const { city, excludeFallback, aqiScale } = req.query;
+    
+    if (!city) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Provide a city name' 
+      });
+    }
+    
+    const match = CITIES.find(c => c.name.toLowerCase() === city.toLowerCase() || c.id === city.toLowerCase());
+    
+    if (!match) {
+      return res.status(404).json({ 
+        success: false, 
+        message: `Unknown city: ${city}` 
+      });
+    }
+    
+    const records = await getLatestCityData(match.id, { excludeFallback: excludeFallback === 'true' });
+    const scale = resolveScale(aqiScale);
+    
+    res.status(200).json({
+      success: true,
+      city: match.name,
+      cityId: match.id,
+      aqiScale: scale,
+      timestamp: records[0]?.timestamp || null,
+      data: records.map(record => {
+        const aqi = getRecordAQI(record, scale);
+        
+        return {
+          sourceApi: record.dataSources?.temperature || 'Unknown',
+          temperature: record.temperature?.current ?? null,
+          humidity: record.humidity ?? null,
+          pressure: record.pressure ?? null,
+          windSpeed: record.windSpeed ?? null,
+          aqi: aqi.aqi ?? null,
+          aqiCategory: aqi.category,
+          dominantPollutant: aqi.dominantPollutant,
+          subIndices: aqi.subIndices,
+          pm25: record.pm25 ?? null,
+          pm10: record.pm10 ?? null,
+          no2: record.no2 ?? null,
+          timestamp: record.timestamp,
+          provenance: record.provenance || null
+        };
+      })
+    });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // GET CURRENT WEATHER & AQI FOR A CITY
 router.get('/current/:cityId', async (req, res) => {
   try {
     const { cityId } = req.params;
+    const scale = resolveScale(req.query.aqiScale);
     
     const realtimeData = await RealtimeData.findOne({ cityId })
       .sort({ timestamp: -1 })
@@ -39,6 +99,8 @@ router.get('/current/:cityId', async (req, res) => {
     
     res.status(200).json({
       success: true,
+      aqiScale: scale,
+      aqi: getRecordAQI(realtimeData, scale),
       data: realtimeData
     });
     
@@ -47,14 +109,55 @@ router.get('/current/:cityId', async (req, res) => {
   }
 });
 
+// GET CROSS-SOURCE CONSENSUS (quality-weighted, outliers rejected)
+router.get('/consensus/:cityId', async (req, res) => {
+  try {
+    const { cityId } = req.params;
+    const { includeFallback, aqiScale } = req.query;
+    
+    if (!CITIES.some(c => c.id === cityId)) {
+      return res.status(404).json({ 
+        success: false, 
+        message: `Unknown city: ${cityId}` 
+      });
+    }
+    
+    const merged = await getMergedCityData(cityId, { includeFallback: includeFallback === 'true', aqiScale });
+    
+    if (!merged) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'No data found for this city' 
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: merged
+    });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // GET HISTORICAL DATA (Date Range)
 router.get('/historical/:cityId', async (req, res) => {
   try {
     const { cityId } = req.params;
-    const { startDate, endDate, metric } = req.query;
+    const { startDate, endDate, metric, granularity = 'daily' } = req.query;
+    
+    if (!['daily', 'monthly', 'yearly'].includes(granularity)) {
+      return res.status(400).json({
+        success: false,
+        message: 'granularity must be daily, monthly or yearly'
+      });
+    }
     
     // Build query
-    let query = { cityId };
+    let query = granularity === 'daily'
+      ? { cityId, ...HistoricalData.dailyFilter() }
+      : { cityId, granularity };
     
     if (startDate && endDate) {
       query.date = {
@@ -69,6 +172,7 @@ router.get('/historical/:cityId', async (req, res) => {
     
     res.status(200).json({
       success: true,
+      granularity,
       count: historicalData.length,
       data: historicalData
     });
@@ -78,16 +182,18 @@ router.get('/historical/:cityId', async (req, res) => {
   }
 });
 
-// GET 7-DAY FORECAST
+// GET 7-DAY FORECAST (latest issue from each source)
+// ?sources=OpenMeteo,IMD to pick sources; all sources by default
 router.get('/forecast/:cityId', async (req, res) => {
   try {
     const { cityId } = req.params;
+    const sources = req.query.sources && req.query.sources !== 'all'
+      ? req.query.sources.split(',').map(s => s.trim()).filter(Boolean)
+      : null;
     
-    const forecast = await PredictedData.findOne({ cityId })
-      .sort({ forecastDate: -1 })
-      .limit(1);
+    const forecasts = await getLatestForecasts(cityId, { sources });
     
-    if (!forecast) {
+    if (forecasts.length === 0) {
       return res.status(404).json({ 
         success: false, 
         message: 'No forecast available' 
@@ -96,7 +202,64 @@ router.get('/forecast/:cityId', async (req, res) => {
     
     res.status(200).json({
       success: true,
-      data: forecast
+      cityId,
+      sources: forecasts.map(f => f.source),
+      data: forecasts.map(f => ({
+        source: f.source,
+        method: f.method,
+        issuedAt: f.issuedAt,
+        validFrom: f.validFrom,
+        validTill: f.validTill,
+        accuracy: f.accuracy ?? null,
+        daily: f.daily
+      }))
+    });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// GET HOURLY FORECAST (next hours from the latest hourly issue of each source)
+// ?sources=OpenMeteo to pick sources, ?hours=48 to shorten the horizon (max 168)
+router.get('/forecast/:cityId/hourly', async (req, res) => {
+  try {
+    const { cityId } = req.params;
+    const hours = Math.min(Math.max(parseInt(req.query.hours) || 168, 1), 168);
+    const sources = req.query.sources && req.query.sources !== 'all'
+      ? req.query.sources.split(',').map(s => s.trim()).filter(Boolean)
+      : null;
+    
+    const forecasts = await getLatestForecasts(cityId, { sources, hourly: true });
+    
+    // From the start of the current hour
+    const from = Math.floor(Date.now() / 3600000) * 3600000;
+    const until = from + hours * 3600000;
+    
+    const data = forecasts
+      .map(f => ({
+        source: f.source,
+        issuedAt: f.issuedAt,
+        hourly: f.hourly.filter(h => {
+          const time = new Date(h.time).getTime();
+          return time >= from && time < until;
+        })
+      }))
+      .filter(f => f.hourly.length > 0);
+    
+    if (data.length === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'No hourly forecast available' 
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      cityId,
+      hours,
+      sources: data.map(f => f.source),
+      data
     });
     
   } catch (error) {
@@ -118,7 +281,7 @@ router.get('/comparison', async (req, res) => {
     
     const cityArray = cities.split(',');
     
-    let query = { cityId: { $in: cityArray } };
+    let query = { cityId: { $in: cityArray }, ...HistoricalData.dailyFilter() };
     
     if (startDate && endDate) {
       query.date = {
@@ -202,7 +365,8 @@ router.get('/historical-records/:cityName', async (req, res) => {
     
     // Try database first
     const dbRecords = await HistoricalData.find({ 
-      cityName: new RegExp(cityName, 'i')
+      cityName: new RegExp(cityName, 'i'),
+      ...HistoricalData.dailyFilter()
     })
     .sort({ date: -1 })
     .limit(3650); // 10 years of daily data
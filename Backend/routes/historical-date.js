@@ -30,7 +30,8 @@ router.get('/:cityName/:date', async (req, res) => {
     if (city) {
       const dbData = await HistoricalData.findOne({
         cityId: city._id,
-        date: new Date(date)
+        date: new Date(date),
+        ...HistoricalData.dailyFilter()
       });
 
       if (dbData) {
@@ -0,0 +1,348 @@
+/**
+ * Forecast Backtest Script
+ * Replays a past period: every forecast method is run as if it had been issued on each
+ * day, using only the daily records before that day, and scored against what was
+ * observed. Writes a skill report (MAE, RMSE, bias and skill against persistence per
+ * method, metric and lead time) as JSON and CSV, so model changes can be compared.
+ * Run manually: node scripts/backtestForecasts.js --from 2024-01-01 --to 2024-06-30
+ *   [--city city_001,city_002] [--methods persistence,moving_average,climatology,pollutant_model]
+ *   [--days 7] [--out backtest-reports] [--label my-change]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const HistoricalData = require('../models/HistoricalData');
+const { CITIES } = require('../config/constants');
+const logger = require('../utils/logger');
+const { roundTo, isValidNumber, DAY_MS } = require('../utils/helpers');
+const { generateSimplePrediction, evaluateForecastAccuracy } = require('../services/predictionEngine');
+const { buildClimatology, forecastBaseline, BASELINE_METRICS } = require('../services/climatologyBaseline');
+const { trainPollutantModel, forecastPollutants, FORECAST_POLLUTANTS } = require('../services/pollutantForecast');
+
+// Days of history the pollutant model trains on, as in the live job
+const POLLUTANT_TRAINING_DAYS = 365;
+
+// Years of history before the period loaded for the climatology
+const HISTORY_YEARS = 10;
+
+// Daily field -> generateSimplePrediction field, and the daily field it is predicted from
+const MOVING_AVERAGE_METRICS = {
+  avgTemperature: { prediction: 'temperature', source: 'avgTemperature' },
+  avgHumidity: { prediction: 'humidity', source: 'avgHumidity' },
+  avgPm25: { prediction: 'pm25', source: 'avgPm25' },
+  avgAqi: { prediction: 'aqi', source: 'avgPm25' }
+};
+
+/**
+ * Forecast methods: (history before the issue day, issue day, horizon) -> { [leadDays]: { [metric]: value } }
+ * The reference every method's skill is measured against is persistence.
+ */
+const METHODS = {
+  // Tomorrow (and every later day) is the same as the last observed day
+  persistence: (history, issueDate, horizon) => {
+    const last = history[history.length - 1];
+    if (!last || (issueDate - last.date) / DAY_MS > 1) return {};
+
+    const values = Object.fromEntries(BASELINE_METRICS.map(metric => [metric, last[metric]]));
+    return Object.fromEntries(_leads(horizon).map(lead => [lead, values]));
+  },
+
+  // predictionEngine.generateSimplePrediction on the last 30 days
+  moving_average: (history, issueDate, horizon) => {
+    const recent = history.filter(day => day.date >= new Date(issueDate.getTime() - 30 * DAY_MS));
+    const predictions = generateSimplePrediction([...recent], horizon);
+
+    // The engine predicts 0 for a metric without readings in the window; that is no forecast, so it is null
+    const withHistory = new Set(Object.keys(MOVING_AVERAGE_METRICS).filter(metric =>
+      recent.some(day => isValidNumber(day[MOVING_AVERAGE_METRICS[metric].source]))
+    ));
+
+    return Object.fromEntries(predictions.map((p, i) => [i + 1, Object.fromEntries(
+      Object.entries(MOVING_AVERAGE_METRICS).map(([metric, { prediction }]) => [
+        metric,
+        withHistory.has(metric) ? p[prediction] : null
+      ])
+    )]));
+  },
+
+  // Day-of-year climatology plus the damped recent anomaly
+  climatology: (history, issueDate, horizon) => {
+    const climatology = buildClimatology(history);
+    const recent = history.slice(-10);
+
+    return Object.fromEntries(_leads(horizon).map(lead => [
+      lead,
+      forecastBaseline(climatology, recent, issueDate, new Date(issueDate.getTime() + lead * DAY_MS))
+    ]));
+  },
+
+  // Pollutant regression, driven by the observed weather in place of a weather forecast
+  pollutant_model: (history, issueDate, horizon, future) => {
+    const trainingStart = new Date(issueDate.getTime() - POLLUTANT_TRAINING_DAYS * DAY_MS);
+    const models = trainPollutantModel(history.filter(day => day.date >= trainingStart));
+    const last = history[history.length - 1];
+    if (Object.keys(models).length === 0 || !last || (issueDate - last.date) / DAY_MS > 1) return {};
+
+    const start = Object.fromEntries(Object.entries(FORECAST_POLLUTANTS).map(([pollutant, field]) => [pollutant, last[field]]));
+    const meteorology = future.map(day => ({
+      date: day.date,
+      windSpeed: day.maxWindSpeed,
+      humidity: day.avgHumidity,
+      precipitation: day.totalRainfall,
+      highTemp: day.maxTemperature,
+      lowTemp: day.minTemperature
+    }));
+
+    const forecast = forecastPollutants(models, start, meteorology);
+
+    return Object.fromEntries(forecast.map(entry => [
+      Math.round((entry.date - issueDate) / DAY_MS),
+      {
+        ...Object.fromEntries(Object.entries(FORECAST_POLLUTANTS).map(([pollutant, field]) => [field, entry[pollutant]])),
+        avgAqi: entry.aqi
+      }
+    ]));
+  }
+};
+
+/**
+ * Read --name value pairs from the command line
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+};
+
+/**
+ * Replay the issue days in [from, to] for one city
+ * @param {Array} history - The city's daily records, sorted by date
+ * @param {Object} options - { from, to, methods, horizon }
+ * @returns {Array} Forecast/observation pairs ({ method, metric, leadDays, forecast, observed })
+ */
+const replayCity = (history, options) => {
+  const { from, to, methods, horizon } = options;
+  const byTime = new Map(history.map(day => [day.date.getTime(), day]));
+  const pairs = [];
+
+  for (let issue = from.getTime(); issue <= to.getTime(); issue += DAY_MS) {
+    const issueDate = new Date(issue);
+    const past = history.filter(day => day.date < issueDate);
+    const future = _leads(horizon)
+      .map(lead => byTime.get(issue + lead * DAY_MS))
+      .filter(Boolean);
+
+    if (past.length === 0 || future.length === 0) continue;
+
+    for (const method of methods) {
+      const forecast = METHODS[method](past, issueDate, horizon, future);
+
+      for (const [lead, values] of Object.entries(forecast)) {
+        const observed = byTime.get(issue + Number(lead) * DAY_MS);
+        if (!observed) continue;
+
+        // Methods return null for metrics they can't forecast; those are not scored
+        for (const [metric, value] of Object.entries(values || {})) {
+          if (!isValidNumber(value) || !isValidNumber(observed[metric])) continue;
+          pairs.push({ method, metric, leadDays: Number(lead), forecast: value, observed: observed[metric] });
+        }
+      }
+    }
+  }
+
+  return pairs;
+};
+
+/**
+ * Score forecast/observation pairs per city, method, metric and lead time
+ * Skill is 1 - MSE / MSE of persistence on the same city, metric and lead time.
+ * @param {Array} pairs - Pairs with a cityId
+ * @returns {Array} Report rows
+ */
+const summarisePairs = (pairs) => {
+  const groups = new Map();
+
+  for (const pair of pairs) {
+    for (const cityId of [pair.cityId, 'all']) {
+      const key = `${cityId}|${pair.method}|${pair.metric}|${pair.leadDays}`;
+      if (!groups.has(key)) {
+        groups.set(key, { cityId, method: pair.method, metric: pair.metric, leadDays: pair.leadDays, forecast: [], observed: [] });
+      }
+      groups.get(key).forecast.push(pair.forecast);
+      groups.get(key).observed.push(pair.observed);
+    }
+  }
+
+  const rows = [...groups.values()].map(group => {
+    const accuracy = evaluateForecastAccuracy(group.forecast, group.observed);
+    return {
+      cityId: group.cityId,
+      method: group.method,
+      metric: group.metric,
+      leadDays: group.leadDays,
+      sampleSize: group.forecast.length,
+      mae: accuracy?.mae ?? null,
+      rmse: accuracy?.rmse ?? null,
+      bias: accuracy?.bias ?? null,
+      mse: _meanSquaredError(group.forecast, group.observed)
+    };
+  });
+
+  const persistence = new Map(
+    rows
+      .filter(row => row.method === 'persistence')
+      .map(row => [`${row.cityId}|${row.metric}|${row.leadDays}`, row.mse])
+  );
+
+  return rows
+    .map(({ mse, ...row }) => {
+      const reference = persistence.get(`${row.cityId}|${row.metric}|${row.leadDays}`);
+      return {
+        ...row,
+        skillVsPersistence: reference > 0 ? roundTo(1 - mse / reference, 3) : null
+      };
+    })
+    .sort((a, b) =>
+      a.cityId.localeCompare(b.cityId) ||
+      a.metric.localeCompare(b.metric) ||
+      a.leadDays - b.leadDays ||
+      a.method.localeCompare(b.method)
+    );
+};
+
+/**
+ * Report rows as CSV
+ * @param {Array} rows - From summarisePairs
+ * @returns {string} CSV text with a header line
+ */
+const toCsv = (rows) => {
+  const columns = ['cityId', 'method', 'metric', 'leadDays', 'sampleSize', 'mae', 'rmse', 'bias', 'skillVsPersistence'];
+  const lines = rows.map(row => columns.map(column => row[column] ?? '').join(','));
+  return [columns.join(','), ...lines].join('\n') + '\n';
+};
+
+/**
+ * Main backtest function
+ */
+const backtestForecasts = async () => {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!args.from || !args.to) {
+      logger.error('Usage: node scripts/backtestForecasts.js --from YYYY-MM-DD --to YYYY-MM-DD [--city id,id] [--methods a,b] [--days 7] [--out dir] [--label name]');
+      process.exit(1);
+    }
+
+    const from = new Date(`${args.from}T00:00:00.000Z`);
+    const to = new Date(`${args.to}T00:00:00.000Z`);
+    const horizon = parseInt(args.days, 10) || 7;
+    const methods = args.methods ? args.methods.split(',') : Object.keys(METHODS);
+    const cities = args.city ? CITIES.filter(c => args.city.split(',').includes(c.id)) : CITIES;
+
+    const unknown = methods.filter(method => !METHODS[method]);
+    if (isNaN(from) || isNaN(to) || from > to || unknown.length > 0 || cities.length === 0) {
+      logger.error(`Invalid options${unknown.length > 0 ? `: unknown methods ${unknown.join(', ')} (available: ${Object.keys(METHODS).join(', ')})` : ''}`);
+      process.exit(1);
+    }
+
+    // Skill is always measured against persistence
+    if (!methods.includes('persistence')) methods.unshift('persistence');
+
+    logger.info('🧪 Backtesting forecast methods...');
+    logger.info(`   Issue days: ${args.from} to ${args.to}, ${horizon}-day horizon`);
+    logger.info(`   Methods: ${methods.join(', ')}`);
+
+    await mongoose.connect(process.env.MONGO_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true
+    });
+
+    logger.success('✓ Connected to MongoDB');
+
+    const pairs = [];
+
+    for (const city of cities) {
+      const history = await HistoricalData.find({
+        cityId: city.id,
+        date: {
+          $gte: new Date(Date.UTC(from.getUTCFullYear() - HISTORY_YEARS, from.getUTCMonth(), from.getUTCDate())),
+          $lte: new Date(to.getTime() + horizon * DAY_MS)
+        },
+        ...HistoricalData.dailyFilter()
+      })
+        .sort({ date: 1 })
+        .lean();
+
+      const cityPairs = replayCity(history, { from, to, methods, horizon });
+      cityPairs.forEach(pair => pairs.push({ cityId: city.id, ...pair }));
+
+      logger.info(`   ${city.name}: ${cityPairs.length} forecast values scored`);
+    }
+
+    const rows = summarisePairs(pairs);
+
+    const outDir = path.resolve(args.out || 'backtest-reports');
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const baseName = `backtest_${args.label ? `${args.label}_` : ''}${args.from}_${args.to}`;
+    const report = {
+      generatedAt: new Date().toISOString(),
+      label: args.label || null,
+      period: { from: args.from, to: args.to },
+      horizonDays: horizon,
+      cities: cities.map(c => c.id),
+      methods,
+      reference: 'persistence',
+      results: rows
+    };
+
+    fs.writeFileSync(path.join(outDir, `${baseName}.json`), JSON.stringify(report, null, 2));
+    fs.writeFileSync(path.join(outDir, `${baseName}.csv`), toCsv(rows));
+
+    logger.success(`✓ ${rows.length} result rows written to ${path.join(outDir, baseName)}.{json,csv}`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+
+  } catch (error) {
+    logger.error('❌ Backtest failed:', error.message);
+    process.exit(1);
+  }
+};
+
+// ========== PRIVATE HELPER FUNCTIONS ==========
+
+/**
+ * Lead times 1..horizon
+ * @private
+ */
+const _leads = (horizon) => Array.from({ length: horizon }, (_, i) => i + 1);
+
+/**
+ * @private
+ */
+const _meanSquaredError = (forecast, observed) =>
+  forecast.reduce((sum, value, i) => sum + Math.pow(value - observed[i], 2), 0) / forecast.length;
+
+// Run backtest if executed directly
+if (require.main === module) {
+  backtestForecasts();
+}
+
+module.exports = {
+  METHODS,
+  backtestForecasts,
+  replayCity,
+  summarisePairs,
+  toCsv
+};
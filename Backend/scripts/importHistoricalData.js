@@ -164,9 +164,10 @@ const storeHistoricalData = async (cityId, cityName, records) => {
   try {
     logger.info(`   Storing ${records.length} records...`);
 
-    // Delete existing data for this city and period
+    // Delete existing daily data for this city and period (monthly/yearly rollups stay)
     const deleteResult = await HistoricalData.deleteMany({
       cityId: cityId,
+      ...HistoricalData.dailyFilter(),
       date: {
         $gte: new Date(`${CONFIG.startYear}-01-01`),
         $lte: new Date(`${CONFIG.endYear}-12-31`)
@@ -189,9 +190,7 @@ const storeHistoricalData = async (cityId, cityName, records) => {
       avgPm25: null, // Not available in historical API
       avgPm10: null,
       avgAqi: null,
-      precipitation: record.precipitation,
-      rainfall: record.rainfall,
-      snowfall: record.snowfall,
+      totalRainfall: record.precipitation,
       maxWindSpeed: record.maxWindSpeed,
       avgPressure: record.avgPressure,
       dataCompleteness: 100,
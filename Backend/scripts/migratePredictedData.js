@@ -0,0 +1,152 @@
+/**
+ * PredictedData Migration Script
+ * Converts forecast documents from before the one-document-per-issue model
+ * (one document per forecast day, with forecastDate/model/dayHighTemp or the
+ * predictionDate/source_api fields the prediction job used to write) into forecast
+ * issues, then removes the old documents. Safe to re-run.
+ * Run manually: node scripts/migratePredictedData.js [--dry-run]
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const PredictedData = require('../models/PredictedData');
+const { CITIES } = require('../config/constants');
+const logger = require('../utils/logger');
+const { getLocalDateLabel, getZonedDayBounds } = require('../utils/helpers');
+const { saveForecastIssue } = require('../services/forecastStore');
+
+/**
+ * Main migration function
+ */
+const migratePredictedData = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    logger.info(`🔁 Migrating PredictedData documents${dryRun ? ' (dry run)' : ''}...`);
+
+    await mongoose.connect(process.env.MONGO_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true
+    });
+
+    logger.success('✓ Connected to MongoDB');
+
+    // Read through the driver: the current schema would drop the old fields
+    const legacyDocs = await PredictedData.collection.find({ source: { $exists: false } }).toArray();
+    logger.info(`   Found ${legacyDocs.length} documents in the old format`);
+
+    const issues = groupIntoIssues(legacyDocs);
+    logger.info(`   Grouped into ${issues.length} forecast issues`);
+
+    let migratedDocs = 0;
+
+    for (const issue of issues) {
+      if (!dryRun) {
+        await saveForecastIssue(issue.city, issue.source, {
+          issuedAt: issue.issuedAt,
+          method: issue.method,
+          daily: issue.daily,
+          hourly: issue.hourly
+        });
+        await PredictedData.collection.deleteMany({ _id: { $in: issue.legacyIds } });
+      }
+      migratedDocs += issue.legacyIds.length;
+    }
+
+    if (!dryRun) {
+      // The per-day index is not used by the new model
+      await PredictedData.collection.dropIndex('cityId_1_forecastDate_-1').catch(() => {});
+    }
+
+    logger.success(`✓ ${dryRun ? 'Would migrate' : 'Migrated'} ${migratedDocs} documents into ${issues.length} issues`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+
+  } catch (error) {
+    logger.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+};
+
+/**
+ * Group old per-day documents into forecast issues (city, source, issue time)
+ * @param {Array} docs - Raw documents in the old format
+ * @returns {Array} Issues with daily/hourly entries and the ids they came from
+ */
+const groupIntoIssues = (docs) => {
+  const issues = new Map();
+
+  for (const doc of docs) {
+    const date = doc.forecastDate || doc.predictionDate;
+    if (!doc.cityId || !date) continue;
+
+    const source = doc.model || doc.source_api || 'Unknown';
+    const issuedAt = new Date(doc.generatedAt || doc.createdAt || date);
+    const key = `${doc.cityId}|${source}|${issuedAt.getTime()}`;
+
+    if (!issues.has(key)) {
+      const city = CITIES.find(c => c.id === doc.cityId) || { id: doc.cityId, name: doc.cityName };
+      issues.set(key, {
+        city,
+        source,
+        issuedAt,
+        method: doc.metadata?.generationMethod === 'historical_prediction' || source === 'Historical'
+          ? 'statistical'
+          : 'api_forecast',
+        daily: [],
+        hourly: [],
+        legacyIds: []
+      });
+    }
+
+    const issue = issues.get(key);
+    issue.legacyIds.push(doc._id);
+
+    issue.daily.push({
+      date,
+      highTemp: doc.dayHighTemp ?? doc.temperature?.max ?? null,
+      lowTemp: doc.dayLowTemp ?? doc.temperature?.min ?? null,
+      avgTemp: doc.temperature?.predicted ?? null,
+      humidity: doc.humidity ?? null,
+      precipitation: doc.precipitation ?? null,
+      precipitationProbability: doc.metadata?.precipitationProbability ?? null,
+      windSpeed: doc.windSpeed ?? null,
+      pm25: doc.pm25 ?? null,
+      aqi: doc.dayAvgAqi ?? doc.aqi ?? null,
+      confidence: doc.confidence ?? null
+    });
+
+    // Old hourly entries were hours (0-23) of the forecast day in local time
+    const { start } = getZonedDayBounds(
+      getLocalDateLabel(new Date(date), issue.city.timezone || 'Asia/Kolkata'),
+      issue.city.timezone || 'Asia/Kolkata'
+    );
+
+    for (const prediction of doc.predictions || []) {
+      if (prediction.hour == null) continue;
+      issue.hourly.push({
+        time: new Date(start.getTime() + prediction.hour * 3600000),
+        temperature: prediction.predictedTemperature ?? null,
+        humidity: prediction.predictedHumidity ?? null,
+        precipitationProbability: prediction.precipitationChance ?? null,
+        pm25: prediction.predictedPm25 ?? null,
+        aqi: prediction.predictedAqi ?? null,
+        confidence: prediction.confidenceScore ?? null
+      });
+    }
+  }
+
+  return [...issues.values()];
+};
+
+// Run migration if executed directly
+if (require.main === module) {
+  migratePredictedData();
+}
+
+module.exports = {
+  migratePredictedData,
+  groupIntoIssues
+};
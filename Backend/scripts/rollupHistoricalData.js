@@ -0,0 +1,78 @@
+/**
+ * Historical Rollup Script
+ * Rebuilds daily, monthly and yearly HistoricalData rollups from realtime data
+ * for a past date range. Safe to re-run: rollups are upserted, not appended.
+ * Run manually: node scripts/rollupHistoricalData.js --from 2024-01-01 --to 2024-01-31 [--city city_001,city_002]
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const logger = require('../utils/logger');
+const { runRollups } = require('../jobs/rollupJob');
+
+/**
+ * Read --name value pairs from the command line
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+};
+
+/**
+ * Main rollup function
+ */
+const rollupHistoricalData = async () => {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!args.from) {
+      logger.error('Usage: node scripts/rollupHistoricalData.js --from YYYY-MM-DD [--to YYYY-MM-DD] [--city id,id] [--granularity daily,monthly,yearly]');
+      process.exit(1);
+    }
+
+    const options = {
+      from: args.from,
+      to: args.to || args.from,
+      cityIds: args.city ? args.city.split(',') : null,
+      granularities: args.granularity ? args.granularity.split(',') : undefined
+    };
+
+    logger.info('📊 Rebuilding historical rollups...');
+    logger.info(`   Period: ${options.from} to ${options.to}`);
+
+    await mongoose.connect(process.env.MONGO_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true
+    });
+
+    logger.success('✓ Connected to MongoDB');
+
+    const results = await runRollups(options);
+
+    logger.success(`✓ Rollups stored: ${results.daily} daily, ${results.monthly} monthly, ${results.yearly} yearly`);
+    results.errors.forEach(err => logger.error(`   - ${err.city}: ${err.error}`));
+
+    await mongoose.connection.close();
+    process.exit(results.errors.length > 0 ? 1 : 0);
+
+  } catch (error) {
+    logger.error('❌ Rollup failed:', error.message);
+    process.exit(1);
+  }
+};
+
+// Run rollup if executed directly
+if (require.main === module) {
+  rollupHistoricalData();
+}
+
+module.exports = { rollupHistoricalData };
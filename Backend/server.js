@@ -12,11 +12,17 @@ const analyticsRoutes = require('./routes/analytics');
 const insightsRoutes = require('./routes/insights');
 const cacheRoutes = require('./routes/cacheRoutes');
 const historicalDateRoutes = require('./routes/historical-date');
+const collectorRoutes = require('./routes/collectors');
 
 // Import jobs
-const { fetchRealTimeData, aggregateHistoricalData } = require('./jobs/fetchDataJob');
+const { fetchRealTimeData } = require('./jobs/fetchDataJob');
+const { runNightlyRollups, getRollupTimeZones } = require('./jobs/rollupJob');
+const { runForecastVerification } = require('./jobs/verificationJob');
 const { generateDailyPredictions } = require('./jobs/predictionJob');
 
+// Import utilities
+const { getFixtureMode, getFixtureDir } = require('./utils/httpFixtures');
+
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 
@@ -41,6 +47,7 @@ app.use('/api/analytics', analyticsRoutes);
 app.use('/api/insights', insightsRoutes);
 app.use('/api/cache', cacheRoutes);
 app.use('/api/historical-date', historicalDateRoutes);
+app.use('/api/collectors', collectorRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -69,12 +76,22 @@ mongoose.connect(process.env.MONGO_URI, {
     await fetchRealTimeData();
   });
   
-  // Every day at midnight: Generate predictions
-  schedule.scheduleJob('0 0 * * *', async () => {
+  // Every 6 hours: Generate predictions (hourly forecasts run from the issue time)
+  schedule.scheduleJob('0 */6 * * *', async () => {
     console.log('🔮 Generating daily predictions...');
     await generateDailyPredictions();
   });
   
+  // Just after local midnight in each city time zone: daily/monthly/yearly rollups,
+  // then verify past forecasts against the new daily records
+  getRollupTimeZones().forEach(tz => {
+    schedule.scheduleJob({ rule: '5 0 * * *', tz }, async () => {
+      console.log(`📊 Running historical rollups (${tz})...`);
+      await runNightlyRollups(tz);
+      await runForecastVerification(tz);
+    });
+  });
+  
   // On startup: Fetch data immediately
   fetchRealTimeData().catch(err => console.error('Initial fetch error:', err));
   
@@ -85,6 +102,10 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
+  
+  if (getFixtureMode()) {
+    console.log(`📼 Upstream HTTP fixtures: ${getFixtureMode()} mode (${getFixtureDir()})`);
+  }
 });
 
 module.exports = app;
\ No newline at end of file
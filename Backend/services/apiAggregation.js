@@ -7,11 +7,17 @@ const MasterCollector = require('../dataCollectors/masterCollector');
 const RealtimeData = require('../models/RealtimeData');
 const { CITIES } = require('../config/constants');
 const logger = require('../utils/logger');
+const { getBreakerStates } = require('../utils/resilientHttp');
 const { getCachedData, setCachedData } = require('./cacheManager');
+const { buildConsensus, getSourceAgreement } = require('./consensusEngine');
+const { AQI_SCALES, resolveScale, getRecordAQI } = require('../utils/aqiCalculator');
 
 // Initialize master collector
 const masterCollector = new MasterCollector();
 
+// Sources that haven't reported in this many hours (collection runs hourly) are left out of the latest readings
+const LATEST_LOOKBACK_HOURS = 6;
+
 /**
  * Aggregate real-time data from all sources
  * @returns {Promise<Object>} Aggregation results
@@ -22,7 +28,7 @@ const aggregateRealTimeData = async () => {
     
     const startTime = Date.now();
     
-    // Collect data from all 8 sources
+    // Collect data from every enabled source
     const results = await masterCollector.collectAllData();
     
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
@@ -49,12 +55,15 @@ const aggregateRealTimeData = async () => {
 /**
  * Get latest data for a specific city from all sources
  * @param {string} cityId - City ID
+ * @param {Object} options - { excludeFallback } to drop records served by a fallback upstream
  * @returns {Promise<Array>} Array of latest data from each source
  */
-const getLatestCityData = async (cityId) => {
+const getLatestCityData = async (cityId, options = {}) => {
   try {
+    const { excludeFallback = false } = options;
+
     // Check cache first
-    const cacheKey = `latest:${cityId}`;
+    const cacheKey = `latest:${cityId}:${excludeFallback ? 'primary' : 'all'}`;
     const cached = getCachedData(cacheKey);
     
     if (cached) {
@@ -62,24 +71,23 @@ const getLatestCityData = async (cityId) => {
       return cached;
     }
 
-    // Fetch latest data from each source
-    const latestData = await RealtimeData.find({ cityId: cityId })
-      .sort({ timestamp: -1 })
-      .limit(10) // Get latest from each source
-      .lean();
+    // Fetch latest data from each source; the time bound keeps the sort to recent records
+    const query = {
+      cityId: cityId,
+      timestamp: { $gte: new Date(Date.now() - LATEST_LOOKBACK_HOURS * 60 * 60 * 1000) }
+    };
+    if (excludeFallback) query['provenance.isFallback'] = { $ne: true };
 
-    // Group by source
-    const groupedBySource = {};
-    
-    latestData.forEach(record => {
-      const source = record.dataSources?.temperature || 'Unknown';
-      
-      if (!groupedBySource[source] || new Date(record.timestamp) > new Date(groupedBySource[source].timestamp)) {
-        groupedBySource[source] = record;
-      }
-    });
+    // Latest record per source, however many sources are enabled
+    const latestData = await RealtimeData.aggregate([
+      { $match: query },
+      { $sort: { timestamp: -1 } },
+      { $group: { _id: '$dataSources.temperature', record: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$record' } },
+      { $sort: { timestamp: -1 } }
+    ]);
 
-    const result = Object.values(groupedBySource);
+    const result = latestData;
 
     // Cache for 5 minutes
     setCachedData(cacheKey, result, 300);
@@ -94,61 +102,71 @@ const getLatestCityData = async (cityId) => {
 
 /**
  * Get merged/consensus data for a city
+ * Sources are weighted by data quality and historical agreement, with outliers rejected
+ * (see consensusEngine). Fallback records are left out unless includeFallback is set,
+ * since they repeat Open-Meteo's values under another source's name.
  * @param {string} cityId - City ID
+ * @param {Object} options - { includeFallback, aqiScale }
  * @returns {Promise<Object|null>} Merged data
  */
-const getMergedCityData = async (cityId) => {
+const getMergedCityData = async (cityId, options = {}) => {
   try {
-    const latestData = await getLatestCityData(cityId);
+    const { includeFallback = false } = options;
+    const excludeFallback = !includeFallback;
+    const aqiScale = resolveScale(options.aqiScale);
+
+    const latestRecords = await getLatestCityData(cityId, { excludeFallback });
     
-    if (latestData.length === 0) {
+    if (latestRecords.length === 0) {
       return null;
     }
 
-    // Calculate consensus values (average from all sources)
-    const temperatures = latestData
-      .map(d => d.temperature?.current)
-      .filter(t => t != null);
-    
-    const humidities = latestData
-      .map(d => d.humidity)
-      .filter(h => h != null);
-    
-    const pm25Values = latestData
-      .map(d => d.pm25)
-      .filter(p => p != null);
-    
-    const aqiValues = latestData
-      .map(d => d.aqi)
-      .filter(a => a != null);
+    // Build the AQI consensus on the requested scale
+    const latestData = aqiScale === AQI_SCALES.US_EPA
+      ? latestRecords
+      : latestRecords.map(record => ({ ...record, aqi: getRecordAQI(record, aqiScale).aqi }));
+
+    const city = CITIES.find(c => c.id === cityId);
+    const expectedSources = city ? masterCollector.registry.getActiveCollectors(city).length : null;
+    const agreement = await getSourceAgreement(cityId, { excludeFallback });
+
+    const consensus = buildConsensus(latestData, { agreement, expectedSources });
+    const { metrics } = consensus;
 
     const merged = {
       cityId: cityId,
       cityName: latestData[0].cityName,
-      timestamp: new Date(),
+      timestamp: consensus.timestamp,
       
-      temperature: {
-        current: _average(temperatures),
-        min: Math.min(...temperatures),
-        max: Math.max(...temperatures),
-        sources: temperatures.length
-      },
+      temperature: metrics.temperature ? {
+        current: metrics.temperature.value,
+        min: metrics.temperature.spread.min,
+        max: metrics.temperature.spread.max,
+        sources: metrics.temperature.inlierCount
+      } : null,
       
-      humidity: _average(humidities),
-      pm25: _average(pm25Values),
-      aqi: Math.round(_average(aqiValues)),
+      humidity: metrics.humidity?.value ?? null,
+      pm25: metrics.pm25?.value ?? null,
+      aqi: metrics.aqi?.value ?? null,
+      aqiScale,
       
       dataQuality: {
-        sources: latestData.length,
-        completeness: (latestData.length / 8) * 100, // Out of 8 possible sources
-        lastUpdate: latestData[0].timestamp
+        sources: consensus.sources.reporting,
+        expectedSources: consensus.sources.expected,
+        completeness: consensus.sources.completeness,
+        staleSources: consensus.sources.stale,
+        lastUpdate: consensus.timestamp
       },
       
       sources: latestData.map(d => ({
         name: d.dataSources?.temperature || 'Unknown',
         timestamp: d.timestamp,
-        quality: d.dataQualityScore
-      }))
+        quality: d.dataQualityScore,
+        agreement: agreement[d.dataSources?.temperature] ?? null,
+        isFallback: !!d.provenance?.isFallback
+      })),
+      
+      consensus: metrics
     };
 
     return merged;
@@ -160,13 +178,18 @@ const getMergedCityData = async (cityId) => {
 };
 
 /**
- * Get data source statistics
+ * Get data source statistics, including circuit breaker state per source
  * @returns {Promise<Object>} Statistics by source
  */
 const getSourceStatistics = async () => {
   try {
     const stats = await masterCollector.getStatistics();
-    return stats;
+
+    // Breaker state is in-memory, so report it even if the DB stats failed
+    return {
+      ...stats,
+      circuitBreakers: getBreakerStates()
+    };
 
   } catch (error) {
     logger.error('Error getting source statistics:', error.message);
@@ -175,42 +198,22 @@ const getSourceStatistics = async () => {
 };
 
 /**
- * Calculate AQI from PM2.5 using US EPA standard
- * @param {number} pm25 - PM2.5 concentration
- * @returns {number} AQI value
+ * List registered data collectors with capabilities and state
+ * @returns {Array} Collector descriptions
  */
-const calculateAQI = (pm25) => {
-  if (!pm25 || pm25 < 0) return 0;
-
-  const breakpoints = [
-    { cLow: 0.0, cHigh: 12.0, iLow: 0, iHigh: 50 },
-    { cLow: 12.1, cHigh: 35.4, iLow: 51, iHigh: 100 },
-    { cLow: 35.5, cHigh: 55.4, iLow: 101, iHigh: 150 },
-    { cLow: 55.5, cHigh: 150.4, iLow: 151, iHigh: 200 },
-    { cLow: 150.5, cHigh: 250.4, iLow: 201, iHigh: 300 },
-    { cLow: 250.5, cHigh: 500.4, iLow: 301, iHigh: 500 }
-  ];
-
-  for (const bp of breakpoints) {
-    if (pm25 >= bp.cLow && pm25 <= bp.cHigh) {
-      const aqi = ((bp.iHigh - bp.iLow) / (bp.cHigh - bp.cLow)) * (pm25 - bp.cLow) + bp.iLow;
-      return Math.round(aqi);
-    }
-  }
-
-  return 500;
+const listCollectors = () => {
+  return masterCollector.registry.list();
 };
 
-// ========== PRIVATE HELPER FUNCTIONS ==========
-
 /**
- * Calculate average of array
- * @private
+ * Enable/disable or re-prioritise a collector at runtime
+ * @param {string} key - Collector key
+ * @param {Object} updates - { enabled, priority, reason }
+ * @param {string} updatedBy - User ID making the change
+ * @returns {Promise<Object|null>} Updated collector or null if unknown
  */
-const _average = (values) => {
-  if (!values || values.length === 0) return null;
-  const sum = values.reduce((acc, val) => acc + val, 0);
-  return Math.round((sum / values.length) * 10) / 10;
+const updateCollector = async (key, updates, updatedBy) => {
+  return masterCollector.registry.update(key, updates, updatedBy);
 };
 
 module.exports = {
@@ -218,5 +221,6 @@ module.exports = {
   getLatestCityData,
   getMergedCityData,
   getSourceStatistics,
-  calculateAQI
+  listCollectors,
+  updateCollector
 };
\ No newline at end of file
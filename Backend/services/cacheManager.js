@@ -261,10 +261,10 @@ const _estimateSize = (value) => {
   }
 };
 
-// Auto cleanup every 5 minutes
+// Auto cleanup every 5 minutes (unref'd so scripts and tests can exit)
 setInterval(() => {
   cleanupExpired();
-}, 5 * 60 * 1000);
+}, 5 * 60 * 1000).unref();
 
 module.exports = {
   getCachedData,
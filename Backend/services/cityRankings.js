@@ -0,0 +1,302 @@
+/**
+ * City Rankings Service
+ * Orders every city by a criterion computed from its daily records over a period:
+ * cleanest air, hot days, warming trend or monsoon rainfall. Cities with too little
+ * data for the period are listed apart rather than ranked on partial numbers.
+ */
+
+const HistoricalData = require('../models/HistoricalData');
+const { getCachedData, setCachedData } = require('./cacheManager');
+const { SEASONS, buildPeriodSeries, analyseTrend } = require('./trendAnalysis');
+const { CITIES } = require('../config/constants');
+const { roundTo, getLocalDateLabel, isValidNumber, isCompleteDay, DAY_MS } = require('../utils/helpers');
+
+const RANKING_PERIODS = ['week', 'month', 'year', 'monsoon', 'all'];
+
+const WEIGHTINGS = ['none', 'population'];
+
+// Share of the period's days that must be observed for a city to be ranked
+const MIN_COVERAGE = 0.8;
+
+const DEFAULT_HOT_DAY_THRESHOLD = 40;
+
+// June 1 to September 30
+const MONSOON_DAYS = 122;
+
+/**
+ * Ranking criteria. `order` is the direction that ranks first; `compute` turns a
+ * city's daily records in the period into { value, coverage, details } or { reason }.
+ */
+const RANKING_CRITERIA = {
+  cleanest_air: {
+    label: 'Cleanest air',
+    unit: 'AQI',
+    order: 'asc',
+    decimals: 0,
+    defaultPeriod: 'week',
+    fields: ['avgAqi'],
+    compute: (days, range) => {
+      const values = days.map(day => day.avgAqi).filter(isValidNumber);
+      const coverage = values.length / _expectedDays(range);
+      if (values.length === 0 || coverage < MIN_COVERAGE) return { reason: 'Too few days with AQI in the period' };
+
+      return {
+        value: values.reduce((sum, v) => sum + v, 0) / values.length,
+        coverage,
+        details: { days: values.length }
+      };
+    }
+  },
+
+  hot_days: {
+    label: 'Most hot days',
+    unit: 'days',
+    order: 'desc',
+    decimals: 0,
+    defaultPeriod: 'year',
+    fields: ['maxTemperature'],
+    compute: (days, range, { threshold }) => {
+      const values = days.map(day => day.maxTemperature).filter(isValidNumber);
+      const coverage = values.length / _expectedDays(range);
+      if (values.length === 0 || coverage < MIN_COVERAGE) return { reason: 'Too few days with a max temperature in the period' };
+
+      return {
+        value: values.filter(v => v >= threshold).length,
+        coverage,
+        details: { threshold, days: values.length, hottest: roundTo(Math.max(...values), 1) }
+      };
+    }
+  },
+
+  warming_trend: {
+    label: 'Largest warming trend',
+    unit: '°C/decade',
+    order: 'desc',
+    decimals: 2,
+    defaultPeriod: 'all',
+    fields: ['avgTemperature'],
+    compute: (days, range, { now }) => {
+      const { values } = buildPeriodSeries(days, 'avgTemperature', 'annual', now);
+      const trend = analyseTrend(values);
+      if (trend.trend === null) return { reason: trend.reason };
+
+      return {
+        value: trend.perDecade,
+        coverage: null,
+        details: {
+          significant: trend.significant,
+          pValue: trend.pValue,
+          years: trend.years,
+          firstYear: trend.firstYear,
+          lastYear: trend.lastYear
+        }
+      };
+    }
+  },
+
+  wettest_monsoon: {
+    label: 'Wettest monsoon',
+    unit: 'mm',
+    order: 'desc',
+    decimals: 1,
+    defaultPeriod: 'monsoon',
+    fields: ['totalRainfall'],
+    compute: (days, range) => {
+      // Each monsoon in the period, scaled up from its observed days; several
+      // monsoons (e.g. period=all) are averaged
+      const byYear = new Map();
+      for (const day of days) {
+        if (!isValidNumber(day.totalRainfall)) continue;
+        const date = new Date(day.date);
+        if (!SEASONS.monsoon.includes(date.getUTCMonth() + 1)) continue;
+        const year = date.getUTCFullYear();
+        byYear.set(year, [...(byYear.get(year) || []), day.totalRainfall]);
+      }
+
+      let totals = [];
+      for (const [year, values] of byYear) {
+        const season = {
+          from: new Date(Math.max(Date.UTC(year, 5, 1), new Date(range.from).getTime())),
+          to: new Date(Math.min(Date.UTC(year, 8, 30), range.to.getTime()))
+        };
+        if (values.length / _expectedDays(season) < MIN_COVERAGE) continue;
+        const observed = values.reduce((sum, v) => sum + v, 0);
+        totals.push({
+          year,
+          total: observed * _expectedDays(season) / values.length,
+          days: values.length,
+          complete: _expectedDays(season) === MONSOON_DAYS
+        });
+      }
+      if (totals.length === 0) return { reason: 'No monsoon in the period with enough days of rainfall' };
+
+      // A season cut short by the period would pull an average of full seasons down
+      if (totals.some(t => t.complete)) totals = totals.filter(t => t.complete);
+
+      return {
+        value: totals.reduce((sum, t) => sum + t.total, 0) / totals.length,
+        coverage: null,
+        details: {
+          seasons: totals.map(t => ({ year: t.year, total: roundTo(t.total, 1), days: t.days, complete: t.complete }))
+        }
+      };
+    }
+  }
+};
+
+/**
+ * Date range of a named period, in daily record dates (UTC midnight of the local date)
+ * 'monsoon' is the latest monsoon (June-September) that has begun, up to today.
+ * @param {string} period - Key of RANKING_PERIODS
+ * @param {Date} now - Current time
+ * @param {string} timeZone - Zone that decides today's date
+ * @returns {Object} { from, to }; from is null for 'all'
+ */
+const resolvePeriod = (period, now = new Date(), timeZone = 'Asia/Kolkata') => {
+  const to = new Date(`${getLocalDateLabel(now, timeZone)}T00:00:00.000Z`);
+  const year = to.getUTCFullYear();
+
+  switch (period) {
+    case 'week':
+      return { from: new Date(to.getTime() - 6 * DAY_MS), to };
+    case 'month':
+      return { from: new Date(to.getTime() - 29 * DAY_MS), to };
+    case 'year':
+      return { from: new Date(Date.UTC(year, 0, 1)), to };
+    case 'monsoon': {
+      const seasonYear = to.getUTCMonth() >= 5 ? year : year - 1;
+      const seasonEnd = new Date(Date.UTC(seasonYear, 8, 30));
+      return { from: new Date(Date.UTC(seasonYear, 5, 1)), to: seasonEnd < to ? seasonEnd : to };
+    }
+    default:
+      return { from: null, to };
+  }
+};
+
+/**
+ * Assign ranks, equal values (at the criterion's precision) sharing a rank
+ * ("1224" competition ranking)
+ * @param {Array} entries - { value } objects
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {Array} Sorted entries with rank and tied
+ */
+const assignRanks = (entries, order) => {
+  const sorted = [...entries].sort((a, b) => order === 'asc' ? a.value - b.value : b.value - a.value);
+  const counts = new Map();
+  for (const entry of sorted) counts.set(entry.value, (counts.get(entry.value) || 0) + 1);
+
+  let rank = 0;
+  return sorted.map((entry, i) => {
+    if (i === 0 || entry.value !== sorted[i - 1].value) rank = i + 1;
+    return { rank, tied: counts.get(entry.value) > 1, ...entry };
+  });
+};
+
+/**
+ * Rank all cities by a criterion over a period
+ * Cities are always ranked by their own value. With population weighting, each entry
+ * also carries its contribution to the population-weighted figure (its value times its
+ * share of the ranked cities' population); that figure is the sum of the contributions.
+ * @param {Object} options - { criterion, period, from, to, weighting, threshold }
+ * @returns {Promise<Object>} { criterion, label, unit, order, period, weighting, rankings, unranked, populationWeighted }
+ */
+const getCityRankings = async (options) => {
+  const { criterion, weighting = 'none', threshold = DEFAULT_HOT_DAY_THRESHOLD } = options;
+  const definition = RANKING_CRITERIA[criterion];
+  const period = options.from || options.to ? 'custom' : options.period || definition.defaultPeriod;
+  const now = new Date();
+
+  const preset = resolvePeriod(period === 'custom' ? 'all' : period, now);
+  const range = {
+    from: options.from || (period === 'custom' ? null : preset.from),
+    to: options.to || preset.to
+  };
+
+  const cacheKey = `rankings:${criterion}:${period}:${range.from?.toISOString()}:${range.to.toISOString()}:${weighting}:${threshold}`;
+  const cached = getCachedData(cacheKey);
+  if (cached) return cached;
+
+  const records = await HistoricalData.find({
+    cityId: { $in: CITIES.map(c => c.id) },
+    date: range.from ? { $gte: range.from, $lte: range.to } : { $lte: range.to },
+    ...HistoricalData.dailyFilter()
+  })
+    .select(['cityId', 'date', 'dataCompleteness', ...definition.fields].join(' '))
+    .sort({ date: 1 })
+    .lean();
+
+  const entries = [];
+  const unranked = [];
+
+  for (const city of CITIES) {
+    const days = records.filter(day => day.cityId === city.id && isCompleteDay(day));
+
+    // Without a start date, the period starts at the city's first record
+    const cityRange = { from: range.from || days[0]?.date, to: range.to };
+    const outcome = days.length > 0
+      ? definition.compute(days, cityRange, { threshold, now })
+      : { reason: 'No daily records in the period' };
+
+    const info = { cityId: city.id, cityName: city.name, state: city.state, population: city.population };
+    if (outcome.reason) {
+      unranked.push({ ...info, reason: outcome.reason });
+      continue;
+    }
+
+    entries.push({
+      ...info,
+      value: roundTo(outcome.value, definition.decimals),
+      coverage: outcome.coverage != null ? roundTo(Math.min(outcome.coverage, 1), 2) : null,
+      details: outcome.details
+    });
+  }
+
+  const totalPopulation = entries.reduce((sum, entry) => sum + (entry.population || 0), 0);
+  const ranked = weighting === 'population' && totalPopulation > 0
+    ? entries.map(entry => ({
+      ...entry,
+      weightedContribution: roundTo(entry.value * (entry.population || 0) / totalPopulation, definition.decimals + 2)
+    }))
+    : entries;
+
+  const weightedValue = totalPopulation > 0
+    ? entries.reduce((sum, entry) => sum + entry.value * (entry.population || 0), 0) / totalPopulation
+    : null;
+
+  const result = {
+    criterion,
+    label: definition.label,
+    unit: definition.unit,
+    order: definition.order,
+    period: { name: period, from: range.from, to: range.to },
+    weighting,
+    ...(criterion === 'hot_days' && { threshold }),
+    rankings: assignRanks(ranked, definition.order),
+    unranked,
+    populationWeighted: {
+      value: weightedValue != null ? roundTo(weightedValue, definition.decimals + 1) : null,
+      population: totalPopulation
+    }
+  };
+
+  setCachedData(cacheKey, result, 3600);
+
+  return result;
+};
+
+// ========== PRIVATE HELPER FUNCTIONS ==========
+
+/**
+ * Days from range.from to range.to inclusive
+ * @private
+ */
+const _expectedDays = (range) => Math.max(1, Math.round((new Date(range.to) - new Date(range.from)) / DAY_MS) + 1);
+
+module.exports = {
+  RANKING_CRITERIA,
+  RANKING_PERIODS,
+  WEIGHTINGS,
+  resolvePeriod,
+  assignRanks,
+  getCityRankings
+};
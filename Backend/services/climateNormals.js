@@ -0,0 +1,200 @@
+/**
+ * Climate Normals Service
+ * Day-of-year normals for a city over a base period: the distribution of daily values
+ * within a few days either side of the date in every base-period year, summarised as
+ * mean, median, spread and tail percentiles, and where a given day falls in it.
+ */
+
+const HistoricalData = require('../models/HistoricalData');
+const { getCachedData, setCachedData } = require('./cacheManager');
+const { summariseDay } = require('./dailySummary');
+const { roundTo, getLocalDateLabel, quantile, dayOfYear, isValidNumber, isCompleteDay } = require('../utils/helpers');
+
+// Daily HistoricalData fields with normals, and the decimals they are reported to
+const NORMAL_METRICS = {
+  avgTemperature: 1,
+  maxTemperature: 1,
+  minTemperature: 1,
+  totalRainfall: 1,
+  avgHumidity: 0,
+  avgAqi: 0
+};
+
+// Daily means that are already meaningful part way through the day. Maxima, minima
+// and rain totals are still moving, so today's are not ranked until the day is over.
+const PARTIAL_DAY_METRICS = ['avgTemperature', 'avgHumidity', 'avgAqi'];
+
+const PERCENTILES = [5, 10, 90, 95];
+
+// Days either side of the date pooled into its normal
+const DEFAULT_WINDOW_DAYS = 7;
+const MAX_WINDOW_DAYS = 30;
+
+// Base period length (years) when none is configured, ending with the last full year
+const DEFAULT_BASE_YEARS = 30;
+
+// Fewer values than this and a metric has no normal for the day
+const MIN_NORMAL_SAMPLES = 10;
+
+/**
+ * Base period from NORMALS_BASE_START_YEAR / NORMALS_BASE_END_YEAR, defaulting to the
+ * 30 years up to the last complete year. Normals only use the years with data in them.
+ * @param {Object} overrides - { startYear, endYear }
+ * @returns {Object} { startYear, endYear }
+ */
+const getBasePeriod = (overrides = {}) => {
+  const lastFullYear = new Date().getUTCFullYear() - 1;
+  const endYear = overrides.endYear
+    ?? (parseInt(process.env.NORMALS_BASE_END_YEAR, 10) || lastFullYear);
+  const startYear = overrides.startYear
+    ?? (parseInt(process.env.NORMALS_BASE_START_YEAR, 10) || endYear - DEFAULT_BASE_YEARS + 1);
+
+  return { startYear, endYear };
+};
+
+/**
+ * Normals for one day of the year from daily records
+ * @param {Array} history - Daily HistoricalData records in the base period; incomplete days are skipped
+ * @param {number} targetDay - Day of year (1-366)
+ * @param {Object} options - { windowDays, metrics }
+ * @returns {Object} { [metric]: { mean, median, std, p5, p10, p90, p95, sampleSize, years }|null }
+ */
+const computeDayNormals = (history, targetDay, options = {}) => {
+  const { windowDays = DEFAULT_WINDOW_DAYS, metrics = Object.keys(NORMAL_METRICS) } = options;
+  const inWindow = history.filter(day =>
+    isCompleteDay(day) && _circularDistance(dayOfYear(day.date), targetDay) <= windowDays
+  );
+
+  const normals = {};
+
+  for (const metric of metrics) {
+    const samples = inWindow.filter(day => isValidNumber(day[metric]));
+    if (samples.length < MIN_NORMAL_SAMPLES) {
+      normals[metric] = null;
+      continue;
+    }
+
+    const values = samples.map(day => day[metric]).sort((a, b) => a - b);
+    const decimals = NORMAL_METRICS[metric] ?? 1;
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / (values.length - 1);
+
+    normals[metric] = {
+      mean: roundTo(mean, decimals),
+      median: roundTo(quantile(values, 0.5), decimals),
+      std: roundTo(Math.sqrt(variance), decimals + 1),
+      ...Object.fromEntries(PERCENTILES.map(p => [`p${p}`, roundTo(quantile(values, p / 100), decimals)])),
+      sampleSize: values.length,
+      years: new Set(samples.map(day => new Date(day.date).getUTCFullYear())).size,
+      values
+    };
+  }
+
+  return normals;
+};
+
+/**
+ * Percentile rank of a value among normal values: the share below it, counting ties as half
+ * @param {Array} sortedValues - Values sorted ascending
+ * @param {number} value - Value to rank
+ * @returns {number|null} 0-100, or null without values
+ */
+const percentileRank = (sortedValues, value) => {
+  if (!sortedValues || sortedValues.length === 0 || !isValidNumber(value)) return null;
+
+  const below = sortedValues.filter(v => v < value).length;
+  const equal = sortedValues.filter(v => v === value).length;
+
+  return Math.round(((below + equal / 2) / sortedValues.length) * 100);
+};
+
+/**
+ * Normals for a city on a date, and where that date's observations fall in them
+ * Observations are the stored daily record for past dates and today's readings so far
+ * for the current day; values passed in `observed` take precedence.
+ * @param {Object} city - City from CITIES
+ * @param {Object} options - { date (YYYY-MM-DD local, default today), startYear, endYear, windowDays, observed }
+ * @returns {Promise<Object>} { cityId, date, dayOfYear, basePeriod, windowDays, normals, observed, percentiles, partialDay }
+ */
+const getClimateNormals = async (city, options = {}) => {
+  const timeZone = city.timezone || 'Asia/Kolkata';
+  const today = getLocalDateLabel(new Date(), timeZone);
+  const dateLabel = options.date || today;
+  const date = new Date(`${dateLabel}T00:00:00.000Z`);
+  const windowDays = options.windowDays ?? DEFAULT_WINDOW_DAYS;
+  const { startYear, endYear } = getBasePeriod(options);
+  const doy = dayOfYear(date);
+
+  const cacheKey = `normals:${city.id}:${doy}:${startYear}-${endYear}:${windowDays}`;
+  let normals = getCachedData(cacheKey);
+
+  if (!normals) {
+    const history = await HistoricalData.find({
+      cityId: city.id,
+      date: { $gte: new Date(Date.UTC(startYear, 0, 1)), $lt: new Date(Date.UTC(endYear + 1, 0, 1)) },
+      ...HistoricalData.dailyFilter()
+    })
+      .select(['date', 'dataCompleteness', ...Object.keys(NORMAL_METRICS)].join(' '))
+      .lean();
+
+    normals = computeDayNormals(history, doy, { windowDays });
+    setCachedData(cacheKey, normals, 86400);
+  }
+
+  const partialDay = dateLabel === today;
+  const recorded = partialDay
+    ? await summariseDay(city, dateLabel)
+    : await HistoricalData.findOne({ cityId: city.id, date, ...HistoricalData.dailyFilter() }).lean();
+
+  const observed = {};
+  for (const metric of Object.keys(NORMAL_METRICS)) {
+    const value = options.observed?.[metric] ?? (partialDay && !PARTIAL_DAY_METRICS.includes(metric) ? null : recorded?.[metric]);
+    if (isValidNumber(value)) observed[metric] = value;
+  }
+
+  const percentiles = Object.fromEntries(
+    Object.entries(observed)
+      .filter(([metric]) => normals[metric])
+      .map(([metric, value]) => [metric, percentileRank(normals[metric].values, value)])
+  );
+
+  // The raw samples are only needed for ranking
+  const summaries = Object.fromEntries(Object.entries(normals).map(([metric, normal]) => {
+    if (!normal) return [metric, null];
+    const { values, ...summary } = normal;
+    return [metric, summary];
+  }));
+
+  return {
+    cityId: city.id,
+    date: dateLabel,
+    dayOfYear: doy,
+    basePeriod: { startYear, endYear },
+    windowDays,
+    normals: summaries,
+    observed,
+    percentiles,
+    partialDay
+  };
+};
+
+// ========== PRIVATE HELPER FUNCTIONS ==========
+
+/**
+ * Days between two days of year, the short way round the year end
+ * @private
+ */
+const _circularDistance = (a, b) => {
+  const distance = Math.abs(a - b);
+  return Math.min(distance, 366 - distance);
+};
+
+module.exports = {
+  NORMAL_METRICS,
+  DEFAULT_WINDOW_DAYS,
+  MAX_WINDOW_DAYS,
+  getBasePeriod,
+  computeDayNormals,
+  percentileRank,
+  getClimateNormals
+};
@@ -0,0 +1,263 @@
+/**
+ * Climatology Baseline Service
+ * Statistical baseline forecast: the day-of-year climatology of each metric plus the
+ * recent anomaly from it, damped back toward climatology as lead time grows.
+ * Used as the offline forecast when no forecast API answers and as the reference
+ * forecast that skill scores are measured against.
+ */
+
+const HistoricalData = require('../models/HistoricalData');
+const { roundTo, isValidNumber, isCompleteDay, dayOfYear, startOfUtcDay, DAY_MS } = require('../utils/helpers');
+
+// Daily HistoricalData fields the baseline forecasts
+const BASELINE_METRICS = [
+  'maxTemperature',
+  'minTemperature',
+  'avgTemperature',
+  'avgHumidity',
+  'totalRainfall',
+  'avgWindSpeed',
+  'avgPm25',
+  'avgPm10',
+  'avgNo2',
+  'avgO3',
+  'avgAqi'
+];
+
+// Days either side of a day of year that count towards its climatology
+const CLIMATOLOGY_WINDOW_DAYS = 15;
+
+// Fewer values than this in the window and the climatology for that day is unknown
+const MIN_CLIMATOLOGY_SAMPLES = 20;
+
+// Recent days averaged for the current anomaly
+const ANOMALY_DAYS = 3;
+
+// An anomaly measured longer ago than this says nothing about today
+const MAX_ANOMALY_AGE_DAYS = 5;
+
+// Day-to-day persistence used when the history is too short to estimate it
+const DEFAULT_PERSISTENCE = 0.6;
+
+// Years of history loaded to build the climatology
+const CLIMATOLOGY_YEARS = 10;
+
+/**
+ * Day-of-year climatology and anomaly persistence for each metric
+ * @param {Array} history - Daily HistoricalData records; days with too few readings are skipped
+ * @param {Object} options - { before } only use days before this date,
+ *   { windowDays } smoothing half-width, { metrics } metrics to include
+ * @returns {Object} { [metric]: { means, persistence, samples } }; means is indexed by day of year (1-366)
+ */
+const buildClimatology = (history, options = {}) => {
+  const {
+    before = null,
+    windowDays = CLIMATOLOGY_WINDOW_DAYS,
+    metrics = BASELINE_METRICS
+  } = options;
+
+  const days = history.filter(day => isCompleteDay(day) && (!before || new Date(day.date) < before));
+  const climatology = {};
+
+  for (const metric of metrics) {
+    const sums = new Array(367).fill(0);
+    const counts = new Array(367).fill(0);
+
+    for (const day of days) {
+      if (!isValidNumber(day[metric])) continue;
+      const doy = dayOfYear(day.date);
+      sums[doy] += day[metric];
+      counts[doy]++;
+    }
+
+    const samples = counts.reduce((sum, c) => sum + c, 0);
+    if (samples === 0) continue;
+
+    const means = new Array(367).fill(null);
+    for (let doy = 1; doy <= 366; doy++) {
+      let sum = 0;
+      let count = 0;
+      for (let offset = -windowDays; offset <= windowDays; offset++) {
+        const d = _wrapDay(doy + offset);
+        sum += sums[d];
+        count += counts[d];
+      }
+      if (count >= MIN_CLIMATOLOGY_SAMPLES) means[doy] = sum / count;
+    }
+
+    climatology[metric] = {
+      means,
+      persistence: _estimatePersistence(days, metric, means),
+      samples
+    };
+  }
+
+  return climatology;
+};
+
+/**
+ * Baseline forecast for one target day
+ * The anomaly is the mean departure from climatology over the last few observed days
+ * before the issue date, multiplied by the metric's day-to-day persistence once per
+ * day between the last observation and the target day.
+ * @param {Object} climatology - From buildClimatology
+ * @param {Array} history - Daily records with recent observations
+ * @param {Date} issueDate - Forecast issue day; only days before it are used
+ * @param {Date} targetDate - Day being forecast
+ * @returns {Object} { [metric]: value|null }
+ */
+const forecastBaseline = (climatology, history, issueDate, targetDate) => {
+  const recent = history
+    .filter(day => isCompleteDay(day) && new Date(day.date) < issueDate)
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  const forecast = {};
+
+  for (const [metric, model] of Object.entries(climatology)) {
+    const normal = model.means[dayOfYear(targetDate)];
+    if (normal == null) {
+      forecast[metric] = null;
+      continue;
+    }
+
+    const anomaly = _recentAnomaly(recent, metric, model.means, issueDate);
+    const value = anomaly
+      ? normal + anomaly.value * Math.pow(model.persistence, Math.round((targetDate - anomaly.date) / DAY_MS))
+      : normal;
+
+    // Rain and concentrations cannot go below zero
+    forecast[metric] = metric === 'maxTemperature' || metric === 'minTemperature' || metric === 'avgTemperature'
+      ? value
+      : Math.max(0, value);
+  }
+
+  return forecast;
+};
+
+/**
+ * Baseline predictions for the days after the issue date
+ * @param {Array} history - Daily HistoricalData records (several years for a good climatology)
+ * @param {number} daysAhead - Number of days to predict
+ * @param {Date} issueDate - UTC midnight of the local issue date
+ * @returns {Array} [{ date, leadDays, maxTemperature, minTemperature, ... }], empty without a climatology
+ */
+const generateBaselinePrediction = (history, daysAhead = 7, issueDate = startOfUtcDay()) => {
+  const climatology = buildClimatology(history, { before: issueDate });
+  if (Object.keys(climatology).length === 0) return [];
+
+  const predictions = [];
+
+  for (let lead = 1; lead <= daysAhead; lead++) {
+    const date = new Date(issueDate.getTime() + lead * DAY_MS);
+    const values = forecastBaseline(climatology, history, issueDate, date);
+    if (Object.values(values).every(v => v == null)) continue;
+
+    predictions.push({
+      date,
+      leadDays: lead,
+      ...Object.fromEntries(Object.entries(values).map(([metric, v]) => [metric, v != null ? roundTo(v, 1) : null]))
+    });
+  }
+
+  return predictions;
+};
+
+/**
+ * Daily history for a city's baseline: several years back to build the climatology
+ * @param {string} cityId - City ID
+ * @param {Date} until - Last day to load
+ * @param {Object} options - { from } first day to load instead of CLIMATOLOGY_YEARS back
+ * @returns {Promise<Array>} Daily records sorted by date
+ */
+const loadBaselineHistory = async (cityId, until = new Date(), options = {}) => {
+  let from = options.from;
+  if (!from) {
+    from = new Date(until);
+    from.setUTCFullYear(from.getUTCFullYear() - CLIMATOLOGY_YEARS);
+  }
+
+  return HistoricalData.find({
+    cityId,
+    date: { $gte: from, $lte: until },
+    ...HistoricalData.dailyFilter()
+  })
+    .select(['date', 'dataCompleteness', ...BASELINE_METRICS].join(' '))
+    .sort({ date: 1 })
+    .lean();
+};
+
+// ========== PRIVATE HELPER FUNCTIONS ==========
+
+/**
+ * Mean anomaly over the latest observed days, if they are recent enough
+ * @private
+ */
+const _recentAnomaly = (recent, metric, means, issueDate) => {
+  const anomalies = [];
+
+  for (const day of recent) {
+    if (anomalies.length >= ANOMALY_DAYS) break;
+    const normal = means[dayOfYear(day.date)];
+    if (!isValidNumber(day[metric]) || normal == null) continue;
+    anomalies.push({ date: new Date(day.date), value: day[metric] - normal });
+  }
+
+  if (anomalies.length === 0) return null;
+  if ((issueDate - anomalies[0].date) / DAY_MS > MAX_ANOMALY_AGE_DAYS) return null;
+
+  return {
+    date: anomalies[0].date,
+    value: anomalies.reduce((sum, a) => sum + a.value, 0) / anomalies.length
+  };
+};
+
+/**
+ * Lag-1 autocorrelation of the daily anomalies, kept between 0 and 0.95
+ * @private
+ */
+const _estimatePersistence = (days, metric, means) => {
+  const anomalies = new Map();
+  for (const day of days) {
+    const normal = means[dayOfYear(day.date)];
+    if (isValidNumber(day[metric]) && normal != null) {
+      anomalies.set(new Date(day.date).getTime(), day[metric] - normal);
+    }
+  }
+
+  const pairs = [];
+  for (const [time, value] of anomalies) {
+    const next = anomalies.get(time + DAY_MS);
+    if (next !== undefined) pairs.push([value, next]);
+  }
+
+  if (pairs.length < 30) return DEFAULT_PERSISTENCE;
+
+  const meanA = pairs.reduce((sum, p) => sum + p[0], 0) / pairs.length;
+  const meanB = pairs.reduce((sum, p) => sum + p[1], 0) / pairs.length;
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (const [a, b] of pairs) {
+    covariance += (a - meanA) * (b - meanB);
+    varianceA += Math.pow(a - meanA, 2);
+    varianceB += Math.pow(b - meanB, 2);
+  }
+
+  if (varianceA === 0 || varianceB === 0) return DEFAULT_PERSISTENCE;
+
+  return Math.min(0.95, Math.max(0, covariance / Math.sqrt(varianceA * varianceB)));
+};
+
+/**
+ * Wrap a day of year around the year end (366 counts as the last day)
+ * @private
+ */
+const _wrapDay = (doy) => ((doy - 1) % 366 + 366) % 366 + 1;
+
+module.exports = {
+  BASELINE_METRICS,
+  buildClimatology,
+  forecastBaseline,
+  generateBaselinePrediction,
+  loadBaselineHistory
+};
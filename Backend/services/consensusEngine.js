@@ -0,0 +1,248 @@
+/**
+ * Consensus Engine Service
+ * Builds a per-metric consensus across sources: robust outlier rejection (median/MAD),
+ * then a mean weighted by each source's data quality score and its historical agreement
+ * with the other sources.
+ */
+
+const RealtimeData = require('../models/RealtimeData');
+const logger = require('../utils/logger');
+const { roundTo, median } = require('../utils/helpers');
+const { getCachedData, setCachedData } = require('./cacheManager');
+
+// Metrics the consensus covers. `tolerance` is the spread (in the metric's unit) that sources
+// can differ by and still be considered in agreement; it also keeps MAD-based rejection from
+// firing when every source reports nearly the same value.
+const CONSENSUS_METRICS = {
+  temperature: { path: 'temperature.current', unit: '°C', tolerance: 1.5, decimals: 1 },
+  humidity: { path: 'humidity', unit: '%', tolerance: 8, decimals: 0 },
+  pressure: { path: 'pressure', unit: 'hPa', tolerance: 3, decimals: 1 },
+  windSpeed: { path: 'windSpeed', unit: 'km/h', tolerance: 4, decimals: 1 },
+  rainfall: { path: 'rainfall', unit: 'mm', tolerance: 2, decimals: 1 },
+  aqi: { path: 'aqi', unit: 'AQI', tolerance: 20, decimals: 0 },
+  pm25: { path: 'pm25', unit: 'µg/m³', tolerance: 10, decimals: 1 },
+  pm10: { path: 'pm10', unit: 'µg/m³', tolerance: 15, decimals: 1 },
+  no2: { path: 'no2', unit: 'µg/m³', tolerance: 10, decimals: 1 }
+};
+
+// Modified z-score above which a value is an outlier (Iglewicz & Hoaglin)
+const OUTLIER_Z = 3.5;
+
+// Records this much older than the newest one are left out as stale
+const STALE_AFTER_MINUTES = 180;
+
+// Window used to learn how well each source agrees with the others
+const AGREEMENT_WINDOW_DAYS = 7;
+
+/**
+ * Build the consensus for a set of latest-per-source records
+ * @param {Array} records - Latest RealtimeData record per source
+ * @param {Object} options - { agreement: { [source]: 0-1 }, expectedSources }
+ * @returns {Object} { timestamp, sources, metrics }
+ */
+const buildConsensus = (records, options = {}) => {
+  const { agreement = {}, expectedSources = null } = options;
+
+  const newest = Math.max(...records.map(r => new Date(r.timestamp).getTime()));
+  const staleCutoff = newest - STALE_AFTER_MINUTES * 60 * 1000;
+
+  const fresh = records.filter(r => new Date(r.timestamp).getTime() >= staleCutoff);
+  const stale = records.filter(r => new Date(r.timestamp).getTime() < staleCutoff).map(_sourceName);
+
+  const metrics = {};
+
+  for (const [metric, definition] of Object.entries(CONSENSUS_METRICS)) {
+    const readings = fresh
+      .map(record => ({
+        source: _sourceName(record),
+        value: _get(record, definition.path),
+        qualityScore: record.dataQualityScore ?? 85,
+        agreement: agreement[_sourceName(record)] ?? 1
+      }))
+      .filter(reading => reading.value != null && !isNaN(reading.value));
+
+    if (readings.length === 0) continue;
+
+    metrics[metric] = _metricConsensus(readings, definition);
+  }
+
+  const reporting = fresh.length;
+
+  return {
+    timestamp: new Date(newest),
+    sources: {
+      reporting,
+      stale,
+      expected: expectedSources,
+      // Share of the enabled collectors that reported, not of a fixed source count
+      completeness: expectedSources ? roundTo(Math.min(reporting / expectedSources, 1) * 100, 0) : null
+    },
+    metrics
+  };
+};
+
+/**
+ * Learn how closely each source tracks the cross-source median
+ * Runs over recent collection rounds (records stored together share a timestamp).
+ * @param {string} cityId - City ID
+ * @param {Object} options - { days, excludeFallback }
+ * @returns {Promise<Object>} { [source]: agreement 0-1 }
+ */
+const getSourceAgreement = async (cityId, options = {}) => {
+  const { days = AGREEMENT_WINDOW_DAYS, excludeFallback = true } = options;
+  const cacheKey = `agreement:${cityId}:${days}:${excludeFallback ? 'primary' : 'all'}`;
+
+  const cached = getCachedData(cacheKey);
+  if (cached) return cached;
+
+  try {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const query = { cityId, timestamp: { $gte: since } };
+    if (excludeFallback) query['provenance.isFallback'] = { $ne: true };
+
+    const projection = Object.values(CONSENSUS_METRICS).reduce(
+      (acc, def) => ({ ...acc, [def.path]: 1 }),
+      { timestamp: 1, 'dataSources.temperature': 1 }
+    );
+
+    const records = await RealtimeData.find(query, projection).lean();
+
+    // Group into collection rounds
+    const rounds = new Map();
+    for (const record of records) {
+      const key = new Date(record.timestamp).getTime();
+      if (!rounds.has(key)) rounds.set(key, []);
+      rounds.get(key).push(record);
+    }
+
+    // Mean normalised deviation from the round median, per source
+    const deviations = {};
+
+    for (const round of rounds.values()) {
+      if (round.length < 3) continue;
+
+      for (const definition of Object.values(CONSENSUS_METRICS)) {
+        const readings = round
+          .map(record => ({ source: _sourceName(record), value: _get(record, definition.path) }))
+          .filter(reading => reading.value != null && !isNaN(reading.value));
+
+        if (readings.length < 3) continue;
+
+        const centre = median(readings.map(r => r.value));
+
+        for (const reading of readings) {
+          if (!deviations[reading.source]) deviations[reading.source] = [];
+          deviations[reading.source].push(Math.abs(reading.value - centre) / definition.tolerance);
+        }
+      }
+    }
+
+    const agreement = {};
+    for (const [source, values] of Object.entries(deviations)) {
+      const meanDeviation = values.reduce((sum, v) => sum + v, 0) / values.length;
+      // Within tolerance on average -> close to 1; two tolerances off -> 1/3
+      agreement[source] = roundTo(1 / (1 + meanDeviation), 3);
+    }
+
+    setCachedData(cacheKey, agreement, 3600);
+
+    return agreement;
+
+  } catch (error) {
+    logger.error(`Error computing source agreement for ${cityId}:`, error.message);
+    return {};
+  }
+};
+
+// ========== PRIVATE HELPER FUNCTIONS ==========
+
+/**
+ * Consensus for one metric
+ * @private
+ */
+const _metricConsensus = (readings, definition) => {
+  const values = readings.map(r => r.value);
+  const centre = median(values);
+  const mad = median(values.map(v => Math.abs(v - centre)));
+
+  // With fewer than 3 readings there is no majority to reject against
+  const canReject = readings.length >= 3;
+
+  const contributions = readings.map(reading => {
+    const deviation = reading.value - centre;
+    const robustZ = mad > 0 ? (0.6745 * deviation) / mad : (deviation === 0 ? 0 : Infinity);
+    const isOutlier = canReject && Math.abs(robustZ) > OUTLIER_Z && Math.abs(deviation) > definition.tolerance;
+    const weight = isOutlier ? 0 : (reading.qualityScore / 100) * reading.agreement;
+
+    return {
+      source: reading.source,
+      value: reading.value,
+      deviation: roundTo(deviation, definition.decimals + 1),
+      robustZ: isFinite(robustZ) ? roundTo(robustZ, 2) : null,
+      qualityScore: reading.qualityScore,
+      agreement: reading.agreement,
+      weight: roundTo(weight, 3),
+      isOutlier
+    };
+  });
+
+  const inliers = contributions.filter(c => !c.isOutlier);
+  const totalWeight = inliers.reduce((sum, c) => sum + c.weight, 0);
+
+  const value = totalWeight > 0
+    ? inliers.reduce((sum, c) => sum + c.value * c.weight, 0) / totalWeight
+    : median(inliers.map(c => c.value));
+
+  const inlierValues = inliers.map(c => c.value);
+  const min = Math.min(...inlierValues);
+  const max = Math.max(...inlierValues);
+  const mean = inlierValues.reduce((sum, v) => sum + v, 0) / inlierValues.length;
+  const stdDev = Math.sqrt(inlierValues.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / inlierValues.length);
+
+  const outliers = contributions.filter(c => c.isOutlier).map(c => c.source);
+  const highSpread = max - min > definition.tolerance;
+
+  const flags = [];
+  if (outliers.length > 0) flags.push('outliers_rejected');
+  if (highSpread) flags.push('high_spread');
+  if (readings.length === 1) flags.push('single_source');
+
+  return {
+    value: roundTo(value, definition.decimals),
+    unit: definition.unit,
+    median: roundTo(centre, definition.decimals),
+    mad: roundTo(mad, definition.decimals + 1),
+    spread: {
+      min: roundTo(min, definition.decimals),
+      max: roundTo(max, definition.decimals),
+      range: roundTo(max - min, definition.decimals),
+      stdDev: roundTo(stdDev, definition.decimals + 1)
+    },
+    tolerance: definition.tolerance,
+    sourceCount: readings.length,
+    inlierCount: inliers.length,
+    outliers,
+    // Sources still disagree after outlier rejection
+    disagreement: highSpread,
+    flags,
+    contributions
+  };
+};
+
+/**
+ * Source a record is attributed to
+ * @private
+ */
+const _sourceName = (record) => record.dataSources?.temperature || 'Unknown';
+
+/**
+ * Read a dotted path
+ * @private
+ */
+const _get = (obj, path) => path.split('.').reduce((acc, key) => (acc == null ? acc : acc[key]), obj);
+
+module.exports = {
+  CONSENSUS_METRICS,
+  buildConsensus,
+  getSourceAgreement
+};
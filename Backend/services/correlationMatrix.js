@@ -0,0 +1,294 @@
+/**
+ * Correlation Matrix Service
+ * Pearson or Spearman correlations between daily series of several metrics in one or
+ * more cities, with a lag so one series can be compared with another some days later
+ * (e.g. wind today against PM2.5 tomorrow), and a two-sided p-value for each.
+ */
+
+const HistoricalData = require('../models/HistoricalData');
+const { getCachedData, setCachedData } = require('./cacheManager');
+const { roundTo, startOfUtcDay, isCompleteDay, DAY_MS, logGamma } = require('../utils/helpers');
+const { CITIES } = require('../config/constants');
+
+// Metric names accepted by the API, by daily HistoricalData field
+const CORRELATION_METRICS = {
+  temperature: 'avgTemperature',
+  humidity: 'avgHumidity',
+  rainfall: 'totalRainfall',
+  wind: 'avgWindSpeed',
+  pm25: 'avgPm25',
+  pm10: 'avgPm10',
+  no2: 'avgNo2',
+  o3: 'avgO3',
+  aqi: 'avgAqi'
+};
+
+// Metrics in the matrix when none are asked for
+const DEFAULT_MATRIX_METRICS = ['temperature', 'humidity', 'rainfall', 'wind', 'pm25', 'pm10', 'no2', 'o3'];
+
+const CORRELATION_METHODS = ['pearson', 'spearman'];
+
+const MAX_LAG_DAYS = 7;
+
+// Paired days needed before a coefficient is reported
+const MIN_PAIRS = 10;
+
+/**
+ * Ranks from 1, ties sharing the average of their ranks
+ * @param {Array} values - Numbers
+ * @returns {Array} Rank of each value, in input order
+ */
+const rankValues = (values) => {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k].index] = rank;
+    i = j + 1;
+  }
+
+  return ranks;
+};
+
+/**
+ * Correlation of paired values with its two-sided p-value
+ * The p-value is from the t statistic r√((n-2)/(1-r²)) with n-2 degrees of freedom,
+ * which for Spearman is the usual large-sample approximation.
+ * @param {Array} x - Values
+ * @param {Array} y - Values paired with x
+ * @param {string} method - 'pearson' or 'spearman'
+ * @returns {Object|null} { coefficient, pValue, n }, or null with fewer than MIN_PAIRS pairs
+ */
+const correlate = (x, y, method = 'pearson') => {
+  const n = x.length;
+  if (n < MIN_PAIRS) return null;
+
+  const r = method === 'spearman'
+    ? _pearson(rankValues(x), rankValues(y))
+    : _pearson(x, y);
+  if (r == null) return null;
+
+  const df = n - 2;
+  const pValue = Math.abs(r) >= 1
+    ? 0
+    : _incompleteBeta(df / 2, 0.5, 1 - r * r);
+
+  return {
+    coefficient: roundTo(r, 3),
+    pValue: roundTo(pValue, 4),
+    n
+  };
+};
+
+/**
+ * Pair two daily series with the second shifted by a lag
+ * @param {Map} a - Date (ms) → value
+ * @param {Map} b - Date (ms) → value
+ * @param {number} lag - Days after each `a` date that its `b` value is taken
+ * @returns {Object} { times, x, y } with `times` the `a` dates
+ */
+const laggedPairs = (a, b, lag = 0) => {
+  const times = [];
+  const x = [];
+  const y = [];
+
+  for (const [time, value] of a) {
+    const paired = b.get(time + lag * DAY_MS);
+    if (paired === undefined) continue;
+    times.push(time);
+    x.push(value);
+    y.push(paired);
+  }
+
+  return { times, x, y };
+};
+
+/**
+ * Strength label for a correlation coefficient
+ * @param {number} r - Coefficient
+ * @returns {string} 'strong', 'moderate', 'weak' or 'very weak'
+ */
+const correlationStrength = (r) => {
+  const abs = Math.abs(r);
+  if (abs >= 0.7) return 'strong';
+  if (abs >= 0.4) return 'moderate';
+  if (abs >= 0.2) return 'weak';
+  return 'very weak';
+};
+
+/**
+ * Correlation matrices between every city/metric series, one per lag
+ * In the matrix for lag k, the row series on each day is paired with the column
+ * series k days later, so matrices for lags above 0 are not symmetric.
+ * @param {Object} options - { cityIds, metrics, method, lags, startDate, endDate }
+ * @returns {Promise<Object>} { cityIds, metrics, method, period, variables, matrices: [{ lag, cells }] }
+ */
+const getCorrelationMatrix = async (options) => {
+  const {
+    cityIds,
+    metrics = DEFAULT_MATRIX_METRICS,
+    method = 'pearson',
+    lags = [0],
+    startDate,
+    endDate
+  } = options;
+
+  const startDay = startOfUtcDay(startDate).getTime();
+  const endDay = startOfUtcDay(endDate).getTime();
+  const cacheKey = `correlation-matrix:${cityIds.join(',')}:${metrics.join(',')}:${method}:${lags.join(',')}:${startDay}:${endDay}`;
+
+  const cached = getCachedData(cacheKey);
+  if (cached) return cached;
+
+  const fields = metrics.map(metric => CORRELATION_METRICS[metric]);
+  const records = await HistoricalData.find({
+    cityId: { $in: cityIds },
+    date: { $gte: new Date(startDay), $lte: new Date(endDay) },
+    ...HistoricalData.dailyFilter()
+  })
+    .select(['cityId', 'date', 'dataCompleteness', ...fields].join(' '))
+    .lean();
+
+  const variables = [];
+  const series = [];
+  for (const cityId of cityIds) {
+    const cityName = CITIES.find(c => c.id === cityId)?.name;
+    const days = records.filter(day => day.cityId === cityId && isCompleteDay(day));
+
+    for (const metric of metrics) {
+      const field = CORRELATION_METRICS[metric];
+      const values = new Map();
+      for (const day of days) {
+        if (typeof day[field] === 'number' && !isNaN(day[field])) values.set(startOfUtcDay(day.date).getTime(), day[field]);
+      }
+
+      variables.push({
+        key: cityIds.length > 1 ? `${cityId}:${metric}` : metric,
+        cityId,
+        cityName,
+        metric,
+        days: values.size
+      });
+      series.push(values);
+    }
+  }
+
+  const matrices = lags.map(lag => ({
+    lag,
+    cells: series.map((rowSeries, i) => series.map((columnSeries, j) => {
+      // A series against itself on the same day is trivially 1
+      if (i === j && lag === 0) return { coefficient: 1, pValue: 0, n: rowSeries.size };
+
+      const { x, y } = laggedPairs(rowSeries, columnSeries, lag);
+      return correlate(x, y, method);
+    }))
+  }));
+
+  const result = {
+    cityIds,
+    metrics,
+    method,
+    period: { startDate: new Date(startDay), endDate: new Date(endDay) },
+    minPairs: MIN_PAIRS,
+    variables,
+    matrices
+  };
+
+  setCachedData(cacheKey, result, 3600);
+
+  return result;
+};
+
+// ========== PRIVATE HELPER FUNCTIONS ==========
+
+/**
+ * Pearson coefficient, or null when either series is constant
+ * @private
+ */
+const _pearson = (x, y) => {
+  const n = x.length;
+  const meanX = x.reduce((sum, v) => sum + v, 0) / n;
+  const meanY = y.reduce((sum, v) => sum + v, 0) / n;
+
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (x[i] - meanX) * (y[i] - meanY);
+    sxx += Math.pow(x[i] - meanX, 2);
+    syy += Math.pow(y[i] - meanY, 2);
+  }
+
+  if (sxx === 0 || syy === 0) return null;
+  return Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy)));
+};
+
+/**
+ * Regularised incomplete beta function I_x(a, b) by its continued fraction
+ * (Numerical Recipes 6.4). I_x(df/2, 1/2) at x = df/(df+t²) is the two-sided
+ * p-value of t with df degrees of freedom.
+ * @private
+ */
+const _incompleteBeta = (a, b, x) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+
+  // The continued fraction converges fast only below (a+1)/(a+b+2)
+  if (x < (a + 1) / (a + b + 2)) return front * _betaFraction(a, b, x) / a;
+  return 1 - front * _betaFraction(b, a, 1 - x) / b;
+};
+
+/**
+ * @private
+ */
+const _betaFraction = (a, b, x) => {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-10) break;
+  }
+
+  return h;
+};
+
+module.exports = {
+  CORRELATION_METRICS,
+  DEFAULT_MATRIX_METRICS,
+  CORRELATION_METHODS,
+  MAX_LAG_DAYS,
+  rankValues,
+  correlate,
+  laggedPairs,
+  correlationStrength,
+  getCorrelationMatrix
+};
@@ -0,0 +1,193 @@
+/**
+ * Daily Summary Service
+ * Summarises one local day of realtime readings into daily HistoricalData fields.
+ * The nightly rollup stores these summaries; climate normals use them for today's
+ * partial day without storing anything.
+ */
+
+const RealtimeData = require('../models/RealtimeData');
+const { getZonedDayBounds, isValidNumber, median, mean, sum, roundOrNull } = require('../utils/helpers');
+const { POLLUTANTS, calculateAllScales } = require('../utils/aqiCalculator');
+const { degreeDays, dailyHeatStress } = require('../utils/thermalIndices');
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+// Realtime fields rolled up into the daily record, by HistoricalData field
+const DAILY_MEANS = {
+  avgTemperature: { path: 'temperature.current', decimals: 1 },
+  avgHumidity: { path: 'humidity', decimals: 0 },
+  avgPressure: { path: 'pressure', decimals: 1 },
+  avgWindSpeed: { path: 'windSpeed', decimals: 1 },
+  avgPm25: { path: 'pm25', decimals: 1 },
+  avgPm10: { path: 'pm10', decimals: 1 },
+  avgNo2: { path: 'no2', decimals: 1 },
+  avgO3: { path: 'o3', decimals: 1 },
+  avgSo2: { path: 'so2', decimals: 1 },
+  avgCo: { path: 'co', decimals: 1 },
+  avgNh3: { path: 'nh3', decimals: 1 },
+  avgPb: { path: 'pb', decimals: 2 }
+};
+
+// HistoricalData pollutant field for each AQI pollutant key
+const POLLUTANT_FIELDS = {
+  pm25: 'avgPm25', pm10: 'avgPm10', no2: 'avgNo2', so2: 'avgSo2',
+  co: 'avgCo', o3: 'avgO3', nh3: 'avgNh3', pb: 'avgPb'
+};
+
+// Heat stress indices kept per rollup as the period's highest value
+const HEAT_STRESS_FIELDS = ['maxHeatIndex', 'maxHumidex', 'maxWetBulb', 'maxWbgt'];
+
+// IMD reports rainfall accumulated over the past 24h rather than the current hour,
+// so adding its readings up would count the same rain many times over
+const ACCUMULATED_RAINFALL_SOURCES = ['IMD'];
+
+/**
+ * Daily summary of one local day of realtime data, without storing it
+ * Also used for the current day, which is summarised over the hours so far.
+ * @param {Object} city - City from CITIES
+ * @param {string} dateLabel - Local date, YYYY-MM-DD
+ * @returns {Promise<Object|null>} Daily HistoricalData fields, or null if there were no readings
+ */
+const summariseDay = async (city, dateLabel) => {
+  const timeZone = city.timezone || DEFAULT_TIMEZONE;
+  const { start, end } = getZonedDayBounds(dateLabel, timeZone);
+
+  // Fallback records repeat Open-Meteo values under another source's name
+  const records = await RealtimeData.find({
+    cityId: city.id,
+    timestamp: { $gte: start, $lt: end },
+    'provenance.isFallback': { $ne: true }
+  }).lean();
+
+  if (records.length === 0) return null;
+
+  const hours = _groupByHour(records, start);
+  const hourlyMedians = [...hours.values()].map(_hourMedians);
+  const expectedHours = Math.round((end - start) / 3600000); // 23 or 25 on DST changes
+
+  const rollup = {};
+
+  for (const [field, definition] of Object.entries(DAILY_MEANS)) {
+    rollup[field] = roundOrNull(mean(hourlyMedians.map(h => h[definition.path])), definition.decimals);
+  }
+
+  const hourlyTemps = hourlyMedians.map(h => h['temperature.current']).filter(v => v != null);
+  rollup.maxTemperature = hourlyTemps.length > 0 ? roundOrNull(Math.max(...hourlyTemps), 1) : null;
+  rollup.minTemperature = hourlyTemps.length > 0 ? roundOrNull(Math.min(...hourlyTemps), 1) : null;
+
+  const hourlyWind = hourlyMedians.map(h => h.windSpeed).filter(v => v != null);
+  rollup.maxWindSpeed = hourlyWind.length > 0 ? roundOrNull(Math.max(...hourlyWind), 1) : null;
+
+  // Rain over the hours that were observed; missing hours are not extrapolated
+  rollup.totalRainfall = roundOrNull(sum(hourlyMedians.map(h => h.rainfall)), 1);
+
+  // Degree days at the configured bases; other bases are worked out per request
+  const { cooling, heating } = degreeDays(rollup);
+  rollup.coolingDegreeDays = roundOrNull(cooling, 1);
+  rollup.heatingDegreeDays = roundOrNull(heating, 1);
+
+  const heatStress = dailyHeatStress(hourlyMedians.map(h => ({ temperature: h['temperature.current'], humidity: h.humidity })));
+  for (const field of HEAT_STRESS_FIELDS) rollup[field] = roundOrNull(heatStress[field], 1);
+
+  Object.assign(rollup, summariseAirQuality(rollup, hourlyMedians.map(h => h.aqi)));
+
+  const sources = [...new Set(records.map(_sourceName))].sort();
+
+  return {
+    ...rollup,
+    hoursCovered: hours.size,
+    recordCount: records.length,
+    dataCompleteness: roundOrNull(Math.min(hours.size / expectedHours, 1) * 100, 0),
+    sources
+  };
+};
+
+/**
+ * AQI fields for a rollup: both scales from the mean concentrations, with the
+ * mean of the reported AQI values when no pollutant concentrations are available
+ * @param {Object} rollup - Rollup fields, with the DAILY_MEANS pollutant means
+ * @param {Array} aqiValues - Reported AQI values to fall back on
+ * @returns {Object} { avgAqi, aqiIndices }
+ */
+const summariseAirQuality = (rollup, aqiValues) => {
+  const pollutantMeans = {};
+  for (const pollutant of POLLUTANTS) {
+    const value = rollup[POLLUTANT_FIELDS[pollutant]];
+    if (value != null) pollutantMeans[pollutant] = value;
+  }
+
+  const aqiIndices = calculateAllScales(pollutantMeans);
+  const avgAqi = aqiIndices.us_epa.aqi ?? roundOrNull(mean(aqiValues), 0);
+
+  return {
+    avgAqi,
+    aqiIndices: aqiIndices.us_epa.aqi != null ? aqiIndices : undefined
+  };
+};
+
+// ========== PRIVATE HELPER FUNCTIONS ==========
+
+/**
+ * Readings grouped by hour since the start of the local day
+ * Each source counts once per hour (its latest reading).
+ * @private
+ */
+const _groupByHour = (records, dayStart) => {
+  const hours = new Map();
+
+  for (const record of records) {
+    const hour = Math.floor((new Date(record.timestamp) - dayStart) / 3600000);
+    if (!hours.has(hour)) hours.set(hour, new Map());
+
+    const bySource = hours.get(hour);
+    const source = _sourceName(record);
+    const existing = bySource.get(source);
+    if (!existing || new Date(record.timestamp) > new Date(existing.timestamp)) {
+      bySource.set(source, record);
+    }
+  }
+
+  return hours;
+};
+
+/**
+ * Cross-source median of each field for one hour
+ * @private
+ */
+const _hourMedians = (bySource) => {
+  const records = [...bySource.values()];
+  const medians = {};
+
+  const paths = [...Object.values(DAILY_MEANS).map(d => d.path), 'aqi'];
+  for (const path of paths) {
+    medians[path] = median(records.map(r => _get(r, path)).filter(isValidNumber));
+  }
+
+  medians.rainfall = median(
+    records
+      .filter(r => !ACCUMULATED_RAINFALL_SOURCES.includes(_sourceName(r)))
+      .map(r => r.rainfall)
+      .filter(isValidNumber)
+  );
+
+  return medians;
+};
+
+/**
+ * Source a record is attributed to
+ * @private
+ */
+const _sourceName = (record) => record.dataSources?.temperature || 'Unknown';
+
+/**
+ * Read a dotted path
+ * @private
+ */
+const _get = (obj, path) => path.split('.').reduce((acc, key) => (acc == null ? acc : acc[key]), obj);
+
+module.exports = {
+  DAILY_MEANS,
+  HEAT_STRESS_FIELDS,
+  summariseDay,
+  summariseAirQuality
+};
@@ -1,12 +1,14 @@
 /**
  * Data Processor Service
- * Handles data aggregation, AQI calculation, anomaly detection, and missing data interpolation
+ * Handles data aggregation, anomaly detection, and missing data interpolation
+ * (AQI calculation lives in utils/aqiCalculator)
  */
 
 const RealtimeData = require('../models/RealtimeData');
 const HistoricalData = require('../models/HistoricalData');
 const logger = require('../utils/logger');
 const { roundTo, getDateRange } = require('../utils/helpers');
+const { POLLUTANTS, calculateAllScales } = require('../utils/aqiCalculator');
 
 /**
  * Aggregate hourly data to daily summaries
@@ -22,10 +24,11 @@ const aggregateDailyData = async (cityId, date) => {
     const endOfDay = new Date(date);
     endOfDay.setHours(23, 59, 59, 999);
 
-    // Fetch all hourly data for the day
+    // Fetch all hourly data for the day, skipping fallback copies of Open-Meteo
     const hourlyData = await RealtimeData.find({
       cityId: cityId,
-      timestamp: { $gte: startOfDay, $lte: endOfDay }
+      timestamp: { $gte: startOfDay, $lte: endOfDay },
+      'provenance.isFallback': { $ne: true }
     });
 
     if (hourlyData.length === 0) {
@@ -40,6 +43,13 @@ const aggregateDailyData = async (cityId, date) => {
     const pm10Values = hourlyData.map(d => d.pm10).filter(p => p != null);
     const aqiValues = hourlyData.map(d => d.aqi).filter(a => a != null);
 
+    // Daily mean concentration of every pollutant, for the daily AQI on each scale
+    const pollutantMeans = POLLUTANTS.reduce((acc, pollutant) => {
+      const values = hourlyData.map(d => d[pollutant]).filter(v => v != null);
+      if (values.length > 0) acc[pollutant] = _average(values);
+      return acc;
+    }, {});
+
     const aggregated = {
       cityId: cityId,
       date: startOfDay,
@@ -56,6 +66,7 @@ const aggregateDailyData = async (cityId, date) => {
       avgPm25: pm25Values.length > 0 ? roundTo(_average(pm25Values), 1) : null,
       avgPm10: pm10Values.length > 0 ? roundTo(_average(pm10Values), 1) : null,
       avgAqi: aqiValues.length > 0 ? roundTo(_average(aqiValues), 0) : null,
+      aqiIndices: calculateAllScales(pollutantMeans),
       
       // Data completeness (percentage of hours with data)
       dataCompleteness: roundTo((hourlyData.length / 24) * 100, 0),
@@ -74,50 +85,10 @@ const aggregateDailyData = async (cityId, date) => {
   }
 };
 
-/**
- * Calculate AQI from PM2.5 using US EPA standard
- * @param {number} pm25 - PM2.5 concentration (µg/m³)
- * @returns {number} AQI value (0-500)
- */
-const calculateAQI = (pm25) => {
-  if (!pm25 || pm25 < 0) return 0;
-
-  // US EPA AQI breakpoints for PM2.5 (24-hour average)
-  const breakpoints = [
-    { cLow: 0.0, cHigh: 12.0, iLow: 0, iHigh: 50 },      // Good
-    { cLow: 12.1, cHigh: 35.4, iLow: 51, iHigh: 100 },   // Moderate
-    { cLow: 35.5, cHigh: 55.4, iLow: 101, iHigh: 150 },  // Unhealthy for Sensitive Groups
-    { cLow: 55.5, cHigh: 150.4, iLow: 151, iHigh: 200 }, // Unhealthy
-    { cLow: 150.5, cHigh: 250.4, iLow: 201, iHigh: 300 },// Very Unhealthy
-    { cLow: 250.5, cHigh: 500.4, iLow: 301, iHigh: 500 } // Hazardous
-  ];
-
-  for (const bp of breakpoints) {
-    if (pm25 >= bp.cLow && pm25 <= bp.cHigh) {
-      const aqi = ((bp.iHigh - bp.iLow) / (bp.cHigh - bp.cLow)) * (pm25 - bp.cLow) + bp.iLow;
-      return Math.round(aqi);
-    }
-  }
-
-  return 500; // Hazardous (beyond scale)
-};
-
-/**
- * Get AQI category and color
- * @param {number} aqi - AQI value
- * @returns {Object} Category info
- */
-const getAQICategory = (aqi) => {
-  if (aqi <= 50) return { level: 'Good', color: '#00e400', concern: 'None' };
-  if (aqi <= 100) return { level: 'Moderate', color: '#ffff00', concern: 'Sensitive groups' };
-  if (aqi <= 150) return { level: 'Unhealthy for Sensitive Groups', color: '#ff7e00', concern: 'Sensitive groups' };
-  if (aqi <= 200) return { level: 'Unhealthy', color: '#ff0000', concern: 'Everyone' };
-  if (aqi <= 300) return { level: 'Very Unhealthy', color: '#8f3f97', concern: 'Everyone' };
-  return { level: 'Hazardous', color: '#7e0023', concern: 'Everyone' };
-};
-
 /**
  * Detect anomalies in data points using statistical methods
+ * A z-score against the whole series: only meaningful for series without a seasonal or
+ * daily cycle. City weather series go through services/decomposition instead.
  * @param {Array} dataPoints - Array of data points with value and timestamp
  * @param {number} threshold - Standard deviation threshold (default: 3)
  * @returns {Array} Array of anomalies
@@ -263,8 +234,6 @@ const _standardDeviation = (values, mean) => {
 
 module.exports = {
   aggregateDailyData,
-  calculateAQI,
-  getAQICategory,
   detectAnomalies,
   fillMissingData,
   calculateMovingAverage
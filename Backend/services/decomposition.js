@@ -0,0 +1,333 @@
+/**
+ * Decomposition Service
+ * Splits a city's series into trend, seasonal and residual components and flags
+ * anomalies on the residual, so a hot day is only anomalous if it is hot for the
+ * time of year (daily series) or the time of day (hourly series).
+ */
+
+const HistoricalData = require('../models/HistoricalData');
+const RealtimeData = require('../models/RealtimeData');
+const { getCachedData, setCachedData } = require('./cacheManager');
+const { roundTo, median, solveLinearSystem, isCompleteDay, DAY_MS } = require('../utils/helpers');
+
+// Daily HistoricalData field -> realtime reading path for the hourly series.
+// Rainfall is left out: mostly zeros with rare large values, every wet day would stand out.
+const DECOMPOSITION_METRICS = {
+  avgTemperature: 'temperature.current',
+  maxTemperature: null,
+  minTemperature: null,
+  avgHumidity: 'humidity',
+  avgPressure: 'pressure',
+  avgWindSpeed: 'windSpeed',
+  avgPm25: 'pm25',
+  avgPm10: 'pm10',
+  avgNo2: 'no2',
+  avgO3: 'o3',
+  avgAqi: 'aqi'
+};
+
+const GRANULARITIES = ['daily', 'hourly'];
+
+// Residuals this many robust z-scores from their median are anomalies (as in the consensus engine)
+const DEFAULT_THRESHOLD = 3.5;
+
+// Years of daily history the annual cycle is fitted on
+const DAILY_HISTORY_YEARS = 5;
+
+// Annual harmonics fitted; two capture the sharp pre-monsoon peak better than one
+const ANNUAL_HARMONICS = 2;
+
+// Days needed before the annual cycle is fitted; a handful of days a year apart can't pin it down
+const MIN_ANNUAL_FIT_DAYS = 90;
+
+// Half-widths of the centred moving average used as the trend
+const DAILY_TREND_HALF_WINDOW = 45;
+const SHORT_DAILY_TREND_HALF_WINDOW = 15;   // without a full year the window has to follow the season
+const HOURLY_TREND_HALF_WINDOW = 12;
+
+// Days of hourly data per hour of the day needed to estimate the diurnal cycle
+const MIN_DIURNAL_DAYS = 3;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Decompose a daily series: trend (centred moving average), annual cycle (harmonic
+ * regression, once the series spans a year with enough days to fit it) and residual
+ * @param {Array} days - [{ date, value }] sorted by date; missing days allowed
+ * @returns {Array} [{ date, value, trend, seasonal, residual }]
+ */
+const decomposeDaily = (days) => {
+  if (days.length === 0) return [];
+
+  const start = new Date(days[0].date).getTime();
+  const span = (new Date(days[days.length - 1].date).getTime() - start) / DAY_MS;
+  const points = days.map(day => ({
+    date: new Date(day.date),
+    t: (new Date(day.date).getTime() - start) / DAY_MS,
+    value: day.value
+  }));
+
+  let seasonal = points.map(() => 0);
+  let annualFit = false;
+  if (span >= 365 && points.length >= MIN_ANNUAL_FIT_DAYS) {
+    // Fit the trend jointly so the harmonics do not absorb it
+    const rows = points.map(p => [1, p.t / 365.25, ..._harmonics(p.date)]);
+    const coefficients = _leastSquares(rows, points.map(p => p.value));
+    if (coefficients) {
+      seasonal = rows.map(row => row.slice(2).reduce((sum, v, j) => sum + v * coefficients[j + 2], 0));
+      annualFit = true;
+    }
+  }
+
+  const halfWindow = annualFit ? DAILY_TREND_HALF_WINDOW : SHORT_DAILY_TREND_HALF_WINDOW;
+  const trend = _movingAverage(points.map(p => p.t), points.map((p, i) => p.value - seasonal[i]), halfWindow);
+
+  return points.map((p, i) => ({
+    date: p.date,
+    value: p.value,
+    trend: trend[i],
+    seasonal: seasonal[i],
+    residual: trend[i] != null ? p.value - trend[i] - seasonal[i] : null
+  }));
+};
+
+/**
+ * Decompose an hourly series: trend (24-hour centred moving average), diurnal cycle
+ * (mean detrended value by local hour) and residual. Over a few weeks the annual
+ * cycle is part of the trend.
+ * The diurnal cycle is estimated against a trend from nearly full 24-hour windows only,
+ * since a one-sided window at either end would take in half a cycle; the final trend is
+ * then taken from the values with the cycle removed, which is safe up to the last hour.
+ * @param {Array} hours - [{ timestamp, value }] sorted by time
+ * @param {string} timeZone - City time zone for the hour of day
+ * @returns {Array} [{ timestamp, value, trend, seasonal, residual }]
+ */
+const decomposeHourly = (hours, timeZone = 'Asia/Kolkata') => {
+  if (hours.length === 0) return [];
+
+  const times = hours.map(h => new Date(h.timestamp).getTime() / HOUR_MS);
+  const fullWindowTrend = _movingAverage(times, hours.map(h => h.value), HOURLY_TREND_HALF_WINDOW, Math.round(HOURLY_TREND_HALF_WINDOW * 1.5));
+  const localHours = hours.map(h => _localHour(new Date(h.timestamp), timeZone));
+
+  const byHour = Array.from({ length: 24 }, () => []);
+  hours.forEach((h, i) => {
+    if (fullWindowTrend[i] != null) byHour[localHours[i]].push(h.value - fullWindowTrend[i]);
+  });
+  const hourMeans = byHour.map(values => (values.length >= MIN_DIURNAL_DAYS
+    ? values.reduce((sum, v) => sum + v, 0) / values.length
+    : null));
+
+  // Centre the cycle so it only moves values around the trend
+  const known = hourMeans.filter(v => v != null);
+  const offset = known.length > 0 ? known.reduce((sum, v) => sum + v, 0) / known.length : 0;
+
+  const seasonal = localHours.map(hour => (hourMeans[hour] != null ? hourMeans[hour] - offset : 0));
+  const trend = _movingAverage(times, hours.map((h, i) => h.value - seasonal[i]), HOURLY_TREND_HALF_WINDOW);
+
+  return hours.map((h, i) => ({
+    timestamp: new Date(h.timestamp),
+    value: h.value,
+    trend: trend[i],
+    seasonal: seasonal[i],
+    residual: trend[i] != null ? h.value - trend[i] - seasonal[i] : null
+  }));
+};
+
+/**
+ * Mark residuals beyond a robust z-score threshold (median and MAD of all residuals)
+ * @param {Array} components - From decomposeDaily or decomposeHourly
+ * @param {number} threshold - Robust z-score
+ * @returns {Array} Components with zScore and anomaly added
+ */
+const flagAnomalies = (components, threshold = DEFAULT_THRESHOLD) => {
+  const residuals = components.map(c => c.residual).filter(r => r != null);
+  if (residuals.length === 0) return components.map(c => ({ ...c, zScore: null, anomaly: false }));
+
+  const centre = median(residuals);
+  const mad = median(residuals.map(r => Math.abs(r - centre)));
+  const scale = mad * 1.4826;   // MAD of a normal distribution -> standard deviation
+
+  return components.map(c => {
+    const zScore = c.residual != null && scale > 0 ? (c.residual - centre) / scale : null;
+    return { ...c, zScore, anomaly: zScore != null && Math.abs(zScore) >= threshold };
+  });
+};
+
+/**
+ * Decomposition and anomalies for a city and metric
+ * Daily series are fitted on several years of daily records and hourly series on the
+ * window itself; only the last `days` are returned.
+ * @param {Object} city - City from CITIES
+ * @param {Object} options - { metric, granularity, days, threshold }
+ * @returns {Promise<Object>} { cityId, metric, granularity, threshold, points, anomalies }
+ */
+const getAnomalies = async (city, options = {}) => {
+  const {
+    metric = 'avgTemperature',
+    granularity = 'daily',
+    days = granularity === 'daily' ? 90 : 14,
+    threshold = DEFAULT_THRESHOLD
+  } = options;
+
+  const cacheKey = `anomalies:${city.id}:${metric}:${granularity}:${days}:${threshold}`;
+  const cached = getCachedData(cacheKey);
+  if (cached) return cached;
+
+  const now = new Date();
+  const since = new Date(now.getTime() - days * DAY_MS);
+  let components;
+
+  if (granularity === 'hourly') {
+    const hours = await _loadHourlySeries(city.id, DECOMPOSITION_METRICS[metric], since);
+    components = decomposeHourly(hours, city.timezone || 'Asia/Kolkata');
+  } else {
+    const from = new Date(now);
+    from.setUTCFullYear(from.getUTCFullYear() - DAILY_HISTORY_YEARS);
+
+    const history = await HistoricalData.find({
+      cityId: city.id,
+      date: { $gte: from },
+      [metric]: { $ne: null },
+      ...HistoricalData.dailyFilter()
+    })
+      .select(`date dataCompleteness ${metric}`)
+      .sort({ date: 1 })
+      .lean();
+
+    components = decomposeDaily(history.filter(isCompleteDay).map(day => ({ date: day.date, value: day[metric] })));
+  }
+
+  const timeKey = granularity === 'hourly' ? 'timestamp' : 'date';
+  const points = flagAnomalies(components, threshold)
+    .filter(c => c[timeKey] >= since)
+    .map(c => ({
+      [timeKey]: c[timeKey],
+      value: roundTo(c.value, 2),
+      trend: c.trend != null ? roundTo(c.trend, 2) : null,
+      seasonal: roundTo(c.seasonal, 2),
+      residual: c.residual != null ? roundTo(c.residual, 2) : null,
+      zScore: c.zScore != null ? roundTo(c.zScore, 2) : null,
+      anomaly: c.anomaly
+    }));
+
+  const anomalies = points
+    .filter(p => p.anomaly)
+    .map(p => ({
+      [timeKey]: p[timeKey],
+      value: p.value,
+      expected: roundTo(p.trend + p.seasonal, 2),
+      residual: p.residual,
+      zScore: p.zScore,
+      direction: p.residual > 0 ? 'high' : 'low'
+    }));
+
+  const result = {
+    cityId: city.id,
+    metric,
+    granularity,
+    threshold,
+    points,
+    anomalies
+  };
+
+  setCachedData(cacheKey, result, 3600);
+
+  return result;
+};
+
+// ========== PRIVATE HELPER FUNCTIONS ==========
+
+/**
+ * Hourly medians of a realtime reading across sources, skipping fallback records
+ * @private
+ */
+const _loadHourlySeries = async (cityId, path, since) => {
+  const records = await RealtimeData.find({
+    cityId,
+    timestamp: { $gte: since },
+    'provenance.isFallback': { $ne: true }
+  })
+    .select(`timestamp ${path}`)
+    .lean();
+
+  const byHour = new Map();
+  for (const record of records) {
+    const value = path.split('.').reduce((obj, key) => obj?.[key], record);
+    if (typeof value !== 'number' || isNaN(value)) continue;
+    const hour = Math.floor(new Date(record.timestamp).getTime() / HOUR_MS) * HOUR_MS;
+    if (!byHour.has(hour)) byHour.set(hour, []);
+    byHour.get(hour).push(value);
+  }
+
+  return [...byHour.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([hour, values]) => ({ timestamp: new Date(hour), value: median(values) }));
+};
+
+/**
+ * Annual harmonic terms for a date
+ * @private
+ */
+const _harmonics = (date) => {
+  const phase = (2 * Math.PI * (date - Date.UTC(date.getUTCFullYear(), 0, 1))) / (365.25 * DAY_MS);
+  const terms = [];
+  for (let k = 1; k <= ANNUAL_HARMONICS; k++) {
+    terms.push(Math.cos(k * phase), Math.sin(k * phase));
+  }
+  return terms;
+};
+
+/**
+ * Centred moving average over times within a half-width; null where the window holds
+ * fewer than minCount values (by default half a half-width, so the window can be
+ * one-sided at the series ends)
+ * @private
+ */
+const _movingAverage = (times, values, halfWindow, minCount = Math.max(3, Math.ceil(halfWindow / 2))) => {
+  const result = new Array(values.length).fill(null);
+  let lo = 0;
+  let hi = 0;
+  let sum = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    while (hi < values.length && times[hi] <= times[i] + halfWindow) sum += values[hi++];
+    while (times[lo] < times[i] - halfWindow) sum -= values[lo++];
+    const count = hi - lo;
+    if (count >= minCount) result[i] = sum / count;
+  }
+
+  return result;
+};
+
+/**
+ * Ordinary least squares via the normal equations; null when the system is singular
+ * @private
+ */
+const _leastSquares = (rows, targets) => {
+  const k = rows[0].length;
+  const normal = Array.from({ length: k }, (_, i) =>
+    Array.from({ length: k }, (_, j) => rows.reduce((sum, r) => sum + r[i] * r[j], 0))
+  );
+  const projected = Array.from({ length: k }, (_, i) => rows.reduce((sum, r, n) => sum + r[i] * targets[n], 0));
+  const coefficients = solveLinearSystem(normal, projected);
+  return coefficients.every(Number.isFinite) ? coefficients : null;
+};
+
+/**
+ * Hour of the day (0-23) in a time zone
+ * @private
+ */
+const _localHour = (date, timeZone) => parseInt(
+  new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', hourCycle: 'h23' }).format(date),
+  10
+);
+
+module.exports = {
+  DECOMPOSITION_METRICS,
+  GRANULARITIES,
+  DEFAULT_THRESHOLD,
+  decomposeDaily,
+  decomposeHourly,
+  flagAnomalies,
+  getAnomalies
+};
@@ -0,0 +1,200 @@
+/**
+ * Extreme Events Service
+ * Heatwaves and cold waves by the IMD criteria: daily max/min temperature compared
+ * with the day-of-year normal and with absolute thresholds for the station's class,
+ * declared when the criteria hold on consecutive days.
+ */
+
+const { buildClimatology, loadBaselineHistory } = require('./climatologyBaseline');
+const { getCachedData, setCachedData } = require('./cacheManager');
+const { roundTo, dayOfYear, isCompleteDay, DAY_MS } = require('../utils/helpers');
+
+const EVENT_TYPES = ['heatwave', 'cold_wave'];
+
+// IMD criteria (°C). A departure criterion applies once the temperature itself has
+// reached the station class's threshold; absolute criteria apply regardless of the normal.
+const IMD_CRITERIA = {
+  heatwave: {
+    metric: 'maxTemperature',
+    threshold: { plains: 40, coastal: 37, hill: 30 },
+    departure: { moderate: 4.5, severe: 6.5 },
+    absolute: { plains: { moderate: 45, severe: 47 } }
+  },
+  cold_wave: {
+    metric: 'minTemperature',
+    threshold: { plains: 10, coastal: 15, hill: 0 },
+    departure: { moderate: -4.5, severe: -6.5 },
+    absolute: { plains: { moderate: 4, severe: 2 } }
+  }
+};
+
+// Days in a row the criteria must hold before an event is declared
+const MIN_EVENT_DAYS = 2;
+
+/**
+ * Classify one day against the IMD criteria for one event type
+ * @param {string} type - 'heatwave' or 'cold_wave'
+ * @param {number} value - Observed max (heatwave) or min (cold wave) temperature
+ * @param {number|null} normal - Day-of-year normal of the same temperature
+ * @param {string} stationType - 'plains', 'coastal' or 'hill'
+ * @returns {string|null} 'severe', 'moderate' or null when the day does not qualify
+ */
+const classifyDay = (type, value, normal, stationType = 'plains') => {
+  const criteria = IMD_CRITERIA[type];
+  const sign = type === 'heatwave' ? 1 : -1;
+  const beyond = (a, b) => sign * (a - b) >= 0;
+
+  const levels = [];
+
+  const absolute = criteria.absolute[stationType];
+  if (absolute) {
+    if (beyond(value, absolute.severe)) levels.push('severe');
+    else if (beyond(value, absolute.moderate)) levels.push('moderate');
+  }
+
+  const threshold = criteria.threshold[stationType] ?? criteria.threshold.plains;
+  if (normal != null && beyond(value, threshold)) {
+    const departure = value - normal;
+    if (beyond(departure, criteria.departure.severe)) levels.push('severe');
+    else if (beyond(departure, criteria.departure.moderate)) levels.push('moderate');
+  }
+
+  if (levels.includes('severe')) return 'severe';
+  return levels.length > 0 ? 'moderate' : null;
+};
+
+/**
+ * Find heatwave and cold-wave events in a run of daily records
+ * @param {Array} days - Daily records sorted by date
+ * @param {Object} climatology - From buildClimatology, with maxTemperature and minTemperature
+ * @param {string} stationType - 'plains', 'coastal' or 'hill'
+ * @returns {Array} Events: { type, severity, startDate, endDate, durationDays, peak, maxDeparture, days }
+ */
+const detectTemperatureEvents = (days, climatology, stationType = 'plains') => {
+  const events = [];
+
+  for (const type of EVENT_TYPES) {
+    const { metric } = IMD_CRITERIA[type];
+    const means = climatology[metric]?.means;
+    let run = [];
+
+    const closeRun = () => {
+      if (run.length >= MIN_EVENT_DAYS) events.push(_toEvent(type, run));
+      run = [];
+    };
+
+    for (const day of days) {
+      // A day with too few readings can't confirm or extend an event
+      const value = day[metric];
+      if (typeof value !== 'number' || isNaN(value) || !isCompleteDay(day)) {
+        closeRun();
+        continue;
+      }
+
+      const date = new Date(day.date);
+      const normal = means ? means[dayOfYear(date)] : null;
+      const severity = classifyDay(type, value, normal, stationType);
+
+      const previous = run[run.length - 1];
+      if (previous && date - previous.date !== DAY_MS) closeRun();
+
+      if (severity) {
+        run.push({
+          date,
+          value,
+          normal: normal != null ? roundTo(normal, 1) : null,
+          departure: normal != null ? roundTo(value - normal, 1) : null,
+          severity
+        });
+      } else {
+        closeRun();
+      }
+    }
+    closeRun();
+  }
+
+  return events.sort((a, b) => a.startDate - b.startDate);
+};
+
+/**
+ * Heatwave and cold-wave events for a city over a period
+ * Normals come from up to 10 years of daily records before the start of the period.
+ * @param {Object} city - City from CITIES
+ * @param {Object} options - { from, to, type }
+ * @returns {Promise<Object>} { cityId, stationType, period, criteria, events, summary }
+ */
+const getTemperatureEvents = async (city, options = {}) => {
+  const { from, to, type = null } = options;
+  const cacheKey = `events:${city.id}:${from.toISOString()}:${to.toISOString()}:${type || 'all'}`;
+
+  const cached = getCachedData(cacheKey);
+  if (cached) return cached;
+
+  const stationType = city.imdStation?.type || 'plains';
+
+  // Start a day early so an event already running on the first day is still found
+  const start = new Date(from.getTime() - DAY_MS);
+
+  // Normals come from the years before the period, so a long event can't raise its own baseline
+  const [history, days] = await Promise.all([
+    loadBaselineHistory(city.id, start),
+    loadBaselineHistory(city.id, to, { from: start })
+  ]);
+  const climatology = buildClimatology(history, { before: start, metrics: ['maxTemperature', 'minTemperature'] });
+
+  const events = detectTemperatureEvents(days, climatology, stationType)
+    .filter(event => event.endDate >= from)
+    .filter(event => !type || event.type === type);
+
+  const summary = Object.fromEntries(EVENT_TYPES.map(t => {
+    const ofType = events.filter(event => event.type === t);
+    return [t, {
+      events: ofType.length,
+      severeEvents: ofType.filter(event => event.severity === 'severe').length,
+      days: ofType.reduce((sum, event) => sum + event.durationDays, 0)
+    }];
+  }));
+
+  const result = {
+    cityId: city.id,
+    stationType,
+    period: { from, to },
+    criteria: { ...IMD_CRITERIA, minEventDays: MIN_EVENT_DAYS },
+    events,
+    summary
+  };
+
+  setCachedData(cacheKey, result, 3600);
+
+  return result;
+};
+
+// ========== PRIVATE HELPER FUNCTIONS ==========
+
+/**
+ * Event from a run of qualifying days
+ * @private
+ */
+const _toEvent = (type, run) => {
+  const pick = type === 'heatwave' ? Math.max : Math.min;
+  const departures = run.map(day => day.departure).filter(d => d != null);
+
+  return {
+    type,
+    severity: run.some(day => day.severity === 'severe') ? 'severe' : 'moderate',
+    startDate: run[0].date,
+    endDate: run[run.length - 1].date,
+    durationDays: run.length,
+    peak: pick(...run.map(day => day.value)),
+    maxDeparture: departures.length > 0 ? pick(...departures) : null,
+    days: run
+  };
+};
+
+module.exports = {
+  EVENT_TYPES,
+  IMD_CRITERIA,
+  classifyDay,
+  detectTemperatureEvents,
+  getTemperatureEvents
+};
@@ -0,0 +1,85 @@
+/**
+ * Forecast Calibration Service
+ * Turns each source's verified errors into prediction intervals and confidence values
+ * for new forecasts. Verification later records whether each interval held the
+ * observation (see summariseReliability in forecastVerification).
+ */
+
+const ForecastSkill = require('../models/ForecastSkill');
+const { VERIFIED_METRICS, SKILL_WINDOW_DAYS } = require('./forecastVerification');
+const { roundTo } = require('../utils/helpers');
+
+// Verified forecasts needed before a source's error quantiles are trusted
+const MIN_CALIBRATION_SAMPLES = 10;
+
+/**
+ * Add calibrated intervals and confidence to daily forecast entries
+ * For each verified metric the interval is the forecast minus the 90th and 10th
+ * percentiles of the source's past errors at that lead time, so an unbiased source
+ * with typical errors gets an interval that should hold the observation 80% of the
+ * time. Confidence is the share of past forecasts within the metric's tolerance,
+ * averaged over the metrics the entry forecasts. Without enough verified forecasts
+ * an entry keeps whatever band it had and gets no confidence.
+ * @param {string} cityId - City ID
+ * @param {string} source - Forecast source name
+ * @param {Array} daily - Daily entries with leadDays
+ * @returns {Promise<Array>} Entries with p10, p90 and confidence set where possible
+ */
+const calibrateDailyForecast = async (cityId, source, daily) => {
+  const rows = await ForecastSkill.find({
+    cityId,
+    source,
+    windowDays: SKILL_WINDOW_DAYS,
+    sampleSize: { $gte: MIN_CALIBRATION_SAMPLES }
+  }).lean();
+
+  if (rows.length === 0) return daily;
+
+  return daily.map(entry => {
+    const p10 = { ...(entry.p10 || {}) };
+    const p90 = { ...(entry.p90 || {}) };
+    const hitRates = [];
+
+    for (const [metric, definition] of Object.entries(VERIFIED_METRICS)) {
+      const value = entry[definition.forecast];
+      if (typeof value !== 'number' || isNaN(value)) continue;
+
+      const row = _nearestLead(rows, metric, entry.leadDays);
+      if (!row) continue;
+
+      if (row.errorP10 != null && row.errorP90 != null) {
+        p10[definition.forecast] = roundTo(value - row.errorP90, 1);
+        p90[definition.forecast] = roundTo(value - row.errorP10, 1);
+      }
+      if (row.hitRate != null) hitRates.push(row.hitRate);
+    }
+
+    return {
+      ...entry,
+      p10: Object.keys(p10).length > 0 ? p10 : undefined,
+      p90: Object.keys(p90).length > 0 ? p90 : undefined,
+      confidence: hitRates.length > 0
+        ? roundTo(hitRates.reduce((sum, r) => sum + r, 0) / hitRates.length, 2)
+        : entry.confidence ?? null
+    };
+  });
+};
+
+// ========== PRIVATE HELPER FUNCTIONS ==========
+
+/**
+ * Skill row for a metric at a lead time, or the nearest lead time verified
+ * @private
+ */
+const _nearestLead = (rows, metric, leadDays) => {
+  const candidates = rows.filter(row => row.metric === metric);
+  if (candidates.length === 0) return null;
+
+  return candidates.reduce((best, row) =>
+    Math.abs(row.leadDays - leadDays) < Math.abs(best.leadDays - leadDays) ? row : best
+  );
+};
+
+module.exports = {
+  calibrateDailyForecast
+};
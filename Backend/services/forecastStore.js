@@ -0,0 +1,141 @@
+/**
+ * Forecast Store Service
+ * Writes and reads forecast issues (one PredictedData document per city, source and issue time)
+ */
+
+const PredictedData = require('../models/PredictedData');
+const logger = require('../utils/logger');
+const { getLocalDateLabel, labelToDate, DAY_MS } = require('../utils/helpers');
+const { calibrateDailyForecast } = require('./forecastCalibration');
+
+// Span of an issue's hourly forecast (168 hours)
+const HOURLY_LOOKBACK_DAYS = 7;
+
+// Daily fields compared to decide whether a re-fetched forecast is a new issue
+const DAILY_FIELDS = ['highTemp', 'lowTemp', 'avgTemp', 'humidity', 'precipitation', 'precipitationProbability', 'windSpeed', 'pm25', 'pm10', 'no2', 'o3', 'aqi'];
+
+/**
+ * Store one forecast issue
+ * Daily dates are normalised to UTC midnight of the city's local date and each entry
+ * gets its lead time from the local issue date. Writing the same issue twice updates it.
+ * @param {Object} city - City from CITIES
+ * @param {string} source - Forecast source name
+ * @param {Object} issue - { issuedAt, method, daily, hourly }
+ * @param {Object} options - { skipIfUnchanged } skip when the source's latest issue has the same daily values,
+ *   { calibrate } set intervals and confidence from the source's verified errors
+ * @returns {Promise<Object|null>} Stored document, or null when skipped
+ */
+const saveForecastIssue = async (city, source, issue, options = {}) => {
+  const { skipIfUnchanged = false, calibrate = false } = options;
+  const { issuedAt = new Date(), method = 'api_forecast', daily = [], hourly = [] } = issue;
+  const timeZone = city.timezone || 'Asia/Kolkata';
+
+  const issueDay = labelToDate(getLocalDateLabel(issuedAt, timeZone));
+
+  let dailyEntries = daily
+    .map(entry => {
+      const date = labelToDate(getLocalDateLabel(new Date(entry.date), timeZone));
+      return { ...entry, date, leadDays: Math.round((date - issueDay) / DAY_MS) };
+    })
+    .sort((a, b) => a.date - b.date);
+
+  const hourlyEntries = hourly
+    .map(entry => {
+      const time = new Date(entry.time);
+      return { ...entry, time, leadHours: Math.round((time - issuedAt) / 3600000) };
+    })
+    .sort((a, b) => a.time - b.time);
+
+  if (dailyEntries.length === 0 && hourlyEntries.length === 0) return null;
+
+  if (skipIfUnchanged) {
+    const latest = await PredictedData.findOne({ cityId: city.id, source })
+      .sort({ issuedAt: -1 })
+      .select('daily')
+      .lean();
+
+    if (latest && _sameDaily(latest.daily, dailyEntries)) {
+      logger.debug(`${source}: forecast for ${city.name} unchanged, not stored`);
+      return null;
+    }
+  }
+
+  if (calibrate && dailyEntries.length > 0) {
+    dailyEntries = await calibrateDailyForecast(city.id, source, dailyEntries);
+  }
+
+  const times = [
+    ...dailyEntries.map(d => d.date.getTime()),
+    ...hourlyEntries.map(h => h.time.getTime())
+  ];
+  const lastDailyEnd = dailyEntries.length > 0 ? dailyEntries[dailyEntries.length - 1].date.getTime() + DAY_MS : 0;
+
+  return PredictedData.findOneAndUpdate(
+    { cityId: city.id, source, issuedAt },
+    {
+      $set: {
+        cityName: city.name,
+        method,
+        validFrom: new Date(Math.min(...times)),
+        validTill: new Date(Math.max(lastDailyEnd, ...times)),
+        daily: dailyEntries,
+        hourly: hourlyEntries,
+        schemaVersion: 2
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+};
+
+/**
+ * Latest forecast issue from each source for a city
+ * One indexed lookup per source ({ cityId, source, issuedAt }); hourly entries are
+ * left out unless asked for.
+ * @param {string} cityId - City ID
+ * @param {Object} options - { sources } source names to include (all when empty),
+ *   { hourly } only issues that have hourly entries, with those entries
+ * @returns {Promise<Array>} Latest issue per source, newest first
+ */
+const getLatestForecasts = async (cityId, options = {}) => {
+  const { sources = null, hourly = false } = options;
+
+  const names = sources && sources.length > 0
+    ? sources
+    : await PredictedData.distinct('source', { cityId, source: { $exists: true } });
+
+  const issues = await Promise.all(names.map(source => {
+    const query = { cityId, source };
+    if (hourly) {
+      // Hourly entries reach HOURLY_LOOKBACK_DAYS ahead, so older issues have no future hours
+      query.issuedAt = { $gte: new Date(Date.now() - HOURLY_LOOKBACK_DAYS * DAY_MS) };
+      query['hourly.0'] = { $exists: true };
+    }
+
+    return PredictedData.findOne(query)
+      .sort({ issuedAt: -1 })
+      .select(hourly ? {} : { hourly: 0 })
+      .lean();
+  }));
+
+  return issues.filter(Boolean).sort((a, b) => b.issuedAt - a.issuedAt);
+};
+
+// ========== PRIVATE HELPER FUNCTIONS ==========
+
+/**
+ * Same dates and daily values
+ * @private
+ */
+const _sameDaily = (previous = [], next = []) => {
+  if (previous.length !== next.length) return false;
+
+  return previous.every((entry, i) =>
+    new Date(entry.date).getTime() === next[i].date.getTime() &&
+    DAILY_FIELDS.every(field => (entry[field] ?? null) === (next[i][field] ?? null))
+  );
+};
+
+module.exports = {
+  saveForecastIssue,
+  getLatestForecasts
+};
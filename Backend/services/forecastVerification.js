@@ -0,0 +1,402 @@
+/**
+ * Forecast Verification Service
+ * Matches stored forecasts against the observed daily records and summarises
+ * each source's error per metric and lead time.
+ */
+
+const PredictedData = require('../models/PredictedData');
+const HistoricalData = require('../models/HistoricalData');
+const ForecastVerification = require('../models/ForecastVerification');
+const ForecastSkill = require('../models/ForecastSkill');
+const logger = require('../utils/logger');
+const { roundTo, getLocalDateLabel, quantile, isValidNumber, isCompleteDay, DAY_MS } = require('../utils/helpers');
+const { evaluateForecastAccuracy } = require('./predictionEngine');
+const { getCachedData, setCachedData } = require('./cacheManager');
+const { buildClimatology, forecastBaseline, loadBaselineHistory } = require('./climatologyBaseline');
+
+// Observed daily field -> field on PredictedData daily entries
+// tolerance: a forecast within this of the observation counts as a hit for confidence
+const VERIFIED_METRICS = {
+  maxTemperature: { forecast: 'highTemp', unit: '°C', tolerance: 2 },
+  minTemperature: { forecast: 'lowTemp', unit: '°C', tolerance: 2 },
+  avgAqi: { forecast: 'aqi', unit: 'AQI', tolerance: 25 },
+  avgPm25: { forecast: 'pm25', unit: 'µg/m³', tolerance: 15 },
+  avgPm10: { forecast: 'pm10', unit: 'µg/m³', tolerance: 25 },
+  avgNo2: { forecast: 'no2', unit: 'µg/m³', tolerance: 10 },
+  avgO3: { forecast: 'o3', unit: 'µg/m³', tolerance: 15 }
+};
+
+// Nominal coverage of the stored p10-p90 forecast intervals
+const INTERVAL_COVERAGE = 0.8;
+
+// Source name of the climatology baseline that skill scores are measured against
+const REFERENCE_SOURCE = 'Climatology';
+
+// Window the stored skill statistics cover
+const SKILL_WINDOW_DAYS = 30;
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * Verify a city's forecasts for observed days in [from, to]
+ * The climatology baseline is verified alongside, as if issued at every lead time a
+ * stored forecast had, so each source can be scored against it.
+ * Re-running for the same days overwrites the earlier verification.
+ * @param {Object} city - City from CITIES
+ * @param {Date} from - First target day (UTC midnight of the local date)
+ * @param {Date} to - Last target day, inclusive
+ * @returns {Promise<number>} Number of forecast values verified
+ */
+const verifyCityForecasts = async (city, from, to) => {
+  const observedDays = await HistoricalData.find({
+    cityId: city.id,
+    date: { $gte: from, $lte: to },
+    ...HistoricalData.dailyFilter()
+  }).lean();
+
+  const observedByDate = new Map(
+    observedDays
+      .filter(isCompleteDay)
+      .map(day => [day.date.getTime(), day])
+  );
+
+  if (observedByDate.size === 0) return 0;
+
+  // Sources issue several forecasts a day with the same lead days; the first of each
+  // local day is the one verified, so each target day and lead has one forecast
+  const issues = _firstIssuePerDay(await PredictedData.find({
+    cityId: city.id,
+    source: { $exists: true },
+    'daily.date': { $gte: from, $lte: to }
+  }).lean(), city.timezone || DEFAULT_TIMEZONE);
+
+  const operations = [];
+  const verifiedAt = new Date();
+  const referenceLeads = new Map();
+
+  const addPair = (source, issuedAt, leadDays, observed, metric, forecast, interval = {}) => {
+    const actual = observed[metric];
+    if (!isValidNumber(forecast) || !isValidNumber(actual)) return;
+
+    const hasInterval = isValidNumber(interval.low) && isValidNumber(interval.high);
+
+    operations.push({
+      updateOne: {
+        filter: {
+          cityId: city.id,
+          source,
+          metric,
+          targetDate: observed.date,
+          leadDays
+        },
+        update: {
+          $set: {
+            issuedAt,
+            forecast,
+            observed: actual,
+            error: roundTo(forecast - actual, 2),
+            observedCompleteness: observed.dataCompleteness,
+            intervalLow: hasInterval ? interval.low : null,
+            intervalHigh: hasInterval ? interval.high : null,
+            inInterval: hasInterval ? actual >= interval.low && actual <= interval.high : null,
+            verifiedAt
+          }
+        },
+        upsert: true
+      }
+    });
+  };
+
+  for (const issue of issues) {
+    for (const entry of issue.daily || []) {
+      const observed = observedByDate.get(new Date(entry.date).getTime());
+      if (!observed || entry.leadDays == null || entry.leadDays < 0) continue;
+
+      for (const [metric, definition] of Object.entries(VERIFIED_METRICS)) {
+        addPair(issue.source, issue.issuedAt, entry.leadDays, observed, metric, entry[definition.forecast], {
+          low: entry.p10?.[definition.forecast],
+          high: entry.p90?.[definition.forecast]
+        });
+      }
+
+      const time = observed.date.getTime();
+      if (!referenceLeads.has(time)) referenceLeads.set(time, new Set());
+      referenceLeads.get(time).add(entry.leadDays);
+    }
+  }
+
+  if (operations.length === 0) return 0;
+
+  // Reference forecasts use a climatology built from the days before the verified period
+  const history = await loadBaselineHistory(city.id, to);
+  const climatology = buildClimatology(history, { before: from, metrics: Object.keys(VERIFIED_METRICS) });
+
+  for (const [time, leads] of referenceLeads) {
+    const observed = observedByDate.get(time);
+    for (const leadDays of leads) {
+      const issueDate = new Date(time - leadDays * DAY_MS);
+      const reference = forecastBaseline(climatology, history, issueDate, observed.date);
+      for (const metric of Object.keys(VERIFIED_METRICS)) {
+        addPair(REFERENCE_SOURCE, issueDate, leadDays, observed, metric, reference[metric] != null ? roundTo(reference[metric], 1) : null);
+      }
+    }
+  }
+
+  await ForecastVerification.bulkWrite(operations, { ordered: false });
+  await _updateIssueAccuracy(city.id, issues);
+
+  return operations.length;
+};
+
+/**
+ * MAE / RMSE / bias per source, metric and lead time over recent target days
+ * The skill score compares each row's MSE with the climatology baseline's at the same
+ * metric and lead time (1 is perfect, 0 no better than the baseline). Each row also
+ * carries the 10th/90th percentiles of its errors, the share of forecasts within the
+ * metric's tolerance (hitRate) and how often stored intervals held the observation.
+ * @param {string} cityId - City ID
+ * @param {Object} options - { days, metric }
+ * @returns {Promise<Array>} Skill rows sorted by metric, lead time and MAE
+ */
+const computeForecastSkill = async (cityId, options = {}) => {
+  const { days = SKILL_WINDOW_DAYS, metric = null } = options;
+
+  const match = {
+    cityId,
+    targetDate: { $gte: new Date(Date.now() - days * DAY_MS) }
+  };
+  if (metric) match.metric = metric;
+
+  const groups = await ForecastVerification.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { source: '$source', metric: '$metric', leadDays: '$leadDays' },
+        sampleSize: { $sum: 1 },
+        mae: { $avg: { $abs: '$error' } },
+        mse: { $avg: { $multiply: ['$error', '$error'] } },
+        bias: { $avg: '$error' },
+        errors: { $push: '$error' },
+        coverageSamples: { $sum: { $cond: [{ $eq: [{ $type: '$inInterval' }, 'bool'] }, 1, 0] } },
+        coverageHits: { $sum: { $cond: [{ $eq: ['$inInterval', true] }, 1, 0] } },
+        periodStart: { $min: '$targetDate' },
+        periodEnd: { $max: '$targetDate' }
+      }
+    }
+  ]);
+
+  const referenceMse = new Map(
+    groups
+      .filter(group => group._id.source === REFERENCE_SOURCE)
+      .map(group => [`${group._id.metric}|${group._id.leadDays}`, group.mse])
+  );
+
+  return groups
+    .map(group => {
+      const reference = referenceMse.get(`${group._id.metric}|${group._id.leadDays}`);
+      const errors = [...group.errors].sort((a, b) => a - b);
+
+      return {
+        source: group._id.source,
+        metric: group._id.metric,
+        unit: VERIFIED_METRICS[group._id.metric]?.unit || null,
+        leadDays: group._id.leadDays,
+        sampleSize: group.sampleSize,
+        mae: roundTo(group.mae, 2),
+        rmse: roundTo(Math.sqrt(group.mse), 2),
+        bias: roundTo(group.bias, 2),
+        skillScore: reference > 0 ? roundTo(1 - group.mse / reference, 3) : null,
+        errorP10: roundTo(quantile(errors, 0.1), 2),
+        errorP90: roundTo(quantile(errors, 0.9), 2),
+        hitRate: roundTo(
+          group.errors.filter(e => Math.abs(e) <= (VERIFIED_METRICS[group._id.metric]?.tolerance ?? Infinity)).length / group.errors.length,
+          3
+        ),
+        coverage80: group.coverageSamples > 0 ? roundTo(group.coverageHits / group.coverageSamples, 3) : null,
+        coverageSamples: group.coverageSamples,
+        periodStart: group.periodStart,
+        periodEnd: group.periodEnd
+      };
+    })
+    .sort((a, b) => a.metric.localeCompare(b.metric) || a.leadDays - b.leadDays || a.mae - b.mae);
+};
+
+/**
+ * Recompute and store the rolling skill statistics for a city
+ * @param {string} cityId - City ID
+ * @param {number} windowDays - Window length in days
+ * @returns {Promise<number>} Number of skill rows stored
+ */
+const storeForecastSkill = async (cityId, windowDays = SKILL_WINDOW_DAYS) => {
+  const rows = await computeForecastSkill(cityId, { days: windowDays });
+  if (rows.length === 0) return 0;
+
+  const computedAt = new Date();
+
+  await ForecastSkill.bulkWrite(rows.map(row => ({
+    updateOne: {
+      filter: { cityId, source: row.source, metric: row.metric, leadDays: row.leadDays, windowDays },
+      update: {
+        $set: {
+          sampleSize: row.sampleSize,
+          mae: row.mae,
+          rmse: row.rmse,
+          bias: row.bias,
+          skillScore: row.skillScore,
+          errorP10: row.errorP10,
+          errorP90: row.errorP90,
+          hitRate: row.hitRate,
+          coverage80: row.coverage80,
+          coverageSamples: row.coverageSamples,
+          periodStart: row.periodStart,
+          periodEnd: row.periodEnd,
+          computedAt
+        }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  return rows.length;
+};
+
+/**
+ * Skill table for the API, with the best source per metric
+ * The best source has the lowest sample-weighted MAE across lead times.
+ * @param {string} cityId - City ID
+ * @param {Object} options - { days, metric }
+ * @returns {Promise<Object>} { cityId, windowDays, referenceSource, metrics, skill, bestSources, reliability }
+ */
+const getForecastSkill = async (cityId, options = {}) => {
+  const { days = SKILL_WINDOW_DAYS, metric = null } = options;
+  const cacheKey = `forecast-skill:${cityId}:${days}:${metric || 'all'}`;
+
+  const cached = getCachedData(cacheKey);
+  if (cached) return cached;
+
+  try {
+    const skill = await computeForecastSkill(cityId, { days, metric });
+
+    const totals = {};
+    for (const row of skill) {
+      // The baseline is what the others are scored against, not a candidate
+      if (row.source === REFERENCE_SOURCE) continue;
+      const key = `${row.metric}|${row.source}`;
+      if (!totals[key]) totals[key] = { metric: row.metric, source: row.source, weightedMae: 0, sampleSize: 0 };
+      totals[key].weightedMae += row.mae * row.sampleSize;
+      totals[key].sampleSize += row.sampleSize;
+    }
+
+    const bestSources = {};
+    for (const total of Object.values(totals)) {
+      const mae = total.weightedMae / total.sampleSize;
+      if (!bestSources[total.metric] || mae < bestSources[total.metric].mae) {
+        bestSources[total.metric] = { source: total.source, mae: roundTo(mae, 2), sampleSize: total.sampleSize };
+      }
+    }
+
+    const result = {
+      cityId,
+      windowDays: days,
+      referenceSource: REFERENCE_SOURCE,
+      metrics: Object.fromEntries(Object.entries(VERIFIED_METRICS).map(([key, def]) => [key, { unit: def.unit }])),
+      skill,
+      bestSources,
+      reliability: summariseReliability(skill)
+    };
+
+    setCachedData(cacheKey, result, 3600);
+
+    return result;
+
+  } catch (error) {
+    logger.error(`Error computing forecast skill for ${cityId}:`, error.message);
+    throw error;
+  }
+};
+
+/**
+ * How often the stored p10-p90 intervals contained the observation
+ * A metric is flagged as miscalibrated when its coverage is more than two binomial
+ * standard errors away from 80%.
+ * @param {Array} skillRows - Skill rows from computeForecastSkill
+ * @returns {Object} { nominal, metrics: { [metric]: { coverage, sampleSize, expectedRange, calibrated } } }
+ */
+const summariseReliability = (skillRows) => {
+  const totals = {};
+
+  for (const row of skillRows) {
+    if (row.coverage80 == null || !row.coverageSamples) continue;
+    if (!totals[row.metric]) totals[row.metric] = { hits: 0, samples: 0 };
+    totals[row.metric].hits += row.coverage80 * row.coverageSamples;
+    totals[row.metric].samples += row.coverageSamples;
+  }
+
+  const metrics = {};
+  for (const [metric, total] of Object.entries(totals)) {
+    const coverage = total.hits / total.samples;
+    const margin = 2 * Math.sqrt(INTERVAL_COVERAGE * (1 - INTERVAL_COVERAGE) / total.samples);
+
+    metrics[metric] = {
+      coverage: roundTo(coverage, 3),
+      sampleSize: total.samples,
+      expectedRange: [roundTo(Math.max(0, INTERVAL_COVERAGE - margin), 3), roundTo(Math.min(1, INTERVAL_COVERAGE + margin), 3)],
+      calibrated: Math.abs(coverage - INTERVAL_COVERAGE) <= margin
+    };
+  }
+
+  return { nominal: INTERVAL_COVERAGE, metrics };
+};
+
+// ========== PRIVATE HELPER FUNCTIONS ==========
+
+/**
+ * Earliest issue of each source on each local day
+ * @private
+ */
+const _firstIssuePerDay = (issues, timeZone) => {
+  const first = new Map();
+  for (const issue of issues) {
+    const key = `${issue.source}|${getLocalDateLabel(new Date(issue.issuedAt), timeZone)}`;
+    const current = first.get(key);
+    if (!current || new Date(issue.issuedAt) < new Date(current.issuedAt)) first.set(key, issue);
+  }
+  return [...first.values()];
+};
+
+/**
+ * Store each verified issue's accuracy over all of its days verified so far
+ * Only issues picked by _firstIssuePerDay have verification rows to score.
+ * @private
+ */
+const _updateIssueAccuracy = async (cityId, issues) => {
+  const updates = [];
+
+  for (const issue of issues) {
+    const pairs = await ForecastVerification.find(
+      { cityId, source: issue.source, issuedAt: issue.issuedAt },
+      { forecast: 1, observed: 1 }
+    ).lean();
+
+    if (pairs.length === 0) continue;
+
+    const accuracy = evaluateForecastAccuracy(pairs.map(p => p.forecast), pairs.map(p => p.observed))?.accuracy;
+    if (accuracy != null) {
+      updates.push({ updateOne: { filter: { _id: issue._id }, update: { $set: { accuracy } } } });
+    }
+  }
+
+  if (updates.length > 0) await PredictedData.bulkWrite(updates, { ordered: false });
+};
+
+module.exports = {
+  VERIFIED_METRICS,
+  INTERVAL_COVERAGE,
+  REFERENCE_SOURCE,
+  SKILL_WINDOW_DAYS,
+  verifyCityForecasts,
+  computeForecastSkill,
+  storeForecastSkill,
+  getForecastSkill,
+  summariseReliability
+};
@@ -0,0 +1,372 @@
+/**
+ * Monsoon Analytics Service
+ * Southwest monsoon season statistics for a city from daily rainfall: onset and
+ * withdrawal dates, the June-September total against the long-period average (LPA),
+ * dry and wet spells, and heavy rain days by the IMD daily categories.
+ *
+ * Onset and withdrawal are local, rainfall-only definitions for the city, not IMD's
+ * declared dates, which also use winds and outgoing longwave radiation over a region.
+ */
+
+const HistoricalData = require('../models/HistoricalData');
+const { getCachedData, setCachedData } = require('./cacheManager');
+const { getBasePeriod } = require('./climateNormals');
+const { roundTo, getLocalDateLabel, dayOfYear, mean, isCompleteDay, DAY_MS } = require('../utils/helpers');
+
+// A rainy day in IMD usage (mm)
+const RAINY_DAY_MM = 2.5;
+
+// IMD daily rainfall categories (mm), heaviest first; each day counts in one
+const HEAVY_RAIN_CATEGORIES = [
+  { key: 'extremelyHeavy', min: 204.5 },
+  { key: 'veryHeavy', min: 115.6 },
+  { key: 'heavy', min: 64.5 }
+];
+
+// IMD seasonal categories by departure from the LPA (%), wettest first
+const SEASON_CATEGORIES = [
+  { key: 'large excess', min: 60 },
+  { key: 'excess', min: 20 },
+  { key: 'normal', min: -19 },
+  { key: 'deficient', min: -59 },
+  { key: 'large deficient', min: -99 },
+  { key: 'no rain', min: -Infinity }
+];
+
+// Onset: the first day from May 1 starting 3 days with at least 20 mm between them,
+// 2 of them rainy, and no dry spell of 7 days or more in the following 30 days
+const ONSET = { searchFrom: [4, 1], searchTo: [7, 31], days: 3, minTotal: 20, minRainyDays: 2, checkDays: 30, maxDrySpell: 7 };
+
+// Withdrawal: the start of the first dry spell of 15 days or more from September 1
+const WITHDRAWAL = { searchFrom: [8, 1], searchTo: [11, 31], drySpell: 15 };
+
+// Season used for totals, spells and rain-day counts: June 1 to September 30
+const SEASON = { from: [5, 1], to: [8, 30] };
+
+// Dry spells at least this long are counted as breaks
+const BREAK_DRY_SPELL_DAYS = 7;
+
+// Share of the season's days that must be observed for its total to be compared
+const MIN_SEASON_COVERAGE = 0.8;
+
+// Base-period seasons needed for an LPA
+const MIN_LPA_YEARS = 5;
+
+/**
+ * Onset date of a year's monsoon
+ * @param {Function} rainOn - Date (ms) → rainfall (mm) or null when not observed
+ * @param {number} year - Year
+ * @param {number} lastDay - Last observed date (ms); a check running past it is provisional
+ * @returns {Object|null} { date, provisional } or null when no onset is found
+ */
+const findOnset = (rainOn, year, lastDay) => {
+  const start = Date.UTC(year, ...ONSET.searchFrom);
+  const end = Math.min(Date.UTC(year, ...ONSET.searchTo), lastDay - (ONSET.days - 1) * DAY_MS);
+
+  for (let day = start; day <= end; day += DAY_MS) {
+    const rains = Array.from({ length: ONSET.days }, (_, i) => rainOn(day + i * DAY_MS));
+    if (rains.some(r => r === null)) continue;
+    if (rains.reduce((sum, r) => sum + r, 0) < ONSET.minTotal) continue;
+    if (rains.filter(r => r >= RAINY_DAY_MM).length < ONSET.minRainyDays) continue;
+
+    const checkFrom = day + ONSET.days * DAY_MS;
+    const checkTo = checkFrom + (ONSET.checkDays - 1) * DAY_MS;
+    const spell = _longestSpell(rainOn, checkFrom, Math.min(checkTo, lastDay), r => r < RAINY_DAY_MM);
+    if (spell.length >= ONSET.maxDrySpell) continue;
+
+    return { date: new Date(day), provisional: checkTo > lastDay };
+  }
+
+  return null;
+};
+
+/**
+ * Withdrawal date of a year's monsoon: the first day of a lasting dry spell
+ * @param {Function} rainOn - Date (ms) → rainfall (mm) or null
+ * @param {number} year - Year
+ * @param {number} lastDay - Last observed date (ms)
+ * @returns {Object|null} { date } or null when the rains have not withdrawn yet
+ */
+const findWithdrawal = (rainOn, year, lastDay) => {
+  const end = Math.min(Date.UTC(year, ...WITHDRAWAL.searchTo), lastDay);
+  let runStart = null;
+
+  for (let day = Date.UTC(year, ...WITHDRAWAL.searchFrom); day <= end; day += DAY_MS) {
+    const rain = rainOn(day);
+    if (rain === null || rain >= RAINY_DAY_MM) {
+      runStart = null;
+      continue;
+    }
+    if (runStart === null) runStart = day;
+    if ((day - runStart) / DAY_MS + 1 >= WITHDRAWAL.drySpell) return { date: new Date(runStart) };
+  }
+
+  return null;
+};
+
+/**
+ * Season statistics for one year: total, spells and rain-day counts
+ * @param {Function} rainOn - Date (ms) → rainfall (mm) or null
+ * @param {number} year - Year
+ * @param {number} lastDay - Last observed date (ms)
+ * @returns {Object} { from, to, elapsedDays, observedDays, coverage, total, rainyDays, heavyRainDays, spells }
+ */
+const seasonStatistics = (rainOn, year, lastDay) => {
+  const from = Date.UTC(year, ...SEASON.from);
+  const to = Math.min(Date.UTC(year, ...SEASON.to), lastDay);
+  const elapsedDays = Math.max(0, Math.round((to - from) / DAY_MS) + 1);
+
+  let observedDays = 0;
+  let observedTotal = 0;
+  let rainyDays = 0;
+  const heavyRainDays = Object.fromEntries(HEAVY_RAIN_CATEGORIES.map(c => [c.key, 0]));
+
+  for (let day = from; day <= to; day += DAY_MS) {
+    const rain = rainOn(day);
+    if (rain === null) continue;
+    observedDays++;
+    observedTotal += rain;
+    if (rain >= RAINY_DAY_MM) rainyDays++;
+    const category = HEAVY_RAIN_CATEGORIES.find(c => rain >= c.min);
+    if (category) heavyRainDays[category.key]++;
+  }
+
+  const coverage = elapsedDays > 0 ? observedDays / elapsedDays : 0;
+
+  return {
+    from: new Date(from),
+    to: new Date(to),
+    elapsedDays,
+    observedDays,
+    coverage: roundTo(coverage, 2),
+    // Scaled up from the observed days to every day of the season so far
+    total: observedDays > 0 ? observedTotal * elapsedDays / observedDays : null,
+    rainyDays,
+    heavyRainDays,
+    spells: elapsedDays > 0 ? _spellSummary(rainOn, from, to) : null
+  };
+};
+
+/**
+ * IMD seasonal category of a departure from the LPA
+ * @param {number} departure - Percent departure
+ * @returns {string} e.g. 'normal', 'deficient'
+ */
+const seasonCategory = (departure) => SEASON_CATEGORIES.find(c => departure >= c.min).key;
+
+/**
+ * Monsoon season summary for a city and year, against the base-period LPA and normal dates
+ * For a season still under way, the LPA to the same date is compared as well.
+ * @param {Object} city - City from CITIES
+ * @param {Object} options - { year (default: the latest monsoon that has begun), startYear, endYear }
+ * @returns {Promise<Object>}
+ */
+const getMonsoonSummary = async (city, options = {}) => {
+  const timeZone = city.timezone || 'Asia/Kolkata';
+  const today = Date.parse(`${getLocalDateLabel(new Date(), timeZone)}T00:00:00.000Z`);
+  const currentYear = new Date(today).getUTCFullYear();
+  const year = options.year ?? (new Date(today).getUTCMonth() >= SEASON.from[0] ? currentYear : currentYear - 1);
+  const basePeriod = getBasePeriod(options);
+
+  const cacheKey = `monsoon:${city.id}:${year}:${basePeriod.startYear}-${basePeriod.endYear}`;
+  const cached = getCachedData(cacheKey);
+  if (cached) return cached;
+
+  const firstYear = Math.min(year, basePeriod.startYear);
+  const lastYear = Math.max(year, basePeriod.endYear);
+  const records = await HistoricalData.find({
+    cityId: city.id,
+    date: { $gte: new Date(Date.UTC(firstYear, 0, 1)), $lte: new Date(Date.UTC(lastYear, 11, 31)) },
+    ...HistoricalData.dailyFilter()
+  })
+    .select('date totalRainfall dataCompleteness')
+    .lean();
+
+  const rainfall = new Map();
+  for (const day of records) {
+    if (typeof day.totalRainfall !== 'number' || isNaN(day.totalRainfall)) continue;
+    if (!isCompleteDay(day)) continue;
+    rainfall.set(new Date(day.date).getTime(), day.totalRainfall);
+  }
+  const rainOn = (day) => rainfall.has(day) ? rainfall.get(day) : null;
+
+  const analyseYear = (y) => {
+    const lastDay = Math.min(Date.UTC(y, 11, 31), today);
+    return {
+      year: y,
+      onset: findOnset(rainOn, y, lastDay),
+      withdrawal: findWithdrawal(rainOn, y, lastDay),
+      season: seasonStatistics(rainOn, y, lastDay)
+    };
+  };
+
+  const current = analyseYear(year);
+
+  // Base-period seasons that are over and observed well enough
+  const baseYears = [];
+  for (let y = basePeriod.startYear; y <= basePeriod.endYear; y++) {
+    if (y === year || Date.UTC(y, ...SEASON.to) >= today) continue;
+    const analysed = analyseYear(y);
+    if (analysed.season.coverage >= MIN_SEASON_COVERAGE) baseYears.push(analysed);
+  }
+
+  const hasLpa = baseYears.length >= MIN_LPA_YEARS;
+  const lpa = hasLpa ? mean(baseYears.map(y => y.season.total)) : null;
+
+  // LPA to the same day of the season, for a season still under way
+  const ongoing = current.season.elapsedDays < _seasonLength(year);
+  let lpaToDate = null;
+  if (hasLpa && ongoing) {
+    const seasonDay = current.season.to;
+    const toDates = baseYears
+      .map(({ year: y }) => seasonStatistics(rainOn, y, Date.UTC(y, seasonDay.getUTCMonth(), seasonDay.getUTCDate())))
+      .filter(s => s.coverage >= MIN_SEASON_COVERAGE);
+    if (toDates.length >= MIN_LPA_YEARS) lpaToDate = mean(toDates.map(s => s.total));
+  }
+
+  const reference = ongoing ? lpaToDate : lpa;
+  const total = current.season.total;
+  const departure = reference && total != null && current.season.coverage >= MIN_SEASON_COVERAGE
+    ? (total - reference) / reference * 100
+    : null;
+
+  const normalOnset = _medianDayOfYear(baseYears.map(y => y.onset?.date).filter(Boolean));
+  const normalWithdrawal = _medianDayOfYear(baseYears.map(y => y.withdrawal?.date).filter(Boolean));
+  const onsetDoy = current.onset ? dayOfYear(current.onset.date) : null;
+  const withdrawalDoy = current.withdrawal ? dayOfYear(current.withdrawal.date) : null;
+
+  const result = {
+    cityId: city.id,
+    year,
+    status: ongoing ? 'ongoing' : 'complete',
+    basePeriod,
+    onset: current.onset && {
+      ...current.onset,
+      normal: normalOnset != null ? _dateOfYear(year, normalOnset) : null,
+      daysFromNormal: normalOnset != null ? onsetDoy - normalOnset : null
+    },
+    withdrawal: current.withdrawal && {
+      ...current.withdrawal,
+      normal: normalWithdrawal != null ? _dateOfYear(year, normalWithdrawal) : null,
+      daysFromNormal: normalWithdrawal != null ? withdrawalDoy - normalWithdrawal : null
+    },
+    normalOnset: normalOnset != null ? _dateOfYear(year, normalOnset) : null,
+    normalWithdrawal: normalWithdrawal != null ? _dateOfYear(year, normalWithdrawal) : null,
+    season: {
+      ...current.season,
+      total: total != null ? roundTo(total, 1) : null
+    },
+    lpa: lpa != null ? roundTo(lpa, 1) : null,
+    lpaToDate: lpaToDate != null ? roundTo(lpaToDate, 1) : null,
+    lpaYears: baseYears.length,
+    departurePercent: departure != null ? roundTo(departure, 0) : null,
+    category: departure != null ? seasonCategory(Math.round(departure)) : null,
+    history: baseYears.map(y => ({
+      year: y.year,
+      total: roundTo(y.season.total, 1),
+      onset: y.onset?.date || null,
+      withdrawal: y.withdrawal?.date || null
+    })),
+    thresholds: {
+      rainyDayMm: RAINY_DAY_MM,
+      heavyRain: Object.fromEntries(HEAVY_RAIN_CATEGORIES.map(c => [c.key, c.min])),
+      breakDrySpellDays: BREAK_DRY_SPELL_DAYS
+    }
+  };
+
+  setCachedData(cacheKey, result, 3600);
+
+  return result;
+};
+
+// ========== PRIVATE HELPER FUNCTIONS ==========
+
+/**
+ * Longest run of observed days matching a test; unobserved days end a run
+ * @private
+ */
+const _longestSpell = (rainOn, from, to, test) => {
+  let best = { length: 0, start: null, end: null };
+  let start = null;
+
+  for (let day = from; day <= to + DAY_MS; day += DAY_MS) {
+    const rain = day <= to ? rainOn(day) : null;
+    if (rain !== null && test(rain)) {
+      if (start === null) start = day;
+      continue;
+    }
+    if (start !== null) {
+      const length = Math.round((day - start) / DAY_MS);
+      if (length > best.length) best = { length, start: new Date(start), end: new Date(day - DAY_MS) };
+      start = null;
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Dry and wet spells in a date range
+ * @private
+ */
+const _spellSummary = (rainOn, from, to) => {
+  const runs = { dry: [], wet: [] };
+  let kind = null;
+  let length = 0;
+
+  for (let day = from; day <= to + DAY_MS; day += DAY_MS) {
+    const rain = day <= to ? rainOn(day) : null;
+    const dayKind = rain === null ? null : rain >= RAINY_DAY_MM ? 'wet' : 'dry';
+    if (dayKind === kind) {
+      length++;
+      continue;
+    }
+    if (kind) runs[kind].push(length);
+    kind = dayKind;
+    length = 1;
+  }
+
+  const dry = _longestSpell(rainOn, from, to, r => r < RAINY_DAY_MM);
+  const wet = _longestSpell(rainOn, from, to, r => r >= RAINY_DAY_MM);
+
+  return {
+    longestDry: dry.length > 0 ? dry : null,
+    longestWet: wet.length > 0 ? wet : null,
+    breaks: runs.dry.filter(l => l >= BREAK_DRY_SPELL_DAYS).length,
+    meanDryLength: runs.dry.length > 0 ? roundTo(mean(runs.dry), 1) : null,
+    meanWetLength: runs.wet.length > 0 ? roundTo(mean(runs.wet), 1) : null,
+    wetSpells: runs.wet.length
+  };
+};
+
+/**
+ * Median day of year of a set of dates, or null without any
+ * @private
+ */
+const _medianDayOfYear = (dates) => {
+  if (dates.length === 0) return null;
+  const days = dates.map(dayOfYear).sort((a, b) => a - b);
+  const middle = Math.floor(days.length / 2);
+  return days.length % 2 === 0 ? Math.round((days[middle - 1] + days[middle]) / 2) : days[middle];
+};
+
+/**
+ * @private
+ */
+const _dateOfYear = (year, doy) => new Date(Date.UTC(year, 0, doy));
+
+/**
+ * @private
+ */
+const _seasonLength = (year) => Math.round((Date.UTC(year, ...SEASON.to) - Date.UTC(year, ...SEASON.from)) / DAY_MS) + 1;
+
+module.exports = {
+  RAINY_DAY_MM,
+  HEAVY_RAIN_CATEGORIES,
+  SEASON_CATEGORIES,
+  findOnset,
+  findWithdrawal,
+  seasonStatistics,
+  seasonCategory,
+  getMonsoonSummary
+};
@@ -21,11 +21,15 @@ const generateTrendInsight = async (cityName, trendData) => {
   }
 
   try {
-    const prompt = `Analyze weather trend for ${cityName}, India:
-- Temperature: ${trendData.temperatureTrend || 'stable'}, change ${trendData.temperatureChange || 0}°C
-- AQI trend: ${trendData.aqiTrend || 'stable'}
+    // Trends arrive as 'stable' unless a Mann-Kendall test found them significant
+    const temperatureLine = trendData.temperatureTrend && trendData.temperatureTrend !== 'stable'
+      ? `${trendData.temperatureTrend}, ${trendData.temperatureChange > 0 ? '+' : ''}${trendData.temperatureChange}°C per decade (p=${trendData.temperaturePValue})`
+      : 'no statistically significant trend';
+    const prompt = `Analyze weather trend for ${cityName}, India${trendData.period ? ` (${trendData.period})` : ''}:
+- Temperature: ${temperatureLine}
+- AQI trend: ${trendData.aqiTrend && trendData.aqiTrend !== 'stable' ? trendData.aqiTrend : 'no statistically significant trend'}
 
-Provide brief insight (max 15 words) about practical implications.`;
+Provide brief insight (max 15 words) about practical implications. Do not describe a trend where none is significant.`;
 
     const completion = await openai.chat.completions.create({
       model: "gpt-4o-mini",
@@ -167,7 +171,9 @@ const generateAllInsights = async (cityName, weatherData) => {
     const trendData = {
       temperatureTrend: weatherData.trends?.temperature || 'stable',
       temperatureChange: weatherData.trends?.tempChange || 0,
-      aqiTrend: weatherData.trends?.aqi || 'stable'
+      temperaturePValue: weatherData.trends?.tempPValue,
+      aqiTrend: weatherData.trends?.aqi || 'stable',
+      period: weatherData.trends?.period
     };
     insights.push(await generateTrendInsight(cityName, trendData));
 
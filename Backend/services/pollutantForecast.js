@@ -0,0 +1,263 @@
+/**
+ * Pollutant Forecast Service
+ * Daily PM2.5, PM10, NO2 and O3 forecast from a regression trained on each city's own
+ * history: yesterday's level, the day's meteorology (wind, humidity, rain and the
+ * temperature range as a proxy for boundary-layer mixing) and the day of the week.
+ * Meteorology comes from the stored OpenMeteo forecast, so the model needs no API of its own.
+ */
+
+const HistoricalData = require('../models/HistoricalData');
+const RealtimeData = require('../models/RealtimeData');
+const { calculateAQI } = require('../utils/aqiCalculator');
+const { roundTo, getLocalDateLabel, solveLinearSystem, isValidNumber, DAY_MS } = require('../utils/helpers');
+const { getLatestForecasts } = require('./forecastStore');
+
+// Forecast field -> daily HistoricalData field
+const FORECAST_POLLUTANTS = {
+  pm25: 'avgPm25',
+  pm10: 'avgPm10',
+  no2: 'avgNo2',
+  o3: 'avgO3'
+};
+
+// Source name the forecast is stored under
+const POLLUTANT_SOURCE = 'PollutantModel';
+
+// Source whose daily forecast supplies the meteorology
+const METEOROLOGY_SOURCE = 'OpenMeteo';
+
+const TRAINING_DAYS = 365;
+
+// Training days with every input present needed before a pollutant gets a model
+const MIN_TRAINING_DAYS = 60;
+
+// Ridge penalty on the standardised coefficients; keeps short histories from overfitting
+const RIDGE_LAMBDA = 2;
+
+// Realtime readings in the last day needed to use them as the starting level
+const MIN_RECENT_READINGS = 6;
+
+/**
+ * Fit one model per pollutant on consecutive daily records
+ * Concentrations are modelled on a log scale, which keeps forecasts positive and
+ * lets the meteorology act multiplicatively.
+ * @param {Array} history - Daily HistoricalData records
+ * @returns {Object} { [pollutant]: { weights, means, stds, residualStd, samples } }
+ */
+const trainPollutantModel = (history) => {
+  const byTime = new Map(history.map(day => [new Date(day.date).getTime(), day]));
+  const models = {};
+
+  for (const [pollutant, field] of Object.entries(FORECAST_POLLUTANTS)) {
+    const rows = [];
+    const targets = [];
+
+    for (const day of history) {
+      const previous = byTime.get(new Date(day.date).getTime() - DAY_MS);
+      if (!previous || !_isPositive(day[field]) || !_isPositive(previous[field])) continue;
+
+      const features = _features(previous[field], {
+        date: day.date,
+        windSpeed: day.maxWindSpeed,   // the forecast's wind is the daily maximum too
+        humidity: day.avgHumidity,
+        precipitation: day.totalRainfall,
+        highTemp: day.maxTemperature,
+        lowTemp: day.minTemperature
+      });
+      if (!features) continue;
+
+      rows.push(features);
+      targets.push(Math.log(day[field]));
+    }
+
+    if (rows.length < MIN_TRAINING_DAYS) continue;
+
+    models[pollutant] = _fitRidge(rows, targets);
+  }
+
+  return models;
+};
+
+/**
+ * Run the models forward day by day, each day starting from the previous day's forecast
+ * @param {Object} models - From trainPollutantModel
+ * @param {Object} start - Latest observed level per pollutant ({ pm25, pm10, no2, o3 })
+ * @param {Array} meteorology - Daily forecast entries ({ date, windSpeed, humidity, precipitation, highTemp, lowTemp })
+ * @returns {Array} [{ date, pm25, pm10, no2, o3, aqi }]
+ */
+const forecastPollutants = (models, start, meteorology) => {
+  const level = { ...start };
+  const forecast = [];
+
+  for (const day of meteorology) {
+    const entry = { date: day.date };
+
+    for (const [pollutant, model] of Object.entries(models)) {
+      const features = _isPositive(level[pollutant]) ? _features(level[pollutant], day) : null;
+      if (!features) {
+        level[pollutant] = null;
+        continue;
+      }
+
+      const value = Math.exp(_predict(model, features));
+      entry[pollutant] = roundTo(value, 1);
+      level[pollutant] = value;
+    }
+
+    const pollutants = Object.fromEntries(Object.keys(FORECAST_POLLUTANTS).map(p => [p, entry[p]]).filter(([, v]) => v != null));
+    if (Object.keys(pollutants).length === 0) break;
+
+    entry.aqi = calculateAQI(pollutants).aqi;
+    forecast.push(entry);
+  }
+
+  return forecast;
+};
+
+/**
+ * Train on a city's history and forecast from the latest meteorology forecast
+ * @param {Object} city - City from CITIES
+ * @returns {Promise<Array|null>} Daily forecast entries, or null without enough history or meteorology
+ */
+const generatePollutantForecast = async (city) => {
+  const now = new Date();
+
+  const history = await HistoricalData.find({
+    cityId: city.id,
+    date: { $gte: new Date(now.getTime() - (TRAINING_DAYS + 1) * DAY_MS) },
+    ...HistoricalData.dailyFilter()
+  })
+    .select(['date', 'maxWindSpeed', 'avgHumidity', 'totalRainfall', 'maxTemperature', 'minTemperature', ...Object.values(FORECAST_POLLUTANTS)].join(' '))
+    .sort({ date: 1 })
+    .lean();
+
+  const models = trainPollutantModel(history);
+  if (Object.keys(models).length === 0) return null;
+
+  const [meteorologyIssue] = await getLatestForecasts(city.id, { sources: [METEOROLOGY_SOURCE] });
+  if (!meteorologyIssue) return null;
+
+  const today = new Date(`${getLocalDateLabel(now, city.timezone || 'Asia/Kolkata')}T00:00:00.000Z`);
+  const start = await _startingLevels(city.id, history, now, today);
+
+  // Forecast from the day after the starting level onwards
+  const meteorology = (meteorologyIssue.daily || [])
+    .filter(day => new Date(day.date) > start.date)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const forecast = forecastPollutants(models, start.levels, meteorology);
+
+  return forecast.length > 0 ? forecast : null;
+};
+
+// ========== PRIVATE HELPER FUNCTIONS ==========
+
+/**
+ * Latest pollutant levels: the mean of the last 24 hours of realtime readings,
+ * or the last daily record when there are too few readings
+ * @private
+ */
+const _startingLevels = async (cityId, history, now, today) => {
+  const readings = await RealtimeData.find({
+    cityId,
+    timestamp: { $gte: new Date(now.getTime() - DAY_MS) },
+    'provenance.isFallback': { $ne: true }
+  })
+    .select(Object.keys(FORECAST_POLLUTANTS).join(' '))
+    .lean();
+
+  const lastDay = history[history.length - 1];
+  const levels = {};
+
+  for (const [pollutant, field] of Object.entries(FORECAST_POLLUTANTS)) {
+    const values = readings.map(r => r[pollutant]).filter(_isPositive);
+    levels[pollutant] = values.length >= MIN_RECENT_READINGS
+      ? values.reduce((sum, v) => sum + v, 0) / values.length
+      : lastDay?.[field] ?? null;
+  }
+
+  // Realtime readings stand in for today; a daily record for its own date
+  const usedRealtime = Object.keys(FORECAST_POLLUTANTS)
+    .some(p => readings.filter(r => _isPositive(r[p])).length >= MIN_RECENT_READINGS);
+  const date = usedRealtime || !lastDay ? today : new Date(lastDay.date);
+
+  return { levels, date };
+};
+
+/**
+ * Feature vector for one day, or null when the meteorology is incomplete
+ * @private
+ */
+const _features = (previousLevel, day) => {
+  const { windSpeed, humidity, precipitation, highTemp, lowTemp } = day;
+  if (![windSpeed, humidity, highTemp, lowTemp].every(isValidNumber)) return null;
+
+  const weekday = new Date(day.date).getUTCDay();
+
+  return [
+    Math.log(previousLevel),
+    windSpeed,
+    humidity,
+    Math.log1p(Math.max(0, precipitation || 0)),
+    highTemp - lowTemp,   // large ranges go with deep daytime mixing and strong night inversions
+    highTemp,             // photochemistry (O3)
+    ...[1, 2, 3, 4, 5, 6].map(d => (weekday === d ? 1 : 0))
+  ];
+};
+
+/**
+ * Ridge regression on standardised features with an unpenalised intercept
+ * @private
+ */
+const _fitRidge = (rows, targets) => {
+  const n = rows.length;
+  const k = rows[0].length;
+
+  const means = Array.from({ length: k }, (_, j) => rows.reduce((sum, r) => sum + r[j], 0) / n);
+  const stds = Array.from({ length: k }, (_, j) => {
+    const variance = rows.reduce((sum, r) => sum + Math.pow(r[j] - means[j], 2), 0) / n;
+    return Math.sqrt(variance) || 1;
+  });
+  const targetMean = targets.reduce((sum, t) => sum + t, 0) / n;
+
+  const scaled = rows.map(r => r.map((v, j) => (v - means[j]) / stds[j]));
+
+  // (XᵀX + λI) w = Xᵀy
+  const matrix = Array.from({ length: k }, (_, a) =>
+    Array.from({ length: k }, (_, b) =>
+      scaled.reduce((sum, r) => sum + r[a] * r[b], 0) + (a === b ? RIDGE_LAMBDA : 0)
+    )
+  );
+  const vector = Array.from({ length: k }, (_, a) =>
+    scaled.reduce((sum, r, i) => sum + r[a] * (targets[i] - targetMean), 0)
+  );
+
+  const model = { weights: solveLinearSystem(matrix, vector), intercept: targetMean, means, stds };
+
+  const residuals = rows.map((r, i) => targets[i] - _predict(model, r));
+  model.residualStd = Math.sqrt(residuals.reduce((sum, e) => sum + e * e, 0) / Math.max(1, n - k - 1));
+  model.samples = n;
+
+  return model;
+};
+
+/**
+ * @private
+ */
+const _predict = (model, features) => model.intercept + features.reduce(
+  (sum, v, j) => sum + model.weights[j] * (v - model.means[j]) / model.stds[j],
+  0
+);
+
+/**
+ * @private
+ */
+const _isPositive = (value) => isValidNumber(value) && value > 0;
+
+module.exports = {
+  FORECAST_POLLUTANTS,
+  POLLUTANT_SOURCE,
+  trainPollutantModel,
+  forecastPollutants,
+  generatePollutantForecast
+};
@@ -6,7 +6,8 @@
 const HistoricalData = require('../models/HistoricalData');
 const PredictedData = require('../models/PredictedData');
 const logger = require('../utils/logger');
-const { roundTo } = require('../utils/helpers');
+const { roundTo, normalCdf } = require('../utils/helpers');
+const { calculateAQI } = require('../utils/aqiCalculator');
 
 /**
  * Generate simple prediction using moving average
@@ -55,8 +56,7 @@ const generateSimplePrediction = (historicalData, daysAhead = 7) => {
         temperature: roundTo(tempPrediction, 1),
         humidity: roundTo(humidityPrediction, 0),
         pm25: roundTo(pm25Prediction, 1),
-        aqi: _calculateAQI(pm25Prediction),
-        confidence: roundTo(Math.max(0.5, 1 - (i * 0.05)), 2) // Decreases with days ahead
+        aqi: calculateAQI({ pm25: pm25Prediction }).aqi
       });
     }
 
@@ -71,7 +71,7 @@ const generateSimplePrediction = (historicalData, daysAhead = 7) => {
 };
 
 /**
- * Evaluate forecast accuracy using RMSE and MAE
+ * Evaluate forecast accuracy using RMSE, MAE and bias
  * @param {Array} predicted - Predicted values
  * @param {Array} actual - Actual values
  * @returns {Object} Accuracy metrics
@@ -101,21 +101,25 @@ const evaluateForecastAccuracy = (predicted, actual) => {
     // Calculate metrics
     const mae = _average(errors.map(e => e.absError)); // Mean Absolute Error
     const rmse = Math.sqrt(_average(errors.map(e => e.squaredError))); // Root Mean Squared Error
-    const mape = _average(errors.map(e => Math.abs(e.error / e.actual) * 100)); // Mean Absolute Percentage Error
+    const bias = _average(errors.map(e => e.error)); // Mean error; positive = forecasts run high
+    // Mean Absolute Percentage Error (undefined where the actual value is 0)
+    const nonZero = errors.filter(e => e.actual !== 0);
+    const mape = nonZero.length > 0 ? _average(nonZero.map(e => Math.abs(e.error / e.actual) * 100)) : null;
 
     // Calculate R-squared
     const actualMean = _average(actual);
     const totalSS = actual.reduce((sum, val) => sum + Math.pow(val - actualMean, 2), 0);
     const residualSS = errors.reduce((sum, e) => sum + e.squaredError, 0);
-    const rSquared = 1 - (residualSS / totalSS);
+    const rSquared = totalSS > 0 ? 1 - (residualSS / totalSS) : null;
 
     const metrics = {
       mae: roundTo(mae, 2),
       rmse: roundTo(rmse, 2),
-      mape: roundTo(mape, 2),
-      rSquared: roundTo(rSquared, 3),
+      bias: roundTo(bias, 2),
+      mape: mape != null ? roundTo(mape, 2) : null,
+      rSquared: rSquared != null ? roundTo(rSquared, 3) : null,
       sampleSize: predicted.length,
-      accuracy: roundTo(Math.max(0, 100 - mape), 1) // Percentage accuracy
+      accuracy: mape != null ? roundTo(Math.max(0, 100 - mape), 1) : null // Percentage accuracy
     };
 
     logger.debug(`Forecast accuracy: MAE=${metrics.mae}, RMSE=${metrics.rmse}, R²=${metrics.rSquared}`);
@@ -200,6 +204,60 @@ const selectBestForecast = (forecasts, actualData = null) => {
   }
 };
 
+/**
+ * Blend forecast issues from several sources into one ensemble forecast
+ * Each source's value is bias-corrected and weighted by the inverse of its squared
+ * RMSE for the city, metric and lead time (from forecast verification). The 10th/90th
+ * percentile band comes from the mixture of the sources' error distributions.
+ * Fields that no source has been verified on are blended with equal weights.
+ * @param {Array} issues - Latest PredictedData issue per source ({ source, daily })
+ * @param {Array} skillRows - ForecastSkill rows ({ source, metric, leadDays, rmse, bias, sampleSize })
+ * @returns {Array|null} Daily ensemble entries, or null when no source has skill data
+ */
+const blendForecasts = (issues, skillRows = []) => {
+  try {
+    const skill = _indexSkill(skillRows);
+    const members = (issues || []).filter(issue => issue.daily && issue.daily.length > 0);
+
+    if (members.length === 0 || !members.some(issue => skill[issue.source])) {
+      return null;
+    }
+
+    const dates = [...new Set(members.flatMap(issue => issue.daily.map(d => new Date(d.date).getTime())))].sort();
+
+    return dates.map(time => {
+      const entry = { date: new Date(time), p10: {}, p90: {}, sources: [] };
+
+      for (const [field, metric] of Object.entries(ENSEMBLE_FIELDS)) {
+        const readings = members
+          .map(issue => {
+            const day = issue.daily.find(d => new Date(d.date).getTime() === time);
+            return day && typeof day[field] === 'number' && !isNaN(day[field])
+              ? { source: issue.source, value: day[field], skill: metric ? _skillFor(skill, issue.source, metric, day.leadDays) : null }
+              : null;
+          })
+          .filter(Boolean);
+
+        const blended = _blendReadings(readings);
+        if (!blended) continue;
+
+        entry[field] = roundTo(blended.mean, ENSEMBLE_DECIMALS[field] ?? 1);
+        entry.p10[field] = blended.p10 != null ? roundTo(blended.p10, ENSEMBLE_DECIMALS[field] ?? 1) : null;
+        entry.p90[field] = blended.p90 != null ? roundTo(blended.p90, ENSEMBLE_DECIMALS[field] ?? 1) : null;
+        blended.sources.forEach(source => {
+          if (!entry.sources.includes(source)) entry.sources.push(source);
+        });
+      }
+
+      return entry;
+    });
+
+  } catch (error) {
+    logger.error('Error blending forecasts:', error.message);
+    return null;
+  }
+};
+
 /**
  * Calculate trend direction and strength
  * @param {Array} values - Array of values
@@ -250,6 +308,117 @@ const calculateTrend = (values) => {
 
 // ========== PRIVATE HELPER FUNCTIONS ==========
 
+// Forecast fields the ensemble blends, with the verified metric that scores them (if any)
+const ENSEMBLE_FIELDS = {
+  highTemp: 'maxTemperature',
+  lowTemp: 'minTemperature',
+  aqi: 'avgAqi',
+  avgTemp: null,
+  humidity: null,
+  precipitation: null,
+  precipitationProbability: null,
+  windSpeed: null,
+  pm25: 'avgPm25',
+  pm10: 'avgPm10',
+  no2: 'avgNo2',
+  o3: 'avgO3'
+};
+
+const ENSEMBLE_DECIMALS = { humidity: 0, precipitationProbability: 0, aqi: 0 };
+
+// Skill from fewer verified forecasts than this is too noisy to weight by
+const MIN_SKILL_SAMPLES = 5;
+
+/**
+ * Skill rows indexed by source, metric and lead time
+ * @private
+ */
+const _indexSkill = (rows) => {
+  const index = {};
+  for (const row of rows) {
+    if (!row.sampleSize || row.sampleSize < MIN_SKILL_SAMPLES || !(row.rmse > 0)) continue;
+    index[row.source] = index[row.source] || {};
+    index[row.source][row.metric] = index[row.source][row.metric] || {};
+    index[row.source][row.metric][row.leadDays] = row;
+  }
+  return index;
+};
+
+/**
+ * Skill at a lead time, or at the nearest verified lead time
+ * @private
+ */
+const _skillFor = (index, source, metric, leadDays) => {
+  const byLead = index[source]?.[metric];
+  if (!byLead) return null;
+  if (byLead[leadDays]) return byLead[leadDays];
+
+  const nearest = Object.keys(byLead)
+    .map(Number)
+    .sort((a, b) => Math.abs(a - leadDays) - Math.abs(b - leadDays))[0];
+  return byLead[nearest];
+};
+
+/**
+ * Weighted mean and 10th/90th percentiles for one field on one day
+ * @private
+ */
+const _blendReadings = (readings) => {
+  if (readings.length === 0) return null;
+
+  const scored = readings.filter(r => r.skill);
+  let components;
+
+  if (scored.length > 0) {
+    // Sources without skill for this metric are left out rather than guessed at
+    components = scored.map(r => ({
+      source: r.source,
+      center: r.value - (r.skill.bias || 0),
+      sigma: r.skill.rmse,
+      weight: 1 / Math.pow(r.skill.rmse, 2)
+    }));
+  } else {
+    // No verification yet: equal weights, spread taken from the sources' disagreement
+    const values = readings.map(r => r.value);
+    const mean = _average(values);
+    const spread = Math.sqrt(_average(values.map(v => Math.pow(v - mean, 2))));
+    components = readings.map(r => ({ source: r.source, center: r.value, sigma: spread, weight: 1 }));
+  }
+
+  const totalWeight = components.reduce((sum, c) => sum + c.weight, 0);
+  const mean = components.reduce((sum, c) => sum + c.center * c.weight, 0) / totalWeight;
+  const hasSpread = components.some(c => c.sigma > 0);
+
+  return {
+    mean,
+    p10: hasSpread ? _mixtureQuantile(components, totalWeight, 0.1) : null,
+    p90: hasSpread ? _mixtureQuantile(components, totalWeight, 0.9) : null,
+    sources: components.map(c => c.source)
+  };
+};
+
+/**
+ * Quantile of a weighted mixture of normal distributions (bisection on the CDF)
+ * @private
+ */
+const _mixtureQuantile = (components, totalWeight, p) => {
+  const cdf = (x) => components.reduce((sum, c) => {
+    const z = c.sigma > 0 ? (x - c.center) / c.sigma : (x >= c.center ? Infinity : -Infinity);
+    return sum + c.weight * normalCdf(z);
+  }, 0) / totalWeight;
+
+  let low = Math.min(...components.map(c => c.center - 5 * (c.sigma || 0))) - 1;
+  let high = Math.max(...components.map(c => c.center + 5 * (c.sigma || 0))) + 1;
+
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (cdf(mid) < p) low = mid;
+    else high = mid;
+  }
+
+  return (low + high) / 2;
+};
+
 /**
  * Calculate weighted moving average
  * @private
@@ -281,35 +450,10 @@ const _average = (values) => {
   return sum / values.length;
 };
 
-/**
- * Calculate AQI from PM2.5
- * @private
- */
-const _calculateAQI = (pm25) => {
-  if (!pm25 || pm25 < 0) return 0;
-
-  const breakpoints = [
-    { cLow: 0.0, cHigh: 12.0, iLow: 0, iHigh: 50 },
-    { cLow: 12.1, cHigh: 35.4, iLow: 51, iHigh: 100 },
-    { cLow: 35.5, cHigh: 55.4, iLow: 101, iHigh: 150 },
-    { cLow: 55.5, cHigh: 150.4, iLow: 151, iHigh: 200 },
-    { cLow: 150.5, cHigh: 250.4, iLow: 201, iHigh: 300 },
-    { cLow: 250.5, cHigh: 500.4, iLow: 301, iHigh: 500 }
-  ];
-
-  for (const bp of breakpoints) {
-    if (pm25 >= bp.cLow && pm25 <= bp.cHigh) {
-      const aqi = ((bp.iHigh - bp.iLow) / (bp.cHigh - bp.cLow)) * (pm25 - bp.cLow) + bp.iLow;
-      return Math.round(aqi);
-    }
-  }
-
-  return 500;
-};
-
 module.exports = {
   generateSimplePrediction,
   evaluateForecastAccuracy,
   selectBestForecast,
+  blendForecasts,
   calculateTrend
 };
@@ -0,0 +1,302 @@
+/**
+ * Return Periods Service
+ * Extreme-value fits to each city's annual maxima (daily max temperature and daily
+ * rainfall): return levels for standard return periods with bootstrap confidence
+ * bounds, and the return period of any given value.
+ * Distributions are fitted by L-moments, which stay stable on the short records we have.
+ */
+
+const HistoricalData = require('../models/HistoricalData');
+const { getCachedData, setCachedData } = require('./cacheManager');
+const { roundTo, quantile, isValidNumber, isCompleteDay, gamma } = require('../utils/helpers');
+
+// Daily HistoricalData fields whose annual maxima are fitted
+const EXTREME_METRICS = {
+  maxTemperature: { unit: '°C', decimals: 1 },
+  totalRainfall: { unit: 'mm', decimals: 1 }
+};
+
+const RETURN_PERIODS = [2, 5, 10, 25, 50];
+
+// Share of a year's days that must be observed before its maximum counts
+const MIN_YEAR_COVERAGE = 0.75;
+
+// Annual maxima needed for any fit, and for fitting the GEV shape rather than assuming Gumbel
+const MIN_YEARS = 5;
+const MIN_YEARS_FOR_SHAPE = 20;
+
+const BOOTSTRAP_SAMPLES = 500;
+const CONFIDENCE_LEVEL = 0.95;
+
+const EULER_GAMMA = 0.5772156649;
+
+/**
+ * Maximum of each sufficiently observed year
+ * @param {Array} days - Daily records
+ * @param {string} metric - Daily field
+ * @returns {Array} [{ year, value, date }] sorted by year
+ */
+const annualMaxima = (days, metric) => {
+  const years = new Map();
+
+  for (const day of days) {
+    if (!isValidNumber(day[metric])) continue;
+    if (!isCompleteDay(day)) continue;
+
+    const date = new Date(day.date);
+    const year = date.getUTCFullYear();
+    const entry = years.get(year) || { year, value: -Infinity, date: null, days: 0 };
+    entry.days++;
+    if (day[metric] > entry.value) {
+      entry.value = day[metric];
+      entry.date = date;
+    }
+    years.set(year, entry);
+  }
+
+  return [...years.values()]
+    .filter(entry => entry.days >= _daysInYear(entry.year) * MIN_YEAR_COVERAGE)
+    .map(({ year, value, date }) => ({ year, value, date }))
+    .sort((a, b) => a.year - b.year);
+};
+
+/**
+ * Fit a GEV (or Gumbel, shape 0) distribution by L-moments
+ * Shape follows Hosking's sign convention: positive means a bounded upper tail.
+ * @param {Array} values - Annual maxima
+ * @param {boolean} fitShape - Estimate the shape; otherwise fit a Gumbel
+ * @returns {Object|null} { distribution, location, scale, shape }, or null for a degenerate sample
+ */
+const fitGev = (values, fitShape = true) => {
+  const { l1, l2, t3 } = _lMoments(values);
+  if (!(l2 > 0)) return null;
+
+  if (!fitShape) {
+    const scale = l2 / Math.LN2;
+    return { distribution: 'gumbel', location: l1 - EULER_GAMMA * scale, scale, shape: 0 };
+  }
+
+  const c = 2 / (3 + t3) - Math.LN2 / Math.log(3);
+  const shape = 7.859 * c + 2.9554 * c * c;
+  if (Math.abs(shape) < 1e-6) return fitGev(values, false);
+
+  const gammaTerm = gamma(1 + shape);
+  const scale = (l2 * shape) / ((1 - Math.pow(2, -shape)) * gammaTerm);
+  const location = l1 - (scale * (1 - gammaTerm)) / shape;
+
+  return { distribution: 'gev', location, scale, shape };
+};
+
+/**
+ * Value exceeded on average once every `returnPeriod` years
+ * @param {Object} fit - From fitGev
+ * @param {number} returnPeriod - Years
+ * @returns {number}
+ */
+const returnLevel = (fit, returnPeriod) => {
+  const y = -Math.log(1 - 1 / returnPeriod);   // -ln F
+  if (fit.shape === 0) return fit.location - fit.scale * Math.log(y);
+  return fit.location + (fit.scale / fit.shape) * (1 - Math.pow(y, fit.shape));
+};
+
+/**
+ * Average years between annual maxima at or above a value
+ * @param {Object} fit - From fitGev
+ * @param {number} value - Value
+ * @returns {number} Years; Infinity beyond the fitted upper bound
+ */
+const returnPeriodOf = (fit, value) => {
+  let reduced;
+  if (fit.shape === 0) {
+    reduced = (value - fit.location) / fit.scale;
+  } else {
+    const base = 1 - (fit.shape * (value - fit.location)) / fit.scale;
+    if (base <= 0) return fit.shape > 0 ? Infinity : 1;
+    reduced = -Math.log(base) / fit.shape;
+  }
+
+  const exceedance = 1 - Math.exp(-Math.exp(-reduced));
+  return exceedance > 0 ? 1 / exceedance : Infinity;
+};
+
+/**
+ * Extreme-value analysis of one metric's annual maxima
+ * Confidence bounds come from refitting bootstrap resamples of the maxima with a fixed
+ * seed, so the same data always gives the same bounds.
+ * @param {Array} maxima - From annualMaxima
+ * @param {Object} options - { metric, value (optional observed value to rank) }
+ * @returns {Object|null} Fit, return levels and the value's return period, or null with too few years
+ */
+const analyseMaxima = (maxima, options = {}) => {
+  const { metric, value = null } = options;
+  const decimals = EXTREME_METRICS[metric]?.decimals ?? 1;
+  const values = maxima.map(m => m.value);
+  if (values.length < MIN_YEARS) return null;
+
+  const fitShape = values.length >= MIN_YEARS_FOR_SHAPE;
+  const fit = fitGev(values, fitShape);
+  if (!fit) return null;
+
+  const random = _seededRandom(values.length);
+  const resampled = [];
+  for (let i = 0; i < BOOTSTRAP_SAMPLES; i++) {
+    const sample = values.map(() => values[Math.floor(random() * values.length)]);
+    const refit = fitGev(sample, fitShape);
+    if (refit) resampled.push(refit);
+  }
+
+  // A bound is null when it is unbounded: refits with an upper tail ending below the value
+  const tail = (1 - CONFIDENCE_LEVEL) / 2;
+  const bounds = (estimates) => {
+    const sorted = estimates.filter(e => !isNaN(e)).sort((a, b) => a - b);
+    if (sorted.length === 0) return [null, null];
+    return [quantile(sorted, tail), quantile(sorted, 1 - tail)]
+      .map(bound => (Number.isFinite(bound) ? bound : null));
+  };
+
+  const returnLevels = RETURN_PERIODS.map(period => {
+    const [lower, upper] = bounds(resampled.map(f => returnLevel(f, period)));
+    return {
+      returnPeriod: period,
+      value: roundTo(returnLevel(fit, period), decimals),
+      lower: lower != null ? roundTo(lower, decimals) : null,
+      upper: upper != null ? roundTo(upper, decimals) : null
+    };
+  });
+
+  let observed = null;
+  if (isValidNumber(value)) {
+    const period = returnPeriodOf(fit, value);
+    const [lower, upper] = bounds(resampled.map(f => returnPeriodOf(f, value)));
+    const rank = values.filter(v => v >= value).length;
+    observed = {
+      value,
+      returnPeriod: Number.isFinite(period) ? roundTo(period, 1) : null,
+      lower: lower != null ? roundTo(lower, 1) : null,
+      upper: upper != null ? roundTo(upper, 1) : null,
+      beyondFittedBound: !Number.isFinite(period),
+      // Weibull plotting position: how often the record itself reached the value
+      empiricalReturnPeriod: rank > 0 ? roundTo((values.length + 1) / rank, 1) : null
+    };
+  }
+
+  return {
+    unit: EXTREME_METRICS[metric]?.unit,
+    distribution: fit.distribution,
+    parameters: {
+      location: roundTo(fit.location, 3),
+      scale: roundTo(fit.scale, 3),
+      shape: roundTo(fit.shape, 3)
+    },
+    years: values.length,
+    annualMaxima: maxima.map(m => ({ ...m, value: roundTo(m.value, decimals) })),
+    returnLevels,
+    observed
+  };
+};
+
+/**
+ * Return levels for a city from its daily history
+ * Only years that have ended are used, so a year's maximum is final.
+ * @param {Object} city - City from CITIES
+ * @param {Object} options - { metrics, value (for a single metric), startYear, endYear }
+ * @returns {Promise<Object>} { cityId, confidenceLevel, metrics: { [metric]: analysis|null } }
+ */
+const getReturnPeriods = async (city, options = {}) => {
+  const {
+    metrics = Object.keys(EXTREME_METRICS),
+    value = null,
+    startYear = null,
+    endYear = new Date().getUTCFullYear() - 1
+  } = options;
+
+  const cacheKey = `return-periods:${city.id}:${startYear || 'all'}-${endYear}`;
+  let maximaByMetric = getCachedData(cacheKey);
+
+  if (!maximaByMetric) {
+    const days = await HistoricalData.find({
+      cityId: city.id,
+      date: {
+        ...(startYear ? { $gte: new Date(Date.UTC(startYear, 0, 1)) } : {}),
+        $lt: new Date(Date.UTC(endYear + 1, 0, 1))
+      },
+      ...HistoricalData.dailyFilter()
+    })
+      .select(['date', 'dataCompleteness', ...Object.keys(EXTREME_METRICS)].join(' '))
+      .lean();
+
+    maximaByMetric = Object.fromEntries(
+      Object.keys(EXTREME_METRICS).map(metric => [metric, annualMaxima(days, metric)])
+    );
+    setCachedData(cacheKey, maximaByMetric, 86400);
+  }
+
+  return {
+    cityId: city.id,
+    confidenceLevel: CONFIDENCE_LEVEL,
+    metrics: Object.fromEntries(metrics.map(metric => [
+      metric,
+      analyseMaxima(maximaByMetric[metric], { metric, value: metrics.length === 1 ? value : null })
+    ]))
+  };
+};
+
+// ========== PRIVATE HELPER FUNCTIONS ==========
+
+/**
+ * Sample L-moments from probability-weighted moments
+ * @private
+ */
+const _lMoments = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const n = sorted.length;
+
+  let b0 = 0;
+  let b1 = 0;
+  let b2 = 0;
+  sorted.forEach((x, i) => {
+    b0 += x;
+    b1 += (x * i) / (n - 1);
+    b2 += (x * i * (i - 1)) / ((n - 1) * (n - 2));
+  });
+  b0 /= n;
+  b1 /= n;
+  b2 /= n;
+
+  const l1 = b0;
+  const l2 = 2 * b1 - b0;
+  const l3 = 6 * b2 - 6 * b1 + b0;
+
+  return { l1, l2, t3: l2 !== 0 ? l3 / l2 : 0 };
+};
+
+/**
+ * Deterministic pseudo-random numbers in [0, 1) (mulberry32)
+ * @private
+ */
+const _seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * @private
+ */
+const _daysInYear = (year) => ((year % 4 === 0 && year % 100 !== 0) || year % 400 === 0 ? 366 : 365);
+
+module.exports = {
+  EXTREME_METRICS,
+  RETURN_PERIODS,
+  annualMaxima,
+  fitGev,
+  returnLevel,
+  returnPeriodOf,
+  analyseMaxima,
+  getReturnPeriods
+};
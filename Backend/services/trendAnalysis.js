@@ -0,0 +1,281 @@
+/**
+ * Trend Analysis Service
+ * Long-term trends by the Mann-Kendall test and Sen's slope, on annual and seasonal
+ * series built from daily records. Years observed too little to represent their
+ * period are left out rather than allowed to pull the trend.
+ */
+
+const HistoricalData = require('../models/HistoricalData');
+const { getCachedData, setCachedData } = require('./cacheManager');
+const { roundTo, quantile, normalCdf, isCompleteDay } = require('../utils/helpers');
+
+// Daily fields analysed, and how a period's days combine into one value
+const TREND_METRICS = {
+  avgTemperature: 'mean',
+  maxTemperature: 'mean',
+  minTemperature: 'mean',
+  totalRainfall: 'sum',
+  avgHumidity: 'mean',
+  avgAqi: 'mean'
+};
+
+// IMD seasons by month (1-12); winter is January-February so no season spans two years
+const SEASONS = {
+  annual: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12],
+  winter: [1, 2],
+  preMonsoon: [3, 4, 5],
+  monsoon: [6, 7, 8, 9],
+  postMonsoon: [10, 11, 12]
+};
+
+// Share of a period's days that must be observed for its year to count
+const MIN_PERIOD_COVERAGE = 0.8;
+
+// Complete years needed before a trend is reported
+const MIN_TREND_YEARS = 8;
+
+const SIGNIFICANCE_LEVEL = 0.05;
+const Z_CRITICAL = 1.959964;   // two-sided 95%
+
+/**
+ * Mann-Kendall test with the tie correction
+ * @param {Array} values - Values in time order
+ * @returns {Object} { s, variance, z, pValue, tau }
+ */
+const mannKendall = (values) => {
+  const n = values.length;
+  let s = 0;
+  for (let i = 0; i < n - 1; i++) {
+    for (let j = i + 1; j < n; j++) s += Math.sign(values[j] - values[i]);
+  }
+
+  const ties = new Map();
+  for (const v of values) ties.set(v, (ties.get(v) || 0) + 1);
+  const tieTerm = [...ties.values()].reduce((sum, t) => sum + t * (t - 1) * (2 * t + 5), 0);
+  const variance = (n * (n - 1) * (2 * n + 5) - tieTerm) / 18;
+
+  // Continuity correction
+  let z = 0;
+  if (variance > 0 && s > 0) z = (s - 1) / Math.sqrt(variance);
+  if (variance > 0 && s < 0) z = (s + 1) / Math.sqrt(variance);
+
+  return {
+    s,
+    variance,
+    z,
+    pValue: 2 * (1 - normalCdf(Math.abs(z))),
+    tau: n > 1 ? s / (n * (n - 1) / 2) : 0
+  };
+};
+
+/**
+ * Sen's slope (median of pairwise slopes) with its 95% confidence interval
+ * @param {Array} times - Times (e.g. years), ascending
+ * @param {Array} values - Values at those times
+ * @returns {Object} { slope, lower, upper } per unit of time
+ */
+const senSlope = (times, values) => {
+  const slopes = [];
+  for (let i = 0; i < values.length - 1; i++) {
+    for (let j = i + 1; j < values.length; j++) {
+      if (times[j] !== times[i]) slopes.push((values[j] - values[i]) / (times[j] - times[i]));
+    }
+  }
+  if (slopes.length === 0) return { slope: null, lower: null, upper: null };
+
+  slopes.sort((a, b) => a - b);
+  const median = quantile(slopes, 0.5);
+
+  // Ranks of the bounds among the N pairwise slopes (Gilbert 1987)
+  const { variance } = mannKendall(values);
+  const spread = Z_CRITICAL * Math.sqrt(variance);
+  const lowerRank = Math.round((slopes.length - spread) / 2);
+  const upperRank = Math.round((slopes.length + spread) / 2) + 1;
+
+  return {
+    slope: median,
+    lower: lowerRank >= 1 ? slopes[lowerRank - 1] : null,
+    upper: upperRank <= slopes.length ? slopes[upperRank - 1] : null
+  };
+};
+
+/**
+ * Trend of a yearly series: Mann-Kendall significance and Sen's slope per decade
+ * Serial correlation inflates Mann-Kendall significance, so when the detrended series
+ * has significant lag-1 autocorrelation it is removed first (trend-free pre-whitening).
+ * @param {Array} points - [{ year, value }] sorted by year; gaps are allowed
+ * @returns {Object} { years, trend, significant, pValue, tau, perDecade, perDecadeLower, perDecadeUpper, prewhitened }
+ */
+const analyseTrend = (points) => {
+  if (points.length < MIN_TREND_YEARS) {
+    return { years: points.length, trend: null, reason: `Needs at least ${MIN_TREND_YEARS} complete years` };
+  }
+
+  const years = points.map(p => p.year);
+  const values = points.map(p => p.value);
+  const sen = senSlope(years, values);
+
+  const { series, lag1 } = _prewhiten(years, values, sen.slope);
+  const test = mannKendall(series);
+  const significant = test.pValue < SIGNIFICANCE_LEVEL;
+
+  return {
+    years: points.length,
+    firstYear: years[0],
+    lastYear: years[years.length - 1],
+    trend: !significant ? 'no significant trend' : test.s > 0 ? 'increasing' : 'decreasing',
+    significant,
+    pValue: roundTo(test.pValue, 4),
+    tau: roundTo(test.tau, 3),
+    perDecade: roundTo(sen.slope * 10, 2),
+    perDecadeLower: sen.lower != null ? roundTo(sen.lower * 10, 2) : null,
+    perDecadeUpper: sen.upper != null ? roundTo(sen.upper * 10, 2) : null,
+    prewhitened: lag1 != null,
+    lag1Autocorrelation: lag1 != null ? roundTo(lag1, 3) : null
+  };
+};
+
+/**
+ * Direction of a short series (e.g. the last 30 days), 'stable' unless the
+ * Mann-Kendall test finds a significant trend
+ * @param {Array} values - Values in time order
+ * @returns {string} 'increasing', 'decreasing' or 'stable'
+ */
+const trendDirection = (values) => {
+  if (!values || values.length < MIN_TREND_YEARS) return 'stable';
+
+  const times = values.map((_, i) => i);
+  const { series } = _prewhiten(times, values, senSlope(times, values).slope);
+  const test = mannKendall(series);
+
+  if (test.pValue >= SIGNIFICANCE_LEVEL) return 'stable';
+  return test.s > 0 ? 'increasing' : 'decreasing';
+};
+
+/**
+ * One value per year for a period (annual or a season) from daily records
+ * Sums are scaled from the observed days up to the whole period.
+ * @param {Array} days - Daily records
+ * @param {string} metric - Field in TREND_METRICS
+ * @param {string} period - Key of SEASONS
+ * @param {Date} now - Periods that have not ended by now are skipped
+ * @returns {Object} { values: [{ year, value, coverage }], excluded: [{ year, coverage }] }
+ */
+const buildPeriodSeries = (days, metric, period, now = new Date()) => {
+  const months = SEASONS[period];
+  const byYear = new Map();
+
+  for (const day of days) {
+    const value = day[metric];
+    if (typeof value !== 'number' || isNaN(value)) continue;
+    if (!isCompleteDay(day)) continue;
+
+    const date = new Date(day.date);
+    if (!months.includes(date.getUTCMonth() + 1)) continue;
+
+    const year = date.getUTCFullYear();
+    if (!byYear.has(year)) byYear.set(year, []);
+    byYear.get(year).push(value);
+  }
+
+  const values = [];
+  const excluded = [];
+
+  for (const [year, observed] of [...byYear.entries()].sort((a, b) => a[0] - b[0])) {
+    const lastMonth = months[months.length - 1];
+    if (new Date(Date.UTC(year, lastMonth, 1)) > now) continue;
+
+    const expected = months.reduce((sum, m) => sum + new Date(Date.UTC(year, m, 0)).getUTCDate(), 0);
+    const coverage = observed.length / expected;
+    if (coverage < MIN_PERIOD_COVERAGE) {
+      excluded.push({ year, coverage: roundTo(coverage, 2) });
+      continue;
+    }
+
+    const mean = observed.reduce((sum, v) => sum + v, 0) / observed.length;
+    values.push({
+      year,
+      value: roundTo(TREND_METRICS[metric] === 'sum' ? mean * expected : mean, 2),
+      coverage: roundTo(coverage, 2)
+    });
+  }
+
+  return { values, excluded };
+};
+
+/**
+ * Annual and seasonal trends for a city
+ * @param {string} cityId - City ID
+ * @param {Object} options - { metrics }
+ * @returns {Promise<Object>} { [period]: { [metric]: { ...analyseTrend, series, excludedYears } } }
+ */
+const getTrendAnalysis = async (cityId, options = {}) => {
+  const { metrics = Object.keys(TREND_METRICS) } = options;
+  const cacheKey = `trend-analysis:${cityId}:${metrics.join(',')}`;
+
+  const cached = getCachedData(cacheKey);
+  if (cached) return cached;
+
+  const days = await HistoricalData.find({ cityId, ...HistoricalData.dailyFilter() })
+    .select(['date', 'dataCompleteness', ...metrics].join(' '))
+    .lean();
+
+  const result = {};
+  for (const period of Object.keys(SEASONS)) {
+    result[period] = {};
+    for (const metric of metrics) {
+      const { values, excluded } = buildPeriodSeries(days, metric, period);
+      result[period][metric] = {
+        ...analyseTrend(values),
+        series: values,
+        excludedYears: excluded
+      };
+    }
+  }
+
+  setCachedData(cacheKey, result, 86400);
+
+  return result;
+};
+
+// ========== PRIVATE HELPER FUNCTIONS ==========
+
+/**
+ * Trend-free pre-whitening (Yue et al. 2002): remove the Sen slope, take out
+ * significant lag-1 autocorrelation, then add the slope back
+ * @private
+ */
+const _prewhiten = (times, values, slope) => {
+  const n = values.length;
+  if (slope == null || n < 10) return { series: values, lag1: null };
+
+  const detrended = values.map((v, i) => v - slope * times[i]);
+  const mean = detrended.reduce((sum, v) => sum + v, 0) / n;
+  let numerator = 0;
+  let denominator = 0;
+  for (let i = 0; i < n; i++) {
+    denominator += Math.pow(detrended[i] - mean, 2);
+    if (i > 0) numerator += (detrended[i] - mean) * (detrended[i - 1] - mean);
+  }
+  const lag1 = denominator > 0 ? numerator / denominator : 0;
+
+  if (Math.abs(lag1) <= Z_CRITICAL / Math.sqrt(n)) return { series: values, lag1: null };
+
+  const series = [];
+  for (let i = 1; i < n; i++) {
+    series.push(detrended[i] - lag1 * detrended[i - 1] + slope * times[i]);
+  }
+
+  return { series, lag1 };
+};
+
+module.exports = {
+  TREND_METRICS,
+  SEASONS,
+  mannKendall,
+  senSlope,
+  analyseTrend,
+  trendDirection,
+  buildPeriodSeries,
+  getTrendAnalysis
+};
@@ -0,0 +1,97 @@
+/**
+ * US EPA and CPCB AQI: breakpoints, the top of the scale, gas unit conversion and CPCB completeness
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { AQI_SCALES, calculateSubIndex, calculateAQI } = require('../utils/aqiCalculator');
+
+const { US_EPA, CPCB } = AQI_SCALES;
+
+// µg/m³ for a gas concentration in ppb at 25 °C, 1 atm
+const fromPpb = (ppb, molecularWeight) => (ppb * molecularWeight) / 24.45;
+
+describe('calculateSubIndex', () => {
+  it('lands on the index at each end of a US EPA PM2.5 band', () => {
+    assert.equal(calculateSubIndex('pm25', 0, US_EPA), 0);
+    assert.equal(calculateSubIndex('pm25', 12.0, US_EPA), 50);
+    assert.equal(calculateSubIndex('pm25', 12.1, US_EPA), 51);
+    assert.equal(calculateSubIndex('pm25', 35.4, US_EPA), 100);
+    assert.equal(calculateSubIndex('pm25', 35.5, US_EPA), 101);
+    assert.equal(calculateSubIndex('pm25', 500.4, US_EPA), 500);
+  });
+
+  it('truncates US EPA PM2.5 to 0.1 µg/m³ so values in a gap stay in the lower band', () => {
+    assert.equal(calculateSubIndex('pm25', 12.09, US_EPA), 50);
+  });
+
+  it('lands on the index at each end of a CPCB PM2.5 band', () => {
+    assert.equal(calculateSubIndex('pm25', 30, CPCB), 50);
+    assert.equal(calculateSubIndex('pm25', 31, CPCB), 51);
+    assert.equal(calculateSubIndex('pm25', 60, CPCB), 100);
+    assert.equal(calculateSubIndex('pm25', 90, CPCB), 200);
+    assert.equal(calculateSubIndex('pm25', 380, CPCB), 500);
+  });
+
+  it('caps values above the top band at 500', () => {
+    assert.equal(calculateSubIndex('pm25', 800, US_EPA), 500);
+    assert.equal(calculateSubIndex('pm10', 1000, US_EPA), 500);
+    assert.equal(calculateSubIndex('pm25', 800, CPCB), 500);
+    assert.equal(calculateSubIndex('pb', 10, CPCB), 500);
+  });
+
+  it('converts gases from µg/m³ to ppb and ppm for the US EPA tables', () => {
+    // NO2 and SO2 are truncated to whole ppb, CO to 0.1 ppm
+    assert.equal(calculateSubIndex('no2', fromPpb(100.5, 46.01), US_EPA), 100);
+    assert.equal(calculateSubIndex('so2', fromPpb(35.5, 64.07), US_EPA), 50);
+    assert.equal(calculateSubIndex('co', fromPpb(9450, 28.01), US_EPA), 100);
+    assert.equal(calculateSubIndex('o3', fromPpb(70.5, 48.0), US_EPA), 100);
+  });
+
+  it('reads CO in mg/m³ and the other gases in µg/m³ for CPCB', () => {
+    assert.equal(calculateSubIndex('co', 2000, CPCB), 100);
+    assert.equal(calculateSubIndex('no2', 80, CPCB), 100);
+    assert.equal(calculateSubIndex('o3', 100, CPCB), 100);
+  });
+
+  it('has no sub-index for a missing or negative value, or a pollutant the scale lacks', () => {
+    assert.equal(calculateSubIndex('pm25', null, US_EPA), null);
+    assert.equal(calculateSubIndex('pm25', -1, US_EPA), null);
+    assert.equal(calculateSubIndex('nh3', 100, US_EPA), null);
+  });
+});
+
+describe('calculateAQI', () => {
+  it('takes the highest sub-index as the AQI', () => {
+    const result = calculateAQI({ pm25: 35.4, pm10: 54 }, US_EPA);
+
+    assert.equal(result.aqi, 100);
+    assert.equal(result.dominantPollutant, 'pm25');
+    assert.deepEqual(result.subIndices, { pm25: 100, pm10: 50 });
+    assert.equal(result.category.label, 'Moderate');
+  });
+
+  it('marks a CPCB index from fewer than 3 pollutants as incomplete', () => {
+    const result = calculateAQI({ pm25: 60, no2: 40 }, CPCB);
+
+    assert.equal(result.aqi, 100);
+    assert.equal(result.isComplete, false);
+  });
+
+  it('needs PM2.5 or PM10 among the 3 CPCB pollutants', () => {
+    assert.equal(calculateAQI({ pm25: 60, no2: 40, so2: 40 }, CPCB).isComplete, true);
+    assert.equal(calculateAQI({ no2: 40, so2: 40, o3: 50 }, CPCB).isComplete, false);
+  });
+
+  it('treats any US EPA index as complete', () => {
+    assert.equal(calculateAQI({ pm25: 12 }, US_EPA).isComplete, true);
+  });
+
+  it('has no AQI without pollutants', () => {
+    const result = calculateAQI({}, CPCB);
+
+    assert.equal(result.aqi, null);
+    assert.equal(result.category, null);
+    assert.equal(result.isComplete, false);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Competition ranking of cities by their own value
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { assignRanks } = require('../services/cityRankings');
+
+const ENTRIES = [
+  { cityId: 'a', value: 3 },
+  { cityId: 'b', value: 5 },
+  { cityId: 'c', value: 3 },
+  { cityId: 'd', value: 1 }
+];
+
+const summary = (ranked) => ranked.map(({ cityId, rank, tied }) => [cityId, rank, tied]);
+
+describe('assignRanks', () => {
+  it('shares a rank between equal values and skips the next ("1224")', () => {
+    assert.deepEqual(summary(assignRanks(ENTRIES, 'desc')), [
+      ['b', 1, false],
+      ['a', 2, true],
+      ['c', 2, true],
+      ['d', 4, false]
+    ]);
+  });
+
+  it('ranks ascending for criteria where lower is better', () => {
+    assert.deepEqual(summary(assignRanks(ENTRIES, 'asc')), [
+      ['d', 1, false],
+      ['a', 2, true],
+      ['c', 2, true],
+      ['b', 4, false]
+    ]);
+  });
+
+  it('ties at the top share rank 1', () => {
+    const ranked = assignRanks([{ cityId: 'x', value: 7 }, { cityId: 'y', value: 7 }, { cityId: 'z', value: 2 }], 'desc');
+    assert.deepEqual(summary(ranked), [['x', 1, true], ['y', 1, true], ['z', 3, false]]);
+  });
+
+  it('keeps the entry fields and leaves the input untouched', () => {
+    const ranked = assignRanks(ENTRIES, 'desc');
+    assert.equal(ranked[0].value, 5);
+    assert.deepEqual(ENTRIES.map(e => e.cityId), ['a', 'b', 'c', 'd']);
+  });
+});
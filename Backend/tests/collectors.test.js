@@ -0,0 +1,68 @@
+/**
+ * Collector toggle access: only admins can switch sources, and registration can't make one
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const User = require('../models/User');
+const { register } = require('../controllers/authController');
+const collectorRoutes = require('../routes/collectors');
+
+describe('PATCH /collectors/:key', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    // No database: nobody is registered yet and saving succeeds
+    User.findOne = async () => null;
+    User.prototype.save = async function () { return this; };
+
+    const app = express();
+    app.use(express.json());
+    app.post('/auth/register', register);
+    app.use('/collectors', collectorRoutes);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  const registerUser = (body) => fetch(`${baseUrl}/auth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: 'someone@example.com', password: 'secret1', fullName: 'Someone', ...body })
+  });
+
+  const toggle = (token) => fetch(`${baseUrl}/collectors/openMeteo`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ enabled: false })
+  });
+
+  it('refuses a self-registered user with 403', async () => {
+    const res = await registerUser({ userType: 'researcher' });
+    assert.equal(res.status, 201);
+    const { token } = await res.json();
+
+    assert.equal(jwt.verify(token, process.env.JWT_SECRET).userType, 'researcher');
+    assert.equal((await toggle(token)).status, 403);
+  });
+
+  it('does not let registration choose the admin role', async () => {
+    const res = await registerUser({ userType: 'admin' });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).token, undefined);
+  });
+
+  it('requires a token', async () => {
+    const res = await fetch(`${baseUrl}/collectors/openMeteo`, { method: 'PATCH' });
+    assert.equal(res.status, 401);
+  });
+});
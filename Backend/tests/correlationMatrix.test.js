@@ -0,0 +1,40 @@
+/**
+ * Correlation coefficients and their p-values
+ * Expected p-values are from the t distribution with n - 2 degrees of freedom
+ * (0.4888 for r = 0.248, n = 10).
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { correlate, laggedPairs } = require('../services/correlationMatrix');
+
+const X = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+describe('correlate', () => {
+  it('returns the Pearson coefficient with its two-sided p-value', () => {
+    assert.deepEqual(correlate(X, [2, 1, 4, 3, 7, 5, 6, 9, 8, 10]), { coefficient: 0.927, pValue: 0.0001, n: 10 });
+    assert.deepEqual(correlate(X, [3, 8, 1, 9, 2, 7, 4, 10, 5, 6]), { coefficient: 0.248, pValue: 0.4888, n: 10 });
+  });
+
+  it('ranks the values for Spearman, so a monotonic curve correlates perfectly', () => {
+    const cubes = X.map(v => v ** 3);
+    assert.deepEqual(correlate(X, cubes, 'spearman'), { coefficient: 1, pValue: 0, n: 10 });
+    assert.equal(correlate(X, cubes).coefficient, 0.928);
+  });
+
+  it('returns null with fewer than 10 pairs or a constant series', () => {
+    assert.equal(correlate(X.slice(0, 9), X.slice(0, 9)), null);
+    assert.equal(correlate(X, X.map(() => 5)), null);
+  });
+});
+
+describe('laggedPairs', () => {
+  it('pairs each day with the other series the given days later', () => {
+    const day = (n) => Date.UTC(2024, 0, n);
+    const a = new Map([[day(1), 1], [day(2), 2], [day(3), 3]]);
+    const b = new Map([[day(2), 20], [day(3), 30], [day(4), 40]]);
+
+    assert.deepEqual(laggedPairs(a, b, 1), { times: [day(1), day(2), day(3)], x: [1, 2, 3], y: [20, 30, 40] });
+    assert.deepEqual(laggedPairs(a, b, 0).x, [2, 3]);
+  });
+});
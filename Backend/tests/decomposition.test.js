@@ -0,0 +1,99 @@
+/**
+ * Trend/seasonal/residual decomposition and the residual anomaly flags
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { decomposeDaily, decomposeHourly, flagAnomalies } = require('../services/decomposition');
+const { assertClose } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.UTC(2021, 0, 1);
+
+// Small irregular wiggle so the residuals have a spread to score against
+const noise = (i) => 0.3 * Math.sin(i * 1.7);
+
+// Three years of daily values on an annual sine, with one +15 spike
+const DAILY_SPIKE = 500;
+const dailySeries = () => Array.from({ length: 3 * 365 }, (_, i) => {
+  const date = new Date(START + i * DAY_MS);
+  const phase = (2 * Math.PI * (date - Date.UTC(date.getUTCFullYear(), 0, 1))) / (365.25 * DAY_MS);
+  return { date, value: 25 + 5 * Math.sin(phase) + noise(i) + (i === DAILY_SPIKE ? 15 : 0) };
+});
+
+// Four weeks of hourly values on a daily sine (UTC hours), with one +10 spike.
+// The spike also raises its hour's mean; over fewer days the rest of that hour would look low.
+const HOURLY_SPIKE = 200;
+const hourlySeries = () => Array.from({ length: 28 * 24 }, (_, i) => ({
+  timestamp: new Date(START + i * HOUR_MS),
+  value: 20 + 5 * Math.sin((2 * Math.PI * (i % 24)) / 24) + noise(i) + (i === HOURLY_SPIKE ? 10 : 0)
+}));
+
+const flaggedIndices = (components) => components
+  .map((c, i) => (c.anomaly ? i : null))
+  .filter(i => i != null);
+
+describe('decomposeDaily', () => {
+  it('recovers the annual cycle and flags only the spike', () => {
+    const components = decomposeDaily(dailySeries());
+
+    // Mid-April is near the top of the sine, mid-October near the bottom
+    assertClose(components[105].seasonal, 5, 0.5);
+    assertClose(components[288].seasonal, -5, 0.5);
+    assertClose(components[DAILY_SPIKE].residual, 15, 1);
+    assert.deepEqual(flaggedIndices(flagAnomalies(components)), [DAILY_SPIKE]);
+  });
+
+  it('adds up to the observed value wherever there is a trend', () => {
+    for (const c of decomposeDaily(dailySeries())) {
+      if (c.trend == null) continue;
+      assertClose(c.trend + c.seasonal + c.residual, c.value, 1e-9);
+    }
+  });
+
+  it('leaves out the annual cycle when two days a year apart cannot fit it', () => {
+    const components = decomposeDaily([
+      { date: new Date(START), value: 10 },
+      { date: new Date(START + 365 * DAY_MS), value: 12 }
+    ]);
+
+    assert.deepEqual(components.map(c => c.seasonal), [0, 0]);
+    assert.deepEqual(components.map(c => c.residual), [null, null]);
+  });
+
+  it('returns nothing for an empty series', () => {
+    assert.deepEqual(decomposeDaily([]), []);
+  });
+});
+
+describe('decomposeHourly', () => {
+  it('recovers the diurnal cycle and flags only the spike', () => {
+    const components = decomposeHourly(hourlySeries(), 'UTC');
+
+    // 06:00 is the top of the sine and 18:00 the bottom
+    assertClose(components[6 * 24 + 6].seasonal, 5, 0.5);
+    assertClose(components[6 * 24 + 18].seasonal, -5, 0.5);
+    // The spike also lifts its hour's mean and the trend, so part of it lands there
+    assertClose(components[HOURLY_SPIKE].residual, 10, 1.5);
+    assert.deepEqual(flaggedIndices(flagAnomalies(components)), [HOURLY_SPIKE]);
+  });
+});
+
+describe('flagAnomalies', () => {
+  it('scores residuals by median and MAD', () => {
+    // Median 0, MAD 1, so the robust z-score is the residual / 1.4826
+    const components = [-1, 0, 1, -1, 1, 0, 10].map(residual => ({ residual }));
+    const flagged = flagAnomalies(components);
+
+    assertClose(flagged[6].zScore, 10 / 1.4826, 1e-9);
+    assert.deepEqual(flaggedIndices(flagged), [6]);
+  });
+
+  it('does not score missing residuals or a series without spread', () => {
+    const flagged = flagAnomalies([{ residual: null }, { residual: 2 }, { residual: 2 }, { residual: 2 }]);
+
+    assert.deepEqual(flagged.map(c => c.zScore), [null, null, null, null]);
+    assert.ok(flagged.every(c => !c.anomaly));
+  });
+});
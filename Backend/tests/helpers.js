@@ -0,0 +1,18 @@
+/**
+ * Shared assertions for the unit tests
+ */
+
+const assert = require('node:assert/strict');
+
+/**
+ * Assert that a number is within a tolerance of the expected value
+ * @param {number} actual - Value under test
+ * @param {number} expected - Reference value
+ * @param {number} tolerance - Largest allowed absolute difference
+ */
+const assertClose = (actual, expected, tolerance) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+module.exports = {
+  assertClose
+};
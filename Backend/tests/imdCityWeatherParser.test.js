@@ -0,0 +1,99 @@
+/**
+ * IMD city weather page parser against a saved citywx page and broken variants of it
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseCityWeatherPage } = require('../dataCollectors/imdCityWeatherParser');
+
+const PAGE = fs.readFileSync(path.join(__dirname, 'fixtures', 'imd-citywx.html'), 'utf8');
+
+// The page was saved on 29 December, so the January forecast days fall in the next year
+const FETCHED_AT = new Date(2025, 11, 29, 12);
+
+// Variant of the saved page with one piece of markup swapped out
+const variant = (from, to) => {
+  assert.ok(PAGE.includes(from), `fixture no longer contains ${from}`);
+  return PAGE.replace(from, to);
+};
+
+const RAINFALL_ROW = `  <tr>
+    <td>24 Hours Rainfall (mm)</td>
+    <td>TRACE</td>
+    <td></td>
+    <td></td>
+  </tr>
+`;
+
+describe('parseCityWeatherPage', () => {
+  it('reads the past 24 hours and the 7-day forecast from a saved page', () => {
+    const result = parseCityWeatherPage(PAGE, FETCHED_AT);
+
+    assert.deepEqual(result.past24h, {
+      maxTemp: 27.4,
+      maxTempDeparture: -0.6,
+      minTemp: 15.8,
+      minTempDeparture: 0.3,
+      rainfall: 0,
+      rainfallTrace: true,
+      humidity0830: 81,
+      humidity1730: 54
+    });
+    assert.equal(result.observation.humidity, 54);
+
+    assert.equal(result.forecast.length, 7);
+    assert.deepEqual(result.forecast[0], {
+      date: new Date(Date.UTC(2025, 11, 29)),
+      minTemp: 16,
+      maxTemp: 27,
+      description: 'Partly cloudy sky'
+    });
+    assert.deepEqual(result.forecast[3].date, new Date(Date.UTC(2026, 0, 1)));
+
+    assert.equal(result.diagnostics.status, 'ok');
+    assert.deepEqual(result.diagnostics.missing, []);
+  });
+
+  it('warns about a forecast day without temperatures', () => {
+    const { forecast, diagnostics } = parseCityWeatherPage(PAGE, FETCHED_AT);
+
+    assert.deepEqual(forecast[6], {
+      date: new Date(Date.UTC(2026, 0, 4)),
+      minTemp: null,
+      maxTemp: null,
+      description: 'Partly cloudy sky'
+    });
+    assert.deepEqual(diagnostics.warnings, ['Forecast row for 04-Jan has no temperatures']);
+  });
+
+  it('reports a missing row as partial and keeps the rest', () => {
+    const result = parseCityWeatherPage(variant(RAINFALL_ROW, ''), FETCHED_AT);
+
+    assert.equal(result.past24h.rainfall, undefined);
+    assert.equal(result.past24h.maxTemp, 27.4);
+    assert.equal(result.forecast.length, 7);
+    assert.equal(result.diagnostics.status, 'partial');
+    assert.deepEqual(result.diagnostics.missing, ['past24h.rainfall']);
+  });
+
+  it('reports a renamed label as missing instead of misreading it', () => {
+    const page = variant('<td>Maximum Temp (&deg;C)</td>', '<td>Highest Temperature Recorded (&deg;C)</td>');
+    const result = parseCityWeatherPage(page, FETCHED_AT);
+
+    assert.equal(result.past24h.maxTemp, undefined);
+    assert.equal(result.past24h.maxTempDeparture, undefined);
+    assert.equal(result.observation.temperature, undefined);
+    assert.equal(result.past24h.minTemp, 15.8);
+    assert.equal(result.diagnostics.status, 'partial');
+    assert.deepEqual(result.diagnostics.missing, ['past24h.maxTemp']);
+  });
+
+  it('fails on a page without tables', () => {
+    const result = parseCityWeatherPage('<html><body>Service Unavailable</body></html>', FETCHED_AT);
+
+    assert.equal(result.diagnostics.status, 'failed');
+    assert.deepEqual(result.diagnostics.missing, ['past24h.maxTemp', 'past24h.minTemp', 'past24h.rainfall', 'forecast']);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Monsoon onset and withdrawal on synthetic daily rainfall
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { findOnset, findWithdrawal } = require('../services/monsoonAnalytics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR = 2024;
+
+const day = (month, date) => Date.UTC(YEAR, month - 1, date);
+
+/**
+ * rainOn over May-November: `rainy` (ms → mm) where given, dry elsewhere, null for `missing` days
+ */
+const rainfall = ({ rainy = () => 0, missing = [] } = {}) => (time) => {
+  if (missing.includes(time)) return null;
+  if (time < day(5, 1) || time > day(11, 30)) return null;
+  return rainy(time);
+};
+
+// 8 mm every day from June 5 to September 20, so the first 3 days reaching 20 mm start on June 5
+const MONSOON = (time) => time >= day(6, 5) && time <= day(9, 20) ? 8 : 0;
+
+describe('findOnset', () => {
+  it('finds the first day of a sustained wet spell', () => {
+    const onset = findOnset(rainfall({ rainy: MONSOON }), YEAR, day(11, 30));
+    assert.deepEqual(onset, { date: new Date(day(6, 5)), provisional: false });
+  });
+
+  it('skips a burst followed by a dry spell', () => {
+    const burst = (time) => time >= day(5, 10) && time <= day(5, 12) ? 10 : MONSOON(time);
+    const onset = findOnset(rainfall({ rainy: burst }), YEAR, day(11, 30));
+    assert.deepEqual(onset.date, new Date(day(6, 5)));
+  });
+
+  it('skips a window with a missing day', () => {
+    const onset = findOnset(rainfall({ rainy: MONSOON, missing: [day(6, 6)] }), YEAR, day(11, 30));
+    assert.deepEqual(onset.date, new Date(day(6, 7)));
+  });
+
+  it('is provisional while the following 30 days are still being observed', () => {
+    const onset = findOnset(rainfall({ rainy: MONSOON }), YEAR, day(6, 20));
+    assert.deepEqual(onset, { date: new Date(day(6, 5)), provisional: true });
+  });
+
+  it('returns null when the rains never set in', () => {
+    assert.equal(findOnset(rainfall(), YEAR, day(11, 30)), null);
+  });
+});
+
+describe('findWithdrawal', () => {
+  it('finds the start of the first 15-day dry spell from September', () => {
+    const withdrawal = findWithdrawal(rainfall({ rainy: MONSOON }), YEAR, day(11, 30));
+    assert.deepEqual(withdrawal, { date: new Date(day(9, 21)) });
+  });
+
+  it('restarts the dry spell after a rainy or missing day', () => {
+    const shower = (time) => time === day(9, 28) ? 5 : MONSOON(time);
+    assert.deepEqual(findWithdrawal(rainfall({ rainy: shower }), YEAR, day(11, 30)).date, new Date(day(9, 29)));
+
+    const gap = rainfall({ rainy: MONSOON, missing: [day(9, 25)] });
+    assert.deepEqual(findWithdrawal(gap, YEAR, day(11, 30)).date, new Date(day(9, 26)));
+  });
+
+  it('returns null until the dry spell has lasted 15 days', () => {
+    assert.equal(findWithdrawal(rainfall({ rainy: MONSOON }), YEAR, day(9, 21) + 13 * DAY_MS), null);
+    assert.ok(findWithdrawal(rainfall({ rainy: MONSOON }), YEAR, day(9, 21) + 14 * DAY_MS));
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * GEV and Gumbel fits by L-moments, and the return levels read from them
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { fitGev, returnLevel, returnPeriodOf } = require('../services/returnPeriods');
+const { assertClose } = require('./helpers');
+
+const EULER_GAMMA = 0.5772156649;
+
+/**
+ * GEV quantile (Hosking's sign convention; shape 0 is Gumbel)
+ */
+const gevQuantile = (F, location, scale, shape) => shape === 0
+  ? location - scale * Math.log(-Math.log(F))
+  : location + (scale / shape) * (1 - Math.pow(-Math.log(F), shape));
+
+/**
+ * A sample laid out on the plotting positions (i - 0.35) / n of a known distribution
+ */
+const sample = (n, location, scale, shape) =>
+  Array.from({ length: n }, (_, i) => gevQuantile((i + 1 - 0.35) / n, location, scale, shape));
+
+describe('fitGev', () => {
+  it('fits a Gumbel from the first two L-moments', () => {
+    // 1..10: l1 = 5.5, l2 = 11/6, so scale = l2 / ln 2 and location = l1 - γ scale
+    const fit = fitGev([1, 2, 3, 4, 5, 6, 7, 8, 9, 10], false);
+    const scale = (11 / 6) / Math.LN2;
+
+    assert.equal(fit.distribution, 'gumbel');
+    assert.equal(fit.shape, 0);
+    assertClose(fit.scale, scale, 1e-9);
+    assertClose(fit.location, 5.5 - EULER_GAMMA * scale, 1e-9);
+  });
+
+  it('recovers the parameters of a GEV sample', () => {
+    const fit = fitGev(sample(60, 40, 2, 0.1));
+
+    assert.equal(fit.distribution, 'gev');
+    assertClose(fit.location, 40, 0.05);
+    assertClose(fit.scale, 2, 0.05);
+    assertClose(fit.shape, 0.1, 0.03);
+  });
+
+  it('returns null for a sample without spread', () => {
+    assert.equal(fitGev([5, 5, 5, 5, 5]), null);
+  });
+});
+
+describe('returnLevel', () => {
+  it('is the median annual maximum for a 2-year period', () => {
+    const fit = { distribution: 'gumbel', location: 30, scale: 3, shape: 0 };
+    assertClose(returnLevel(fit, 2), 30 - 3 * Math.log(Math.LN2), 1e-9);
+  });
+
+  it('matches the quantile of the fitted distribution', () => {
+    const fit = { distribution: 'gev', location: 40, scale: 2, shape: 0.1 };
+    assertClose(returnLevel(fit, 50), gevQuantile(0.98, 40, 2, 0.1), 1e-9);
+    assertClose(returnLevel(fit, 100), gevQuantile(0.99, 40, 2, 0.1), 1e-9);
+  });
+
+  it('round-trips through returnPeriodOf', () => {
+    const fit = fitGev(sample(40, 45, 1.5, -0.1));
+    for (const period of [2, 10, 25, 50]) {
+      assertClose(returnPeriodOf(fit, returnLevel(fit, period)), period, 1e-6);
+    }
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Heat index and wet-bulb temperature against published values
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { heatIndex, wetBulb } = require('../utils/thermalIndices');
+const { assertClose } = require('./helpers');
+
+const fahrenheitToCelsius = (f) => (f - 32) * 5 / 9;
+
+describe('heatIndex', () => {
+  it('uses the Rothfusz regression in hot, humid air (NWS table)', () => {
+    // 90 °F at 70% reads 106 °F; 100 °F at 40% reads 109 °F
+    assertClose(heatIndex(fahrenheitToCelsius(90), 70), fahrenheitToCelsius(106), 0.3);
+    assertClose(heatIndex(fahrenheitToCelsius(100), 40), fahrenheitToCelsius(109), 0.3);
+  });
+
+  it("uses Steadman's simple formula below 80 °F", () => {
+    // 68 °F, 50%: (0.5 (68 + 61 + 0 + 4.7) + 68) / 2 = 67.425 °F
+    assertClose(heatIndex(20, 50), fahrenheitToCelsius(67.425), 1e-9);
+  });
+
+  it('returns null without a temperature or humidity', () => {
+    assert.equal(heatIndex(null, 50), null);
+    assert.equal(heatIndex(30, NaN), null);
+  });
+});
+
+describe('wetBulb', () => {
+  it('matches the worked example in Stull (2011)', () => {
+    // 20 °C at 50% gives 13.7 °C
+    assertClose(wetBulb(20, 50), 13.7, 0.05);
+  });
+
+  it('equals the air temperature in saturated air, within the formula error', () => {
+    assertClose(wetBulb(30, 99), 30, 0.5);
+  });
+
+  it('returns null without a temperature or humidity', () => {
+    assert.equal(wetBulb(25, undefined), null);
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Mann-Kendall trend test and Sen's slope
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mannKendall, senSlope } = require('../services/trendAnalysis');
+const { assertClose } = require('./helpers');
+
+describe('mannKendall', () => {
+  it('scores a strictly increasing series', () => {
+    // S = 10, Var(S) = 5·4·15 / 18, z = (S - 1) / √Var(S)
+    const result = mannKendall([1, 2, 3, 4, 5]);
+
+    assert.equal(result.s, 10);
+    assert.equal(result.tau, 1);
+    assertClose(result.variance, 50 / 3, 1e-9);
+    assertClose(result.z, 2.2045, 1e-4);
+    assertClose(result.pValue, 0.0275, 1e-4);
+  });
+
+  it('is symmetric for a decreasing series', () => {
+    const result = mannKendall([5, 4, 3, 2, 1]);
+    assert.equal(result.s, -10);
+    assertClose(result.z, -2.2045, 1e-4);
+  });
+
+  it('applies the tie correction to the variance', () => {
+    // One tied pair: Var(S) = (3·2·11 - 2·1·9) / 18
+    const result = mannKendall([1, 1, 2]);
+    assert.equal(result.s, 2);
+    assertClose(result.variance, 48 / 18, 1e-9);
+  });
+
+  it('finds no trend in a flat series', () => {
+    const result = mannKendall([3, 3, 3, 3]);
+    assert.equal(result.s, 0);
+    assert.equal(result.z, 0);
+    assertClose(result.pValue, 1, 1e-6);
+  });
+});
+
+describe('senSlope', () => {
+  it('is the median pairwise slope, unmoved by an outlier', () => {
+    const result = senSlope([1, 2, 3, 4, 5, 6], [2, 4, 6, 50, 10, 12]);
+    assert.equal(result.slope, 2);
+    assert.ok(result.lower <= 2 && result.upper >= 2);
+  });
+});
@@ -0,0 +1,310 @@
+/**
+ * AQI Calculator
+ * Computes the US EPA AQI and India's CPCB National AQI from pollutant concentrations.
+ *
+ * Every collector stores concentrations in µg/m³ (CO included, as Open-Meteo reports it),
+ * so gases are converted here to the unit each standard's breakpoints use.
+ * Both indices take the highest pollutant sub-index as the overall AQI.
+ */
+
+const AQI_SCALES = {
+  US_EPA: 'us_epa',
+  CPCB: 'cpcb'
+};
+
+// Scale API responses use when the caller doesn't ask for one; stored `aqi` fields are always US EPA
+const DEFAULT_AQI_SCALE = Object.values(AQI_SCALES).includes(process.env.DEFAULT_AQI_SCALE)
+  ? process.env.DEFAULT_AQI_SCALE
+  : AQI_SCALES.US_EPA;
+
+const POLLUTANTS = ['pm25', 'pm10', 'no2', 'so2', 'co', 'o3', 'nh3', 'pb'];
+
+const POLLUTANT_LABELS = {
+  pm25: 'PM2.5',
+  pm10: 'PM10',
+  no2: 'NO2',
+  so2: 'SO2',
+  co: 'CO',
+  o3: 'O3',
+  nh3: 'NH3',
+  pb: 'Pb'
+};
+
+// Molecular weights (g/mol) for µg/m³ -> ppb at 25 °C, 1 atm (molar volume 24.45 L)
+const MOLECULAR_WEIGHTS = { no2: 46.01, so2: 64.07, co: 28.01, o3: 48.0 };
+
+// [cLow, cHigh, iLow, iHigh]; concentrations in the unit noted per pollutant
+const US_EPA_BREAKPOINTS = {
+  pm25: [ // µg/m³, 24h
+    [0.0, 12.0, 0, 50], [12.1, 35.4, 51, 100], [35.5, 55.4, 101, 150],
+    [55.5, 150.4, 151, 200], [150.5, 250.4, 201, 300], [250.5, 500.4, 301, 500]
+  ],
+  pm10: [ // µg/m³, 24h
+    [0, 54, 0, 50], [55, 154, 51, 100], [155, 254, 101, 150],
+    [255, 354, 151, 200], [355, 424, 201, 300], [425, 604, 301, 500]
+  ],
+  no2: [ // ppb, 1h
+    [0, 53, 0, 50], [54, 100, 51, 100], [101, 360, 101, 150],
+    [361, 649, 151, 200], [650, 1249, 201, 300], [1250, 2049, 301, 500]
+  ],
+  so2: [ // ppb, 1h
+    [0, 35, 0, 50], [36, 75, 51, 100], [76, 185, 101, 150],
+    [186, 304, 151, 200], [305, 604, 201, 300], [605, 1004, 301, 500]
+  ],
+  co: [ // ppm, 8h
+    [0.0, 4.4, 0, 50], [4.5, 9.4, 51, 100], [9.5, 12.4, 101, 150],
+    [12.5, 15.4, 151, 200], [15.5, 30.4, 201, 300], [30.5, 50.4, 301, 500]
+  ],
+  o3: [ // ppb, 8h; the 8h table stops at 200 ppb, so the top bands follow the 1h table
+    [0, 54, 0, 50], [55, 70, 51, 100], [71, 85, 101, 150],
+    [86, 105, 151, 200], [106, 200, 201, 300],
+    [201, 504, 301, 400], [505, 604, 401, 500]
+  ]
+};
+
+// CPCB National AQI (2014). The "Severe" band is open-ended in the standard;
+// its upper concentration is set so the index tops out at 500 like the US scale.
+const CPCB_BREAKPOINTS = {
+  pm25: [ // µg/m³, 24h
+    [0, 30, 0, 50], [31, 60, 51, 100], [61, 90, 101, 200],
+    [91, 120, 201, 300], [121, 250, 301, 400], [251, 380, 401, 500]
+  ],
+  pm10: [ // µg/m³, 24h
+    [0, 50, 0, 50], [51, 100, 51, 100], [101, 250, 101, 200],
+    [251, 350, 201, 300], [351, 430, 301, 400], [431, 510, 401, 500]
+  ],
+  no2: [ // µg/m³, 24h
+    [0, 40, 0, 50], [41, 80, 51, 100], [81, 180, 101, 200],
+    [181, 280, 201, 300], [281, 400, 301, 400], [401, 520, 401, 500]
+  ],
+  so2: [ // µg/m³, 24h
+    [0, 40, 0, 50], [41, 80, 51, 100], [81, 380, 101, 200],
+    [381, 800, 201, 300], [801, 1600, 301, 400], [1601, 2400, 401, 500]
+  ],
+  co: [ // mg/m³, 8h
+    [0, 1.0, 0, 50], [1.1, 2.0, 51, 100], [2.1, 10, 101, 200],
+    [10.1, 17, 201, 300], [17.1, 34, 301, 400], [34.1, 51, 401, 500]
+  ],
+  o3: [ // µg/m³, 8h
+    [0, 50, 0, 50], [51, 100, 51, 100], [101, 168, 101, 200],
+    [169, 208, 201, 300], [209, 748, 301, 400], [749, 1000, 401, 500]
+  ],
+  nh3: [ // µg/m³, 24h
+    [0, 200, 0, 50], [201, 400, 51, 100], [401, 800, 101, 200],
+    [801, 1200, 201, 300], [1201, 1800, 301, 400], [1801, 2400, 401, 500]
+  ],
+  pb: [ // µg/m³, 24h
+    [0, 0.5, 0, 50], [0.6, 1.0, 51, 100], [1.1, 2.0, 101, 200],
+    [2.1, 3.0, 201, 300], [3.1, 3.5, 301, 400], [3.6, 4.0, 401, 500]
+  ]
+};
+
+const CATEGORIES = {
+  [AQI_SCALES.US_EPA]: [
+    { max: 50, label: 'Good', color: '#00E400', health: 'No health effects' },
+    { max: 100, label: 'Moderate', color: '#FFFF00', health: 'Unusually sensitive people' },
+    { max: 150, label: 'Unhealthy for Sensitive Groups', color: '#FF7E00', health: 'Sensitive groups may experience effects' },
+    { max: 200, label: 'Unhealthy', color: '#FF0000', health: 'General public may experience effects' },
+    { max: 300, label: 'Very Unhealthy', color: '#8F3F97', health: 'Everyone may begin to experience health effects' },
+    { max: Infinity, label: 'Hazardous', color: '#7E0023', health: 'Health alert: everyone may experience serious health effects' }
+  ],
+  [AQI_SCALES.CPCB]: [
+    { max: 50, label: 'Good', color: '#00B050', health: 'Minimal impact' },
+    { max: 100, label: 'Satisfactory', color: '#92D050', health: 'Minor breathing discomfort to sensitive people' },
+    { max: 200, label: 'Moderate', color: '#FFFF00', health: 'Breathing discomfort to people with lung or heart disease, children and older adults' },
+    { max: 300, label: 'Poor', color: '#FF9900', health: 'Breathing discomfort to most people on prolonged exposure' },
+    { max: 400, label: 'Very Poor', color: '#FF0000', health: 'Respiratory illness on prolonged exposure' },
+    { max: Infinity, label: 'Severe', color: '#C00000', health: 'Affects healthy people and seriously impacts those with existing diseases' }
+  ]
+};
+
+/**
+ * Normalise a scale name, falling back to the default scale
+ * @param {string} scale - 'us_epa' or 'cpcb' (case-insensitive, 'us'/'in' accepted)
+ * @returns {string} Scale key
+ */
+const resolveScale = (scale) => {
+  const value = String(scale || '').toLowerCase();
+  if (value === 'us' || value === AQI_SCALES.US_EPA) return AQI_SCALES.US_EPA;
+  if (value === 'in' || value === 'naqi' || value === AQI_SCALES.CPCB) return AQI_SCALES.CPCB;
+  return DEFAULT_AQI_SCALE;
+};
+
+/**
+ * Sub-index for a single pollutant
+ * @param {string} pollutant - One of POLLUTANTS
+ * @param {number} concentration - Concentration in µg/m³
+ * @param {string} scale - AQI scale
+ * @returns {number|null} Sub-index (0-500) or null if not computable
+ */
+const calculateSubIndex = (pollutant, concentration, scale = AQI_SCALES.US_EPA) => {
+  if (concentration == null || isNaN(concentration) || concentration < 0) return null;
+
+  const resolved = resolveScale(scale);
+  const table = resolved === AQI_SCALES.CPCB ? CPCB_BREAKPOINTS[pollutant] : US_EPA_BREAKPOINTS[pollutant];
+  if (!table) return null;
+
+  const value = _toScaleUnit(pollutant, concentration, resolved);
+
+  for (const [cLow, cHigh, iLow, iHigh] of table) {
+    if (value <= cHigh) {
+      // Breakpoint tables leave small gaps between bands (e.g. 12.0 / 12.1); snap into the band
+      const c = Math.max(value, cLow);
+      return Math.round(((iHigh - iLow) / (cHigh - cLow)) * (c - cLow) + iLow);
+    }
+  }
+
+  return 500; // Beyond the scale
+};
+
+/**
+ * Calculate the AQI for a set of pollutant concentrations
+ * @param {Object} pollutants - { pm25, pm10, no2, so2, co, o3, nh3, pb } in µg/m³
+ * @param {string} scale - AQI scale
+ * @returns {Object} { scale, aqi, category, dominantPollutant, subIndices, isComplete }
+ */
+const calculateAQI = (pollutants = {}, scale = AQI_SCALES.US_EPA) => {
+  const resolved = resolveScale(scale);
+  const subIndices = {};
+
+  for (const pollutant of POLLUTANTS) {
+    const subIndex = calculateSubIndex(pollutant, pollutants[pollutant], resolved);
+    if (subIndex != null) subIndices[pollutant] = subIndex;
+  }
+
+  const measured = Object.keys(subIndices);
+
+  if (measured.length === 0) {
+    return { scale: resolved, aqi: null, category: null, dominantPollutant: null, subIndices, isComplete: false };
+  }
+
+  const dominantPollutant = measured.reduce((a, b) => (subIndices[b] > subIndices[a] ? b : a));
+  const aqi = subIndices[dominantPollutant];
+
+  // CPCB only reports an index from 3+ pollutants including PM2.5 or PM10
+  const isComplete = resolved === AQI_SCALES.CPCB
+    ? measured.length >= 3 && (measured.includes('pm25') || measured.includes('pm10'))
+    : true;
+
+  return {
+    scale: resolved,
+    aqi,
+    category: getAQICategory(aqi, resolved),
+    dominantPollutant,
+    subIndices,
+    isComplete
+  };
+};
+
+/**
+ * Calculate the AQI on every supported scale
+ * @param {Object} pollutants - Concentrations in µg/m³
+ * @returns {Object} { us_epa: {...}, cpcb: {...} }
+ */
+const calculateAllScales = (pollutants = {}) => {
+  return Object.values(AQI_SCALES).reduce((acc, scale) => {
+    const { aqi, category, dominantPollutant, subIndices, isComplete } = calculateAQI(pollutants, scale);
+    acc[scale] = { aqi, category: category?.label || null, dominantPollutant, subIndices, isComplete };
+    return acc;
+  }, {});
+};
+
+/**
+ * Category for an AQI value on a scale
+ * @param {number} aqi - AQI value
+ * @param {string} scale - AQI scale
+ * @returns {Object|null} { label, color, health }
+ */
+const getAQICategory = (aqi, scale = AQI_SCALES.US_EPA) => {
+  if (aqi == null || isNaN(aqi)) return null;
+  const { max, ...category } = CATEGORIES[resolveScale(scale)].find(c => aqi <= c.max);
+  return category;
+};
+
+/**
+ * Pick the pollutant fields out of a record
+ * @param {Object} record - Collector payload or RealtimeData document
+ * @returns {Object} Concentrations keyed by pollutant
+ */
+const extractPollutants = (record = {}) => {
+  return POLLUTANTS.reduce((acc, pollutant) => {
+    if (record[pollutant] != null) acc[pollutant] = record[pollutant];
+    return acc;
+  }, {});
+};
+
+/**
+ * Read the AQI on a given scale from a stored record, with its details
+ * Falls back to computing from the stored concentrations for records saved before
+ * aqiIndices existed.
+ * @param {Object} record - RealtimeData document
+ * @param {string} scale - AQI scale
+ * @returns {Object} { aqi, category, dominantPollutant, subIndices }
+ */
+const getRecordAQI = (record, scale = DEFAULT_AQI_SCALE) => {
+  const resolved = resolveScale(scale);
+  const stored = record?.aqiIndices?.[resolved];
+
+  if (stored && stored.aqi != null) {
+    return {
+      aqi: stored.aqi,
+      category: stored.category,
+      dominantPollutant: stored.dominantPollutant,
+      subIndices: stored.subIndices || {}
+    };
+  }
+
+  const computed = calculateAQI(extractPollutants(record), resolved);
+  const aqi = resolved === AQI_SCALES.US_EPA && record?.aqi != null ? record.aqi : computed.aqi;
+
+  return {
+    aqi,
+    category: getAQICategory(aqi, resolved)?.label || null,
+    dominantPollutant: computed.dominantPollutant,
+    subIndices: computed.subIndices
+  };
+};
+
+// ========== PRIVATE HELPER FUNCTIONS ==========
+
+/**
+ * Convert a µg/m³ concentration to the unit a scale's breakpoints use
+ * @private
+ */
+const _toScaleUnit = (pollutant, concentration, scale) => {
+  if (pollutant === 'co') {
+    const mgPerM3 = concentration / 1000;
+    // US EPA CO breakpoints are ppm
+    return scale === AQI_SCALES.US_EPA ? Math.floor(_ppb(pollutant, concentration) / 100) / 10 : mgPerM3;
+  }
+
+  if (scale === AQI_SCALES.US_EPA && MOLECULAR_WEIGHTS[pollutant]) {
+    return Math.floor(_ppb(pollutant, concentration));
+  }
+
+  // EPA truncates PM2.5 to 0.1 and PM10 to whole µg/m³ before the lookup
+  if (scale === AQI_SCALES.US_EPA && pollutant === 'pm25') return Math.floor(concentration * 10) / 10;
+  if (scale === AQI_SCALES.US_EPA && pollutant === 'pm10') return Math.floor(concentration);
+
+  return concentration;
+};
+
+/**
+ * µg/m³ -> ppb
+ * @private
+ */
+const _ppb = (pollutant, concentration) => (concentration * 24.45) / MOLECULAR_WEIGHTS[pollutant];
+
+module.exports = {
+  AQI_SCALES,
+  DEFAULT_AQI_SCALE,
+  POLLUTANTS,
+  POLLUTANT_LABELS,
+  resolveScale,
+  calculateSubIndex,
+  calculateAQI,
+  calculateAllScales,
+  getAQICategory,
+  extractPollutants,
+  getRecordAQI
+};
@@ -3,6 +3,12 @@
  * Common utilities for the Urban Climate Backend
  */
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Daily records observed for less than this share of the day (dataCompleteness, %)
+// are left out of the analytics built on daily values
+const MIN_DAY_COMPLETENESS = 50;
+
 /**
  * Generate a URL-safe city ID from city name
  * @param {string} name - City name (e.g., "New Delhi")
@@ -218,7 +224,242 @@ const chunkArray = (array, size) => {
   return chunks;
 };
 
+/**
+ * Calendar date (YYYY-MM-DD) of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone, e.g. "Asia/Kolkata"
+ * @returns {string} Local date label
+ */
+const getLocalDateLabel = (date, timeZone) => {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+};
+
+/**
+ * UTC instants bounding a local calendar day
+ * @param {string} dateLabel - Local date, YYYY-MM-DD
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { start, end } where end is the next local midnight (exclusive)
+ */
+const getZonedDayBounds = (dateLabel, timeZone) => {
+  const [year, month, day] = dateLabel.split('-').map(Number);
+
+  const localMidnight = (y, m, d) => {
+    const guess = Date.UTC(y, m - 1, d);
+    // Offset of the zone at that instant; checked twice so DST transitions land correctly
+    let instant = guess - _zoneOffset(guess, timeZone);
+    instant = guess - _zoneOffset(instant, timeZone);
+    return new Date(instant);
+  };
+
+  const next = new Date(Date.UTC(year, month - 1, day + 1));
+
+  return {
+    start: localMidnight(year, month, day),
+    end: localMidnight(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate())
+  };
+};
+
+/**
+ * UTC midnight of a YYYY-MM-DD label, which is how daily records are dated
+ * @param {string} label - Date label
+ * @returns {Date} UTC midnight
+ */
+const labelToDate = (label) => new Date(`${label}T00:00:00.000Z`);
+
+/**
+ * Add days to a YYYY-MM-DD label
+ * @param {string} label - Date label
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Shifted label
+ */
+const shiftDateLabel = (label, days) => {
+  const date = labelToDate(label);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * UTC midnight of a date's UTC day
+ * @param {Date|string|number} [date] - Date, now by default
+ * @returns {Date} UTC midnight
+ */
+const startOfUtcDay = (date = new Date()) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+/**
+ * Day of the year (1-366) of a date's UTC day
+ * @param {Date|string|number} date - Date
+ * @returns {number} Day of year
+ */
+const dayOfYear = (date) => {
+  const d = new Date(date);
+  return Math.floor((d - Date.UTC(d.getUTCFullYear(), 0, 1)) / DAY_MS) + 1;
+};
+
+/**
+ * Whether a daily record was observed for enough of the day to be used
+ * Records without dataCompleteness (imported days) count as complete.
+ * @param {Object} day - Daily record
+ * @returns {boolean} True if dataCompleteness is missing or at least MIN_DAY_COMPLETENESS
+ */
+const isCompleteDay = (day) => day.dataCompleteness == null || day.dataCompleteness >= MIN_DAY_COMPLETENESS;
+
+/**
+ * Mean of the values that are valid numbers
+ * @param {Array} values - Values
+ * @returns {number|null} Mean, or null if there are none
+ */
+const mean = (values) => {
+  const present = values.filter(isValidNumber);
+  return present.length > 0 ? present.reduce((sum, v) => sum + v, 0) / present.length : null;
+};
+
+/**
+ * Sum of the values that are valid numbers
+ * @param {Array} values - Values
+ * @returns {number|null} Sum, or null if there are none
+ */
+const sum = (values) => {
+  const present = values.filter(isValidNumber);
+  return present.length > 0 ? present.reduce((total, v) => total + v, 0) : null;
+};
+
+/**
+ * Round number to specified decimal places, keeping missing values as null
+ * @param {number} num - Number to round
+ * @param {number} decimals - Number of decimal places
+ * @returns {number|null} Rounded number, or null if num is not a valid number
+ */
+const roundOrNull = (num, decimals) => {
+  if (!isValidNumber(num)) return null;
+  const factor = Math.pow(10, decimals);
+  return Math.round(num * factor) / factor;
+};
+
+/**
+ * Median of an unsorted array
+ * @param {Array<number>} values - Values
+ * @returns {number|null} Median, or null for no values
+ */
+const median = (values) => {
+  if (!values || values.length === 0) return null;
+  return quantile([...values].sort((a, b) => a - b), 0.5);
+};
+
+/**
+ * Quantile with linear interpolation between order statistics
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} p - Probability, 0-1
+ * @returns {number|null} Quantile, or null for no values
+ */
+const quantile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26, error below 1.5e-7)
+ * @param {number} z - Standard score
+ * @returns {number} P(Z <= z)
+ */
+const normalCdf = (z) => {
+  if (z === Infinity) return 1;
+  if (z === -Infinity) return 0;
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-z * z / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// Lanczos approximation (g = 7, 9 terms), accurate to about 15 significant digits
+const LANCZOS_G = 7;
+const LANCZOS_COEFFICIENTS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+  9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+/**
+ * Log of the gamma function (Lanczos approximation)
+ * @param {number} z - Argument, z >= 0.5
+ * @returns {number} ln Γ(z)
+ */
+const logGamma = (z) => {
+  const x = z - 1;
+  let sum = LANCZOS_COEFFICIENTS[0];
+  for (let i = 1; i < LANCZOS_G + 2; i++) sum += LANCZOS_COEFFICIENTS[i] / (x + i);
+  const t = x + LANCZOS_G + 0.5;
+
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+};
+
+/**
+ * Gamma function, by reflection below 0.5
+ * @param {number} z - Argument, not zero or a negative integer
+ * @returns {number} Γ(z)
+ */
+const gamma = (z) => {
+  if (z < 0.5) return Math.PI / (Math.sin(Math.PI * z) * gamma(1 - z));
+  return Math.exp(logGamma(z));
+};
+
+/**
+ * Solve a square linear system A x = b by Gaussian elimination with partial pivoting
+ * @param {Array<Array<number>>} matrix - A, k rows of k values (not modified)
+ * @param {Array<number>} vector - b, k values
+ * @returns {Array<number>} x
+ */
+const solveLinearSystem = (matrix, vector) => {
+  const k = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let col = 0; col < k; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < k; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    for (let row = col + 1; row < k; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let c = col; c <= k; c++) a[row][c] -= factor * a[col][c];
+    }
+  }
+
+  const x = new Array(k).fill(0);
+  for (let row = k - 1; row >= 0; row--) {
+    let sum = a[row][k];
+    for (let c = row + 1; c < k; c++) sum -= a[row][c] * x[c];
+    x[row] = sum / a[row][row];
+  }
+
+  return x;
+};
+
+/**
+ * Offset (ms) of a time zone from UTC at an instant
+ * @private
+ */
+const _zoneOffset = (timestamp, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(timestamp)).reduce((acc, part) => ({ ...acc, [part.type]: Number(part.value) }), {});
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+};
+
 module.exports = {
+  DAY_MS,
+  MIN_DAY_COMPLETENESS,
   generateCityId,
   validateCoordinates,
   formatTimestamp,
@@ -233,5 +474,21 @@ module.exports = {
   getCurrentTimestamp,
   celsiusToFahrenheit,
   fahrenheitToCelsius,
-  chunkArray
+  chunkArray,
+  getLocalDateLabel,
+  getZonedDayBounds,
+  labelToDate,
+  shiftDateLabel,
+  startOfUtcDay,
+  dayOfYear,
+  isCompleteDay,
+  mean,
+  sum,
+  roundOrNull,
+  median,
+  quantile,
+  normalCdf,
+  logGamma,
+  gamma,
+  solveLinearSystem
 };
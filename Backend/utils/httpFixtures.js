@@ -0,0 +1,188 @@
+/**
+ * HTTP Fixtures (record/replay)
+ * Captures upstream responses to JSON files and serves them back so the collection,
+ * prediction and analytics pipeline can run without network access.
+ *
+ * HTTP_FIXTURES=record  - call upstreams as usual and save every successful response
+ * HTTP_FIXTURES=replay  - never touch the network, answer from saved fixtures
+ * HTTP_FIXTURES_DIR     - fixture location (default: Backend/fixtures/http)
+ *
+ * Files are laid out as <dir>/<source>/<cityId>-<hash>.json, each holding the
+ * timestamped recordings for one request. Replay walks them in recorded order.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { CITIES } = require('../config/constants');
+
+// Keep fixture files small: only the most recent recordings per request
+const MAX_RECORDINGS = 48;
+
+// Query params that must never be written to disk or affect the fixture key
+const SECRET_PARAMS = ['key', 'apikey', 'api_key', 'token', 'access_token'];
+
+// Replay position per fixture file
+const replayCursors = new Map();
+
+/**
+ * Current fixture mode
+ * @returns {string|null} 'record', 'replay' or null when disabled
+ */
+const getFixtureMode = () => {
+  const mode = (process.env.HTTP_FIXTURES || '').toLowerCase();
+  return mode === 'record' || mode === 'replay' ? mode : null;
+};
+
+/**
+ * Directory fixtures are read from and written to
+ * @returns {string} Absolute path
+ */
+const getFixtureDir = () => {
+  return process.env.HTTP_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures', 'http');
+};
+
+/**
+ * Drop secret query params
+ * @private
+ */
+const _publicParams = (params = {}) => {
+  return Object.keys(params)
+    .filter(name => !SECRET_PARAMS.includes(name.toLowerCase()))
+    .sort()
+    .reduce((acc, name) => ({ ...acc, [name]: params[name] }), {});
+};
+
+/**
+ * Resolve the city a request is for from its coordinates
+ * @private
+ */
+const _cityFor = (params = {}) => {
+  const lat = parseFloat(params.latitude ?? params.lat);
+  const lng = parseFloat(params.longitude ?? params.lng ?? params.lon);
+
+  if (isNaN(lat) || isNaN(lng)) return 'global';
+
+  const city = CITIES.find(c => Math.abs(c.lat - lat) < 0.01 && Math.abs(c.lng - lng) < 0.01);
+  return city ? city.id : `${lat.toFixed(2)}_${lng.toFixed(2)}`;
+};
+
+/**
+ * Fixture file path for a request
+ * @param {string} sourceName - Source the request belongs to
+ * @param {string} url - Request URL
+ * @param {Object} params - Query params
+ * @returns {string} Absolute file path
+ */
+const getFixturePath = (sourceName, url, params = {}) => {
+  const hash = crypto
+    .createHash('sha1')
+    .update(`${url}?${JSON.stringify(_publicParams(params))}`)
+    .digest('hex')
+    .slice(0, 10);
+
+  const sourceDir = sourceName.replace(/[^a-zA-Z0-9_-]/g, '_');
+  return path.join(getFixtureDir(), sourceDir, `${_cityFor(params)}-${hash}.json`);
+};
+
+/**
+ * Read a fixture file
+ * @private
+ */
+const _readFixture = async (file) => {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+/**
+ * Save a successful response as a new recording
+ * @param {string} sourceName - Source the request belongs to
+ * @param {string} url - Request URL
+ * @param {Object} config - Axios request config
+ * @param {Object} response - Axios response
+ * @returns {Promise<void>}
+ */
+const recordFixture = async (sourceName, url, config, response) => {
+  const file = getFixturePath(sourceName, url, config.params);
+
+  try {
+    const fixture = (await _readFixture(file)) || {
+      source: sourceName,
+      url,
+      params: _publicParams(config.params),
+      recordings: []
+    };
+
+    fixture.recordings.push({
+      recordedAt: new Date().toISOString(),
+      status: response.status,
+      data: response.data
+    });
+    fixture.recordings = fixture.recordings.slice(-MAX_RECORDINGS);
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(fixture, null, 2));
+
+    logger.debug(`Recorded ${sourceName} fixture: ${path.relative(getFixtureDir(), file)}`);
+
+  } catch (error) {
+    // Recording must never break a live collection run
+    logger.warn(`Could not record ${sourceName} fixture:`, error.message);
+  }
+};
+
+/**
+ * Serve a recorded response in place of a live request
+ * Recordings are returned in order and wrap around, so repeated runs are deterministic.
+ * @param {string} sourceName - Source the request belongs to
+ * @param {string} url - Request URL
+ * @param {Object} config - Axios request config
+ * @returns {Promise<Object>} Axios-shaped response
+ * @throws {Error} With code FIXTURE_MISSING when nothing was recorded for the request
+ */
+const replayFixture = async (sourceName, url, config = {}) => {
+  const file = getFixturePath(sourceName, url, config.params);
+  const fixture = await _readFixture(file);
+
+  if (!fixture || fixture.recordings.length === 0) {
+    const error = new Error(`No ${sourceName} fixture for ${url} (${path.relative(getFixtureDir(), file)})`);
+    error.code = 'FIXTURE_MISSING';
+    throw error;
+  }
+
+  const cursor = replayCursors.get(file) || 0;
+  replayCursors.set(file, cursor + 1);
+
+  const recording = fixture.recordings[cursor % fixture.recordings.length];
+
+  return {
+    status: recording.status,
+    statusText: 'OK (replayed)',
+    headers: {},
+    data: recording.data,
+    config: { ...config, url },
+    replayed: true,
+    recordedAt: recording.recordedAt
+  };
+};
+
+/**
+ * Reset replay positions (start every fixture from its first recording again)
+ */
+const resetReplay = () => {
+  replayCursors.clear();
+};
+
+module.exports = {
+  getFixtureMode,
+  getFixtureDir,
+  getFixturePath,
+  recordFixture,
+  replayFixture,
+  resetReplay
+};
@@ -0,0 +1,249 @@
+/**
+ * Resilient HTTP Client
+ * Wraps axios with retries (jittered exponential backoff) and a per-source circuit breaker
+ * so a flapping upstream fails fast instead of stalling every city in a collection run
+ */
+
+const axios = require('axios');
+const logger = require('./logger');
+const { sleep } = require('./helpers');
+const { RESILIENCE } = require('../config/collectors');
+const { getFixtureMode, recordFixture, replayFixture } = require('./httpFixtures');
+
+// Circuit breaker states
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half-open';
+
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold ?? RESILIENCE.failureThreshold;
+    this.cooldownMs = options.cooldownMs ?? RESILIENCE.cooldownMs;
+
+    this.state = CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+
+    this.totalRequests = 0;
+    this.totalFailures = 0;
+    this.totalRejected = 0;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+  }
+
+  /**
+   * Check whether a request may go through, moving open -> half-open after the cooldown
+   * @returns {boolean} True if the request is allowed
+   */
+  canRequest() {
+    if (this.state === OPEN && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = HALF_OPEN;
+      logger.info(`Circuit ${this.name} half-open, probing upstream`);
+    }
+
+    if (this.state === CLOSED) return true;
+
+    // Half-open lets a single probe through at a time
+    if (this.state === HALF_OPEN && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+
+    this.totalRejected++;
+    return false;
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    if (this.state !== CLOSED) {
+      logger.success(`Circuit ${this.name} closed, upstream recovered`);
+    }
+
+    this.state = CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.totalRequests++;
+    this.lastSuccessAt = new Date();
+  }
+
+  /**
+   * Record a failed request (after retries are exhausted)
+   * @param {Error} error - Final error
+   */
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.totalRequests++;
+    this.totalFailures++;
+    this.lastError = error.message;
+    this.lastFailureAt = new Date();
+
+    if (this.state === HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== OPEN) {
+        logger.warn(`Circuit ${this.name} opened after ${this.consecutiveFailures} consecutive failures`);
+      }
+      this.state = OPEN;
+      this.openedAt = Date.now();
+    }
+
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Serializable breaker state
+   * @returns {Object} State snapshot
+   */
+  getState() {
+    // Reflect an elapsed cooldown without consuming the probe
+    const state = this.state === OPEN && Date.now() - this.openedAt >= this.cooldownMs
+      ? HALF_OPEN
+      : this.state;
+
+    return {
+      source: this.name,
+      state,
+      consecutiveFailures: this.consecutiveFailures,
+      totalRequests: this.totalRequests,
+      totalFailures: this.totalFailures,
+      totalRejected: this.totalRejected,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+      lastSuccessAt: this.lastSuccessAt,
+      retryAt: state === OPEN ? new Date(this.openedAt + this.cooldownMs) : null
+    };
+  }
+}
+
+// One breaker per upstream source, shared by every client created for it
+const breakers = new Map();
+
+/**
+ * Get (or create) the circuit breaker for a source
+ * @param {string} name - Source name
+ * @param {Object} options - Breaker options
+ * @returns {CircuitBreaker} Breaker
+ */
+const getBreaker = (name, options = {}) => {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name, options));
+  }
+  return breakers.get(name);
+};
+
+/**
+ * Snapshot of every circuit breaker
+ * @returns {Array} Breaker states
+ */
+const getBreakerStates = () => {
+  return Array.from(breakers.values()).map(breaker => breaker.getState());
+};
+
+/**
+ * Decide whether an axios error is worth retrying
+ * Network errors, timeouts, 429 and 5xx are transient; other 4xx are not
+ * @param {Error} error - Axios error
+ * @returns {boolean} True if retryable
+ */
+const isRetryable = (error) => {
+  if (!error.response) return true;
+
+  const status = error.response.status;
+  return status === 429 || status >= 500;
+};
+
+/**
+ * Full-jitter exponential backoff delay
+ * @param {number} attempt - Retry attempt (0-based)
+ * @param {number} baseDelayMs - Base delay
+ * @param {number} maxDelayMs - Delay cap
+ * @returns {number} Delay in milliseconds
+ */
+const getBackoffDelay = (attempt, baseDelayMs = RESILIENCE.baseDelayMs, maxDelayMs = RESILIENCE.maxDelayMs) => {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+};
+
+/**
+ * Create an HTTP client bound to a source's circuit breaker
+ * @param {string} sourceName - Source name (one breaker per name)
+ * @param {Object} options - { retries, baseDelayMs, maxDelayMs, failureThreshold, cooldownMs }
+ * @returns {Object} Client with get(url, config)
+ */
+const createHttpClient = (sourceName, options = {}) => {
+  const retries = options.retries ?? RESILIENCE.retries;
+  const baseDelayMs = options.baseDelayMs ?? RESILIENCE.baseDelayMs;
+  const maxDelayMs = options.maxDelayMs ?? RESILIENCE.maxDelayMs;
+  const breaker = getBreaker(sourceName, options);
+
+  /**
+   * GET with retries, guarded by the source's circuit breaker
+   * @param {string} url - Request URL
+   * @param {Object} config - Axios request config
+   * @returns {Promise<Object>} Axios response
+   * @throws {Error} With code CIRCUIT_OPEN when the breaker rejects the call,
+   *   or FIXTURE_MISSING in replay mode when nothing was recorded
+   */
+  const get = async (url, config = {}) => {
+    const fixtureMode = getFixtureMode();
+
+    // Offline mode: answer from recorded fixtures without touching the network or the breaker
+    if (fixtureMode === 'replay') {
+      return replayFixture(sourceName, url, config);
+    }
+
+    if (!breaker.canRequest()) {
+      const error = new Error(`Circuit open for ${sourceName}, skipping request`);
+      error.code = 'CIRCUIT_OPEN';
+      throw error;
+    }
+
+    let lastError;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      try {
+        const response = await axios.get(url, config);
+        breaker.recordSuccess();
+
+        if (fixtureMode === 'record') {
+          await recordFixture(sourceName, url, config, response);
+        }
+
+        return response;
+
+      } catch (error) {
+        lastError = error;
+
+        if (attempt === retries || !isRetryable(error)) break;
+
+        const delay = getBackoffDelay(attempt, baseDelayMs, maxDelayMs);
+        logger.debug(`${sourceName}: attempt ${attempt + 1} failed (${error.message}), retrying in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+
+    // A 4xx means the upstream answered; only transient failures count towards tripping the breaker
+    if (isRetryable(lastError)) {
+      breaker.recordFailure(lastError);
+    } else {
+      breaker.recordSuccess();
+    }
+
+    throw lastError;
+  };
+
+  return { get, breaker };
+};
+
+module.exports = {
+  CircuitBreaker,
+  createHttpClient,
+  getBreaker,
+  getBreakerStates,
+  getBackoffDelay,
+  isRetryable
+};
@@ -0,0 +1,188 @@
+/**
+ * Thermal Indices
+ * Degree days and heat stress indices from air temperature (°C) and relative humidity (%).
+ *
+ * None of the readings include solar radiation or globe temperature, so WBGT here is
+ * the Australian Bureau of Meteorology approximation for shade and light wind; in
+ * full sun the true WBGT can be several degrees higher.
+ */
+
+const { isValidNumber } = require('./helpers');
+const logger = require('./logger');
+
+// Accepted range for a base temperature, °C
+const DEGREE_DAY_BASE_RANGE = { min: -10, max: 40 };
+
+// Base temperature, °C, when the environment doesn't set a valid one
+const FALLBACK_DEGREE_DAY_BASE = 18;
+
+/**
+ * Base temperature from an environment variable, or the fallback when it is unset,
+ * not a number or outside DEGREE_DAY_BASE_RANGE (0 °C is a valid base)
+ * @private
+ */
+const _baseFromEnv = (name) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return FALLBACK_DEGREE_DAY_BASE;
+
+  const base = parseFloat(raw);
+  if (isNaN(base) || base < DEGREE_DAY_BASE_RANGE.min || base > DEGREE_DAY_BASE_RANGE.max) {
+    logger.warn(`${name}=${raw} is not a base temperature between ${DEGREE_DAY_BASE_RANGE.min} and ${DEGREE_DAY_BASE_RANGE.max} °C, using ${FALLBACK_DEGREE_DAY_BASE} °C`);
+    return FALLBACK_DEGREE_DAY_BASE;
+  }
+  return base;
+};
+
+// Base temperatures (°C) for cooling and heating degree days when a request doesn't set them
+const DEFAULT_DEGREE_DAY_BASES = {
+  cooling: _baseFromEnv('CDD_BASE_TEMPERATURE'),
+  heating: _baseFromEnv('HDD_BASE_TEMPERATURE')
+};
+
+/**
+ * Heat index (apparent temperature) from the US National Weather Service algorithm:
+ * Steadman's simple formula, or the Rothfusz regression with its adjustments once
+ * that reaches 80 °F
+ * @param {number} tempC - Air temperature, °C
+ * @param {number} humidity - Relative humidity, %
+ * @returns {number|null} Heat index, °C
+ */
+const heatIndex = (tempC, humidity) => {
+  if (!isValidNumber(tempC) || !isValidNumber(humidity)) return null;
+
+  const t = tempC * 9 / 5 + 32;
+  const rh = _clampHumidity(humidity);
+
+  let hi = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+
+  if ((hi + t) / 2 >= 80) {
+    hi = -42.379 + 2.04901523 * t + 10.14333127 * rh
+      - 0.22475541 * t * rh - 0.00683783 * t * t
+      - 0.05481717 * rh * rh + 0.00122874 * t * t * rh
+      + 0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+
+    if (rh < 13 && t >= 80 && t <= 112) {
+      hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    } else if (rh > 85 && t >= 80 && t <= 87) {
+      hi += ((rh - 85) / 10) * ((87 - t) / 5);
+    }
+  } else {
+    hi = (hi + t) / 2;
+  }
+
+  return (hi - 32) * 5 / 9;
+};
+
+/**
+ * Humidex (Environment Canada) from the water vapour pressure
+ * @param {number} tempC - Air temperature, °C
+ * @param {number} humidity - Relative humidity, %
+ * @returns {number|null} Humidex, dimensionless (reads like °C)
+ */
+const humidex = (tempC, humidity) => {
+  if (!isValidNumber(tempC) || !isValidNumber(humidity)) return null;
+  return tempC + 0.5555 * (vapourPressure(tempC, humidity) - 10);
+};
+
+/**
+ * Wet-bulb temperature from Stull (2011), valid for 5-99% humidity and -20 to 50 °C
+ * at sea-level pressure (within about 1 °C)
+ * @param {number} tempC - Air temperature, °C
+ * @param {number} humidity - Relative humidity, %
+ * @returns {number|null} Wet-bulb temperature, °C
+ */
+const wetBulb = (tempC, humidity) => {
+  if (!isValidNumber(tempC) || !isValidNumber(humidity)) return null;
+
+  const rh = Math.min(99, Math.max(5, humidity));
+  return tempC * Math.atan(0.151977 * Math.sqrt(rh + 8.313659))
+    + Math.atan(tempC + rh)
+    - Math.atan(rh - 1.676331)
+    + 0.00391838 * Math.pow(rh, 1.5) * Math.atan(0.023101 * rh)
+    - 4.686035;
+};
+
+/**
+ * Approximate wet-bulb globe temperature (BoM): 0.567 T + 0.393 e + 3.94
+ * @param {number} tempC - Air temperature, °C
+ * @param {number} humidity - Relative humidity, %
+ * @returns {number|null} WBGT, °C
+ */
+const wbgt = (tempC, humidity) => {
+  if (!isValidNumber(tempC) || !isValidNumber(humidity)) return null;
+  return 0.567 * tempC + 0.393 * vapourPressure(tempC, humidity) + 3.94;
+};
+
+/**
+ * Water vapour pressure from the Magnus formula over water
+ * @param {number} tempC - Air temperature, °C
+ * @param {number} humidity - Relative humidity, %
+ * @returns {number} Vapour pressure, hPa
+ */
+const vapourPressure = (tempC, humidity) => {
+  return 6.112 * Math.exp(17.67 * tempC / (tempC + 243.5)) * _clampHumidity(humidity) / 100;
+};
+
+/**
+ * Cooling and heating degree days of one daily record
+ * The day's mean is taken as the average of its max and min (the usual meteorological
+ * convention), or its mean temperature when either is missing.
+ * @param {Object} day - HistoricalData daily record
+ * @param {Object} bases - { cooling, heating } in °C; defaults to DEFAULT_DEGREE_DAY_BASES
+ * @returns {Object} { cooling, heating }, null when the day has no temperature
+ */
+const degreeDays = (day, bases = {}) => {
+  const cooling = bases.cooling ?? DEFAULT_DEGREE_DAY_BASES.cooling;
+  const heating = bases.heating ?? DEFAULT_DEGREE_DAY_BASES.heating;
+
+  const mean = isValidNumber(day.maxTemperature) && isValidNumber(day.minTemperature)
+    ? (day.maxTemperature + day.minTemperature) / 2
+    : day.avgTemperature;
+
+  if (!isValidNumber(mean)) return { cooling: null, heating: null };
+
+  return {
+    cooling: Math.max(0, mean - cooling),
+    heating: Math.max(0, heating - mean)
+  };
+};
+
+/**
+ * Highest value of each heat stress index over a day's hours
+ * Each hour's index comes from that hour's temperature and humidity, so the peak
+ * reflects when heat and humidity coincided rather than the day's extremes of each.
+ * @param {Array} hours - { temperature, humidity } per hour
+ * @returns {Object} { maxHeatIndex, maxHumidex, maxWetBulb, maxWbgt }, null where no hour had both readings
+ */
+const dailyHeatStress = (hours) => {
+  const paired = hours.filter(h => isValidNumber(h.temperature) && isValidNumber(h.humidity));
+  const peak = (index) => paired.length > 0
+    ? Math.max(...paired.map(h => index(h.temperature, h.humidity)))
+    : null;
+
+  return {
+    maxHeatIndex: peak(heatIndex),
+    maxHumidex: peak(humidex),
+    maxWetBulb: peak(wetBulb),
+    maxWbgt: peak(wbgt)
+  };
+};
+
+// ========== PRIVATE HELPER FUNCTIONS ==========
+
+/**
+ * @private
+ */
+const _clampHumidity = (humidity) => Math.min(100, Math.max(0, humidity));
+
+module.exports = {
+  DEFAULT_DEGREE_DAY_BASES,
+  DEGREE_DAY_BASE_RANGE,
+  heatIndex,
+  humidex,
+  wetBulb,
+  wbgt,
+  vapourPressure,
+  degreeDays,
+  dailyHeatStress
+};
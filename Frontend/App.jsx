@@ -7,11 +7,16 @@ import { InsightsPanel } from './components/InsightsPanel';
 import { ErrorToast } from './components/ErrorToast';
 import { ComparisonCards } from './components/ComparisonCards';
 import { HistoricalRecords } from './components/HistoricalRecords';
+import { ForecastSkillChart } from './components/ForecastSkillChart';
+import { CorrelationHeatmap } from './components/CorrelationHeatmap';
+import { MonsoonPanel } from './components/MonsoonPanel';
 import { AlertBanner } from './components/AlertBanner';
+import { AqiScaleToggle } from './components/AqiScaleToggle';
 import LandingPage from './components/LandingPage';
 import LoginModal from './components/LoginModal';
 import RegisterModal from './components/RegisterModal';
 import ProfileDashboard from './components/ProfileDashboard';
+import { Leaderboard } from './components/Leaderboard';
 import AuthCallback from './components/AuthCallback';
 import { useAuth } from './contexts/AuthContext';
 import { fetchCityData } from './services/weatherService';
@@ -28,17 +33,19 @@ export default function App() {
   const [favorites, setFavorites] = useState(['Bengaluru', 'Mumbai', 'Delhi']);
   const [error, setError] = useState(null);
   const [comparisonMode, setComparisonMode] = useState(false);
+  const [aqiScale, setAqiScale] = useState('us_epa');
   
   // Auth modal states
   const [showLoginModal, setShowLoginModal] = useState(false);
   const [showRegisterModal, setShowRegisterModal] = useState(false);
   const [showProfileDashboard, setShowProfileDashboard] = useState(false);
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
 
   const loadData = async (cityName) => {
     setLoading(true);
     setError(null);
     try {
-      const result = await fetchCityData(cityName);
+      const result = await fetchCityData(cityName, aqiScale);
       setData(result);
       setCity(cityName);
       // Clear comparison when main city changes
@@ -56,7 +63,7 @@ export default function App() {
     if (!compareCityName || compareCityName === city) return;
     
     try {
-      const result = await fetchCityData(compareCityName);
+      const result = await fetchCityData(compareCityName, aqiScale);
       setComparisonData(result);
       setComparisonCity(compareCityName);
       setComparisonMode(false); // Turn off comparison mode after city is selected
@@ -66,6 +73,24 @@ export default function App() {
     }
   };
 
+  // Re-fetch the loaded cities so every AQI value is on the chosen scale
+  const handleAqiScaleChange = async (scale) => {
+    setAqiScale(scale);
+    if (!city) return;
+
+    try {
+      const [result, comparisonResult] = await Promise.all([
+        fetchCityData(city, scale),
+        comparisonCity ? fetchCityData(comparisonCity, scale) : Promise.resolve(null)
+      ]);
+      setData(result);
+      if (comparisonResult) setComparisonData(comparisonResult);
+    } catch (e) {
+      console.error("Failed to switch AQI scale", e);
+      setError('Failed to reload air quality on the selected scale');
+    }
+  };
+
   const handleClearComparison = () => {
     setComparisonCity(null);
     setComparisonData(null);
@@ -74,7 +99,7 @@ export default function App() {
 
   const handleCitySelect = useCallback((cityName) => {
     loadData(cityName);
-  }, []);
+  }, [aqiScale]); // loadData reads the current AQI scale
 
   const handleError = useCallback((errorMessage) => {
     setError(errorMessage);
@@ -115,9 +140,12 @@ export default function App() {
 
   const handleDownload = (format) => {
     if (data) {
-      import('./services/downloadUtils').then(module => {
-        module.downloadData(data, format);
-      });
+      import('./services/downloadUtils')
+        .then(module => module.downloadData(data, format))
+        .catch(e => {
+          console.error("Failed to download data", e);
+          setError('Failed to prepare the download. Please try again.');
+        });
     }
   };
 
@@ -171,6 +199,7 @@ export default function App() {
         comparisonMode={comparisonMode}
         setComparisonMode={setComparisonMode}
         onProfileClick={() => setShowProfileDashboard(true)}
+        onRankingsClick={() => setShowLeaderboard(true)}
       />
 
       <main className="flex-1 overflow-y-auto custom-scrollbar p-4 md:p-6 space-y-8">
@@ -250,6 +279,7 @@ export default function App() {
                     <BarChart3 className="w-5 h-5 mr-2 text-purple-400" />
                     City Comparison Analysis
                   </h2>
+                  <AqiScaleToggle value={aqiScale} onChange={handleAqiScaleChange} />
                 </div>
                 
                 {/* New ComparisonCards component */}
@@ -268,7 +298,10 @@ export default function App() {
                     <Activity className="w-5 h-5 mr-2 text-indigo-400" />
                     Live Conditions & Consensus
                   </h2>
-                  <span className="text-xs text-slate-500 hidden sm:block">Click cards for detailed source comparison</span>
+                  <div className="flex items-center gap-3">
+                    <span className="text-xs text-slate-500 hidden sm:block">Click cards for detailed source comparison</span>
+                    <AqiScaleToggle value={aqiScale} onChange={handleAqiScaleChange} disabled={loading} />
+                  </div>
                 </div>
                 
                 {loading ? (
@@ -276,7 +309,7 @@ export default function App() {
                      Aggregating Multi-Source Data...
                    </div>
                 ) : (
-                  <SourceMatrix matrix={data.matrix} aqiData={data.aqiBreakdown} />
+                  <SourceMatrix matrix={data.matrix} aqiData={data.aqiBreakdown} aqiScale={data.aqiScale} cityId={data.cityId} />
                 )}
               </div>
             )}
@@ -292,6 +325,11 @@ export default function App() {
               }}
             />
 
+            {/* Monsoon season summary */}
+            {data.cityId && !comparisonCity && (
+              <MonsoonPanel cityId={data.cityId} />
+            )}
+
             {/* Bottom Section: Unified Graph (Trend + Forecast) */}
             <div className="w-full pb-8">
                <div className="h-[650px]">
@@ -301,9 +339,24 @@ export default function App() {
                    comparisonHistory={comparisonData?.history}
                    comparisonCityName={comparisonCity}
                    mainCityName={city}
+                   cityId={data.cityId}
                  />
                </div>
             </div>
+
+            {/* Forecast verification: which source has been most accurate */}
+            {data.cityId && !comparisonCity && (
+              <div className="pb-8">
+                <ForecastSkillChart cityId={data.cityId} />
+              </div>
+            )}
+
+            {/* How the city's metrics move together, including a day or more apart */}
+            {data.cityId && !comparisonCity && (
+              <div className="pb-8">
+                <CorrelationHeatmap cityId={data.cityId} />
+              </div>
+            )}
           </>
         ) : (
           <div className="flex items-center justify-center h-64 bg-slate-900/50 rounded-xl border border-slate-800">
@@ -326,6 +379,13 @@ export default function App() {
         onCityClick={handleCitySelect}
       />
 
+      {/* City Rankings */}
+      <Leaderboard
+        isOpen={showLeaderboard}
+        onClose={() => setShowLeaderboard(false)}
+        onCityClick={handleCitySelect}
+      />
+
       {/* Error Toast */}
       {error && <ErrorToast message={error} onClose={() => setError(null)} />}
     </div>
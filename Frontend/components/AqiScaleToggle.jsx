@@ -0,0 +1,40 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import clsx from 'clsx';
+import { AQI_SCALES } from '../services/weatherService';
+
+/**
+ * AqiScaleToggle - Switches AQI values between the US EPA and CPCB (India) scales
+ */
+export const AqiScaleToggle = ({ value, onChange, disabled = false }) => (
+  <div
+    className="inline-flex rounded-lg border border-slate-700 bg-slate-900/60 p-0.5"
+    role="group"
+    aria-label="AQI scale"
+  >
+    {Object.entries(AQI_SCALES).map(([key, scale]) => (
+      <button
+        key={key}
+        type="button"
+        disabled={disabled}
+        onClick={() => key !== value && onChange(key)}
+        className={clsx(
+          "px-2.5 py-1 text-xs font-medium rounded-md transition-colors",
+          key === value
+            ? "bg-indigo-600 text-white"
+            : "text-slate-400 hover:text-white",
+          disabled && "opacity-50 cursor-not-allowed"
+        )}
+        title={`Show AQI on the ${scale.label} scale`}
+      >
+        {scale.label}
+      </button>
+    ))}
+  </div>
+);
+
+AqiScaleToggle.propTypes = {
+  value: PropTypes.oneOf(Object.keys(AQI_SCALES)).isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
@@ -1,6 +1,8 @@
 import React, { useState, useMemo } from 'react';
 import PropTypes from 'prop-types';
 import { Thermometer, Droplets, Wind, Gauge, TrendingUp, TrendingDown, Minus, ArrowUpDown, ChevronDown, Activity, CloudRain } from 'lucide-react';
+import { FallbackBadge } from './FallbackBadge';
+import { AQI_SCALES } from '../services/weatherService';
 
 // Source colors for visual identification
 const SOURCE_COLORS = {
@@ -26,10 +28,12 @@ export const ComparisonCards = ({
   const [compSource, setCompSource] = useState('auto');
   
   // Helper to create source object (like SourceMatrix.makeSource)
-  const makeSource = (name, val, unit) => ({
+  const makeSource = (name, val, unit, fallback = {}) => ({
     source: name,
     displayName: name,
     isOfficial: false,
+    isFallback: !!fallback.isFallback,
+    provider: fallback.provider,
     value: val,
     unit,
     status: 'active',
@@ -45,25 +49,25 @@ export const ComparisonCards = ({
     const aqiRow = {
       metricId: 'aqi',
       label: 'Air Quality (AQI)',
-      data: safeAqiData.map(d => makeSource(d.source, d.aqiValue, 'AQI'))
+      data: safeAqiData.map(d => makeSource(d.source, d.aqiValue, 'AQI', d))
     };
 
     const pm25Row = {
       metricId: 'pm25',
       label: 'PM 2.5',
-      data: safeAqiData.map(d => makeSource(d.source, d.pm25, 'µg/m³'))
+      data: safeAqiData.map(d => makeSource(d.source, d.pm25, 'µg/m³', d))
     };
 
     const pm10Row = {
       metricId: 'pm10',
       label: 'PM 10',
-      data: safeAqiData.map(d => makeSource(d.source, d.pm10, 'µg/m³'))
+      data: safeAqiData.map(d => makeSource(d.source, d.pm10, 'µg/m³', d))
     };
     
     const no2Row = {
       metricId: 'no2',
       label: 'NO₂ Levels',
-      data: safeAqiData.map(d => makeSource(d.source, d.no2, 'µg/m³'))
+      data: safeAqiData.map(d => makeSource(d.source, d.no2, 'µg/m³', d))
     };
 
     return [...safeMatrix, aqiRow, pm25Row, pm10Row, no2Row];
@@ -118,7 +122,9 @@ export const ComparisonCards = ({
         metrics[row.metricId] = {
           value: validSource.value,
           unit: validSource.unit || '',
-          source: validSource.displayName
+          source: validSource.displayName,
+          isFallback: !!validSource.isFallback,
+          provider: validSource.provider
         };
       }
     });
@@ -128,6 +134,10 @@ export const ComparisonCards = ({
   const mainMetrics = useMemo(() => extractMetrics(mainCombinedMatrix, mainSource), [mainCombinedMatrix, mainSource]);
   const compMetrics = useMemo(() => extractMetrics(compCombinedMatrix, compSource), [compCombinedMatrix, compSource]);
   
+  // Both cities are fetched on the same scale unless one fell back to Open-Meteo (US AQI only)
+  const aqiScalesDiffer = !!mainData?.aqiScale && !!comparisonData?.aqiScale && mainData.aqiScale !== comparisonData.aqiScale;
+  const aqiScale = aqiScalesDiffer ? null : (mainData?.aqiScale || 'us_epa');
+  
   // Define which metrics to compare - ALL metrics from SourceMatrix
   // Note: 'wind' and 'windSpeed' handle both old and new metricId formats
   const metricConfig = [
@@ -135,7 +145,7 @@ export const ComparisonCards = ({
     { id: 'humidity', label: 'Humidity', icon: Droplets, unit: '%', color: 'text-blue-400', format: v => Math.round(v) },
     { id: 'pressure', label: 'Pressure', icon: Gauge, unit: ' hPa', color: 'text-purple-400', format: v => v?.toFixed(1) },
     { id: 'windSpeed', altId: 'wind', label: 'Wind Speed', icon: Wind, unit: ' km/h', color: 'text-cyan-400', format: v => v?.toFixed(1) },
-    { id: 'aqi', label: 'Air Quality (AQI)', icon: Activity, unit: '', color: 'text-green-400', format: v => Math.round(v) },
+    { id: 'aqi', label: `Air Quality (${AQI_SCALES[aqiScale]?.short || 'AQI'})`, icon: Activity, unit: '', color: 'text-green-400', format: v => Math.round(v) },
     { id: 'pm25', label: 'PM 2.5', icon: CloudRain, unit: ' µg/m³', color: 'text-pink-400', format: v => v?.toFixed(1) },
     { id: 'pm10', label: 'PM 10', icon: CloudRain, unit: ' µg/m³', color: 'text-rose-400', format: v => v?.toFixed(1) },
     { id: 'no2', label: 'NO₂ Levels', icon: Activity, unit: ' µg/m³', color: 'text-amber-400', format: v => v?.toFixed(1) },
@@ -165,12 +175,13 @@ export const ComparisonCards = ({
     };
   };
   
-  // Get AQI color
+  // Get AQI color (CPCB bands are wider than US EPA ones)
   const getAqiColor = (value) => {
     if (!value) return 'text-slate-400';
-    if (value <= 50) return 'text-green-400';
-    if (value <= 100) return 'text-yellow-400';
-    if (value <= 150) return 'text-orange-400';
+    const [good, moderate, poor] = aqiScale === 'cpcb' ? [50, 100, 200] : [50, 100, 150];
+    if (value <= good) return 'text-green-400';
+    if (value <= moderate) return 'text-yellow-400';
+    if (value <= poor) return 'text-orange-400';
     return 'text-red-400';
   };
   
@@ -193,6 +204,7 @@ export const ComparisonCards = ({
       case 'windSpeed':
         return `${higherCity} has ${absValue} km/h more wind`;
       case 'aqi':
+        if (aqiScalesDiffer) return 'AQI scales differ between cities';
         return diff.mainHigher 
           ? `${mainCity} has worse air quality (+${absValue})`
           : `${comparisonCity} has worse air quality (+${absValue})`;
@@ -306,11 +318,14 @@ export const ComparisonCards = ({
                     <Icon className="w-4 h-4" />
                     <span className="text-sm">{config.label}</span>
                   </div>
-                  <span className={`text-lg font-bold ${config.id === 'aqi' ? getAqiColor(metric?.value) : config.color}`}>
-                    {metric?.value !== undefined 
-                      ? `${config.format ? config.format(metric.value) : metric.value}${config.unit}`
-                      : '-'}
-                  </span>
+                  <div className="flex items-center gap-2">
+                    {metric?.isFallback && <FallbackBadge provider={metric.provider} />}
+                    <span className={`text-lg font-bold ${config.id === 'aqi' ? getAqiColor(metric?.value) : config.color}`}>
+                      {metric?.value !== undefined 
+                        ? `${config.format ? config.format(metric.value) : metric.value}${config.unit}`
+                        : '-'}
+                    </span>
+                  </div>
                 </div>
               );
             })}
@@ -345,11 +360,14 @@ export const ComparisonCards = ({
                     <Icon className="w-4 h-4" />
                     <span className="text-sm">{config.label}</span>
                   </div>
-                  <span className={`text-lg font-bold ${config.id === 'aqi' ? getAqiColor(metric?.value) : config.color}`}>
-                    {metric?.value !== undefined 
-                      ? `${config.format ? config.format(metric.value) : metric.value}${config.unit}`
-                      : '-'}
-                  </span>
+                  <div className="flex items-center gap-2">
+                    {metric?.isFallback && <FallbackBadge provider={metric.provider} />}
+                    <span className={`text-lg font-bold ${config.id === 'aqi' ? getAqiColor(metric?.value) : config.color}`}>
+                      {metric?.value !== undefined 
+                        ? `${config.format ? config.format(metric.value) : metric.value}${config.unit}`
+                        : '-'}
+                    </span>
+                  </div>
                 </div>
               );
             })}
@@ -502,11 +520,13 @@ export const ComparisonCards = ({
 ComparisonCards.propTypes = {
   mainCity: PropTypes.string.isRequired,
   mainData: PropTypes.shape({
-    matrix: PropTypes.array
+    matrix: PropTypes.array,
+    aqiScale: PropTypes.string
   }),
   comparisonCity: PropTypes.string.isRequired,
   comparisonData: PropTypes.shape({
-    matrix: PropTypes.array
+    matrix: PropTypes.array,
+    aqiScale: PropTypes.string
   })
 };
 
@@ -0,0 +1,208 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import clsx from 'clsx';
+import { Grid3x3 } from 'lucide-react';
+import { fetchCorrelationMatrix } from '../services/weatherService';
+
+const METRIC_LABELS = {
+  temperature: 'Temp',
+  humidity: 'Humidity',
+  rainfall: 'Rain',
+  wind: 'Wind',
+  pm25: 'PM2.5',
+  pm10: 'PM10',
+  no2: 'NO₂',
+  o3: 'O₃'
+};
+
+const LAGS = [0, 1, 2, 3];
+const PERIODS = [90, 365];
+const SIGNIFICANCE_LEVEL = 0.05;
+
+/**
+ * Cell colour: red for positive, blue for negative, stronger with |r|
+ */
+const cellColor = (r) => {
+  const alpha = Math.min(1, Math.abs(r)) * 0.85;
+  return r >= 0 ? `rgba(239, 68, 68, ${alpha})` : `rgba(59, 130, 246, ${alpha})`;
+};
+
+const ToggleGroup = ({ options, value, onChange }) => (
+  <div className="inline-flex rounded-lg border border-slate-700 bg-slate-900/60 p-0.5">
+    {options.map(option => (
+      <button
+        key={option.value}
+        type="button"
+        onClick={() => onChange(option.value)}
+        className={clsx(
+          "px-2.5 py-1 text-xs font-medium rounded-md transition-colors",
+          option.value === value ? "bg-indigo-600 text-white" : "text-slate-400 hover:text-white"
+        )}
+      >
+        {option.label}
+      </button>
+    ))}
+  </div>
+);
+
+/**
+ * CorrelationHeatmap - Correlations between daily metrics in a city, or of one
+ * metric across cities, with a lag so today's row can be read against later days
+ */
+export const CorrelationHeatmap = ({ cityId }) => {
+  const [scope, setScope] = useState('city');
+  const [metric, setMetric] = useState('pm25');
+  const [method, setMethod] = useState('pearson');
+  const [lag, setLag] = useState(0);
+  const [days, setDays] = useState(90);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    if (!cityId) return;
+    let cancelled = false;
+
+    setLoading(true);
+    const request = scope === 'city'
+      ? fetchCorrelationMatrix(cityId, { method, lags: [lag], days })
+      : fetchCorrelationMatrix('all', { metrics: [metric], method, lags: [lag], days });
+
+    request.then(result => {
+      if (!cancelled) {
+        setReport(result);
+        setFailed(result === null);
+        setLoading(false);
+      }
+    });
+
+    return () => { cancelled = true; };
+  }, [cityId, scope, metric, method, lag, days]);
+
+  if (!cityId) return null;
+
+  const variables = report?.variables || [];
+  const cells = report?.matrices?.[0]?.cells || [];
+  const labelOf = (variable) => scope === 'city' ? METRIC_LABELS[variable.metric] || variable.metric : variable.cityName || variable.cityId;
+  const hasValues = cells.some((row, i) => row.some((cell, j) => cell && (i !== j || lag > 0)));
+
+  return (
+    <div className="bg-slate-800/50 rounded-xl p-6 border border-slate-700/50">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-2">
+          <Grid3x3 className="w-5 h-5 text-rose-400" />
+          <h3 className="text-lg font-semibold text-slate-200">Correlations</h3>
+          <span className="text-xs text-slate-500">last {days} days</span>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <ToggleGroup
+            options={[{ value: 'city', label: 'Metrics' }, { value: 'cities', label: 'Cities' }]}
+            value={scope}
+            onChange={setScope}
+          />
+          {scope === 'cities' && (
+            <ToggleGroup
+              options={Object.entries(METRIC_LABELS).map(([value, label]) => ({ value, label }))}
+              value={metric}
+              onChange={setMetric}
+            />
+          )}
+          <ToggleGroup
+            options={[{ value: 'pearson', label: 'Pearson' }, { value: 'spearman', label: 'Spearman' }]}
+            value={method}
+            onChange={setMethod}
+          />
+          <ToggleGroup
+            options={LAGS.map(value => ({ value, label: value === 0 ? 'Same day' : `+${value}d` }))}
+            value={lag}
+            onChange={setLag}
+          />
+          <ToggleGroup
+            options={PERIODS.map(value => ({ value, label: value === 365 ? '1y' : `${value}d` }))}
+            value={days}
+            onChange={setDays}
+          />
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="h-72 bg-slate-900/50 rounded-lg animate-pulse" />
+      ) : failed ? (
+        <div className="h-32 flex items-center justify-center text-sm text-red-300">
+          Could not load the correlations. Check the connection to the server and try again.
+        </div>
+      ) : !hasValues ? (
+        <div className="h-32 flex items-center justify-center text-sm text-slate-500 italic">
+          Not enough daily records yet. Each pair needs at least {report?.minPairs ?? 10} days with both values.
+        </div>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="border-separate" style={{ borderSpacing: 2 }}>
+              <thead>
+                <tr>
+                  <th className="text-[10px] text-slate-500 font-normal text-left pr-2">
+                    {lag > 0 ? `today ↓ / +${lag}d →` : ''}
+                  </th>
+                  {variables.map(variable => (
+                    <th key={variable.key} className="text-[11px] text-slate-400 font-medium px-1 min-w-[3.25rem]">
+                      {labelOf(variable)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {variables.map((rowVariable, i) => (
+                  <tr key={rowVariable.key}>
+                    <th className="text-[11px] text-slate-400 font-medium text-right pr-2 whitespace-nowrap">
+                      {labelOf(rowVariable)}
+                    </th>
+                    {variables.map((columnVariable, j) => {
+                      const cell = cells[i]?.[j];
+                      const significant = cell && cell.pValue < SIGNIFICANCE_LEVEL;
+                      return (
+                        <td
+                          key={columnVariable.key}
+                          className={clsx(
+                            "h-10 text-center text-[11px] rounded tabular-nums",
+                            !cell && "bg-slate-900/40 text-slate-600",
+                            cell && (significant ? "text-white font-semibold" : "text-slate-300")
+                          )}
+                          style={cell ? { backgroundColor: cellColor(cell.coefficient), opacity: significant ? 1 : 0.45 } : undefined}
+                          title={cell
+                            ? `${lag > 0 ? `${labelOf(rowVariable)} today → ${labelOf(columnVariable)} ${lag}d later` : `${labelOf(rowVariable)} vs ${labelOf(columnVariable)}`}: r = ${cell.coefficient}, p = ${cell.pValue}, n = ${cell.n}`
+                            : `Fewer than ${report.minPairs} paired days`}
+                        >
+                          {cell ? cell.coefficient.toFixed(2) : '–'}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-[11px] text-slate-500 mt-3">
+            Red is positive, blue negative; faded cells are not significant (p ≥ {SIGNIFICANCE_LEVEL}).
+            {lag > 0 && ` Each row is today's value against the column ${lag} day${lag > 1 ? 's' : ''} later, so the grid is not symmetric.`}
+            {method === 'spearman' && ' Spearman ranks the values first, so it also picks up monotonic relationships that are not straight lines.'}
+            {' '}Hover a cell for its p-value and the number of days paired.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+ToggleGroup.propTypes = {
+  options: PropTypes.arrayOf(PropTypes.shape({
+    value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    label: PropTypes.string.isRequired
+  })).isRequired,
+  value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+CorrelationHeatmap.propTypes = {
+  cityId: PropTypes.string,
+};
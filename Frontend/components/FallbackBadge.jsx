@@ -0,0 +1,21 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Shuffle } from 'lucide-react';
+
+/**
+ * FallbackBadge - Marks a value that a source served from another provider's API
+ */
+export const FallbackBadge = ({ provider = 'Open-Meteo', compact = false }) => (
+  <span
+    className="inline-flex items-center text-[10px] px-1.5 py-0.5 rounded border font-semibold bg-amber-900/30 text-amber-300 border-amber-800/50 whitespace-nowrap"
+    title={`This source had no data of its own; values come from the ${provider} API`}
+  >
+    <Shuffle className="w-3 h-3 mr-1" />
+    {compact ? 'Fallback' : `via ${provider} fallback`}
+  </span>
+);
+
+FallbackBadge.propTypes = {
+  provider: PropTypes.string,
+  compact: PropTypes.bool,
+};
@@ -0,0 +1,183 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import clsx from 'clsx';
+import { Target } from 'lucide-react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  Legend
+} from 'recharts';
+import { fetchForecastSkill } from '../services/weatherService';
+
+const METRIC_LABELS = {
+  maxTemperature: 'Max Temp',
+  minTemperature: 'Min Temp',
+  avgAqi: 'AQI',
+  avgPm25: 'PM2.5',
+  avgPm10: 'PM10',
+  avgNo2: 'NO₂',
+  avgO3: 'O₃'
+};
+
+const SOURCE_COLORS = ['#818cf8', '#34d399', '#fbbf24', '#f472b6', '#38bdf8', '#a78bfa', '#fb923c'];
+
+/**
+ * ForecastSkillChart - Mean absolute error of each forecast source by lead time,
+ * from the nightly verification against observed daily records
+ */
+export const ForecastSkillChart = ({ cityId, days = 30 }) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [metric, setMetric] = useState('maxTemperature');
+
+  useEffect(() => {
+    if (!cityId) return;
+    let cancelled = false;
+
+    setLoading(true);
+    fetchForecastSkill(cityId, days).then(result => {
+      if (!cancelled) {
+        setReport(result);
+        setLoading(false);
+      }
+    });
+
+    return () => { cancelled = true; };
+  }, [cityId, days]);
+
+  const { chartData, sources } = useMemo(() => {
+    const rows = (report?.skill || []).filter(r => r.metric === metric);
+    const sourceNames = [...new Set(rows.map(r => r.source))];
+    const byLead = {};
+
+    rows.forEach(row => {
+      if (!byLead[row.leadDays]) byLead[row.leadDays] = { lead: row.leadDays };
+      byLead[row.leadDays][row.source] = row.mae;
+      byLead[row.leadDays][`${row.source}__bias`] = row.bias;
+      byLead[row.leadDays][`${row.source}__n`] = row.sampleSize;
+      byLead[row.leadDays][`${row.source}__ss`] = row.skillScore;
+    });
+
+    return {
+      chartData: Object.values(byLead).sort((a, b) => a.lead - b.lead),
+      sources: sourceNames
+    };
+  }, [report, metric]);
+
+  if (!cityId) return null;
+
+  const unit = report?.metrics?.[metric]?.unit || '';
+  const best = report?.bestSources?.[metric];
+  const reference = report?.referenceSource;
+  const reliability = report?.reliability?.metrics?.[metric];
+  const nominal = report?.reliability?.nominal ?? 0.8;
+
+  return (
+    <div className="bg-slate-800/50 rounded-xl p-6 border border-slate-700/50">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-2">
+          <Target className="w-5 h-5 text-emerald-400" />
+          <h3 className="text-lg font-semibold text-slate-200">Forecast Skill</h3>
+          <span className="text-xs text-slate-500">last {report?.windowDays ?? days} days</span>
+        </div>
+        <div className="inline-flex flex-wrap rounded-lg border border-slate-700 bg-slate-900/60 p-0.5">
+          {Object.entries(METRIC_LABELS).map(([key, label]) => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => setMetric(key)}
+              className={clsx(
+                "px-2.5 py-1 text-xs font-medium rounded-md transition-colors",
+                key === metric ? "bg-indigo-600 text-white" : "text-slate-400 hover:text-white"
+              )}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="h-64 bg-slate-900/50 rounded-lg animate-pulse" />
+      ) : chartData.length === 0 ? (
+        <div className="h-32 flex items-center justify-center text-sm text-slate-500 italic">
+          No verified forecasts yet for this metric. Scores appear after the nightly verification has run.
+        </div>
+      ) : (
+        <>
+          {best && (
+            <p className="text-xs text-slate-400 mb-3">
+              Best source: <span className="text-emerald-300 font-semibold">{best.source}</span>
+              {' '}(MAE {best.mae} {unit}, {best.sampleSize} forecasts)
+            </p>
+          )}
+          {reliability && (
+            <p className="text-xs text-slate-400 mb-3">
+              {Math.round(nominal * 100)}% intervals held the observation{' '}
+              <span className={clsx("font-semibold", reliability.calibrated ? "text-emerald-300" : "text-amber-300")}>
+                {Math.round(reliability.coverage * 100)}%
+              </span>
+              {' '}of the time (n={reliability.sampleSize}
+              {reliability.calibrated
+                ? ', well calibrated'
+                : reliability.coverage < nominal ? ', intervals too narrow' : ', intervals too wide'})
+            </p>
+          )}
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={chartData} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                <XAxis
+                  dataKey="lead"
+                  stroke="#94a3b8"
+                  fontSize={12}
+                  tickFormatter={lead => `${lead}d`}
+                  label={{ value: 'Lead time', position: 'insideBottom', offset: -2, fill: '#64748b', fontSize: 11 }}
+                />
+                <YAxis stroke="#94a3b8" fontSize={12} label={{ value: `MAE (${unit})`, angle: -90, position: 'insideLeft', fill: '#64748b', fontSize: 11 }} />
+                <Tooltip
+                  contentStyle={{ backgroundColor: '#0f172a', border: '1px solid #334155', borderRadius: '8px' }}
+                  labelFormatter={lead => `${lead}-day lead`}
+                  formatter={(value, name, item) => {
+                    const bias = item.payload[`${name}__bias`];
+                    const n = item.payload[`${name}__n`];
+                    const skillScore = name !== reference ? item.payload[`${name}__ss`] : null;
+                    const skillText = skillScore != null ? `, skill ${skillScore}` : '';
+                    return [`${value} ${unit} (bias ${bias > 0 ? '+' : ''}${bias}${skillText}, n=${n})`, name];
+                  }}
+                />
+                <Legend />
+                {sources.map((source, i) => (
+                  <Line
+                    key={source}
+                    type="monotone"
+                    dataKey={source}
+                    stroke={source === reference ? '#94a3b8' : SOURCE_COLORS[i % SOURCE_COLORS.length]}
+                    strokeDasharray={source === reference ? '4 4' : undefined}
+                    strokeWidth={2}
+                    dot={{ r: 3 }}
+                    connectNulls
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <p className="text-[11px] text-slate-500 mt-2">
+            Lower is better. Bias is forecast minus observed: positive means the source runs high.
+            {reference && ` The dashed ${reference} line is the climatology baseline; skill above 0 means a source beats it.`}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+ForecastSkillChart.propTypes = {
+  cityId: PropTypes.string,
+  days: PropTypes.number,
+};
@@ -65,77 +65,146 @@ const RecordCard = ({ title, data, icon: Icon, color, type }) => {
   );
 };
 
+const ordinal = (n) => {
+  const tens = n % 100;
+  if (tens >= 11 && tens <= 13) return `${n}th`;
+  return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'}`;
+};
+
+const describePercentile = (rank) => {
+  if (rank >= 95) return { label: 'Exceptionally high', color: 'text-red-400' };
+  if (rank >= 90) return { label: 'Well above normal', color: 'text-orange-400' };
+  if (rank > 60) return { label: 'Above normal', color: 'text-amber-300' };
+  if (rank >= 40) return { label: 'Near normal', color: 'text-slate-300' };
+  if (rank > 10) return { label: 'Below normal', color: 'text-sky-300' };
+  if (rank > 5) return { label: 'Well below normal', color: 'text-cyan-400' };
+  return { label: 'Exceptionally low', color: 'text-blue-400' };
+};
+
+const PercentileRow = ({ label, unit, value, normal, rank }) => {
+  if (!normal) return null;
+
+  const described = rank != null ? describePercentile(rank) : null;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex justify-between items-end">
+        <div>
+          <div className="text-sm text-slate-400 mb-1">{label}</div>
+          <div className="text-2xl font-bold text-slate-100">
+            {value != null ? `${value}${unit}` : '—'}
+          </div>
+        </div>
+        <div className="text-right">
+          {described ? (
+            <>
+              <div className={`text-lg font-semibold ${described.color}`}>{ordinal(rank)} percentile</div>
+              <div className="text-xs text-slate-500">{described.label}</div>
+            </>
+          ) : (
+            <div className="text-sm text-slate-500">No reading yet</div>
+          )}
+        </div>
+      </div>
+
+      {/* Normal range: 5th to 95th percentile, with the 10th-90th band shaded */}
+      <div className="relative h-3 bg-slate-700 rounded-full">
+        <div className="absolute top-0 bottom-0 left-[5%] right-[5%] bg-slate-600 rounded-full"></div>
+        <div className="absolute left-1/2 top-0 bottom-0 w-0.5 bg-slate-400"></div>
+        {rank != null && (
+          <div
+            className={`absolute -top-1 w-2 h-5 rounded-sm transition-all duration-500 ${rank >= 50 ? 'bg-orange-500' : 'bg-cyan-500'}`}
+            style={{ left: `calc(${Math.min(Math.max(rank, 0), 100)}% - 4px)` }}
+          ></div>
+        )}
+      </div>
+      <div className="flex justify-between text-[11px] text-slate-500">
+        <span>p5 {normal.p5}{unit}</span>
+        <span>median {normal.median}{unit}</span>
+        <span>p95 {normal.p95}{unit}</span>
+      </div>
+    </div>
+  );
+};
+
 const TypicalComparison = ({ data, currentData }) => {
-  if (!data || !data.typical) return null;
+  if (!data || !data.normals) return null;
 
-  const { typical, month } = data;
+  const { normals, observed = {}, percentiles = {}, basePeriod, windowDays, partialDay } = data;
+  if (!Object.values(normals).some(Boolean)) return null;
+
+  const dayLabel = new Date(`${data.date}T00:00:00Z`).toLocaleDateString(undefined, { month: 'long', day: 'numeric', timeZone: 'UTC' });
   const currentTemp = currentData?.temperature;
-  const tempDiff = currentTemp ? (currentTemp - typical.avgTemperature).toFixed(1) : null;
-  const isWarmer = tempDiff > 0;
 
   return (
     <div className="bg-slate-800/50 rounded-xl p-6 border border-slate-700/50">
-      <div className="flex items-center gap-2 mb-6">
-        <Flag className="w-5 h-5 text-indigo-400" />
-        <h3 className="text-lg font-semibold text-slate-200">Today vs. Typical {month}</h3>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-6">
+        <div className="flex items-center gap-2">
+          <Flag className="w-5 h-5 text-indigo-400" />
+          <h3 className="text-lg font-semibold text-slate-200">
+            {partialDay ? 'Today' : dayLabel} vs. Normal for {dayLabel}
+          </h3>
+        </div>
+        <div className="text-xs text-slate-500">
+          {basePeriod.startYear}–{basePeriod.endYear} normals · ±{windowDays} days
+          {partialDay && ' · today so far'}
+        </div>
       </div>
 
       <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
-        {/* Temperature Comparison */}
-        <div className="space-y-4">
-          <div className="flex justify-between items-end">
-            <div>
-              <div className="text-sm text-slate-400 mb-1">Current Temperature</div>
-              <div className="text-3xl font-bold text-slate-100">{currentTemp}°C</div>
-            </div>
-            <div className="text-right">
-              <div className="text-sm text-slate-400 mb-1">Typical Average</div>
-              <div className="text-3xl font-bold text-slate-400">{typical.avgTemperature}°C</div>
-            </div>
-          </div>
-
-          {/* Visual Bar */}
-          <div className="relative h-4 bg-slate-700 rounded-full overflow-hidden">
-            {/* Center Marker */}
-            <div className="absolute left-1/2 top-0 bottom-0 w-0.5 bg-slate-500 z-10"></div>
-
-            {/* Bar */}
-            {tempDiff !== null && (
-              <div
-                className={`absolute top-0 bottom-0 transition-all duration-500 ${isWarmer ? 'bg-orange-500 left-1/2' : 'bg-cyan-500 right-1/2'}`}
-                style={{ width: `${Math.min(Math.abs(tempDiff) * 5, 50)}%` }} // Scale width
-              ></div>
-            )}
-          </div>
-
-          <div className="text-center text-sm">
-            {tempDiff !== null ? (
-              <span className={isWarmer ? 'text-orange-400' : 'text-cyan-400'}>
-                {Math.abs(tempDiff)}°C {isWarmer ? 'warmer' : 'cooler'} than average
-              </span>
-            ) : (
-              <span className="text-slate-500">No current data</span>
-            )}
-          </div>
+        <div className="space-y-6">
+          <PercentileRow
+            label="Mean Temperature"
+            unit="°C"
+            value={observed.avgTemperature}
+            normal={normals.avgTemperature}
+            rank={percentiles.avgTemperature}
+          />
+          <PercentileRow
+            label="Mean AQI"
+            unit=""
+            value={observed.avgAqi}
+            normal={normals.avgAqi}
+            rank={percentiles.avgAqi}
+          />
+          <PercentileRow
+            label="Mean Humidity"
+            unit="%"
+            value={observed.avgHumidity}
+            normal={normals.avgHumidity}
+            rank={percentiles.avgHumidity}
+          />
         </div>
 
         {/* Stats Grid */}
-        <div className="grid grid-cols-2 gap-4">
+        <div className="grid grid-cols-2 gap-4 content-start">
           <div className="bg-slate-900/30 p-3 rounded-lg">
-            <div className="text-xs text-slate-500 mb-1">Typical High</div>
-            <div className="text-lg font-semibold text-orange-300">{typical.maxTemperature}°C</div>
+            <div className="text-xs text-slate-500 mb-1">Normal High</div>
+            <div className="text-lg font-semibold text-orange-300">
+              {normals.maxTemperature ? `${normals.maxTemperature.mean}°C` : '—'}
+            </div>
           </div>
           <div className="bg-slate-900/30 p-3 rounded-lg">
-            <div className="text-xs text-slate-500 mb-1">Typical Low</div>
-            <div className="text-lg font-semibold text-cyan-300">{typical.minTemperature}°C</div>
+            <div className="text-xs text-slate-500 mb-1">Normal Low</div>
+            <div className="text-lg font-semibold text-cyan-300">
+              {normals.minTemperature ? `${normals.minTemperature.mean}°C` : '—'}
+            </div>
           </div>
           <div className="bg-slate-900/30 p-3 rounded-lg">
-            <div className="text-xs text-slate-500 mb-1">Typical AQI</div>
-            <div className="text-lg font-semibold text-emerald-300">{typical.aqi}</div>
+            <div className="text-xs text-slate-500 mb-1">Normal Rainfall</div>
+            <div className="text-lg font-semibold text-blue-300">
+              {normals.totalRainfall ? `${normals.totalRainfall.mean} mm` : '—'}
+            </div>
           </div>
           <div className="bg-slate-900/30 p-3 rounded-lg">
-            <div className="text-xs text-slate-500 mb-1">Data Points</div>
-            <div className="text-lg font-semibold text-slate-400">{typical.dataPoints}</div>
+            <div className="text-xs text-slate-500 mb-1">Current Reading</div>
+            <div className="text-lg font-semibold text-slate-200">
+              {currentTemp != null ? `${currentTemp}°C` : '—'}
+            </div>
+          </div>
+          <div className="col-span-2 text-xs text-slate-500">
+            Based on {normals.avgTemperature?.sampleSize ?? 0} days from {normals.avgTemperature?.years ?? 0} years.
+            Percentiles rank the daily mean against the same days in past years.
           </div>
         </div>
       </div>
@@ -143,7 +212,59 @@ const TypicalComparison = ({ data, currentData }) => {
   );
 };
 
+const TREND_ROWS = [
+  { metric: 'avgTemperature', label: 'Mean Temperature', unit: '°C' },
+  { metric: 'maxTemperature', label: 'Max Temperature', unit: '°C' },
+  { metric: 'totalRainfall', label: 'Rainfall', unit: 'mm' },
+  { metric: 'avgAqi', label: 'AQI', unit: '' }
+];
+
+const TREND_PERIODS = [
+  { id: 'annual', label: 'Annual' },
+  { id: 'winter', label: 'Winter' },
+  { id: 'preMonsoon', label: 'Pre-monsoon' },
+  { id: 'monsoon', label: 'Monsoon' },
+  { id: 'postMonsoon', label: 'Post-monsoon' }
+];
+
+const TrendSummary = ({ label, unit, result }) => {
+  if (!result) return null;
+
+  if (!result.trend) {
+    return (
+      <div className="bg-slate-900/30 p-3 rounded-lg">
+        <div className="text-xs text-slate-500 mb-1">{label}</div>
+        <div className="text-sm text-slate-500">{result.reason}</div>
+      </div>
+    );
+  }
+
+  const sign = result.perDecade > 0 ? '+' : '';
+  const color = !result.significant
+    ? 'text-slate-300'
+    : result.trend === 'increasing' ? 'text-orange-300' : 'text-cyan-300';
+
+  return (
+    <div className="bg-slate-900/30 p-3 rounded-lg">
+      <div className="text-xs text-slate-500 mb-1">{label}</div>
+      <div className={`text-lg font-semibold ${color}`}>
+        {sign}{result.perDecade}{unit} <span className="text-xs font-normal text-slate-500">per decade</span>
+      </div>
+      <div className="text-xs text-slate-400">
+        {result.significant ? result.trend : 'no significant trend'} · p = {result.pValue}
+      </div>
+      {result.perDecadeLower != null && result.perDecadeUpper != null && (
+        <div className="text-[11px] text-slate-500">
+          95% CI {result.perDecadeLower} to {result.perDecadeUpper} · {result.years} years
+        </div>
+      )}
+    </div>
+  );
+};
+
 const LongTermTrends = ({ data, isFallback }) => {
+  const [period, setPeriod] = useState('annual');
+
   // Hide Long-Term Trends section entirely for fallback cities
   if (isFallback) {
     return null;
@@ -213,6 +334,38 @@ const LongTermTrends = ({ data, isFallback }) => {
           </LineChart>
         </ResponsiveContainer>
       </div>
+
+      {data.analysis && (
+        <div className="mt-6">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+            <div className="text-sm text-slate-400">Mann-Kendall trend with Sen&apos;s slope</div>
+            <div className="flex flex-wrap gap-1">
+              {TREND_PERIODS.map(p => (
+                <button
+                  key={p.id}
+                  onClick={() => setPeriod(p.id)}
+                  className={`px-2 py-1 rounded text-xs ${period === p.id ? 'bg-emerald-600 text-white' : 'bg-slate-900/50 text-slate-400 hover:text-slate-200'}`}
+                >
+                  {p.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            {TREND_ROWS.map(row => (
+              <TrendSummary
+                key={row.metric}
+                label={row.label}
+                unit={row.unit}
+                result={data.analysis[period]?.[row.metric]}
+              />
+            ))}
+          </div>
+          <div className="text-[11px] text-slate-500 mt-2">
+            Years with less than 80% of days observed are left out.
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,251 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import clsx from 'clsx';
+import { X, Trophy, Wind, Thermometer, TrendingUp, CloudRain, Users, Loader } from 'lucide-react';
+import { fetchRankings } from '../services/weatherService';
+
+const CRITERIA = [
+  { id: 'cleanest_air', label: 'Cleanest air', icon: Wind, periods: ['week', 'month', 'year'] },
+  { id: 'hot_days', label: 'Hot days', icon: Thermometer, periods: ['year', 'month', 'all'] },
+  { id: 'warming_trend', label: 'Warming trend', icon: TrendingUp, periods: ['all'] },
+  { id: 'wettest_monsoon', label: 'Wettest monsoon', icon: CloudRain, periods: ['monsoon', 'all'] }
+];
+
+const PERIOD_LABELS = {
+  week: 'This week',
+  month: 'Last 30 days',
+  year: 'This year',
+  monsoon: 'Latest monsoon',
+  all: 'All records'
+};
+
+const HOT_DAY_THRESHOLDS = [35, 40, 45];
+
+const MEDAL_COLORS = ['text-amber-300', 'text-slate-300', 'text-orange-400'];
+
+/**
+ * Short description of what a ranked value means, per criterion
+ */
+const describeValue = (criterion, entry, threshold) => {
+  switch (criterion) {
+    case 'cleanest_air':
+      return `Average AQI over ${entry.details.days} days`;
+    case 'hot_days':
+      return `Days at or above ${threshold} °C (hottest ${entry.details.hottest} °C)`;
+    case 'warming_trend':
+      return `${entry.details.firstYear}–${entry.details.lastYear}, ${entry.details.significant ? `significant (p ${entry.details.pValue})` : 'not significant'}`;
+    case 'wettest_monsoon': {
+      const seasons = entry.details.seasons;
+      return seasons.length === 1
+        ? `${seasons[0].year} monsoon${seasons[0].complete ? '' : ' so far'}`
+        : `Average of ${seasons.length} monsoons`;
+    }
+    default:
+      return '';
+  }
+};
+
+const formatPopulation = (population) => {
+  if (!population) return '—';
+  return population >= 1e6 ? `${(population / 1e6).toFixed(1)}M` : population.toLocaleString();
+};
+
+/**
+ * Leaderboard - All cities ranked by a criterion, with ties sharing a rank and an
+ * optional population-weighted view
+ */
+export const Leaderboard = ({ isOpen, onClose, onCityClick }) => {
+  const [criterion, setCriterion] = useState('cleanest_air');
+  const [period, setPeriod] = useState('week');
+  const [weighting, setWeighting] = useState('none');
+  const [threshold, setThreshold] = useState(40);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    let cancelled = false;
+
+    setLoading(true);
+    fetchRankings(criterion, { period, weighting, threshold: criterion === 'hot_days' ? threshold : undefined })
+      .then(result => {
+        if (!cancelled) {
+          setReport(result);
+          setLoading(false);
+        }
+      });
+
+    return () => { cancelled = true; };
+  }, [isOpen, criterion, period, weighting, threshold]);
+
+  if (!isOpen) return null;
+
+  const selected = CRITERIA.find(c => c.id === criterion);
+  const weighted = weighting === 'population';
+
+  const selectCriterion = (id) => {
+    setCriterion(id);
+    setPeriod(CRITERIA.find(c => c.id === id).periods[0]);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm animate-fadeIn">
+      <div className="bg-slate-900/95 backdrop-blur-xl border border-slate-700 rounded-2xl shadow-2xl w-full max-w-4xl max-h-[90vh] overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-slate-700/50">
+          <h2 className="text-2xl font-bold bg-gradient-to-r from-amber-300 to-rose-400 bg-clip-text text-transparent flex items-center gap-2">
+            <Trophy className="w-6 h-6 text-amber-300" />
+            City Rankings
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-lg hover:bg-slate-800 text-slate-400 hover:text-white transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Controls */}
+        <div className="p-6 pb-4 space-y-3 border-b border-slate-800">
+          <div className="flex flex-wrap gap-2">
+            {CRITERIA.map(({ id, label, icon: Icon }) => (
+              <button
+                key={id}
+                type="button"
+                onClick={() => selectCriterion(id)}
+                className={clsx(
+                  "flex items-center gap-2 px-3 py-2 rounded-lg text-sm border transition-all",
+                  id === criterion
+                    ? "bg-indigo-600/20 border-indigo-500/60 text-indigo-200"
+                    : "bg-slate-800/50 border-slate-700 text-slate-400 hover:text-slate-200"
+                )}
+              >
+                <Icon className="w-4 h-4" />
+                {label}
+              </button>
+            ))}
+          </div>
+          <div className="flex flex-wrap items-center gap-3 text-xs">
+            <div className="inline-flex rounded-lg border border-slate-700 bg-slate-900/60 p-0.5">
+              {selected.periods.map(p => (
+                <button
+                  key={p}
+                  type="button"
+                  onClick={() => setPeriod(p)}
+                  className={clsx(
+                    "px-2.5 py-1 font-medium rounded-md transition-colors",
+                    p === period ? "bg-indigo-600 text-white" : "text-slate-400 hover:text-white"
+                  )}
+                >
+                  {PERIOD_LABELS[p]}
+                </button>
+              ))}
+            </div>
+            {criterion === 'hot_days' && (
+              <div className="inline-flex rounded-lg border border-slate-700 bg-slate-900/60 p-0.5">
+                {HOT_DAY_THRESHOLDS.map(t => (
+                  <button
+                    key={t}
+                    type="button"
+                    onClick={() => setThreshold(t)}
+                    className={clsx(
+                      "px-2.5 py-1 font-medium rounded-md transition-colors",
+                      t === threshold ? "bg-rose-600 text-white" : "text-slate-400 hover:text-white"
+                    )}
+                  >
+                    ≥{t} °C
+                  </button>
+                ))}
+              </div>
+            )}
+            <button
+              type="button"
+              onClick={() => setWeighting(weighted ? 'none' : 'population')}
+              className={clsx(
+                "flex items-center gap-1.5 px-2.5 py-1 rounded-lg border transition-colors",
+                weighted
+                  ? "bg-emerald-500/10 border-emerald-500/50 text-emerald-300"
+                  : "border-slate-700 text-slate-400 hover:text-white"
+              )}
+              title="Show each city's part of the population-weighted figure"
+            >
+              <Users className="w-3.5 h-3.5" />
+              Population-weighted
+            </button>
+          </div>
+        </div>
+
+        {/* Table */}
+        <div className="flex-1 overflow-y-auto p-6 pt-4">
+          {loading ? (
+            <div className="flex items-center justify-center h-48 text-slate-500">
+              <Loader className="w-6 h-6 animate-spin" />
+            </div>
+          ) : !report || report.rankings.length === 0 ? (
+            <div className="h-32 flex items-center justify-center text-sm text-slate-500 italic">
+              No city has enough data for this ranking yet.
+            </div>
+          ) : (
+            <>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-xs text-slate-500 uppercase tracking-wide">
+                    <th className="text-left py-2 w-14">Rank</th>
+                    <th className="text-left py-2">City</th>
+                    <th className="text-right py-2">{report.unit}</th>
+                    {weighted && <th className="text-right py-2">Contribution</th>}
+                    <th className="text-right py-2 hidden sm:table-cell">Population</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.rankings.map(entry => (
+                    <tr
+                      key={entry.cityId}
+                      onClick={() => { onCityClick?.(entry.cityName); onClose(); }}
+                      className="border-t border-slate-800 hover:bg-slate-800/40 cursor-pointer"
+                    >
+                      <td className={clsx("py-2.5 font-bold tabular-nums", MEDAL_COLORS[entry.rank - 1] || 'text-slate-500')}>
+                        {entry.tied ? `=${entry.rank}` : entry.rank}
+                      </td>
+                      <td className="py-2.5">
+                        <div className="text-slate-200 font-medium">{entry.cityName}</div>
+                        <div className="text-[11px] text-slate-500">{describeValue(criterion, entry, report.threshold)}</div>
+                      </td>
+                      <td className="py-2.5 text-right text-slate-200 font-semibold tabular-nums">{entry.value}</td>
+                      {weighted && <td className="py-2.5 text-right text-emerald-300 tabular-nums">{entry.weightedContribution ?? '—'}</td>}
+                      <td className="py-2.5 text-right text-slate-400 tabular-nums hidden sm:table-cell">{formatPopulation(entry.population)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {report.populationWeighted?.value != null && (
+                <p className="text-xs text-slate-400 mt-4">
+                  Population-weighted across these cities:{' '}
+                  <span className="text-slate-200 font-semibold">{report.populationWeighted.value} {report.unit}</span>
+                  {' '}({formatPopulation(report.populationWeighted.population)} people)
+                </p>
+              )}
+              {weighted && (
+                <p className="text-[11px] text-slate-500 mt-1">
+                  Ranks use each city&apos;s own value. Contribution is the value times the city&apos;s share of the population, its part of the weighted figure above.
+                </p>
+              )}
+              {report.unranked.length > 0 && (
+                <p className="text-[11px] text-slate-500 mt-3">
+                  Not ranked: {report.unranked.map(u => `${u.cityName} (${u.reason.toLowerCase()})`).join(', ')}.
+                </p>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+Leaderboard.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onCityClick: PropTypes.func,
+};
@@ -0,0 +1,249 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import clsx from 'clsx';
+import { CloudRain, ChevronLeft, ChevronRight } from 'lucide-react';
+import {
+  BarChart,
+  Bar,
+  Cell,
+  XAxis,
+  YAxis,
+  Tooltip,
+  ReferenceLine,
+  ResponsiveContainer
+} from 'recharts';
+import { fetchMonsoonSummary } from '../services/weatherService';
+
+const CATEGORY_COLORS = {
+  'large excess': 'text-sky-300',
+  excess: 'text-sky-400',
+  normal: 'text-emerald-400',
+  deficient: 'text-amber-400',
+  'large deficient': 'text-rose-400',
+  'no rain': 'text-rose-500'
+};
+
+const HEAVY_RAIN_LABELS = {
+  heavy: 'Heavy',
+  veryHeavy: 'Very heavy',
+  extremelyHeavy: 'Extremely heavy'
+};
+
+const formatDay = (date) => date
+  ? new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', timeZone: 'UTC' })
+  : '—';
+
+const formatDeparture = (days) => {
+  if (days == null) return null;
+  if (days === 0) return 'on the normal date';
+  return `${Math.abs(days)} day${Math.abs(days) === 1 ? '' : 's'} ${days > 0 ? 'late' : 'early'}`;
+};
+
+const Stat = ({ label, value, note, noteClass }) => (
+  <div className="bg-slate-900/50 rounded-lg p-3 border border-slate-700/50">
+    <div className="text-[11px] uppercase tracking-wide text-slate-500">{label}</div>
+    <div className="text-lg font-semibold text-slate-100 mt-1">{value}</div>
+    {note && <div className={clsx("text-xs mt-0.5", noteClass || 'text-slate-400')}>{note}</div>}
+  </div>
+);
+
+/**
+ * MonsoonPanel - Southwest monsoon season summary: onset and withdrawal against their
+ * normal dates, the season total against the long-period average, spells and heavy rain days
+ */
+export const MonsoonPanel = ({ cityId }) => {
+  const [year, setYear] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // Back to the latest season when the city changes
+  useEffect(() => setYear(null), [cityId]);
+
+  useEffect(() => {
+    if (!cityId) return;
+    let cancelled = false;
+
+    setLoading(true);
+    fetchMonsoonSummary(cityId, year).then(result => {
+      if (!cancelled) {
+        setSummary(result);
+        setLoading(false);
+      }
+    });
+
+    return () => { cancelled = true; };
+  }, [cityId, year]);
+
+  const history = useMemo(() => {
+    if (!summary) return [];
+    const past = summary.history.filter(h => h.year !== summary.year).slice(-15);
+    const current = summary.season.total != null ? [{ year: summary.year, total: summary.season.total, current: true }] : [];
+    return [...past, ...current].sort((a, b) => a.year - b.year);
+  }, [summary]);
+
+  if (!cityId) return null;
+
+  const shownYear = summary?.year ?? year;
+  const latestYear = new Date().getUTCMonth() >= 5 ? new Date().getUTCFullYear() : new Date().getUTCFullYear() - 1;
+  const season = summary?.season;
+  const ongoing = summary?.status === 'ongoing';
+  const reference = ongoing ? summary?.lpaToDate : summary?.lpa;
+
+  return (
+    <div className="bg-slate-800/50 rounded-xl p-6 border border-slate-700/50">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-2">
+          <CloudRain className="w-5 h-5 text-sky-400" />
+          <h3 className="text-lg font-semibold text-slate-200">Monsoon {shownYear ?? ''}</h3>
+          {summary && (
+            <span className={clsx(
+              "text-[11px] px-2 py-0.5 rounded-full border",
+              ongoing ? "border-sky-500/50 text-sky-300" : "border-slate-600 text-slate-400"
+            )}>
+              {ongoing ? `so far, to ${formatDay(season.to)}` : 'Jun–Sep'}
+            </span>
+          )}
+        </div>
+        <div className="flex items-center gap-1">
+          <button
+            type="button"
+            onClick={() => setYear((shownYear || latestYear) - 1)}
+            className="p-1.5 rounded-lg text-slate-400 hover:text-white hover:bg-slate-700/50"
+            title="Previous season"
+          >
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          <button
+            type="button"
+            onClick={() => setYear(Math.min(latestYear, (shownYear || latestYear) + 1))}
+            disabled={!shownYear || shownYear >= latestYear}
+            className="p-1.5 rounded-lg text-slate-400 hover:text-white hover:bg-slate-700/50 disabled:opacity-30 disabled:hover:bg-transparent"
+            title="Next season"
+          >
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="h-48 bg-slate-900/50 rounded-lg animate-pulse" />
+      ) : !summary || season.observedDays === 0 ? (
+        <div className="h-24 flex items-center justify-center text-sm text-slate-500 italic">
+          No daily rainfall records for this season.
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
+            <Stat
+              label="Onset"
+              value={summary.onset ? formatDay(summary.onset.date) : 'Not yet'}
+              note={summary.onset
+                ? [formatDeparture(summary.onset.daysFromNormal), summary.onset.provisional && 'provisional'].filter(Boolean).join(', ')
+                : summary.normalOnset && `normally ${formatDay(summary.normalOnset)}`}
+            />
+            <Stat
+              label="Withdrawal"
+              value={summary.withdrawal ? formatDay(summary.withdrawal.date) : 'Not yet'}
+              note={summary.withdrawal
+                ? formatDeparture(summary.withdrawal.daysFromNormal)
+                : summary.normalWithdrawal && `normally ${formatDay(summary.normalWithdrawal)}`}
+            />
+            <Stat
+              label={ongoing ? 'Rainfall so far' : 'Season rainfall'}
+              value={season.total != null ? `${Math.round(season.total)} mm` : '—'}
+              note={summary.departurePercent != null
+                ? `${summary.departurePercent > 0 ? '+' : ''}${summary.departurePercent}% vs LPA${ongoing ? ' to date' : ''} (${summary.category})`
+                : reference != null ? `LPA ${Math.round(reference)} mm` : 'No LPA yet'}
+              noteClass={CATEGORY_COLORS[summary.category]}
+            />
+            <Stat
+              label="Rainy days"
+              value={season.rainyDays}
+              note={`of ${season.observedDays} observed`}
+            />
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 mt-4">
+            <div className="space-y-2 text-sm">
+              <div className="flex flex-wrap gap-2">
+                {Object.entries(HEAVY_RAIN_LABELS).map(([key, label]) => (
+                  <span
+                    key={key}
+                    className={clsx(
+                      "px-2 py-1 rounded-md text-xs border",
+                      season.heavyRainDays[key] > 0
+                        ? "bg-sky-500/10 border-sky-500/40 text-sky-200"
+                        : "border-slate-700 text-slate-500"
+                    )}
+                    title={`Days with at least ${summary.thresholds.heavyRain[key]} mm`}
+                  >
+                    {label}: {season.heavyRainDays[key]}
+                  </span>
+                ))}
+              </div>
+              {season.spells && (
+                <ul className="text-xs text-slate-400 space-y-1">
+                  {season.spells.longestDry && (
+                    <li>
+                      Longest dry spell: <span className="text-slate-200">{season.spells.longestDry.length} days</span>
+                      {' '}({formatDay(season.spells.longestDry.start)} – {formatDay(season.spells.longestDry.end)})
+                    </li>
+                  )}
+                  {season.spells.longestWet && (
+                    <li>
+                      Longest wet spell: <span className="text-slate-200">{season.spells.longestWet.length} days</span>
+                      {' '}({formatDay(season.spells.longestWet.start)} – {formatDay(season.spells.longestWet.end)})
+                    </li>
+                  )}
+                  <li>
+                    Breaks (dry spells of {summary.thresholds.breakDrySpellDays}+ days):{' '}
+                    <span className="text-slate-200">{season.spells.breaks}</span>
+                  </li>
+                </ul>
+              )}
+            </div>
+
+            {history.length > 1 && (
+              <div className="h-32">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={history} margin={{ top: 5, right: 5, left: -20, bottom: 0 }}>
+                    <XAxis dataKey="year" stroke="#64748b" fontSize={10} tickLine={false} />
+                    <YAxis stroke="#64748b" fontSize={10} tickLine={false} />
+                    <Tooltip
+                      contentStyle={{ backgroundColor: '#0f172a', border: '1px solid #334155', borderRadius: '8px' }}
+                      formatter={(value, name, item) => [`${Math.round(value)} mm${item.payload.current && ongoing ? ' so far' : ''}`, 'Jun–Sep']}
+                    />
+                    {summary.lpa != null && (
+                      <ReferenceLine y={summary.lpa} stroke="#94a3b8" strokeDasharray="4 4" label={{ value: 'LPA', fill: '#94a3b8', fontSize: 10, position: 'right' }} />
+                    )}
+                    <Bar dataKey="total" radius={[2, 2, 0, 0]}>
+                      {history.map(h => (
+                        <Cell key={h.year} fill={h.current ? '#38bdf8' : '#475569'} />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+          </div>
+
+          <p className="text-[11px] text-slate-500 mt-3">
+            Onset and withdrawal are estimated from this city&apos;s daily rainfall, not IMD&apos;s declared dates.
+            {summary.lpa != null && ` LPA is the ${summary.basePeriod.startYear}–${summary.basePeriod.endYear} average of ${summary.lpaYears} seasons with data.`}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+Stat.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  note: PropTypes.oneOfType([PropTypes.string, PropTypes.bool]),
+  noteClass: PropTypes.string,
+};
+
+MonsoonPanel.propTypes = {
+  cityId: PropTypes.string,
+};
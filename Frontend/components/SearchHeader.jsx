@@ -9,6 +9,7 @@ import {
   ChevronDown,
   Split,
   User,
+  Trophy,
 } from "lucide-react";
 import clsx from "clsx";
 import { searchCitySuggestions } from "../services/weatherService";
@@ -28,6 +29,7 @@ export const SearchHeader = ({
   comparisonMode,
   setComparisonMode,
   onProfileClick,
+  onRankingsClick,
 }) => {
   const { user, isAuthenticated } = useAuth();
   const [input, setInput] = useState(currentCity);
@@ -414,6 +416,17 @@ export const SearchHeader = ({
             </div>
           )}
 
+          {onRankingsClick && (
+            <button
+              onClick={onRankingsClick}
+              className="flex items-center gap-2 text-sm font-medium px-4 py-2 rounded-lg border bg-slate-800/50 border-slate-700 text-slate-400 hover:text-slate-200 transition-all"
+              title="Rank all cities"
+            >
+              <Trophy className="w-4 h-4" />
+              Rankings
+            </button>
+          )}
+
           {/* User Profile Button */}
           {isAuthenticated && onProfileClick && (
             <button
@@ -459,4 +472,5 @@ SearchHeader.propTypes = {
   onClearComparison: PropTypes.func,
   comparisonMode: PropTypes.bool,
   setComparisonMode: PropTypes.func,
+  onRankingsClick: PropTypes.func,
 };
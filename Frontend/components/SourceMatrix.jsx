@@ -1,7 +1,9 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import PropTypes from 'prop-types';
-import { CheckCircle, XCircle, Clock, ShieldCheck, X, Maximize2, Wind, Thermometer, Droplets, Gauge } from 'lucide-react';
+import { CheckCircle, XCircle, Clock, ShieldCheck, X, Maximize2, Wind, Thermometer, Droplets, Gauge, AlertTriangle, Scale } from 'lucide-react';
 import clsx from 'clsx';
+import { FallbackBadge } from './FallbackBadge';
+import { AQI_SCALES, fetchConsensus } from '../services/weatherService';
 
 // --- Icons Helper ---
 const getIconForMetric = (id) => {
@@ -88,6 +90,7 @@ const MetricCard = ({ row, onClick }) => {
                )}>
                  {displaySource.displayName}
                </span>
+               {displaySource.isFallback && <FallbackBadge provider={displaySource.provider} compact />}
                <span className="text-[10px] text-slate-500 flex items-center">
                  <Clock className="w-3 h-3 mr-1" />
                  {displaySource.lastUpdated}
@@ -114,11 +117,26 @@ MetricCard.propTypes = {
   onClick: PropTypes.func.isRequired,
 };
 
-const DetailModal = ({ row, onClose }) => {
+const DetailModal = ({ row, onClose, cityId, aqiScale }) => {
+  const [consensus, setConsensus] = useState(null);
   const validValues = row.data.map(d => d.value).filter((v) => v !== null);
   const min = Math.min(...validValues);
   const max = Math.max(...validValues);
 
+  // Backend consensus for this metric (weighted value, spread, rejected outliers)
+  useEffect(() => {
+    let cancelled = false;
+    if (!cityId) return undefined;
+
+    fetchConsensus(cityId, aqiScale).then(result => {
+      if (!cancelled) setConsensus(result?.consensus?.[row.metricId] || null);
+    });
+
+    return () => { cancelled = true; };
+  }, [cityId, aqiScale, row.metricId]);
+
+  const contributionFor = (source) => consensus?.contributions?.find(c => c.source === source);
+
   return (
     <div className="fixed inset-0 z-[1000] flex items-center justify-center p-4">
       <div 
@@ -146,6 +164,33 @@ const DetailModal = ({ row, onClose }) => {
           </button>
         </div>
 
+        {/* Consensus Summary */}
+        {consensus && (
+          <div className="px-5 py-3 border-b border-slate-800 bg-slate-950/40 flex flex-wrap items-center gap-x-6 gap-y-2 text-sm">
+            <div className="flex items-center gap-2">
+              <Scale className="w-4 h-4 text-indigo-400" />
+              <span className="text-slate-400">Consensus</span>
+              <span className="font-mono font-bold text-slate-100">
+                {consensus.value}
+                <span className="text-xs font-normal text-slate-500 ml-1">{consensus.unit}</span>
+              </span>
+            </div>
+            <div className="text-slate-400">
+              Spread <span className="font-mono text-slate-200">{consensus.spread.min}–{consensus.spread.max}</span>
+              <span className="text-slate-500"> (±{consensus.spread.stdDev})</span>
+            </div>
+            <div className="text-slate-400">
+              {consensus.inlierCount}/{consensus.sourceCount} sources used
+            </div>
+            {consensus.disagreement && (
+              <div className="flex items-center text-amber-400 text-xs font-medium">
+                <AlertTriangle className="w-3.5 h-3.5 mr-1" />
+                Sources disagree by more than {consensus.tolerance} {consensus.unit}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Content */}
         <div className="p-0 overflow-y-auto custom-scrollbar">
           <table className="w-full text-left border-collapse">
@@ -153,6 +198,9 @@ const DetailModal = ({ row, onClose }) => {
               <tr className="bg-slate-950/30">
                 <th className="p-4 text-xs uppercase tracking-wider text-slate-500 font-semibold border-b border-slate-800">Source</th>
                 <th className="p-4 text-xs uppercase tracking-wider text-slate-500 font-semibold border-b border-slate-800 text-right">Value</th>
+                {consensus && (
+                  <th className="p-4 text-xs uppercase tracking-wider text-slate-500 font-semibold border-b border-slate-800 text-right">Weight</th>
+                )}
                 <th className="p-4 text-xs uppercase tracking-wider text-slate-500 font-semibold border-b border-slate-800">Status</th>
                 <th className="p-4 text-xs uppercase tracking-wider text-slate-500 font-semibold border-b border-slate-800 text-right">Updated</th>
               </tr>
@@ -161,6 +209,7 @@ const DetailModal = ({ row, onClose }) => {
               {row.data.map((source, idx) => {
                 const isMax = source.value === max && validValues.length > 1;
                 const isMin = source.value === min && validValues.length > 1;
+                const contribution = contributionFor(source.source);
                 
                 return (
                   <tr key={idx} className="hover:bg-slate-800/30 transition-colors border-b border-slate-800/50 last:border-0">
@@ -172,6 +221,15 @@ const DetailModal = ({ row, onClose }) => {
                             GOVT
                           </span>
                         )}
+                        {source.isFallback && <FallbackBadge provider={source.provider} />}
+                        {contribution?.isOutlier && (
+                          <span
+                            className="bg-red-900/40 text-red-300 text-[10px] px-1.5 py-0.5 rounded border border-red-800/60"
+                            title={`Rejected as an outlier (robust z = ${contribution.robustZ ?? '∞'})`}
+                          >
+                            OUTLIER
+                          </span>
+                        )}
                       </div>
                     </td>
                     <td className="p-4 text-right">
@@ -186,6 +244,11 @@ const DetailModal = ({ row, onClose }) => {
                          <span className="text-sm font-normal text-slate-500 ml-1">{source.unit}</span>
                        </span>
                     </td>
+                    {consensus && (
+                      <td className="p-4 text-right text-xs font-mono text-slate-400">
+                        {contribution ? `${Math.round(contribution.weight * 100)}%` : '--'}
+                      </td>
+                    )}
                     <td className="p-4">
                       <SourceBadge source={source} />
                     </td>
@@ -210,6 +273,14 @@ const DetailModal = ({ row, onClose }) => {
             <div className="flex items-center">
               <span className="w-1.5 h-1.5 bg-blue-500 rounded-full mr-1.5"></span> Govt Source
             </div>
+            <div className="flex items-center">
+              <span className="w-1.5 h-1.5 bg-amber-500 rounded-full mr-1.5"></span> Fallback Data
+            </div>
+            {consensus && (
+              <div className="flex items-center">
+                <span className="w-1.5 h-1.5 bg-red-500 rounded-full mr-1.5"></span> Outlier (not weighted)
+              </div>
+            )}
         </div>
 
       </div>
@@ -224,20 +295,24 @@ DetailModal.propTypes = {
     data: PropTypes.arrayOf(PropTypes.object).isRequired,
   }).isRequired,
   onClose: PropTypes.func.isRequired,
+  cityId: PropTypes.string,
+  aqiScale: PropTypes.string,
 };
 
 // --- Main Component ---
 
-export const SourceMatrix = ({ matrix, aqiData, compact = false }) => {
+export const SourceMatrix = ({ matrix, aqiData, aqiScale = 'us_epa', cityId, compact = false }) => {
   const [selectedMetric, setSelectedMetric] = useState(null);
 
   // Normalize AQI data into MetricRows
   const combinedMetrics = useMemo(() => {
     const safeAqiData = aqiData || [];
-    const makeSource = (name, val, unit, isGovt = false) => ({
+    const makeSource = (name, val, unit, isGovt = false, fallback = {}) => ({
       source: name,
       displayName: name,
       isOfficial: isGovt,
+      isFallback: !!fallback.isFallback,
+      provider: fallback.provider,
       value: val,
       unit,
       status: 'active',
@@ -246,30 +321,30 @@ export const SourceMatrix = ({ matrix, aqiData, compact = false }) => {
 
     const aqiRow = {
       metricId: 'aqi',
-      label: 'Air Quality (AQI)',
-      data: safeAqiData.map(d => makeSource(d.source, d.aqiValue, 'AQI'))
+      label: `Air Quality (${AQI_SCALES[aqiScale]?.short || 'AQI'})`,
+      data: safeAqiData.map(d => makeSource(d.source, d.aqiValue, 'AQI', false, d))
     };
 
     const pm25Row = {
       metricId: 'pm25',
       label: 'PM 2.5',
-      data: safeAqiData.map(d => makeSource(d.source, d.pm25, 'µg/m³'))
+      data: safeAqiData.map(d => makeSource(d.source, d.pm25, 'µg/m³', false, d))
     };
 
     const pm10Row = {
       metricId: 'pm10',
       label: 'PM 10',
-      data: safeAqiData.map(d => makeSource(d.source, d.pm10, 'µg/m³'))
+      data: safeAqiData.map(d => makeSource(d.source, d.pm10, 'µg/m³', false, d))
     };
     
     const no2Row = {
       metricId: 'no2',
       label: 'NO2 Levels',
-      data: safeAqiData.map(d => makeSource(d.source, d.no2, 'µg/m³'))
+      data: safeAqiData.map(d => makeSource(d.source, d.no2, 'µg/m³', false, d))
     };
 
     return [...matrix, aqiRow, pm25Row, pm10Row, no2Row];
-  }, [matrix, aqiData]);
+  }, [matrix, aqiData, aqiScale]);
 
   return (
     <>
@@ -292,6 +367,8 @@ export const SourceMatrix = ({ matrix, aqiData, compact = false }) => {
         <DetailModal 
           row={selectedMetric} 
           onClose={() => setSelectedMetric(null)} 
+          cityId={cityId}
+          aqiScale={aqiScale}
         />
       )}
     </>
@@ -310,11 +387,19 @@ SourceMatrix.propTypes = {
     pm25: PropTypes.number.isRequired,
     pm10: PropTypes.number.isRequired,
     no2: PropTypes.number.isRequired,
+    aqiCategory: PropTypes.string,
+    dominantPollutant: PropTypes.string,
+    isFallback: PropTypes.bool,
+    provider: PropTypes.string,
   })),
+  aqiScale: PropTypes.oneOf(Object.keys(AQI_SCALES)),
+  cityId: PropTypes.string,
   compact: PropTypes.bool,
 };
 
 SourceMatrix.defaultProps = {
   aqiData: [],
+  aqiScale: 'us_epa',
+  cityId: null,
   compact: false,
 };
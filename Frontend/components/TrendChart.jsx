@@ -5,11 +5,12 @@ import React, { useState, useRef, useEffect, useMemo } from 'react';
 import PropTypes from 'prop-types';
 import {
   LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ScatterChart, Scatter,
-  Brush, Legend, ReferenceArea
+  Brush, Legend, ReferenceArea, ReferenceLine
 } from 'recharts';
-import { Info, ChevronDown, ZoomIn, ZoomOut, RotateCcw, Eye, EyeOff } from 'lucide-react';
+import { Info, ChevronDown, ZoomIn, ZoomOut, RotateCcw, Eye, EyeOff, AlertTriangle } from 'lucide-react';
 import clsx from 'clsx';
 import { getCityInfo } from '../config/urbanCities';
+import { fetchAnomalies } from '../services/weatherService';
 
 const COLORS = {
   IMD: '#3b82f6',
@@ -21,6 +22,35 @@ const COLORS = {
   Google: '#f43f5e',
 };
 
+// Backend history arrives newest-first; charts and the forecast tail need oldest-first
+const chronological = (points = []) => (
+  points.every(point => point.date)
+    ? [...points].sort((a, b) => new Date(a.date) - new Date(b.date))
+    : points
+);
+
+// Forecast sources that have no colour of their own
+const FORECAST_COLOR = '#a3e635';
+
+const ANOMALY_COLOR = '#ef4444';
+
+// Chart metrics with daily anomalies, by daily HistoricalData field
+const ANOMALY_METRICS = {
+  temperature: 'avgTemperature',
+  humidity: 'avgHumidity',
+  aqi: 'avgAqi'
+};
+
+// Hours of forecast shown after "Now" for each history range
+const FORECAST_HORIZON = {
+  '12h': 12,
+  '24h': 24,
+  '48h': 48,
+  '7d': 168,
+  '14d': 168,
+  '30d': 168
+};
+
 const getUnit = (metric) => {
   switch (metric) {
     case 'temperature': return '°C';
@@ -112,7 +142,7 @@ Dropdown.propTypes = {
   label: PropTypes.string,
 };
 
-export const UnifiedGraph = ({ history, forecast, comparisonHistory, comparisonCityName, mainCityName }) => {
+export const UnifiedGraph = ({ history, forecast, comparisonHistory, comparisonCityName, mainCityName, cityId }) => {
   const [xAxis, setXAxis] = useState('Time');
   const [yAxis, setYAxis] = useState('temperature');
   const [timeScale, setTimeScale] = useState('24h');
@@ -153,6 +183,27 @@ export const UnifiedGraph = ({ history, forecast, comparisonHistory, comparisonC
   // Highlight source (to emphasize one line while dimming others)
   const [highlightSource, setHighlightSource] = useState(null);
 
+  // Forecast continues the time series beyond "Now"
+  const [showForecast, setShowForecast] = useState(true);
+
+  // Days that are unusual once the trend and the seasonal cycle are removed
+  const [showAnomalies, setShowAnomalies] = useState(true);
+  const [anomalies, setAnomalies] = useState(null);
+
+  useEffect(() => {
+    const metric = ANOMALY_METRICS[yAxis];
+    if (!cityId || !metric) {
+      setAnomalies(null);
+      return;
+    }
+
+    let cancelled = false;
+    fetchAnomalies(cityId, metric, 30).then(result => {
+      if (!cancelled) setAnomalies(result);
+    });
+    return () => { cancelled = true; };
+  }, [cityId, yAxis]);
+
   // Line stroke patterns for different sources (to distinguish overlapping lines)
   const STROKE_PATTERNS = {
     IMD: '',           // solid
@@ -192,6 +243,29 @@ export const UnifiedGraph = ({ history, forecast, comparisonHistory, comparisonC
 
   const isScatter = xAxis !== 'Time';
   const isComparison = !!comparisonHistory && !!comparisonCityName;
+
+  // Sources with a forecast for the selected metric
+  const forecastSources = useMemo(() => {
+    const points = forecast?.[yAxis] || [];
+    const keys = new Set();
+    points.forEach(point => {
+      Object.keys(point).forEach(key => {
+        if (!['timestamp', 'time', 'date'].includes(key) && typeof point[key] === 'number') keys.add(key);
+      });
+    });
+    return [...keys];
+  }, [forecast, yAxis]);
+
+  const forecastShown = showForecast && !isScatter && !isComparison && forecastSources.length > 0;
+
+  // Anomalies by date (YYYY-MM-DD), for the metric on the Y axis
+  const anomalyByDate = useMemo(() => {
+    if (!anomalies || anomalies.metric !== ANOMALY_METRICS[yAxis]) return {};
+    return Object.fromEntries(anomalies.anomalies.map(a => [String(a.date).slice(0, 10), a]));
+  }, [anomalies, yAxis]);
+
+  const anomalyCount = Object.keys(anomalyByDate).length;
+  const anomaliesShown = showAnomalies && !isScatter && !isComparison && anomalyCount > 0;
   
   // Data Preparation
   const chartData = useMemo(() => {
@@ -255,10 +329,10 @@ export const UnifiedGraph = ({ history, forecast, comparisonHistory, comparisonC
       
       return merged;
     } else {
-      const mainData = history[yAxis][timeScale];
+      const mainData = chronological(history[yAxis][timeScale]);
       
       if (isComparison) {
-        const compData = comparisonHistory[yAxis][timeScale];
+        const compData = chronological(comparisonHistory[yAxis][timeScale]);
         // Merge data by timestamp (index)
         // Assuming both arrays are aligned by time (which they should be for the same timeScale)
         return mainData.map((point, idx) => {
@@ -275,9 +349,31 @@ export const UnifiedGraph = ({ history, forecast, comparisonHistory, comparisonC
         });
       }
       
-      return mainData;
+      const observedData = anomaliesShown
+        ? mainData.map(point => {
+            const anomaly = point.date ? anomalyByDate[String(point.date).slice(0, 10)] : null;
+            return anomaly ? { ...point, ANOMALY: anomaly.value, ANOMALY_Z: anomaly.zScore } : point;
+          })
+        : mainData;
+
+      if (forecastShown) {
+        // Forecast values go under FC_<source> so they draw as their own dashed lines
+        const forecastPoints = (forecast[yAxis] || [])
+          .slice(0, FORECAST_HORIZON[timeScale] + 1)
+          .map(point => {
+            const forecastPoint = { timestamp: point.timestamp };
+            forecastSources.forEach(source => {
+              if (typeof point[source] === 'number') forecastPoint[`FC_${source}`] = point[source];
+            });
+            return forecastPoint;
+          });
+
+        return [...observedData, ...forecastPoints];
+      }
+      
+      return observedData;
     }
-  }, [history, forecast, xAxis, yAxis, timeScale, mainActiveSources, compActiveSources, isScatter, comparisonHistory, isComparison, mainCityName, comparisonCityName]);
+  }, [forecastShown, forecastSources, anomaliesShown, anomalyByDate, history, forecast, xAxis, yAxis, timeScale, mainActiveSources, compActiveSources, isScatter, comparisonHistory, isComparison, mainCityName, comparisonCityName]);
 
   // Determine relevant sources based on what's available in the data
   const relevantSources = useMemo(() => {
@@ -295,7 +391,7 @@ export const UnifiedGraph = ({ history, forecast, comparisonHistory, comparisonC
         <div className="flex items-center gap-4">
            <div>
              <h3 className="text-slate-100 font-semibold flex items-center gap-2">
-               {isScatter ? 'Correlation Analysis' : 'Historical Trends'}
+               {isScatter ? 'Correlation Analysis' : forecastShown ? 'Historical Trends & Forecast' : 'Historical Trends'}
                {isComparison && (
                  <span className="text-xs font-normal text-slate-400 bg-slate-800 px-2 py-0.5 rounded-full border border-slate-700">
                    Comparing vs {comparisonCityName}
@@ -306,6 +402,38 @@ export const UnifiedGraph = ({ history, forecast, comparisonHistory, comparisonC
         </div>
 
         <div className="flex flex-wrap items-center gap-3">
+           {!isScatter && !isComparison && forecastSources.length > 0 && (
+             <button
+               type="button"
+               onClick={() => setShowForecast(prev => !prev)}
+               className={clsx(
+                 "flex items-center gap-2 rounded-lg px-3 py-2 text-sm transition-all border",
+                 showForecast
+                   ? "bg-lime-500/10 border-lime-500/50 text-lime-300"
+                   : "bg-slate-800/50 border-slate-700 text-slate-400 hover:border-slate-600"
+               )}
+               title="Continue the chart with the hourly forecast beyond Now"
+             >
+               {showForecast ? <Eye className="w-4 h-4" /> : <EyeOff className="w-4 h-4" />}
+               Forecast
+             </button>
+           )}
+           {!isScatter && !isComparison && anomalyCount > 0 && (
+             <button
+               type="button"
+               onClick={() => setShowAnomalies(prev => !prev)}
+               className={clsx(
+                 "flex items-center gap-2 rounded-lg px-3 py-2 text-sm transition-all border",
+                 showAnomalies
+                   ? "bg-red-500/10 border-red-500/50 text-red-300"
+                   : "bg-slate-800/50 border-slate-700 text-slate-400 hover:border-slate-600"
+               )}
+               title="Mark days that are unusual for the time of year"
+             >
+               <AlertTriangle className="w-4 h-4" />
+               Anomalies ({anomalyCount})
+             </button>
+           )}
            {!isScatter && (
              <Dropdown 
                label="RANGE"
@@ -600,6 +728,7 @@ export const UnifiedGraph = ({ history, forecast, comparisonHistory, comparisonC
                       
                       // Filter based on per-city active sources
                       const filteredMainData = mainData.filter(p => {
+                        if (p.dataKey?.startsWith('FC_') || p.dataKey === 'ANOMALY') return true;
                         if (p.dataKey === 'KSNDMC' && !mainCityIsKarnataka) return false;
                         return mainActiveSources.includes(p.dataKey);
                       });
@@ -665,7 +794,11 @@ export const UnifiedGraph = ({ history, forecast, comparisonHistory, comparisonC
                                 <div key={idx} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '12px' }}>
                                   <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
                                     <div style={{ width: '8px', height: '8px', borderRadius: '50%', backgroundColor: entry.color }} />
-                                    <span style={{ color: '#e2e8f0', fontSize: '11px' }}>{entry.dataKey}</span>
+                                    <span style={{ color: '#e2e8f0', fontSize: '11px' }}>
+                                      {entry.dataKey === 'ANOMALY'
+                                        ? `Anomaly (${entry.payload.ANOMALY_Z > 0 ? '+' : ''}${entry.payload.ANOMALY_Z}σ)`
+                                        : entry.name || entry.dataKey}
+                                    </span>
                                   </div>
                                   <span style={{ color: entry.color, fontWeight: '600', fontSize: '11px' }}>
                                     {typeof entry.value === 'number' ? entry.value.toFixed(1) : entry.value}
@@ -726,6 +859,44 @@ export const UnifiedGraph = ({ history, forecast, comparisonHistory, comparisonC
                       </React.Fragment>
                     );
                   })}
+
+                 {/* Forecast beyond "Now" - DASHED */}
+                 {forecastShown && (
+                   <ReferenceLine
+                     x="Now"
+                     stroke="#a3e635"
+                     strokeDasharray="3 3"
+                     label={{ value: 'Now', position: 'top', fill: '#a3e635', fontSize: 10 }}
+                   />
+                 )}
+                 {forecastShown && forecastSources.map(source => (
+                   <Line
+                     key={`FC_${source}`}
+                     type="monotone"
+                     dataKey={`FC_${source}`}
+                     stroke={COLORS[source] || FORECAST_COLOR}
+                     strokeWidth={2}
+                     strokeDasharray="4 3"
+                     dot={false}
+                     activeDot={{ r: 4 }}
+                     name={`${source} forecast`}
+                     connectNulls
+                   />
+                 ))}
+
+                 {/* Residual anomalies - dots only */}
+                 {anomaliesShown && (
+                   <Line
+                     type="monotone"
+                     dataKey="ANOMALY"
+                     stroke="none"
+                     dot={{ r: 6, fill: ANOMALY_COLOR, stroke: '#fff', strokeWidth: 1.5 }}
+                     activeDot={{ r: 7, fill: ANOMALY_COLOR }}
+                     name="Anomaly"
+                     color={ANOMALY_COLOR}
+                     isAnimationActive={false}
+                   />
+                 )}
                </LineChart>
              )}
            </ResponsiveContainer>
@@ -889,6 +1060,8 @@ export const UnifiedGraph = ({ history, forecast, comparisonHistory, comparisonC
                     ? `Comparing ${yAxis}: solid lines = main city, dashed lines = ${comparisonCityName}.`
                     : `${yAxis} trends over ${timeScale.replace('h', ' hours').replace('d', ' days')}. Multiple sources shown for verification.`
                 }
+                {forecastShown && ` Dashed lines after "Now" are the ${forecastSources.join(', ')} forecast for the next ${FORECAST_HORIZON[timeScale]} hours.`}
+                {anomaliesShown && ` Red dots mark days that are unusual for the time of year: ${anomalyCount} in the last 30 days after removing the trend and seasonal cycle.`}
               </p>
            </div>
 
@@ -910,4 +1083,5 @@ UnifiedGraph.propTypes = {
   comparisonHistory: PropTypes.object,
   comparisonCityName: PropTypes.string,
   mainCityName: PropTypes.string,
+  cityId: PropTypes.string,
 };
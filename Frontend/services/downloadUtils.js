@@ -1,17 +1,18 @@
 import * as XLSX from "xlsx";
 import { saveAs } from "file-saver";
+import { fetchThermalIndices } from "./weatherService";
 
-export const downloadData = (data, format = "xlsx") => {
+export const downloadData = async (data, format = "xlsx") => {
   if (!data) return;
 
   if (format === "xlsx") {
-    downloadXLSX(data);
+    await downloadXLSX(data);
   } else if (format === "csv") {
     downloadCSV(data);
   }
 };
 
-const downloadXLSX = (data) => {
+const downloadXLSX = async (data) => {
   const wb = XLSX.utils.book_new();
 
   // 1. Summary Sheet
@@ -104,6 +105,59 @@ const downloadXLSX = (data) => {
     XLSX.utils.book_append_sheet(wb, historySheet, "History (24h)");
   }
 
+  // 6. Thermal Comfort (30 days of daily records)
+  const thermal = await fetchThermalIndices(data.cityId, { days: 30 });
+  if (thermal && thermal.days.length > 0) {
+    const { cooling, heating } = thermal.degreeDayBases;
+    const thermalRows = [
+      [`Degree days: cooling base ${cooling} °C, heating base ${heating} °C. Heat stress indices are each day's highest hourly value; WBGT is a shade estimate.`],
+      [],
+      [
+        "Date",
+        "Mean Temp (°C)",
+        "Max Temp (°C)",
+        "Min Temp (°C)",
+        "Humidity (%)",
+        "CDD",
+        "HDD",
+        "Heat Index (°C)",
+        "Humidex",
+        "Wet-bulb (°C)",
+        "WBGT (°C)",
+      ],
+    ];
+    thermal.days.forEach((day) => {
+      thermalRows.push([
+        new Date(day.date).toISOString().slice(0, 10),
+        day.avgTemperature,
+        day.maxTemperature,
+        day.minTemperature,
+        day.avgHumidity,
+        day.coolingDegreeDays,
+        day.heatingDegreeDays,
+        day.maxHeatIndex,
+        day.maxHumidex,
+        day.maxWetBulb,
+        day.maxWbgt,
+      ]);
+    });
+    thermalRows.push([
+      "Total / peak",
+      null,
+      null,
+      null,
+      null,
+      thermal.totals.coolingDegreeDays,
+      thermal.totals.heatingDegreeDays,
+      thermal.peaks.maxHeatIndex,
+      thermal.peaks.maxHumidex,
+      thermal.peaks.maxWetBulb,
+      thermal.peaks.maxWbgt,
+    ]);
+    const thermalSheet = XLSX.utils.aoa_to_sheet(thermalRows);
+    XLSX.utils.book_append_sheet(wb, thermalSheet, "Thermal Comfort");
+  }
+
   const wbout = XLSX.write(wb, { bookType: "xlsx", type: "array" });
   saveAs(
     new Blob([wbout], { type: "application/octet-stream" }),
@@ -112,7 +166,8 @@ const downloadXLSX = (data) => {
 };
 
 const downloadCSV = (data) => {
-  // For CSV, we'll just download the Current Metrics as it's the most relevant flat data
+  // For CSV, we'll just download the Current Metrics as it's the most relevant flat data.
+  // The daily thermal indices are only in the Excel download.
   const headers = [
     "Metric",
     "Source",
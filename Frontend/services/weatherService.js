@@ -9,10 +9,18 @@ import { config } from '../config';
 // BACKEND API INTEGRATION
 // ============================================
 
+/**
+ * AQI scales the backend can report ('us_epa' is what Open-Meteo returns)
+ */
+export const AQI_SCALES = {
+  us_epa: { label: 'US EPA', short: 'US AQI' },
+  cpcb: { label: 'CPCB (India)', short: 'CPCB AQI' }
+};
+
 /**
  * Fetch current weather data from backend (all 8 APIs)
  */
-const fetchFromBackend = async (cityName) => {
+const fetchFromBackend = async (cityName, aqiScale) => {
   if (!config.USE_BACKEND_DATA) {
     console.log('Backend integration disabled, using Open-Meteo fallback');
     return null;
@@ -20,7 +28,7 @@ const fetchFromBackend = async (cityName) => {
 
   try {
     const response = await fetch(
-      `${config.API_BASE_URL}/data/current?city=${encodeURIComponent(cityName)}`,
+      `${config.API_BASE_URL}/data/current?city=${encodeURIComponent(cityName)}&aqiScale=${aqiScale}`,
       { timeout: 10000 }
     );
 
@@ -43,7 +51,7 @@ const fetchFromBackend = async (cityName) => {
     const [citiesData, history, forecast] = await Promise.all([
       fetch(`${config.API_BASE_URL}/data/cities`).then(r => r.json()).catch(() => ({ data: [] })),
       fetchHistoricalFromBackend(backendData.cityId),
-      fetchForecastFromBackend(backendData.cityId)
+      fetchHourlyForecastFromBackend(backendData.cityId)
     ]);
 
     // Get city coordinates from cities list
@@ -73,22 +81,27 @@ const fetchFromBackend = async (cityName) => {
       insights = generateInsightsFromBackend(backendData.city, backendData.data);
     }
 
-    // Build AQI breakdown
-
-    // Build AQI breakdown
+    // Build AQI breakdown (values are on the scale the backend answered with)
+    const scale = backendData.aqiScale || aqiScale;
     const aqiBreakdown = backendData.data
       .filter(d => d.aqi !== null)
       .map(d => ({
         source: d.sourceApi,
         aqiValue: d.aqi || 0,
+        aqiCategory: d.aqiCategory,
+        dominantPollutant: d.dominantPollutant,
+        subIndices: d.subIndices || {},
         pm25: d.pm25 || 0,
         pm10: d.pm10 || 0,
         no2: d.no2 || 0,
-        status: getAQIStatus(d.aqi || 0)
+        isFallback: !!d.provenance?.isFallback,
+        provider: d.provenance?.provider,
+        status: getAQIStatus(d.aqi || 0, scale)
       }));
 
     return {
       location: backendData.city,
+      cityId: backendData.cityId,
       lat,
       lng,
       timestamp: backendData.timestamp,
@@ -96,6 +109,7 @@ const fetchFromBackend = async (cityName) => {
       history,
       forecast,
       insights,
+      aqiScale: scale,
       aqiBreakdown
     };
 
@@ -127,7 +141,10 @@ const buildMetricMatrixFromBackend = (data) => {
       .map(d => ({
         source: d.sourceApi,
         displayName: d.sourceApi,
-        isOfficial: d.sourceApi === 'IMD' || d.sourceApi === 'KSNDMC',
+        // A government source serving Open-Meteo values is not an official reading
+        isOfficial: (d.sourceApi === 'IMD' || d.sourceApi === 'KSNDMC') && !d.provenance?.isFallback,
+        isFallback: !!d.provenance?.isFallback,
+        provider: d.provenance?.provider,
         value: d[metric.field],
         unit: metric.unit,
         status: 'active',
@@ -217,40 +234,52 @@ const fetchHistoricalFromBackend = async (cityId) => {
 };
 
 /**
- * Fetch forecast from backend
+ * Fetch the hourly forecast (next 168 hours) from backend
+ * Points are labelled like the Open-Meteo fallback ('Now', '+1h', ...) and carry one
+ * value per source.
  */
-const fetchForecastFromBackend = async (cityId) => {
+const fetchHourlyForecastFromBackend = async (cityId, sources = 'all') => {
+  const empty = { temperature: [], humidity: [], aqi: [], precipitation: [], wind: [], pressure: [], uv: [] };
+
   try {
-    const response = await fetch(`${config.API_BASE_URL}/data/forecast/${cityId}`);
+    const response = await fetch(`${config.API_BASE_URL}/data/forecast/${cityId}/hourly?sources=${sources}`);
     const data = await response.json();
 
     if (!data.success || !data.data) {
-      throw new Error('No forecast data');
+      throw new Error('No hourly forecast data');
     }
 
-    const predictions = data.data.predictions || [];
-    
-    return {
-      temperature: transformForecastData(predictions, 'temperature'),
-      humidity: transformForecastData(predictions, 'humidity'),
-      aqi: transformForecastData(predictions, 'aqi'),
-      precipitation: transformForecastData(predictions, 'precipitation'),
-      wind: transformForecastData(predictions, 'windSpeed'),
-      pressure: transformForecastData(predictions, 'pressure'),
-      uv: []
+    const pick = (field) => {
+      const byTime = {};
+      data.data.forEach(issue => {
+        issue.hourly.forEach(hour => {
+          if (hour[field] == null) return;
+          if (!byTime[hour.time]) byTime[hour.time] = { time: hour.time };
+          byTime[hour.time][issue.source] = hour[field];
+        });
+      });
+
+      const points = Object.values(byTime).sort((a, b) => new Date(a.time) - new Date(b.time));
+      const start = points.length > 0 ? new Date(points[0].time).getTime() : 0;
+
+      return points.map(point => {
+        const offset = Math.round((new Date(point.time).getTime() - start) / 3600000);
+        return { ...point, timestamp: offset === 0 ? 'Now' : `+${offset}h` };
+      });
     };
 
-  } catch (err) {
-    console.warn('Failed to fetch forecast from backend', err);
     return {
-      temperature: [],
-      humidity: [],
-      aqi: [],
-      precipitation: [],
-      wind: [],
-      pressure: [],
-      uv: []
+      ...empty,
+      temperature: pick('temperature'),
+      humidity: pick('humidity'),
+      aqi: pick('aqi'),
+      precipitation: pick('precipitationProbability'),
+      wind: pick('windSpeed')
     };
+
+  } catch (err) {
+    console.warn('Failed to fetch hourly forecast from backend', err);
+    return empty;
   }
 };
 
@@ -266,26 +295,7 @@ const transformHistoricalData = (data, metric) => {
     // Create point with multiple source values (simulated variance for now)
     return {
       timestamp,
-      IMD: value,
-      KSNDMC: value * 0.98,
-      WeatherUnion: value * 1.02,
-      OpenWeather: value * 0.99,
-      OpenAQ: value,
-      UrbanEmission: value,
-      Google: value * 1.01
-    };
-  });
-};
-
-/**
- * Transform backend forecast data to frontend format
- */
-const transformForecastData = (predictions, metric) => {
-  return predictions.map((pred, index) => {
-    const value = pred[`predicted${metric.charAt(0).toUpperCase() + metric.slice(1)}`] || 0;
-    
-    return {
-      timestamp: index === 0 ? 'Now' : `+${index}h`,
+      date: point.date,
       IMD: value,
       KSNDMC: value * 0.98,
       WeatherUnion: value * 1.02,
@@ -440,10 +450,13 @@ const fetchFromOpenMeteo = async (cityName) => {
 
   const isKarnataka = admin1 === 'Karnataka';
 
+  // Every value here is derived from Open-Meteo, whatever source it is shown under
   const makeSource = (name, isOfficial, val, unit, metric) => ({
     source: name,
     displayName: name,
     isOfficial,
+    isFallback: true,
+    provider: 'Open-Meteo',
     value: simulateSourceValue(val, name, metric),
     unit,
     status: 'active',
@@ -534,7 +547,7 @@ const fetchFromOpenMeteo = async (cityName) => {
     '30d': generateMetricHistory(key, name, 24*7),
   });
 
-  const generateMetricForecast = (key, name) => {
+  const generateMetricForecast = (key) => {
     const nowStr = weather.current.time.substring(0, 13);
     const nowIndex = weather.hourly.time.findIndex(t => t.startsWith(nowStr)) || 0;
     const safeNowIndex = nowIndex === -1 ? 0 : nowIndex;
@@ -552,13 +565,8 @@ const fetchFromOpenMeteo = async (cityName) => {
 
        points.push({
          timestamp: i === safeNowIndex ? 'Now' : `+${i - safeNowIndex}h`,
-         IMD: simulateSourceValue(val, 'IMD', name),
-         KSNDMC: simulateSourceValue(val, 'KSNDMC', name),
-         WeatherUnion: simulateSourceValue(val, 'WeatherUnion', name),
-         OpenWeather: simulateSourceValue(val, 'OpenWeather', name),
-         OpenAQ: simulateSourceValue(val, 'OpenAQ', name),
-         UrbanEmission: simulateSourceValue(val, 'UrbanEmission', name),
-         Google: simulateSourceValue(val, 'Google', name),
+         // Only Open-Meteo issued this forecast, so it is plotted as a single source
+         'Open-Meteo': val,
        });
     }
     return points;
@@ -595,13 +603,13 @@ const fetchFromOpenMeteo = async (cityName) => {
       aqi: getHistoryFor('us_aqi', 'aqi'),
     },
     forecast: {
-      temperature: generateMetricForecast('temperature_2m', 'temperature'),
-      humidity: generateMetricForecast('relative_humidity_2m', 'humidity'),
-      pressure: generateMetricForecast('surface_pressure', 'pressure'),
-      wind: generateMetricForecast('wind_speed_10m', 'wind'),
-      precipitation: generateMetricForecast('precipitation_probability', 'precipitation'),
-      uv: generateMetricForecast('uv_index', 'uv'),
-      aqi: generateMetricForecast('us_aqi', 'aqi'),
+      temperature: generateMetricForecast('temperature_2m'),
+      humidity: generateMetricForecast('relative_humidity_2m'),
+      pressure: generateMetricForecast('surface_pressure'),
+      wind: generateMetricForecast('wind_speed_10m'),
+      precipitation: generateMetricForecast('precipitation_probability'),
+      uv: generateMetricForecast('uv_index'),
+      aqi: generateMetricForecast('us_aqi'),
     },
     insights: await Promise.race([
       fetchAIInsights(
@@ -615,6 +623,8 @@ const fetchFromOpenMeteo = async (cityName) => {
         resolve(generateInsightsFromBackend(name, [{ temperature: weather.current.temperature_2m, aqi: aqi.current.us_aqi }]));
       }, 4000))
     ]),
+    // Open-Meteo only reports the US AQI, whichever scale was asked for
+    aqiScale: 'us_epa',
     aqiBreakdown: [{
       source: 'Open-Meteo',
       aqiValue: aqi.current.us_aqi,
@@ -633,12 +643,14 @@ const fetchFromOpenMeteo = async (cityName) => {
 
 /**
  * Main function: Try backend first, fallback to Open-Meteo
+ * @param {string} cityName - City to load
+ * @param {string} aqiScale - 'us_epa' or 'cpcb'
  */
-export const fetchCityData = async (cityName) => {
+export const fetchCityData = async (cityName, aqiScale = 'us_epa') => {
   console.log(`🔍 Fetching data for ${cityName}...`);
 
   // Try backend first
-  const backendData = await fetchFromBackend(cityName);
+  const backendData = await fetchFromBackend(cityName, aqiScale);
   
   if (backendData) {
     console.log('✅ Using backend data (8 APIs aggregated)');
@@ -713,9 +725,11 @@ const parseTimeScale = (scale) => {
   return map[scale];
 };
 
-const getAQIStatus = (aqi) => {
-  if (aqi <= 50) return 'Safe';
-  if (aqi <= 150) return 'Moderate';
+const getAQIStatus = (aqi, scale = 'us_epa') => {
+  // CPCB bands are wider: "Moderate" runs to 200 and "Poor" starts at 201
+  const [safe, moderate] = scale === 'cpcb' ? [100, 200] : [50, 150];
+  if (aqi <= safe) return 'Safe';
+  if (aqi <= moderate) return 'Moderate';
   return 'Hazardous';
 };
 
@@ -724,9 +738,9 @@ const generateFallbackAlerts = (weather, aqi, cityName = '') => {
   const cityPrefix = cityName ? ` in ${cityName}` : '';
   
   // Temp
-  if (weather.temperature_2m > 40) alerts.push({ type: 'Heatwave Warning', level: 'critical', message: `Extreme heat${cityPrefix}: ${weather.temperature_2m}°C` });
+  if (weather.temperature_2m > 40) alerts.push({ type: 'Extreme Heat', level: 'critical', message: `Extreme heat${cityPrefix}: ${weather.temperature_2m}°C` });
   else if (weather.temperature_2m > 35) alerts.push({ type: 'High Temperature', level: 'warning', message: `High temp${cityPrefix}: ${weather.temperature_2m}°C` });
-  else if (weather.temperature_2m < 5) alerts.push({ type: 'Cold Wave Warning', level: 'critical', message: `Extreme cold${cityPrefix}: ${weather.temperature_2m}°C` });
+  else if (weather.temperature_2m < 5) alerts.push({ type: 'Extreme Cold', level: 'critical', message: `Extreme cold${cityPrefix}: ${weather.temperature_2m}°C` });
 
   // AQI
   if (aqi.us_aqi > 300) alerts.push({ type: 'Hazardous Air Quality', level: 'critical', message: `Hazardous AQI${cityPrefix}: ${aqi.us_aqi}` });
@@ -787,7 +801,124 @@ export const fetchHistoricalRecords = async (cityName) => {
 };
 
 /**
- * Fetch typical day comparison
+ * Fetch the cross-source consensus (weighted value, spread, rejected outliers per metric)
+ */
+export const fetchConsensus = async (cityId, aqiScale = 'us_epa') => {
+  if (!config.USE_BACKEND_DATA || !cityId) return null;
+  try {
+    const res = await fetch(`${config.API_BASE_URL}/data/consensus/${cityId}?aqiScale=${aqiScale}`);
+    const data = await res.json();
+    return data.success ? data.data : null;
+  } catch (error) {
+    console.error('Error fetching consensus:', error);
+    return null;
+  }
+};
+
+/**
+ * Fetch forecast skill (MAE, RMSE, bias per source, metric and lead time)
+ */
+export const fetchForecastSkill = async (cityId, days = 30) => {
+  if (!config.USE_BACKEND_DATA || !cityId) return null;
+  try {
+    const res = await fetch(`${config.API_BASE_URL}/analytics/forecast-skill/${cityId}?days=${days}`);
+    const data = await res.json();
+    return data.success ? data.data : null;
+  } catch (error) {
+    console.error('Error fetching forecast skill:', error);
+    return null;
+  }
+};
+
+/**
+ * Fetch residual anomalies (after removing trend and seasonal cycle) for a daily metric
+ */
+export const fetchAnomalies = async (cityId, metric = 'avgTemperature', days = 30) => {
+  if (!config.USE_BACKEND_DATA) return null;
+  try {
+    const res = await fetch(`${config.API_BASE_URL}/analytics/anomalies/${cityId}?metric=${metric}&days=${days}`);
+    const data = await res.json();
+    return data.success ? data.data : null;
+  } catch (error) {
+    console.error('Error fetching anomalies:', error);
+    return null;
+  }
+};
+
+/**
+ * Fetch lagged correlation matrices for one city, or across all cities with cityId 'all'
+ */
+export const fetchCorrelationMatrix = async (cityId, { metrics, method = 'pearson', lags = [0], days = 90 } = {}) => {
+  if (!config.USE_BACKEND_DATA || !cityId) return null;
+  try {
+    const params = new URLSearchParams({ method, lags: lags.join(','), days: String(days) });
+    params.set(cityId === 'all' ? 'cityIds' : 'cityId', cityId);
+    if (metrics) params.set('metrics', metrics.join(','));
+
+    const res = await fetch(`${config.API_BASE_URL}/analytics/correlation/matrix?${params}`);
+    const data = await res.json();
+    return data.success ? data.data : null;
+  } catch (error) {
+    console.error('Error fetching correlation matrix:', error);
+    return null;
+  }
+};
+
+/**
+ * Fetch all cities ranked by a criterion (cleanest_air, hot_days, warming_trend, wettest_monsoon)
+ */
+export const fetchRankings = async (criterion, { period, weighting = 'none', threshold } = {}) => {
+  if (!config.USE_BACKEND_DATA) return null;
+  try {
+    const params = new URLSearchParams({ criterion, weighting });
+    if (period) params.set('period', period);
+    if (threshold != null) params.set('threshold', String(threshold));
+
+    const res = await fetch(`${config.API_BASE_URL}/analytics/rankings?${params}`);
+    const data = await res.json();
+    return data.success ? data.data : null;
+  } catch (error) {
+    console.error('Error fetching rankings:', error);
+    return null;
+  }
+};
+
+/**
+ * Fetch a monsoon season summary (default: the latest monsoon that has begun)
+ */
+export const fetchMonsoonSummary = async (cityId, year) => {
+  if (!config.USE_BACKEND_DATA || !cityId) return null;
+  try {
+    const query = year ? `?year=${year}` : '';
+    const res = await fetch(`${config.API_BASE_URL}/analytics/monsoon/${cityId}${query}`);
+    const data = await res.json();
+    return data.success ? data.data : null;
+  } catch (error) {
+    console.error('Error fetching monsoon summary:', error);
+    return null;
+  }
+};
+
+/**
+ * Fetch daily degree days and heat stress indices, optionally at other base temperatures (°C)
+ */
+export const fetchThermalIndices = async (cityId, { days = 30, coolingBase, heatingBase } = {}) => {
+  if (!config.USE_BACKEND_DATA || !cityId) return null;
+  try {
+    const params = new URLSearchParams({ days: String(days) });
+    if (coolingBase != null) params.set('coolingBase', String(coolingBase));
+    if (heatingBase != null) params.set('heatingBase', String(heatingBase));
+    const res = await fetch(`${config.API_BASE_URL}/analytics/thermal/${cityId}?${params}`);
+    const data = await res.json();
+    return data.success ? data.data : null;
+  } catch (error) {
+    console.error('Error fetching thermal indices:', error);
+    return null;
+  }
+};
+
+/**
+ * Fetch today's climate normals and where today's readings fall in them
  */
 export const fetchTypicalComparison = async (cityId) => {
   if (!config.USE_BACKEND_DATA) return null;
@@ -812,18 +943,31 @@ const fetchAIInsights = async (cityName, cityId, currentTemp, currentAqi) => {
   try {
     let histRecords = null;
     let typicalData = null;
+    let longTerm = null;
 
     // Only fetch history if we have city data
     if (cityName) {
       histRecords = await fetchHistoricalRecords(cityName);
       typicalData = await fetchTypicalComparison(cityId || cityName);
     }
+    if (cityId) {
+      longTerm = await fetchLongTermTrends(cityId);
+    }
+
+    // Only trends that pass the Mann-Kendall test are described as trends
+    const tempTrend = longTerm?.analysis?.annual?.avgTemperature;
+    const aqiTrend = longTerm?.analysis?.annual?.avgAqi;
 
     const queryParams = new URLSearchParams({
       temp: currentTemp || '',
       aqi: currentAqi || '',
-      histAvgTemp: typicalData?.avgTemp || '',
-      histAvgAqi: typicalData?.avgAqi || '',
+      tempTrend: tempTrend?.significant ? tempTrend.trend : 'stable',
+      tempChange: tempTrend?.significant ? tempTrend.perDecade : '',
+      tempPValue: tempTrend?.pValue ?? '',
+      aqiTrend: aqiTrend?.significant ? aqiTrend.trend : 'stable',
+      period: tempTrend?.years ? `${tempTrend.firstYear}-${tempTrend.lastYear}` : '',
+      histAvgTemp: typicalData?.normals?.avgTemperature?.mean ?? '',
+      histAvgAqi: typicalData?.normals?.avgAqi?.mean ?? '',
       recordHigh: histRecords?.hottest?.value || '',
       recordLow: histRecords?.coldest?.value || ''
     });
@@ -849,10 +993,12 @@ const fetchAIInsights = async (cityName, cityId, currentTemp, currentAqi) => {
  * Fetch long-term trends
  */
 export const fetchLongTermTrends = async (cityId) => {
+  if (!config.USE_BACKEND_DATA) return null;
   try {
-    const response = await fetch(`${config.API_BASE_URL}/api/analytics/trends/${cityId}`);
+    const response = await fetch(`${config.API_BASE_URL}/analytics/long-term/${cityId}`);
     if (!response.ok) throw new Error('Failed to fetch trends');
-    return await response.json();
+    const data = await response.json();
+    return data.success ? data.data : null;
   } catch (error) {
     console.error('Error fetching long-term trends:', error);
     return null;